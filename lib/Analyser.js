@@ -0,0 +1,177 @@
+// the same rule the AnalyserNode enforces, checked up front because the node
+// may not exist yet
+function checkFftSize (fftSize) {
+  const isPowerOfTwo = Math.log2(fftSize) % 1 === 0
+  if (!isPowerOfTwo || fftSize < 32 || fftSize > 32768) {
+    throw new RangeError(`fftSize must be a power of two between 32 and 32768, not ${fftSize}`)
+  }
+}
+
+/**
+ * Analyser
+ * ========
+ *
+ * A persistent AnalyserNode, for drawing spectrums, oscilloscopes and level
+ * meters. It listens to `input`, so it keeps working when the audio source
+ * behind it is replaced.
+ *
+ * The node isn't created until it is first used, so players without a
+ * visualiser don't pay for the FFT.
+ *
+ * @private
+ * @class Analyser
+ * @param {Object} options
+ * @param {AudioContext} options.context
+ * @param {AudioNode} options.input - The node to listen to.
+ * @param {Number} [options.fftSize = 2048] - A power of two between 32 and
+ * 32768.
+ * @param {Number} [options.smoothing = 0.8] - Between 0 and 1. Higher values
+ * make the frequency data change more slowly.
+ * @property {Number} fftSize
+ * @property {Number} smoothing
+ * @property {Number} frequencyBinCount - Half of `fftSize`.
+ */
+
+export default class Analyser {
+  constructor (options) {
+    const {
+      context,
+      input,
+      fftSize = 2048,
+      smoothing = 0.8,
+    } = options
+
+    checkFftSize(fftSize)
+
+    this.context = context
+    this.input = input
+
+    this._node = null
+    this._fftSize = fftSize
+    this._smoothing = smoothing
+  }
+
+  /**
+   * node
+   * ====
+   *
+   * The AnalyserNode, created and connected on first use.
+   */
+
+  get node () {
+    if (this._node == null) {
+      const node = this.context.createAnalyser()
+      node.fftSize = this._fftSize
+      node.smoothingTimeConstant = this._smoothing
+      this.input.connect(node)
+      this._node = node
+    }
+    return this._node
+  }
+
+  get fftSize () {
+    return this._fftSize
+  }
+
+  set fftSize (fftSize) {
+    checkFftSize(fftSize)
+    if (this._node != null) {
+      this._node.fftSize = fftSize
+    }
+    this._fftSize = fftSize
+  }
+
+  get smoothing () {
+    return this._smoothing
+  }
+
+  set smoothing (smoothing) {
+    if (this._node != null) {
+      this._node.smoothingTimeConstant = smoothing
+    }
+    this._smoothing = smoothing
+  }
+
+  get frequencyBinCount () {
+    return this._fftSize / 2
+  }
+
+  /**
+   * getFrequencyData
+   * ================
+   *
+   * @param {Uint8Array|Float32Array} [array] - Where to put the data. Pass the
+   * same array each frame to avoid creating garbage. A Float32Array gets
+   * decibels, and a Uint8Array gets values between 0 and 255.
+   * @returns {Uint8Array|Float32Array} The magnitude of each frequency bin,
+   * from 0Hz up to half the sample rate.
+   */
+
+  getFrequencyData (array = new Uint8Array(this.frequencyBinCount)) {
+    if (array instanceof Float32Array) {
+      this.node.getFloatFrequencyData(array)
+    } else {
+      this.node.getByteFrequencyData(array)
+    }
+    return array
+  }
+
+  /**
+   * getWaveformData
+   * ===============
+   *
+   * @param {Uint8Array|Float32Array} [array] - Where to put the data. A
+   * Float32Array gets samples between -1 and 1, and a Uint8Array gets values
+   * between 0 and 255, where 128 is silence.
+   * @returns {Uint8Array|Float32Array} The most recent `fftSize` samples.
+   */
+
+  getWaveformData (array = new Uint8Array(this._fftSize)) {
+    if (array instanceof Float32Array) {
+      this.node.getFloatTimeDomainData(array)
+    } else {
+      this.node.getByteTimeDomainData(array)
+    }
+    return array
+  }
+
+  /**
+   * getLevels
+   * =========
+   *
+   * @returns {Object} The `rms` and `peak` levels of the most recent
+   * `fftSize` samples, between 0 and 1.
+   */
+
+  getLevels () {
+    const samples = this.getWaveformData(new Float32Array(this._fftSize))
+
+    let sum = 0
+    let peak = 0
+
+    for (let i = 0; i < samples.length; i += 1) {
+      const sample = Math.abs(samples[i])
+      sum += sample * sample
+      peak = Math.max(peak, sample)
+    }
+
+    return {
+      rms: samples.length === 0 ? 0 : Math.sqrt(sum / samples.length),
+      peak,
+    }
+  }
+
+  /**
+   * dispose
+   * =======
+   *
+   * Disconnect the AnalyserNode, if it was ever created.
+   */
+
+  dispose () {
+    if (this._node != null) {
+      this.input.disconnect(this._node)
+      this._node = null
+    }
+  }
+}
@@ -0,0 +1,171 @@
+import noop from 'nop'
+
+import Emitter from './Emitter'
+import Recorder from './Recorder'
+
+/**
+ * Backend
+ * =======
+ *
+ * What the WebAudio and MediaElement backends have in common. Each of them
+ * sets `context` and `volumeNode`.
+ *
+ * @private
+ * @class Backend
+ */
+
+export default class Backend extends Emitter {
+  constructor () {
+    super()
+
+    this._pendingLoad = null
+    this._recorder = null
+  }
+
+  /**
+   * startLoad
+   * =========
+   *
+   * @private
+   *
+   * Create the promise that `loadSource` returns. Until it is settled,
+   * aborting `signal` stops the track.
+   *
+   * @param {AbortSignal} [signal]
+   * @returns {Promise}
+   */
+
+  _startLoad (signal) {
+    const pending = {signal, handleAbort: () => this.stop()}
+    const loaded = new Promise((resolve, reject) => {
+      pending.resolve = resolve
+      pending.reject = reject
+    })
+    this._pendingLoad = pending
+
+    // errors are emitted as events too, so callers that don't wait for the
+    // track to load don't need to catch them
+    loaded.catch(noop)
+
+    if (signal != null) {
+      signal.addEventListener('abort', pending.handleAbort)
+    }
+
+    return loaded
+  }
+
+  /**
+   * settleLoad
+   * ==========
+   *
+   * @private
+   *
+   * Resolve the promise returned by `loadSource`, or reject it with `err`.
+   */
+
+  _settleLoad (err) {
+    const {_pendingLoad: pending} = this
+
+    if (pending == null) {
+      return
+    }
+
+    this._pendingLoad = null
+
+    // a signal can outlive the track, so don't keep the player alive with it
+    if (pending.signal != null) {
+      pending.signal.removeEventListener('abort', pending.handleAbort)
+    }
+
+    if (err == null) {
+      pending.resolve()
+    } else {
+      pending.reject(err)
+    }
+  }
+
+  /**
+   * disposeRecorder
+   * ===============
+   *
+   * @private
+   *
+   * Stop recording, without waiting for the recording.
+   */
+
+  _disposeRecorder () {
+    if (this._recorder != null) {
+      this._recorder.dispose()
+      this._recorder = null
+    }
+  }
+
+  /**
+   * startRecording
+   * ==============
+   *
+   * Record what the player plays from now on, after the effects and the
+   * volume, including any pauses. A `recordingprogress` event is emitted with
+   * `{duration, size}` each time more has been recorded.
+   *
+   * @param {Object} [options]
+   * @param {String} [options.mimeType = 'audio/wav'] - 'audio/wav', or any
+   * type that MediaRecorder supports, e.g. 'audio/webm;codecs=opus'.
+   * @param {Number} [options.bitDepth = 16] - For WAV files, 16, 24 or 32.
+   * @param {Number} [options.channels = 2] - For WAV files.
+   * @returns {Promise} Resolves once recording has started, which is also
+   * emitted as a `recordingstart` event, or rejects if the browser can't
+   * record.
+   * @throws {Error} If we are already recording.
+   */
+
+  startRecording (options = {}) {
+    if (this._recorder != null) {
+      throw new Error('Already recording')
+    }
+
+    let recorder = null
+
+    // e.g. a bit depth we can't write is a rejection too
+    return new Promise((resolve) => {
+      recorder = new Recorder({...options, context: this.context, input: this.volumeNode})
+      recorder.onProgress = (progress) => this.emit('recordingprogress', progress)
+
+      this._recorder = recorder
+      resolve(recorder.start())
+    }).then(() => {
+      // unless it was stopped while it was starting
+      if (this._recorder === recorder) {
+        this.emit('recordingstart')
+      }
+    }, (err) => {
+      if (this._recorder === recorder) {
+        this._recorder = null
+      }
+      throw err
+    })
+  }
+
+  /**
+   * stopRecording
+   * =============
+   *
+   * @returns {Promise<Blob>} The recording, which is also emitted as a
+   * `recordingstop` event. Rejects if we aren't recording.
+   */
+
+  stopRecording () {
+    const {_recorder: recorder} = this
+
+    if (recorder == null) {
+      return Promise.reject(new Error('Not recording'))
+    }
+
+    this._recorder = null
+
+    return recorder.stop().then((blob) => {
+      this.emit('recordingstop', blob)
+      return blob
+    })
+  }
+}
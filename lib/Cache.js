@@ -0,0 +1,344 @@
+import noop from 'nop'
+
+import fetchRange, {getTotalBytes} from './fetchRange'
+import {createResponse, createBufferReader} from './sources'
+import {HttpError} from './errors'
+import MemoryStore from './stores/MemoryStore'
+
+function concatBytes (chunks, length) {
+  const bytes = new Uint8Array(length)
+  let offset = 0
+
+  chunks.forEach((chunk) => {
+    bytes.set(chunk, offset)
+    offset += chunk.byteLength
+  })
+
+  return bytes
+}
+
+/**
+ * createCachingReader
+ * ===================
+ *
+ * Read the part of a file that is in the cache, and then download the rest,
+ * saving everything we have of the file back to the cache as we go. If the
+ * download stops part way through, the part we have is saved, so that it can
+ * be picked up from there next time.
+ *
+ * @private
+ * @param {Cache} cache
+ * @param {String} key - The URL of the file.
+ * @param {Object} options - Passed to `fetchRange`.
+ * @param {Object} state
+ * @param {Object} [state.entry] - What we have in the cache, which always
+ * starts at the start of the file.
+ * @param {Number} state.start - Where the reader should start, no further
+ * than the end of `entry`.
+ * @param {Response} [state.res] - The download of the rest of the file, if it
+ * has already been started.
+ * @returns {ReadableStreamDefaultReader}
+ */
+
+function createCachingReader (cache, key, options, state) {
+  const {entry = null, start, res = null} = state
+  const cached = entry == null ? 0 : entry.size
+  // null once the file is too big for the cache
+  let chunks = entry == null ? [] : [entry.bytes]
+
+  let head = start < cached ? entry.bytes.subarray(start) : null
+  let length = cached
+  let contentType = entry == null ? null : entry.contentType
+  let total = entry == null ? null : entry.total
+  let network = null
+  let skip = 0
+  let saved = false
+
+  const connect = (response) => {
+    // the server ignored the Range header, and is sending the whole file
+    skip = cached > 0 && response.status !== 206 ? cached : 0
+    contentType = contentType || response.headers.get('Content-Type')
+    total = getTotalBytes(response)
+    network = response.body.getReader()
+  }
+
+  const save = (done) => {
+    const complete = done && (total == null || length === total)
+    if (saved || chunks == null || (!complete && length <= cached)) {
+      return
+    }
+
+    saved = true
+    cache.put(key, {bytes: concatBytes(chunks, length), contentType, total, complete})
+  }
+
+  const readNetwork = () => network.read().then(({value, done}) => {
+    if (done) {
+      save(true)
+      return {value, done}
+    }
+
+    const chunk = value.subarray(Math.min(skip, value.byteLength))
+    skip -= value.byteLength - chunk.byteLength
+
+    if (chunk.byteLength === 0) {
+      return readNetwork()
+    }
+
+    length += chunk.byteLength
+
+    // the cache wouldn't keep it, so there's no point holding on to it
+    if (length > cache.maxSize) {
+      chunks = null
+    } else {
+      chunks.push(chunk)
+    }
+
+    return {value: chunk, done}
+  }, (err) => {
+    save(false)
+    throw err
+  })
+
+  const openNetwork = () => fetchRange(key, cached, options).then((response) => {
+    if (!response.ok) {
+      throw new HttpError(response)
+    }
+    connect(response)
+  })
+
+  if (res != null) {
+    connect(res)
+  }
+
+  return {
+    read: () => {
+      if (head != null) {
+        const value = head
+        head = null
+        return Promise.resolve({value, done: false})
+      }
+
+      return network == null ? openNetwork().then(readNetwork) : readNetwork()
+    },
+    cancel: () => {
+      save(false)
+      head = null
+      return network == null ? Promise.resolve() : network.cancel()
+    },
+  }
+}
+
+/**
+ * Cache
+ * =====
+ *
+ * Keep the bytes of the tracks that have been downloaded, so that playing
+ * one again starts straight away, without the network. A track that was only
+ * partly downloaded is kept too, and the rest of it is downloaded with a
+ * Range request the next time it is played.
+ *
+ * The bytes are kept in a store: a MemoryStore (the default), a
+ * CacheStorageStore or an IndexedDBStore, or anything else with the same
+ * methods. Once the store holds more than `maxSize` bytes, the tracks that
+ * were played longest ago are evicted. Tracks are keyed by their URL.
+ *
+ * The cache only saves time, so it gives up quietly if the store can't save
+ * a track, e.g. because the browser's storage quota is full.
+ *
+ * @class Cache
+ * @param {Object} [options]
+ * @param {Object} [options.store = new MemoryStore()]
+ * @param {Number} [options.maxSize = 100 * 1024 * 1024] - How many bytes to
+ * keep, in total. A track bigger than this isn't kept at all.
+ * @property {Object} store
+ * @property {Number} maxSize
+ */
+
+export default class Cache {
+  constructor (options = {}) {
+    const {
+      store = new MemoryStore(),
+      maxSize = 100 * 1024 * 1024, // bytes
+    } = options
+
+    this.store = store
+    this.maxSize = maxSize
+
+    this._writes = Promise.resolve()
+  }
+
+  /**
+   * get
+   * ===
+   *
+   * @param {String} key
+   * @returns {Promise<Object|null>} `{bytes, contentType, total, complete}`,
+   * or null if nothing of the track is cached. The track counts as used.
+   */
+
+  get (key) {
+    // wait for the track to be saved, if it is being saved. A store that
+    // can't be read is the same as an empty one.
+    const read = this._writes.then(() => this.store.get(key)).catch(() => null)
+
+    return read.then((entry) => {
+      if (entry == null) {
+        return null
+      }
+      return this.store.touch(key, Date.now()).catch(noop).then(() => entry)
+    })
+  }
+
+  /**
+   * put
+   * ===
+   *
+   * Save a track, or the start of one, and evict older tracks to make room.
+   *
+   * @param {String} key
+   * @param {Object} options
+   * @param {Uint8Array} options.bytes - The start of the file, or all of it.
+   * @param {String} [options.contentType]
+   * @param {Number} [options.total] - The size of the whole file.
+   * @param {Boolean} [options.complete = false] - Is `bytes` the whole file?
+   * @returns {Promise}
+   */
+
+  put (key, options) {
+    const {bytes, contentType = null, total = null, complete = false} = options
+    const size = bytes.byteLength
+
+    if (size > this.maxSize) {
+      return this._writes
+    }
+
+    const entry = {key, bytes, contentType, total, complete, size, accessed: Date.now()}
+
+    // one write at a time, so that evictions don't trip over each other
+    this._writes = this._writes
+      .then(() => this.store.put(key, entry))
+      .then(() => this._evict(key))
+      .catch(noop)
+
+    return this._writes
+  }
+
+  /**
+   * evict
+   * =====
+   *
+   * @private
+   *
+   * Delete the tracks that were used longest ago, until everything fits.
+   *
+   * @param {String} key - The track that has just been saved, which is kept.
+   */
+
+  _evict (key) {
+    return this.store.list().then((entries) => {
+      let size = entries.reduce((sum, entry) => sum + entry.size, 0)
+
+      const oldest = entries
+        .filter((entry) => entry.key !== key)
+        .sort((a, b) => a.accessed - b.accessed)
+
+      const evicted = []
+      oldest.forEach((entry) => {
+        if (size > this.maxSize) {
+          size -= entry.size
+          evicted.push(this.store.delete(entry.key))
+        }
+      })
+
+      return Promise.all(evicted)
+    })
+  }
+
+  delete (key) {
+    return this.store.delete(key)
+  }
+
+  clear () {
+    return this.store.list().then((entries) => {
+      return Promise.all(entries.map((entry) => this.store.delete(entry.key)))
+    })
+  }
+
+  /**
+   * open
+   * ====
+   *
+   * Read a file from `start`, from the cache where we can, and from the
+   * network everywhere else. What is downloaded is saved to the cache, as
+   * long as it carries on from what is already there.
+   *
+   * @param {String} key - The URL of the file.
+   * @param {Number} start - Where to start reading from, in bytes.
+   * @param {Object} [options] - `{fetch, headers, signal}`, passed to
+   * `fetchRange`.
+   * @returns {Promise<Response>}
+   */
+
+  open (key, start, options = {}) {
+    return this.get(key).then((entry) => {
+      if (entry != null && entry.complete) {
+        // nothing is left to read past the end of the file
+        const from = Math.min(start, entry.size)
+        const reader = createBufferReader(entry.bytes.subarray(from))
+        return createResponse(reader, from, entry.size, entry.contentType)
+      }
+
+      const cached = entry == null ? 0 : entry.size
+
+      // there would be a gap between what we have and what we download
+      if (start > cached) {
+        return fetchRange(key, start, options)
+      }
+
+      // the download starts where the cache ends, so it can start straight away
+      if (start === cached) {
+        return fetchRange(key, start, options).then((res) => {
+          if (!res.ok) {
+            return res
+          }
+
+          const reader = createCachingReader(this, key, options, {entry, start, res})
+          return createResponse(reader, start, getTotalBytes(res), res.headers.get('Content-Type'))
+        })
+      }
+
+      const reader = createCachingReader(this, key, options, {entry, start})
+      return createResponse(reader, start, entry.total, entry.contentType)
+    })
+  }
+
+  /**
+   * prefetch
+   * ========
+   *
+   * Download tracks into the cache ahead of time, one after the other. Tracks
+   * that are already cached are skipped, and partly cached tracks are
+   * finished off. A track that fails to download is skipped too, and will be
+   * downloaded when it is played instead.
+   *
+   * @param {Array<String>} urls
+   * @param {Object} [options] - `{fetch, headers, signal}`, passed to
+   * `fetchRange`.
+   * @returns {Promise} Resolves once every track has been tried.
+   */
+
+  prefetch (urls, options = {}) {
+    const drain = (reader) => reader.read().then(({done}) => (done ? null : drain(reader)))
+
+    return urls.reduce((previous, url) => previous.then(() => {
+      if (options.signal != null && options.signal.aborted) {
+        return null
+      }
+
+      return this.open(url, 0, options)
+        .then((res) => (res.ok ? drain(res.body.getReader()) : null))
+        .catch(noop)
+    }), Promise.resolve())
+  }
+}
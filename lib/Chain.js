@@ -0,0 +1,103 @@
+/**
+ * Chain
+ * =====
+ *
+ * Connect an input node to an output node, through an ordered list of
+ * effects. The input and output nodes are persistent, so the effects stay
+ * connected however often the audio source in front of them is replaced.
+ *
+ * @private
+ * @class Chain
+ * @param {Object} options
+ * @param {AudioContext} options.context
+ * @param {AudioNode} options.input
+ * @param {AudioNode} options.output
+ * @param {Array} [options.effects = []] - See `setEffects`.
+ * @property {Array<AudioNode>} nodes - The effects, in order.
+ * @property {Array<AudioNode|Function>} effects - The effects as they were
+ * given, so that they can be created again in another context.
+ */
+
+export default class Chain {
+  constructor (options) {
+    const {context, input, output, effects = []} = options
+
+    this.context = context
+    this.input = input
+    this.output = output
+    this.nodes = []
+    this.effects = []
+
+    this._connected = false
+
+    this.setEffects(effects)
+  }
+
+  /**
+   * each
+   * ====
+   *
+   * @private
+   *
+   * Call `fn` with each pair of neighbouring nodes in the chain.
+   */
+
+  _each (fn) {
+    const nodes = [this.input, ...this.nodes, this.output]
+
+    for (let i = 0; i < nodes.length - 1; i += 1) {
+      fn(nodes[i], nodes[i + 1])
+    }
+  }
+
+  _connect () {
+    this._each((node, next) => node.connect(next))
+    this._connected = true
+  }
+
+  _disconnect () {
+    if (this._connected) {
+      // only undo our own connections, the effects may be connected to other
+      // nodes as well
+      this._each((node, next) => node.disconnect(next))
+      this._connected = false
+    }
+  }
+
+  /**
+   * setEffects
+   * ==========
+   *
+   * Replace the effects between the input and output.
+   *
+   * @param {Array<AudioNode|Function>} effects - Each effect is either an
+   * AudioNode, or a function that is called with the AudioContext and returns
+   * an AudioNode.
+   */
+
+  setEffects (effects) {
+    const {context} = this
+
+    this._disconnect()
+
+    this.effects = effects
+    this.nodes = effects.map((effect) => {
+      return typeof effect === 'function' ? effect(context) : effect
+    })
+
+    this._connect()
+  }
+
+  /**
+   * dispose
+   * =======
+   *
+   * Disconnect every node in the chain.
+   */
+
+  dispose () {
+    this._disconnect()
+    this.nodes = []
+    this.effects = []
+  }
+}
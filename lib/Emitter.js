@@ -0,0 +1,119 @@
+/**
+ * The callback properties that are kept as aliases for events, so that
+ * `player.onPlay = fn` still works.
+ *
+ * @private
+ */
+
+const CALLBACKS = {
+  progress: 'onProgress',
+  load: 'onLoad',
+  play: 'onPlay',
+  pause: 'onPause',
+  stop: 'onStop',
+  volumechange: 'onVolumeChange',
+  trackchange: 'onTrackChange',
+}
+
+/**
+ * Emitter
+ * =======
+ *
+ * A minimal event emitter, that every player extends.
+ *
+ * @class Emitter
+ */
+
+export default class Emitter {
+  constructor () {
+    this._listeners = {}
+  }
+
+  /**
+   * on
+   * ==
+   *
+   * Call `listener` every time `event` is emitted.
+   *
+   * @param {String} event
+   * @param {Function} listener
+   * @returns {Emitter} this
+   */
+
+  on (event, listener) {
+    if (this._listeners[event] == null) {
+      this._listeners[event] = []
+    }
+    this._listeners[event].push(listener)
+    return this
+  }
+
+  /**
+   * off
+   * ===
+   *
+   * Stop calling `listener` when `event` is emitted.
+   *
+   * @param {String} event
+   * @param {Function} listener
+   * @returns {Emitter} this
+   */
+
+  off (event, listener) {
+    const listeners = this._listeners[event]
+
+    if (listeners != null) {
+      this._listeners[event] = listeners.filter((fn) => {
+        return fn !== listener && fn.listener !== listener
+      })
+    }
+
+    return this
+  }
+
+  /**
+   * once
+   * ====
+   *
+   * Call `listener` the next time `event` is emitted, and then remove it.
+   *
+   * @param {String} event
+   * @param {Function} listener
+   * @returns {Emitter} this
+   */
+
+  once (event, listener) {
+    const wrapper = (...args) => {
+      this.off(event, wrapper)
+      listener(...args)
+    }
+    wrapper.listener = listener
+
+    return this.on(event, wrapper)
+  }
+
+  /**
+   * emit
+   * ====
+   *
+   * Call every listener for `event`, and the matching `onX` callback if
+   * there is one.
+   *
+   * @param {String} event
+   * @param {...*} args - Passed to each listener.
+   */
+
+  emit (event, ...args) {
+    const listeners = this._listeners[event]
+
+    if (listeners != null) {
+      // copy the list, in case a listener removes itself
+      listeners.slice().forEach((listener) => listener(...args))
+    }
+
+    const callback = this[CALLBACKS[event]]
+    if (typeof callback === 'function') {
+      callback.apply(this, args)
+    }
+  }
+}
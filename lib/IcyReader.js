@@ -0,0 +1,142 @@
+import noop from 'nop'
+
+import {parseIcyMetadata} from './formats/icy'
+
+// the stream title is only nice to have, so a block we can't read is skipped,
+// rather than stopping the stream
+function readMetadata (block) {
+  try {
+    return parseIcyMetadata(block)
+  } catch (err) {
+    return null
+  }
+}
+
+/**
+ * IcyReader
+ * =========
+ *
+ * Wrap the reader for an Icecast or SHOUTcast stream, and take out the
+ * metadata blocks that the server puts between every `metaint` bytes of
+ * audio. It can be read just like the reader it wraps.
+ *
+ * Each block starts with a byte that holds its length divided by 16, and is
+ * usually empty. `onMetadata` is called with the fields of every block that
+ * isn't.
+ *
+ * @private
+ * @class IcyReader
+ * @param {ReadableStreamDefaultReader} reader
+ * @param {Number} metaint - The `icy-metaint` header of the response.
+ * @property {Function} onMetadata
+ */
+
+export default class IcyReader {
+  constructor (reader, metaint) {
+    this.onMetadata = noop
+
+    this._reader = reader
+    this._metaint = metaint
+
+    // how much audio is left before the next block
+    this._audioLeft = metaint
+
+    // the block we are part way through, or null between blocks
+    this._block = null
+    this._blockLength = 0
+  }
+
+  /**
+   * read
+   * ====
+   *
+   * @returns {Promise<Object>} `{value, done}`, where `value` only has audio
+   * in it. It may be empty, if the chunk was all metadata.
+   */
+
+  read () {
+    return this._reader.read().then(({value, done}) => {
+      if (done) {
+        return {value, done}
+      }
+      return {value: this._strip(value), done}
+    })
+  }
+
+  cancel () {
+    return this._reader.cancel()
+  }
+
+  /**
+   * strip
+   * =====
+   *
+   * @private
+   *
+   * @param {Uint8Array} chunk
+   * @returns {Uint8Array} The audio in `chunk`.
+   */
+
+  _strip (chunk) {
+    const parts = []
+    let offset = 0
+
+    while (offset < chunk.byteLength) {
+      if (this._audioLeft > 0) {
+        const end = Math.min(chunk.byteLength, offset + this._audioLeft)
+        parts.push(chunk.subarray(offset, end))
+        this._audioLeft -= end - offset
+        offset = end
+      } else {
+        offset = this._readBlock(chunk, offset)
+      }
+    }
+
+    if (parts.length === 1) {
+      return parts[0]
+    }
+
+    const audio = new Uint8Array(parts.reduce((length, part) => length + part.byteLength, 0))
+    parts.reduce((index, part) => {
+      audio.set(part, index)
+      return index + part.byteLength
+    }, 0)
+    return audio
+  }
+
+  /**
+   * readBlock
+   * =========
+   *
+   * @private
+   *
+   * Read as much of a metadata block as `chunk` has, starting at `offset`.
+   *
+   * @returns {Number} Where the block, or the chunk, ends.
+   */
+
+  _readBlock (chunk, offset) {
+    if (this._block == null) {
+      this._block = new Uint8Array(chunk[offset] * 16)
+      this._blockLength = 0
+      offset += 1
+    }
+
+    const block = this._block
+    const end = Math.min(chunk.byteLength, offset + (block.length - this._blockLength))
+    block.set(chunk.subarray(offset, end), this._blockLength)
+    this._blockLength += end - offset
+
+    if (this._blockLength === block.length) {
+      this._block = null
+      this._audioLeft = this._metaint
+
+      const fields = block.length > 0 ? readMetadata(block) : null
+      if (fields != null) {
+        this.onMetadata(fields)
+      }
+    }
+
+    return end
+  }
+}
@@ -1,27 +1,578 @@
-export default class MediaElement {
+import noop from 'nop'
+
+import Backend from './Backend'
+import Chain from './Chain'
+import Volume from './Volume'
+import Analyser from './Analyser'
+import Stats from './Stats'
+import {rampGain, setGain} from './fade'
+import {MediaElementError, AbortError} from './errors'
+import clampPlaybackRate from './playbackRate'
+import {isBlob, isBuffer, isReadableStream} from './sources'
+
+/**
+ * MediaElement
+ * ============
+ *
+ * Create a new MediaElement instance, to manage playback of a track using an
+ * HTML5 audio element. The browser does the streaming and decoding, and the
+ * element is routed through the AudioContext.
+ *
+ * Exposes the same API as WebAudio, so the two can be used interchangeably,
+ * except for `getPeaks`, `exportPeaks`, `render`, `exportWav` and `prefetch`.
+ * Those are WebAudio-only, because the browser keeps the samples and the
+ * downloads to itself. A Player stands in for them.
+ *
+ * @class MediaElement
+ * @param {Object} options
+ * @param {AudioContext} options.context - An instance of window.AudioContext.
+ * @param {Array} [options.effects = []] - AudioNodes (or functions that
+ * create them from the context) to connect between the track and the
+ * destination, in order.
+ * @param {AudioNode} [options.destination = context.destination] - Where to
+ * send the audio.
+ * @param {Boolean} [options.autoplay = true] - Start playing as soon as the
+ * browser can, whenever a track is loaded.
+ * @param {Number} [options.volume = 1] - Between 0 and 1.
+ * @param {Boolean} [options.muted = false]
+ * @param {Number} [options.fadeDuration = 0] - Fade in and out over this many
+ * seconds when playing, pausing and stopping, to avoid clicks.
+ * @param {Number} [options.playbackRate = 1] - How fast to play the track,
+ * between 0.25 and 4.
+ * @param {Boolean} [options.loop = false] - Start again from the beginning
+ * when the track ends.
+ * @param {Number} [options.fftSize = 2048] - The size of the FFT used by
+ * `getFrequencyData`, a power of two between 32 and 32768.
+ * @param {Number} [options.smoothing = 0.8] - Between 0 and 1. Higher values
+ * make the frequency data change more slowly.
+ * @param {Number} [options.statsInterval = 1000] - How often to emit `stats`
+ * events while a track is loaded, in milliseconds. Zero turns them off.
+ * @property {AudioContext} context
+ * @property {HTMLAudioElement} audioElement
+ * @property {MediaElementAudioSourceNode} audioSource
+ * @property {GainNode} fadeNode - Used to fade the track in and out.
+ * @property {Array<AudioNode>} effects - The effects the track is played
+ * through.
+ * @property {GainNode} volumeNode - Controls the volume, after the effects.
+ * @property {Number} volume - Between 0 and 1.
+ * @property {Boolean} muted
+ * @property {Number} playbackRate - How fast the track is played. The
+ * browser keeps the pitch the same.
+ * @property {Boolean} loop - Does the track start again when it ends?
+ * @property {Object} loopRegion - The part of the track that is repeated, as
+ * `{start, end}` in seconds, or null.
+ * @property {Number} fftSize
+ * @property {Number} smoothing
+ * @property {Boolean} loading - Is a file currently being downloaded?
+ * @property {Boolean} paused - Is the audio track currently paused?
+ * @property {Boolean} buffering - Is playback waiting for more data?
+ * @property {Object} metadata - Always null, because the browser doesn't
+ * give us the bytes to read tags from.
+ * @property {String} streamTitle - Always null, for the same reason. The
+ * browser can play live streams by itself, but it won't show us their ICY
+ * metadata.
+ * @property {Function} onProgress - Triggered when more of the track has been
+ * downloaded.
+ * @property {Function} onLoad - Triggered when the entire file is buffered.
+ * @property {Function} onPlay - Triggered after starting playback.
+ * @property {Function} onPause - Triggered after pausing playback.
+ * @property {Function} onStop - Triggered after stopping playback.
+ * @property {Function} onVolumeChange - Triggered when the volume or muted
+ * state changes.
+ *
+ * The callbacks above are aliases for the `progress`, `load`, `play`,
+ * `pause`, `stop` and `volumechange` events. See the README for the full list
+ * of events.
+ */
+
+export default class MediaElement extends Backend {
   constructor (options) {
-    const {context} = options
+    const {
+      context,
+      effects = [],
+      destination = context.destination,
+      autoplay = true,
+      volume = 1,
+      muted = false,
+      fadeDuration = 0, // seconds
+      playbackRate = 1,
+      loop = false,
+      fftSize = 2048,
+      smoothing = 0.8,
+      statsInterval = 1000, // milliseconds
+    } = options
+
+    super()
 
     this.context = context
+    this.fadeDuration = fadeDuration
+    this.statsInterval = statsInterval
     this.audioElement = new Audio()
     this.audioElement.crossOrigin = 'anonymous'
-    this.audioElement.autoplay = true
+    this.audioElement.autoplay = autoplay
+    this.audioElement.loop = loop
+    this.setPlaybackRate(playbackRate)
+
+    this._volume = new Volume({context, volume, muted})
+    this._volume.onChange = () => this.emit('volumechange')
+    this.volumeNode = this._volume.node
+    this.volumeNode.connect(destination)
 
     this.audioSource = context.createMediaElementSource(this.audioElement)
-    this.audioSource.connect(context.destination)
+    this.fadeNode = context.createGain()
+    this.audioSource.connect(this.fadeNode)
+    this._chain = new Chain({
+      context,
+      input: this.fadeNode,
+      output: this.volumeNode,
+      effects,
+    })
+
+    // listens to what comes out of the speakers, after the effects and volume
+    this._analyser = new Analyser({context, input: this.volumeNode, fftSize, smoothing})
+    this._fadeTimer = null
+    this._pausing = false
+    this._loopRegion = null
+    this._stats = new Stats()
+    this._statsTimer = null
+
+    this.loading = false
+    this.buffering = false
+    this.metadata = null
+    this.streamTitle = null
+
+    this.onProgress = noop
+    this.onLoad = noop
+    this.onPlay = noop
+    this.onPause = noop
+    this.onStop = noop
+    this.onVolumeChange = noop
+
+    this._objectUrl = null
+
+    // kept so that they can be removed again by `dispose`
+    this._elementListeners = {
+      progress: this._handleProgress.bind(this),
+      waiting: this._handleWaiting.bind(this),
+      playing: this._handlePlaying.bind(this),
+      error: this._handleError.bind(this),
+      canplay: () => {
+        this._stats.firstAudio()
+        this.emit('canplay')
+      },
+      canplaythrough: this._handleCanPlayThrough.bind(this),
+      ended: this._handleEnded.bind(this),
+      timeupdate: this._handleTimeUpdate.bind(this),
+      durationchange: () => this.emit('durationchange', this.duration()),
+      ratechange: () => this.emit('ratechange', this.playbackRate),
+      loadedmetadata: () => this.emit('loadedmetadata'),
+      seeking: () => this.emit('seeking'),
+      seeked: () => this.emit('seeked'),
+      stalled: () => this.emit('stalled'),
+    }
+
+    Object.keys(this._elementListeners).forEach((event) => {
+      this.audioElement.addEventListener(event, this._elementListeners[event])
+    })
   }
 
-  loadSource (audioSrc) {
-    // NOTE: you must set crossOrigin before src
-    this.audioElement.src = audioSrc
+  /**
+   * handleProgress
+   * ==============
+   *
+   * @private
+   *
+   * The element has downloaded some more of the track.
+   */
+
+  _handleProgress () {
+    if (!this.loading) {
+      return
+    }
+
+    this.emit('progress', {
+      loaded: null,
+      total: null,
+      buffered: this.buffered(),
+    })
+
+    if (this.buffered() >= this.duration()) {
+      this.loading = false
+      this.emit('load')
+    }
+  }
+
+  /**
+   * handleTimeUpdate
+   * ================
+   *
+   * @private
+   *
+   * The element only tells us where it is a few times a second, so it can play
+   * a little past the end of the loop region before it jumps back.
+   */
+
+  _handleTimeUpdate () {
+    const {_loopRegion: region} = this
+
+    if (region != null && this.currentTime() >= region.end) {
+      this.seek(region.start)
+    }
+
+    this.emit('timeupdate', this.currentTime())
+  }
+
+  _handleEnded () {
+    const {_loopRegion: region} = this
+
+    // the loop region runs to the end of the track
+    if (region != null) {
+      this.seek(region.start)
+      this._playElement()
+      return
+    }
+
+    this.emit('ended')
+  }
+
+  /**
+   * playElement
+   * ===========
+   *
+   * @private
+   *
+   * Being interrupted by a pause or another track isn't an error, but the
+   * browser refusing to play, e.g. without a user gesture, is.
+   *
+   * @returns {Promise} What the element's `play` returns.
+   */
+
+  _playElement () {
+    // older browsers don't return a promise
+    const playing = Promise.resolve(this.audioElement.play())
+
+    playing.catch((err) => {
+      if (err.name !== 'AbortError') {
+        this.emit('error', err)
+      }
+    })
+
+    return playing
+  }
+
+  /**
+   * handleError
+   * ===========
+   *
+   * @private
+   *
+   * The element couldn't download or decode the track. Its MediaError isn't
+   * an Error, so it is wrapped in one.
+   */
+
+  _handleError () {
+    // unloading the track after stopping it can look like an error
+    if (this.audioElement.src === '') {
+      return
+    }
+
+    const err = new MediaElementError(this.audioElement.error)
+
+    this.loading = false
+    this._settleLoad(err)
+    this.emit('error', err)
+  }
+
+  _handleCanPlayThrough () {
+    this._settleLoad(null)
+    this.emit('canplaythrough')
+  }
+
+  /**
+   * fadeOutAndThen
+   * ==============
+   *
+   * @private
+   *
+   * Fade the track out over `fadeDuration` seconds, and then call `fn`. Any
+   * fade out that is already under way is cut short.
+   *
+   * @param {Function} fn
+   * @param {Number} [fadeDuration = this.fadeDuration]
+   */
+
+  _fadeOutAndThen (fn, fadeDuration = this.fadeDuration) {
+    const fading = this._fadeTimer != null
+    this._clearFadeTimer()
+
+    if (fadeDuration <= 0 || this.audioElement.paused) {
+      fn()
+      if (fading) {
+        setGain(this.fadeNode.gain, 1)
+      }
+      return
+    }
+
+    this.fadeOut(fadeDuration)
+    this._fadeTimer = setTimeout(() => {
+      this._fadeTimer = null
+      fn()
+      setGain(this.fadeNode.gain, 1)
+    }, fadeDuration * 1000)
+  }
+
+  _clearFadeTimer () {
+    clearTimeout(this._fadeTimer)
+    this._fadeTimer = null
+  }
+
+  _handleWaiting () {
+    const {audioElement} = this
+
+    // the element also waits before it starts, and after seeking
+    if (audioElement.currentTime > 0 && !audioElement.seeking) {
+      this._stats.rebuffer()
+    }
+
+    this.buffering = true
+    this.emit('waiting')
+  }
+
+  _startStatsUpdates () {
+    if (this._statsTimer == null && this.statsInterval > 0) {
+      this._statsTimer = setInterval(() => {
+        this.emit('stats', this.getStats())
+      }, this.statsInterval)
+    }
+  }
+
+  _stopStatsUpdates () {
+    clearInterval(this._statsTimer)
+    this._statsTimer = null
+  }
+
+  _handlePlaying () {
+    this.buffering = false
+    this.emit('playing')
+  }
+
+  /** PUBLIC **/
+
+  // a pause that is still fading out counts
+  get paused () {
+    return this.audioElement.paused || this._pausing
+  }
+
+  get effects () {
+    return this._chain.nodes
+  }
+
+  setEffects (effects) {
+    this._chain.setEffects(effects)
+  }
+
+  get volume () {
+    return this._volume.volume
+  }
+
+  set volume (volume) {
+    this.setVolume(volume)
+  }
+
+  get muted () {
+    return this._volume.muted
+  }
+
+  set muted (muted) {
+    this._volume.setMuted(muted)
+  }
+
+  setVolume (volume, rampSeconds = 0) {
+    this._volume.setVolume(volume, rampSeconds)
+  }
+
+  get playbackRate () {
+    return this.audioElement.playbackRate
+  }
+
+  set playbackRate (rate) {
+    this.setPlaybackRate(rate)
+  }
+
+  get fftSize () {
+    return this._analyser.fftSize
+  }
+
+  set fftSize (fftSize) {
+    this._analyser.fftSize = fftSize
+  }
+
+  get smoothing () {
+    return this._analyser.smoothing
+  }
+
+  set smoothing (smoothing) {
+    this._analyser.smoothing = smoothing
+  }
+
+  getFrequencyData (array) {
+    return this._analyser.getFrequencyData(array)
+  }
+
+  getWaveformData (array) {
+    return this._analyser.getWaveformData(array)
+  }
+
+  getLevels () {
+    return this._analyser.getLevels()
+  }
+
+  get loop () {
+    return this.audioElement.loop
+  }
+
+  set loop (loop) {
+    this.audioElement.loop = loop
+  }
+
+  get loopRegion () {
+    return this._loopRegion
+  }
+
+  setLoopRegion (start, end) {
+    if (!(start >= 0 && end > start)) {
+      throw new RangeError(`Invalid loop region: ${start} to ${end}`)
+    }
+
+    this._loopRegion = {start, end}
+
+    const position = this.currentTime()
+    if (position < start || position >= end) {
+      this.seek(start)
+    }
+  }
+
+  clearLoopRegion () {
+    this._loopRegion = null
+  }
+
+  setPlaybackRate (rate) {
+    const {audioElement} = this
+    const playbackRate = clampPlaybackRate(rate)
+
+    // loading a new source resets the rate to the default
+    audioElement.defaultPlaybackRate = playbackRate
+    audioElement.playbackRate = playbackRate
+  }
+
+  fadeIn (duration) {
+    const {context, fadeNode} = this
+
+    if (this.paused) {
+      setGain(fadeNode.gain, 0)
+    }
+
+    rampGain(fadeNode.gain, 1, context.currentTime, duration)
+  }
+
+  fadeOut (duration) {
+    const {context, fadeNode} = this
+    rampGain(fadeNode.gain, 0, context.currentTime, duration)
   }
 
+  /**
+   * loadSource
+   * ==========
+   *
+   * The element can play a URL, a Blob or File, or an ArrayBuffer, but not a
+   * ReadableStream. A Request is played from its URL, without its headers.
+   *
+   * @param {String|Request|Blob|ArrayBuffer} audioSrc
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Stops the track when aborted.
+   * @returns {Promise} Resolves once the browser thinks it can play the whole
+   * track without stopping to buffer, or rejects with a MediaElementError. It
+   * rejects with an AbortError if the track is stopped or replaced first.
+   */
+
+  loadSource (audioSrc, options = {}) {
+    const {signal = null} = options
+
+    // the old track is unloaded straight away, so that it can't unload the
+    // new one at the end of a fade out
+    this._stop(0)
+
+    if (signal != null && signal.aborted) {
+      return Promise.reject(new AbortError())
+    }
+
+    if (isReadableStream(audioSrc)) {
+      return Promise.reject(new TypeError('The MediaElement backend can\'t play a ReadableStream'))
+    }
+
+    this.loading = true
+    this._loopRegion = null
+    this._stats.reset()
+    this._startStatsUpdates()
+
+    const loaded = this._startLoad(signal)
+
+    this._setSource(audioSrc)
+
+    return loaded
+  }
+
+  /**
+   * getStats
+   * ========
+   *
+   * The browser doesn't tell us how many bytes it has downloaded, or how long
+   * it spends decoding, so those are always null.
+   *
+   * @returns {Object} The same as `WebAudio.getStats`.
+   */
+
+  getStats () {
+    return {
+      bytesLoaded: null,
+      bytesTotal: null,
+      bufferedAhead: Math.max(0, this.buffered() - this.currentTime()),
+      ...this._stats.get(),
+    }
+  }
+
+  /**
+   * buffered
+   * ========
+   *
+   * Where the audio that is ready to play from the playhead ends, in seconds.
+   * The element may have downloaded other parts of the track too, after
+   * seeking.
+   */
+
   buffered () {
+    const time = this.currentTime()
+    const range = this.bufferedRanges().find(({start, end}) => time >= start && time <= end)
+    return range == null ? 0 : range.end
+  }
+
+  /**
+   * bufferedRanges
+   * ==============
+   *
+   * @returns {Array<Object>} Every part of the track that has been
+   * downloaded, as `{start, end}` in seconds.
+   */
+
+  bufferedRanges () {
     const {buffered} = this.audioElement
-    if (buffered.length <= 0) {
-      return 0
+    const ranges = []
+
+    for (let i = 0; i < buffered.length; i += 1) {
+      ranges.push({start: buffered.start(i), end: buffered.end(i)})
     }
-    return buffered.end(0)
+
+    return ranges
   }
 
   currentTime () {
@@ -32,21 +583,152 @@ export default class MediaElement {
     return this.audioElement.duration
   }
 
-  paused () {
-    return this.audioElement.paused
+  // the browser doesn't say, so only trust it once it has the whole track
+  isDurationExact () {
+    return !this.loading && Number.isFinite(this.duration())
+  }
+
+  seek (time) {
+    this.audioElement.currentTime = time
   }
 
   play () {
-    return this.audioElement.play()
+    if (!this.paused) {
+      return Promise.resolve()
+    }
+
+    // the element is still playing if it was fading out to pause
+    this._clearFadeTimer()
+    this._pausing = false
+
+    if (this.fadeDuration > 0) {
+      this.fadeIn(this.fadeDuration)
+    }
+
+    const playing = this._playElement()
+    this.emit('play')
+
+    return playing
   }
 
   pause () {
-    return this.audioElement.pause()
+    if (this.paused) {
+      return
+    }
+
+    this._pausing = true
+    this._fadeOutAndThen(() => {
+      this._pausing = false
+      this.audioElement.pause()
+    })
+    this.emit('pause')
   }
 
   stop () {
-    this.audioElement.pause()
-    this.audioElement.currentTime = 0
-    this.audioElement.src = ''
+    this._stop(this.fadeDuration)
+  }
+
+  /**
+   * stop
+   * ====
+   *
+   * @private
+   *
+   * @param {Number} fadeDuration - How long to fade the track out for, before
+   * it is unloaded.
+   */
+
+  _stop (fadeDuration) {
+    this._stopStatsUpdates()
+    this._settleLoad(new AbortError())
+
+    if (this.audioElement.src === '') {
+      return
+    }
+
+    this._fadeOutAndThen(() => this._unload(), fadeDuration)
+
+    this.loading = false
+    this.buffering = false
+    this.emit('stop')
+  }
+
+  /**
+   * setSource
+   * =========
+   *
+   * @private
+   *
+   * Point the element at a new track. Blobs and buffers are given an object
+   * URL, which is let go of when the next track is loaded.
+   *
+   * @param {String|Blob|ArrayBuffer} source
+   */
+
+  _setSource (source) {
+    this._revokeObjectUrl()
+
+    if (isBlob(source) || isBuffer(source)) {
+      const blob = isBlob(source) ? source : new Blob([source])
+      this._objectUrl = URL.createObjectURL(blob)
+    }
+
+    // the element can only be given a URL
+    const url = source != null && typeof source.url === 'string' ? source.url : source
+
+    // NOTE: you must set crossOrigin before src
+    this.audioElement.src = this._objectUrl == null ? url : this._objectUrl
+  }
+
+  _revokeObjectUrl () {
+    if (this._objectUrl != null) {
+      URL.revokeObjectURL(this._objectUrl)
+      this._objectUrl = null
+    }
+  }
+
+  _unload () {
+    const {audioElement} = this
+
+    this._pausing = false
+    audioElement.pause()
+    audioElement.removeAttribute('src')
+    audioElement.load()
+  }
+
+  /**
+   * dispose
+   * =======
+   *
+   * Stop the track straight away, and disconnect everything from the
+   * AudioContext. The element can only ever be connected to one
+   * MediaElementAudioSourceNode, so the player can't be used again after this.
+   */
+
+  dispose () {
+    const {audioElement} = this
+
+    this._clearFadeTimer()
+    this._stopStatsUpdates()
+    this._settleLoad(new AbortError())
+
+    Object.keys(this._elementListeners).forEach((event) => {
+      audioElement.removeEventListener(event, this._elementListeners[event])
+    })
+
+    if (audioElement.src !== '') {
+      this._unload()
+    }
+    this._revokeObjectUrl()
+
+    this.loading = false
+    this.buffering = false
+
+    this._disposeRecorder()
+
+    this.audioSource.disconnect()
+    this._chain.dispose()
+    this._analyser.dispose()
+    this.volumeNode.disconnect()
   }
 }
@@ -0,0 +1,174 @@
+const MAX_VALUES = {
+  8: 127,
+  16: 32767,
+}
+
+/**
+ * Peaks
+ * =====
+ *
+ * Build the minimum and maximum sample values for each group of
+ * `samplesPerPeak` samples, as the audio is decoded, for drawing a waveform.
+ * Every channel is mixed into one.
+ *
+ * A group that is only partly filled is included in the results, and is
+ * finished off by the next call to `append`.
+ *
+ * @private
+ * @class Peaks
+ * @param {Object} [options]
+ * @param {Number} [options.samplesPerPeak = 512]
+ * @property {Number} samplesPerPeak
+ * @property {Number} sampleRate - Taken from the first audio buffer.
+ * @property {Number} length - How many peaks there are, including the
+ * partly filled one.
+ */
+
+export default class Peaks {
+  constructor ({samplesPerPeak = 512} = {}) {
+    this.samplesPerPeak = samplesPerPeak
+    this.reset()
+  }
+
+  /**
+   * reset
+   * =====
+   *
+   * Forget every peak, e.g. when the track changes.
+   */
+
+  reset () {
+    this.sampleRate = null
+    this.length = 0
+
+    this._min = new Float32Array(1024)
+    this._max = new Float32Array(1024)
+
+    // how many samples are in the last peak so far
+    this._count = 0
+  }
+
+  /**
+   * grow
+   * ====
+   *
+   * @private
+   *
+   * Make room for at least `length` peaks.
+   */
+
+  _grow (length) {
+    if (length <= this._min.length) {
+      return
+    }
+
+    const capacity = Math.max(length, this._min.length * 2)
+    const min = new Float32Array(capacity)
+    const max = new Float32Array(capacity)
+    min.set(this._min)
+    max.set(this._max)
+    this._min = min
+    this._max = max
+  }
+
+  /**
+   * append
+   * ======
+   *
+   * Add the peaks for some newly decoded audio, which carries on from the
+   * audio that was appended before it.
+   *
+   * @param {AudioBuffer} audioBuffer
+   * @param {Number} [from = 0] - Where the new audio starts in `audioBuffer`,
+   * in samples.
+   */
+
+  append (audioBuffer, from = 0) {
+    const {samplesPerPeak} = this
+    const {numberOfChannels} = audioBuffer
+    const length = Math.max(0, audioBuffer.length - from)
+
+    if (this.sampleRate == null) {
+      this.sampleRate = audioBuffer.sampleRate
+    }
+
+    // the index of the first sample, counted from the start of the track
+    const start = ((this.length - (this._count > 0 ? 1 : 0)) * samplesPerPeak) + this._count
+    const total = start + length
+    this._grow(Math.ceil(total / samplesPerPeak))
+
+    for (let channel = 0; channel < numberOfChannels; channel += 1) {
+      const data = audioBuffer.getChannelData(channel)
+
+      for (let i = 0; i < length; i += 1) {
+        const index = Math.floor((start + i) / samplesPerPeak)
+        const isFirst = channel === 0 && (start + i) % samplesPerPeak === 0
+
+        const value = data[from + i]
+        this._min[index] = isFirst ? value : Math.min(this._min[index], value)
+        this._max[index] = isFirst ? value : Math.max(this._max[index], value)
+      }
+    }
+
+    this.length = Math.ceil(total / samplesPerPeak)
+    this._count = total % samplesPerPeak
+  }
+
+  /**
+   * get
+   * ===
+   *
+   * @returns {Object} `{min, max, samplesPerPeak, sampleRate}`, where `min`
+   * and `max` are Float32Arrays of sample values between -1 and 1. They are
+   * copies, so they won't change as more audio is decoded.
+   */
+
+  get () {
+    return {
+      min: this._min.slice(0, this.length),
+      max: this._max.slice(0, this.length),
+      samplesPerPeak: this.samplesPerPeak,
+      sampleRate: this.sampleRate,
+    }
+  }
+
+  /**
+   * toJSON
+   * ======
+   *
+   * Export the peaks in the format used by BBC's audiowaveform, which is read
+   * by waveform renderers like peaks.js and wavesurfer.js.
+   *
+   * @param {Object} [options]
+   * @param {Number} [options.bits = 8] - 8 or 16.
+   * @returns {Object} `{version, channels, sample_rate, samples_per_pixel,
+   * bits, length, data}`, where `data` has the min and max of each peak, one
+   * after the other.
+   */
+
+  toJSON ({bits = 8} = {}) {
+    const scale = MAX_VALUES[bits]
+    if (scale == null) {
+      throw new RangeError(`Peaks can be exported with 8 or 16 bits, not ${bits}`)
+    }
+
+    // samples can go a little past -1 and 1 after decoding
+    const toInteger = (value) => Math.max(-scale - 1, Math.min(scale, Math.round(value * scale)))
+
+    const data = new Array(this.length * 2)
+    for (let i = 0; i < this.length; i += 1) {
+      data[i * 2] = toInteger(this._min[i])
+      data[(i * 2) + 1] = toInteger(this._max[i])
+    }
+
+    return {
+      version: 2,
+      channels: 1,
+      sample_rate: this.sampleRate,
+      samples_per_pixel: this.samplesPerPeak,
+      bits,
+      length: this.length,
+      data,
+    }
+  }
+}
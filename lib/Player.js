@@ -0,0 +1,499 @@
+import noop from 'nop'
+
+import Emitter from './Emitter'
+
+/**
+ * The events that both backends emit.
+ *
+ * @private
+ */
+
+export const EVENTS = [
+  'error',
+  'ended',
+  'waiting',
+  'canplay',
+  'timeupdate',
+  'durationchange',
+  'progress',
+  'load',
+  'play',
+  'pause',
+  'stop',
+  'volumechange',
+  'metadata',
+  'ratechange',
+  'peaks',
+  'streamtitle',
+  'stats',
+  'playing',
+  'seeking',
+  'seeked',
+  'loadedmetadata',
+  'canplaythrough',
+  'stalled',
+  'recordingstart',
+  'recordingprogress',
+  'recordingstop',
+]
+
+/**
+ * Player
+ * ======
+ *
+ * A single interface over the WebAudio and MediaElement backends. App code
+ * talks to the player, and never needs to know which backend is doing the
+ * work.
+ *
+ * Use `createPlayer` to pick a backend automatically.
+ *
+ * @class Player
+ * @param {Object} options
+ * @param {WebAudio|MediaElement} options.backend - The backend instance to
+ * control.
+ * @property {WebAudio|MediaElement} backend
+ * @property {Function} onProgress - Triggered when more of the track has been
+ * loaded.
+ * @property {Function} onLoad - Triggered when the entire track has loaded.
+ * @property {Function} onPlay - Triggered after starting playback.
+ * @property {Function} onPause - Triggered after pausing playback.
+ * @property {Function} onStop - Triggered after stopping playback.
+ * @property {Function} onVolumeChange - Triggered when the volume or muted
+ * state changes.
+ *
+ * Every event from the backend is emitted by the player too. The callbacks
+ * above are aliases for the `progress`, `load`, `play`, `pause`, `stop` and
+ * `volumechange` events.
+ */
+
+export default class Player extends Emitter {
+  constructor (options) {
+    const {backend} = options
+
+    super()
+
+    this.backend = backend
+
+    this.onProgress = noop
+    this.onLoad = noop
+    this.onPlay = noop
+    this.onPause = noop
+    this.onStop = noop
+    this.onVolumeChange = noop
+
+    EVENTS.forEach((event) => {
+      backend.on(event, (...args) => this.emit(event, ...args))
+    })
+  }
+
+  get context () {
+    return this.backend.context
+  }
+
+  get audioSource () {
+    return this.backend.audioSource
+  }
+
+  get loading () {
+    return this.backend.loading
+  }
+
+  get paused () {
+    return this.backend.paused
+  }
+
+  get buffering () {
+    return this.backend.buffering
+  }
+
+  get effects () {
+    return this.backend.effects
+  }
+
+  get metadata () {
+    return this.backend.metadata
+  }
+
+  get streamTitle () {
+    return this.backend.streamTitle
+  }
+
+  /**
+   * setEffects
+   * ==========
+   *
+   * Replace the effects that the track is played through.
+   *
+   * @param {Array<AudioNode|Function>} effects - Each effect is either an
+   * AudioNode, or a function that creates one from the AudioContext.
+   */
+
+  setEffects (effects) {
+    return this.backend.setEffects(effects)
+  }
+
+  get volume () {
+    return this.backend.volume
+  }
+
+  set volume (volume) {
+    this.backend.volume = volume
+  }
+
+  get muted () {
+    return this.backend.muted
+  }
+
+  set muted (muted) {
+    this.backend.muted = muted
+  }
+
+  /**
+   * setVolume
+   * =========
+   *
+   * @param {Number} volume - Between 0 and 1.
+   * @param {Number} [rampSeconds = 0] - Smoothly change to the new volume
+   * over this many seconds.
+   */
+
+  setVolume (volume, rampSeconds) {
+    return this.backend.setVolume(volume, rampSeconds)
+  }
+
+  get playbackRate () {
+    return this.backend.playbackRate
+  }
+
+  set playbackRate (rate) {
+    this.backend.playbackRate = rate
+  }
+
+  get loop () {
+    return this.backend.loop
+  }
+
+  set loop (loop) {
+    this.backend.loop = loop
+  }
+
+  get loopRegion () {
+    return this.backend.loopRegion
+  }
+
+  /**
+   * setLoopRegion
+   * =============
+   *
+   * Repeat the part of the track between `start` and `end`, in seconds.
+   *
+   * @param {Number} start
+   * @param {Number} end
+   */
+
+  setLoopRegion (start, end) {
+    return this.backend.setLoopRegion(start, end)
+  }
+
+  clearLoopRegion () {
+    return this.backend.clearLoopRegion()
+  }
+
+  /**
+   * setPlaybackRate
+   * ===============
+   *
+   * Change how fast the track is played, without moving the playhead.
+   *
+   * @param {Number} rate - Between 0.25 and 4, where 1 is normal speed.
+   */
+
+  setPlaybackRate (rate) {
+    return this.backend.setPlaybackRate(rate)
+  }
+
+  get fftSize () {
+    return this.backend.fftSize
+  }
+
+  set fftSize (fftSize) {
+    this.backend.fftSize = fftSize
+  }
+
+  get smoothing () {
+    return this.backend.smoothing
+  }
+
+  set smoothing (smoothing) {
+    this.backend.smoothing = smoothing
+  }
+
+  /**
+   * getFrequencyData
+   * ================
+   *
+   * @param {Uint8Array|Float32Array} [array] - Where to put the data.
+   * @returns {Uint8Array|Float32Array} The spectrum of what is playing.
+   */
+
+  getFrequencyData (array) {
+    return this.backend.getFrequencyData(array)
+  }
+
+  /**
+   * getWaveformData
+   * ===============
+   *
+   * @param {Uint8Array|Float32Array} [array] - Where to put the data.
+   * @returns {Uint8Array|Float32Array} The waveform of what is playing.
+   */
+
+  getWaveformData (array) {
+    return this.backend.getWaveformData(array)
+  }
+
+  /**
+   * getLevels
+   * =========
+   *
+   * @returns {Object} `{rms, peak}`, between 0 and 1.
+   */
+
+  getLevels () {
+    return this.backend.getLevels()
+  }
+
+  /**
+   * has
+   * ===
+   *
+   * @private
+   *
+   * Does the backend have this method? A few of them are WebAudio-only.
+   */
+
+  _has (method) {
+    return typeof this.backend[method] === 'function'
+  }
+
+  /**
+   * getPeaks
+   * ========
+   *
+   * @returns {Object|null} `{min, max, samplesPerPeak, sampleRate}` for the
+   * part of the track decoded so far, or null with the MediaElement backend.
+   */
+
+  getPeaks () {
+    return this._has('getPeaks') ? this.backend.getPeaks() : null
+  }
+
+  /**
+   * exportPeaks
+   * ===========
+   *
+   * @param {Object} [options]
+   * @param {Number} [options.bits = 8] - 8 or 16.
+   * @returns {Object|null} The peaks in the audiowaveform JSON format, or
+   * null with the MediaElement backend.
+   */
+
+  exportPeaks (options) {
+    return this._has('exportPeaks') ? this.backend.exportPeaks(options) : null
+  }
+
+  /**
+   * render
+   * ======
+   *
+   * @param {Object} [options] - `{start, end, sampleRate, channels}`.
+   * @returns {Promise<AudioBuffer>} The track as it sounds through the
+   * effects. The MediaElement backend always rejects.
+   */
+
+  render (options) {
+    if (!this._has('render')) {
+      return Promise.reject(new Error('The MediaElement backend can\'t render a track'))
+    }
+    return this.backend.render(options)
+  }
+
+  /**
+   * exportWav
+   * =========
+   *
+   * @param {Object} [options] - The same as `render`, and `bitDepth`, which is
+   * 16 (default), 24 or 32 for floating point.
+   * @returns {Promise<Blob>} The MediaElement backend always rejects.
+   */
+
+  exportWav (options) {
+    if (!this._has('exportWav')) {
+      return this.render(options)
+    }
+    return this.backend.exportWav(options)
+  }
+
+  /**
+   * startRecording
+   * ==============
+   *
+   * @param {Object} [options] - `{mimeType, bitDepth, channels}`.
+   * @returns {Promise} Resolves once recording has started.
+   */
+
+  startRecording (options) {
+    return this.backend.startRecording(options)
+  }
+
+  /**
+   * stopRecording
+   * =============
+   *
+   * @returns {Promise<Blob>}
+   */
+
+  stopRecording () {
+    return this.backend.stopRecording()
+  }
+
+  /**
+   * prefetch
+   * ========
+   *
+   * @param {Array<String>} urls
+   * @param {Object} [options] - `{signal}`.
+   * @returns {Promise} Resolves once every track has been downloaded into the
+   * cache, or failed to. Only the WebAudio backend has a cache.
+   */
+
+  prefetch (urls, options) {
+    return this._has('prefetch') ? this.backend.prefetch(urls, options) : Promise.resolve()
+  }
+
+  /**
+   * getStats
+   * ========
+   *
+   * @returns {Object} How well the current track is downloading and playing.
+   * See the README for the fields.
+   */
+
+  getStats () {
+    return this.backend.getStats()
+  }
+
+  fadeIn (duration) {
+    return this.backend.fadeIn(duration)
+  }
+
+  fadeOut (duration) {
+    return this.backend.fadeOut(duration)
+  }
+
+  /**
+   * loadSource
+   * ==========
+   *
+   * @param {Request|String|Blob|ArrayBuffer|ReadableStream} source - See
+   * `WebAudio.loadSource` for what each backend can play.
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Stops the track when aborted.
+   * @returns {Promise} Settles once the track has loaded, or failed to. A
+   * track that is stopped or replaced first rejects with an AbortError.
+   */
+
+  loadSource (source, options) {
+    return this.backend.loadSource(source, options)
+  }
+
+  /**
+   * buffered
+   * ========
+   *
+   * How much of the current track is buffered. Value is in seconds.
+   */
+
+  buffered () {
+    return this.backend.buffered()
+  }
+
+  /**
+   * bufferedRanges
+   * ==============
+   *
+   * @returns {Array<Object>} The parts of the track that are ready to play,
+   * as `{start, end}` in seconds.
+   */
+
+  bufferedRanges () {
+    return this.backend.bufferedRanges()
+  }
+
+  /**
+   * currentTime
+   * ===========
+   *
+   * How much of the current track has been played. Value is in seconds.
+   */
+
+  currentTime () {
+    return this.backend.currentTime()
+  }
+
+  /**
+   * duration
+   * ========
+   *
+   * Length of the current track in seconds, or NaN if it is not known yet.
+   */
+
+  duration () {
+    return this.backend.duration()
+  }
+
+  /**
+   * isDurationExact
+   * ===============
+   *
+   * Is `duration()` exact, rather than an estimate?
+   */
+
+  isDurationExact () {
+    return this.backend.isDurationExact()
+  }
+
+  /**
+   * seek
+   * ====
+   *
+   * Jump to a position in the current track, in seconds.
+   */
+
+  seek (time) {
+    return this.backend.seek(time)
+  }
+
+  play () {
+    return this.backend.play()
+  }
+
+  pause () {
+    return this.backend.pause()
+  }
+
+  stop () {
+    return this.backend.stop()
+  }
+
+  /**
+   * dispose
+   * =======
+   *
+   * Stop the track, and disconnect the player from the AudioContext for good.
+   */
+
+  dispose () {
+    return this.backend.dispose()
+  }
+}
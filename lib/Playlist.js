@@ -0,0 +1,563 @@
+import noop from 'nop'
+
+import Emitter from './Emitter'
+import WebAudio from './WebAudio'
+import Chain from './Chain'
+
+/**
+ * Playlist
+ * ========
+ *
+ * Play a queue of tracks back to back, without any gaps between them.
+ *
+ * Near the end of the current track, the next track is downloaded and
+ * decoded, and then scheduled to start on the exact sample that the current
+ * track finishes on.
+ *
+ * @class Playlist
+ * @param {Object} options - Also passed to each WebAudio instance.
+ * @param {AudioContext} options.context - An instance of window.AudioContext.
+ * @param {Number} [options.preloadTime = 10] - How many seconds before the end
+ * of the current track to start loading the next one.
+ * @param {Number} [options.crossfade = 0] - How many seconds to crossfade
+ * between tracks for. When this is zero, tracks are played back to back.
+ * @param {Number} [options.tickInterval = 250] - How often to check the
+ * position of the current track, in milliseconds.
+ * @param {Array} [options.effects = []] - AudioNodes (or functions that
+ * create them from the context) that every track is played through.
+ * @param {AudioNode} [options.destination = context.destination] - Where to
+ * send the audio.
+ * @property {Array} items - The sources in the queue.
+ * @property {Number} index - The index of the current track in `items`, or -1.
+ * @property {WebAudio} current - The current track.
+ * @property {Boolean} paused - Is the playlist paused?
+ * @property {GainNode} input - Every track is connected to this.
+ * @property {Array<AudioNode>} effects - The effects every track is played
+ * through.
+ * @property {Function} onTrackChange - Triggered when the current track
+ * changes, with the new index. An alias for the `trackchange` event.
+ *
+ * Also emits `ended` when the last track finishes, and `error` when any track
+ * fails to load.
+ */
+
+export default class Playlist extends Emitter {
+  constructor (options) {
+    const {
+      context,
+      preloadTime = 10, // seconds
+      crossfade = 0, // seconds
+      tickInterval = 250, // milliseconds
+      effects = [],
+      destination = context.destination,
+    } = options
+
+    super()
+
+    this.context = context
+    this.preloadTime = preloadTime
+    this.crossfade = crossfade
+    this.tickInterval = tickInterval
+
+    // the tracks share one effects chain, so that it isn't interrupted when
+    // the track changes
+    this.input = context.createGain()
+    this._chain = new Chain({
+      context,
+      input: this.input,
+      output: destination,
+      effects,
+    })
+
+    this.trackOptions = {
+      ...options,
+      effects: [],
+      destination: this.input,
+    }
+
+    this.items = []
+    this.index = -1
+    this.current = null
+    this.paused = true
+
+    this._next = null
+    this._nextIndex = -1
+    this._scheduled = false
+    this._timer = null
+    this._fading = null
+    this._fadingTimer = null
+
+    this.onTrackChange = noop
+  }
+
+  /**
+   * createTrack
+   * ===========
+   *
+   * @private
+   *
+   * Start loading an item from the queue.
+   */
+
+  _createTrack (index) {
+    const track = new WebAudio(this.trackOptions)
+
+    track.on('ended', () => this._handleEnded(track))
+    track.on('error', (err) => this.emit('error', err))
+
+    // errors are emitted as events, so nobody needs to handle the promise
+    track.loadSource(this.items[index]).catch(noop)
+
+    return track
+  }
+
+  /**
+   * disposeNext
+   * ===========
+   *
+   * @private
+   *
+   * Throw away the preloaded track.
+   */
+
+  _disposeNext () {
+    if (this._next != null) {
+      this._next.dispose()
+    }
+
+    this._next = null
+    this._nextIndex = -1
+    this._scheduled = false
+  }
+
+  /**
+   * unscheduleNext
+   * ==============
+   *
+   * @private
+   *
+   * Cancel the scheduled start of the preloaded track, but keep the audio.
+   */
+
+  _unscheduleNext () {
+    if (this._scheduled) {
+      this._next.pause()
+      this._next.seek(0)
+      this._scheduled = false
+    }
+  }
+
+  /**
+   * changeTrack
+   * ===========
+   *
+   * @private
+   *
+   * Make `index` the current track, using the preloaded track if we have it.
+   */
+
+  _changeTrack (index) {
+    if (index < 0 || index >= this.items.length) {
+      return
+    }
+
+    let track = null
+
+    if (this._nextIndex === index) {
+      track = this._next
+      this._next = null
+      this._nextIndex = -1
+    } else {
+      track = this._createTrack(index)
+    }
+
+    const scheduled = this._scheduled
+    this._disposeNext()
+
+    if (this.current != null) {
+      this.current.dispose()
+    }
+
+    this.current = track
+    this.index = index
+
+    if (!this.paused) {
+      if (!scheduled) {
+        track.play()
+      } else if (this.context.currentTime < track.startTime) {
+        // start now, instead of waiting for the previous track to end
+        track.seek(0)
+      }
+    }
+
+    this.emit('trackchange', index)
+  }
+
+  /**
+   * handleEnded
+   * ===========
+   *
+   * @private
+   *
+   * A track has finished playing. If the next track was scheduled, it is
+   * already playing.
+   */
+
+  _handleEnded (track) {
+    if (track !== this.current) {
+      return
+    }
+
+    if (this.index + 1 >= this.items.length) {
+      this._stopTimer()
+      this.paused = true
+      this.emit('ended')
+      return
+    }
+
+    this._changeTrack(this.index + 1)
+  }
+
+  /**
+   * tick
+   * ====
+   *
+   * @private
+   *
+   * Preload and schedule the next track when the current one is nearly done.
+   */
+
+  _tick () {
+    const {current} = this
+
+    if (current == null || current.loading) {
+      return
+    }
+
+    const duration = current.duration()
+    const endTime = current.startTime + (duration / current.playbackRate)
+    const remaining = duration - current.currentTime()
+
+    const preloadTime = Math.max(this.preloadTime, this.crossfade)
+
+    if (current.paused || remaining > preloadTime || !this._preloadNext()) {
+      return
+    }
+
+    if (this.crossfade > 0) {
+      if (remaining <= this.crossfade) {
+        this._crossfade()
+      }
+      return
+    }
+
+    if (!this._scheduled) {
+      this._scheduled = this._next.playAt(endTime)
+    }
+  }
+
+  /**
+   * preloadNext
+   * ===========
+   *
+   * @private
+   *
+   * Start loading the next track in the queue, if there is one.
+   *
+   * @returns {Boolean} Is there a next track?
+   */
+
+  _preloadNext () {
+    const nextIndex = this.index + 1
+
+    if (nextIndex >= this.items.length) {
+      return false
+    }
+
+    if (this._next == null) {
+      this._next = this._createTrack(nextIndex)
+      this._nextIndex = nextIndex
+    }
+
+    return true
+  }
+
+  /**
+   * crossfade
+   * =========
+   *
+   * @private
+   *
+   * Fade out the current track, while fading in the preloaded track. If the
+   * next track is still buffering, its fade starts when it starts playing.
+   */
+
+  _crossfade () {
+    const {crossfade, current} = this
+    const next = this._next
+    const index = this._nextIndex
+
+    this._next = null
+    this._nextIndex = -1
+    this._stopFading()
+
+    current.fadeOut(crossfade)
+    this._fading = current
+    this._fadingTimer = setTimeout(this._stopFading.bind(this), crossfade * 1000)
+
+    next.fadeIn(crossfade)
+    next.play()
+
+    this.current = next
+    this.index = index
+
+    this.emit('trackchange', index)
+  }
+
+  /**
+   * stopFading
+   * ==========
+   *
+   * @private
+   *
+   * Throw away the track that is being faded out.
+   */
+
+  _stopFading () {
+    clearTimeout(this._fadingTimer)
+    this._fadingTimer = null
+
+    if (this._fading != null) {
+      this._fading.dispose()
+      this._fading = null
+    }
+  }
+
+  _startTimer () {
+    if (this._timer == null) {
+      this._timer = setInterval(this._tick.bind(this), this.tickInterval)
+    }
+  }
+
+  _stopTimer () {
+    clearInterval(this._timer)
+    this._timer = null
+  }
+
+  /**
+   * invalidateNext
+   * ==============
+   *
+   * @private
+   *
+   * The queue has changed. Throw away the preloaded track if it isn't next
+   * anymore.
+   */
+
+  _invalidateNext (nextItem) {
+    if (this._next != null &&
+        (this._nextIndex !== this.index + 1 || this.items[this._nextIndex] !== nextItem)) {
+      this._disposeNext()
+    }
+  }
+
+  /** PUBLIC **/
+
+  get effects () {
+    return this._chain.nodes
+  }
+
+  /**
+   * setEffects
+   * ==========
+   *
+   * Replace the effects that every track is played through.
+   *
+   * @param {Array<AudioNode|Function>} effects
+   */
+
+  setEffects (effects) {
+    this._chain.setEffects(effects)
+  }
+
+  /**
+   * enqueue
+   * =======
+   *
+   * Add one or more sources to the end of the queue. If nothing is loaded,
+   * the first one is loaded straight away.
+   *
+   * @param {...(Request|String)} sources
+   */
+
+  enqueue (...sources) {
+    this.items.push(...sources)
+
+    if (this.current == null) {
+      this._changeTrack(this.items.length - sources.length)
+    }
+  }
+
+  /**
+   * next
+   * ====
+   *
+   * Skip to the next track in the queue.
+   */
+
+  next () {
+    this._changeTrack(this.index + 1)
+  }
+
+  /**
+   * previous
+   * ========
+   *
+   * Go back to the previous track in the queue.
+   */
+
+  previous () {
+    this._changeTrack(this.index - 1)
+  }
+
+  /**
+   * remove
+   * ======
+   *
+   * Remove the item at `index` from the queue. If it is the current track,
+   * playback moves on to the track that takes its place.
+   *
+   * @param {Number} index
+   */
+
+  remove (index) {
+    if (index < 0 || index >= this.items.length) {
+      return
+    }
+
+    const nextItem = this.items[this._nextIndex]
+    this.items.splice(index, 1)
+
+    if (index === this.index) {
+      this._disposeNext()
+      this.current.dispose()
+      this.current = null
+
+      if (index < this.items.length) {
+        this._changeTrack(index)
+      } else {
+        this.index = -1
+        this.emit('trackchange', -1)
+      }
+      return
+    }
+
+    if (index < this.index) {
+      this.index -= 1
+    }
+
+    if (index < this._nextIndex) {
+      this._nextIndex -= 1
+    }
+
+    this._invalidateNext(nextItem)
+  }
+
+  /**
+   * move
+   * ====
+   *
+   * Move the item at index `from` to index `to`.
+   *
+   * @param {Number} from
+   * @param {Number} to
+   */
+
+  move (from, to) {
+    const {items} = this
+
+    if (from < 0 || from >= items.length || to < 0 || to >= items.length) {
+      return
+    }
+
+    const nextItem = items[this._nextIndex]
+    const [item] = items.splice(from, 1)
+    items.splice(to, 0, item)
+
+    const reindex = (i) => {
+      if (i === from) {
+        return to
+      }
+      if (from < i && i <= to) {
+        return i - 1
+      }
+      if (to <= i && i < from) {
+        return i + 1
+      }
+      return i
+    }
+
+    this.index = reindex(this.index)
+    if (this._next != null) {
+      this._nextIndex = reindex(this._nextIndex)
+    }
+
+    this._invalidateNext(nextItem)
+  }
+
+  play () {
+    if (this.current == null) {
+      return
+    }
+
+    this.paused = false
+    this.current.play()
+    this._startTimer()
+  }
+
+  pause () {
+    if (this.current == null) {
+      return
+    }
+
+    this.paused = true
+    this._stopTimer()
+    this._stopFading()
+    this._unscheduleNext()
+    this.current.pause()
+  }
+
+  stop () {
+    this.paused = true
+    this._stopTimer()
+    this._stopFading()
+    this._disposeNext()
+
+    if (this.current != null) {
+      this.current.stop()
+    }
+  }
+
+  /**
+   * dispose
+   * =======
+   *
+   * Throw away every track, and disconnect the playlist from the
+   * AudioContext. The playlist can't be used again after this.
+   */
+
+  dispose () {
+    this.paused = true
+    this._stopTimer()
+    this._stopFading()
+    this._disposeNext()
+
+    if (this.current != null) {
+      this.current.dispose()
+      this.current = null
+    }
+
+    this._chain.dispose()
+    this.input.disconnect()
+  }
+}
@@ -1,17 +1,26 @@
 import noop from 'nop'
 
-import {concatUint8Array} from './concat'
+import {NetworkError} from './errors'
 
 /**
  * Pumper
  * =====
  *
- * Create a new pumper, that will fill `buffer` with data.
- * `onRead` will be called as the buffer is filled.
+ * Create a new pumper, that will collect the bytes read from a stream.
+ * `onRead` will be called with each chunk as it arrives.
+ *
+ * The chunks are kept in a list rather than copied into one big buffer, so
+ * reading a large file doesn't copy every byte over and over again. Positions
+ * are counted from the start of the stream, and bytes that are no longer
+ * needed can be dropped from the front with `drop`.
  *
  * @private
  * @class Pumper
- * @property {Uint8Array} buffer
+ * @property {Array<Uint8Array>} chunks
+ * @property {Number} offset - Number of bytes that have been dropped from the
+ * start of the stream.
+ * @property {Number} length - Number of bytes currently held in `chunks`.
+ * @property {Number} end - Number of bytes received from the stream.
  * @property {Boolean} cancelled
  * @property {Boolean} done
  * @property {Function} onRead
@@ -20,24 +29,105 @@ import {concatUint8Array} from './concat'
 export default class Pumper {
 
   constructor () {
-    this.buffer = new Uint8Array()
+    this.chunks = []
+    this.offset = 0
+    this.length = 0
     this.cancelled = false
     this.done = false
     this.onRead = noop
     this.onDone = noop
   }
 
+  get end () {
+    return this.offset + this.length
+  }
+
   /**
    * append
    * ======
    *
    * @private
    *
-   * Append some bytes to the buffer being collected.
+   * Append some bytes to the chunks being collected.
+   */
+
+  _append (chunk) {
+    this.chunks.push(chunk)
+    this.length += chunk.byteLength
+  }
+
+  /**
+   * slice
+   * =====
+   *
+   * Get a contiguous view of some of the bytes that have been received. The
+   * bytes are only copied if they span more than one chunk.
+   *
+   * @param {Number} [start = this.offset] - Position in the stream to start at.
+   * @param {Number} [end = this.end] - Position in the stream to end at.
+   * @returns {Uint8Array}
+   */
+
+  slice (start = this.offset, end = this.end) {
+    start = Math.max(start, this.offset)
+    end = Math.min(end, this.end)
+
+    if (end <= start) {
+      return new Uint8Array(0)
+    }
+
+    const parts = []
+    let position = this.offset
+
+    for (let i = 0; i < this.chunks.length && position < end; i += 1) {
+      const chunk = this.chunks[i]
+      const chunkEnd = position + chunk.byteLength
+
+      if (chunkEnd > start) {
+        parts.push(chunk.subarray(
+          Math.max(start - position, 0),
+          Math.min(end - position, chunk.byteLength),
+        ))
+      }
+
+      position = chunkEnd
+    }
+
+    if (parts.length === 1) {
+      return parts[0]
+    }
+
+    const bytes = new Uint8Array(end - start)
+    parts.reduce((index, part) => {
+      bytes.set(part, index)
+      return index + part.byteLength
+    }, 0)
+    return bytes
+  }
+
+  /**
+   * drop
+   * ====
+   *
+   * Let go of every byte before `position`, once they have been consumed.
+   *
+   * @param {Number} position - Position in the stream.
    */
 
-  _append (buffer) {
-    this.buffer = concatUint8Array(this.buffer, buffer)
+  drop (position) {
+    while (this.chunks.length > 0 && this.offset < position) {
+      const chunk = this.chunks[0]
+      const count = Math.min(position - this.offset, chunk.byteLength)
+
+      if (count === chunk.byteLength) {
+        this.chunks.shift()
+      } else {
+        this.chunks[0] = chunk.subarray(count)
+      }
+
+      this.offset += count
+      this.length -= count
+    }
   }
 
   /**
@@ -47,10 +137,19 @@ export default class Pumper {
    * Start reading from a stream.
    *
    * @param {ReadableStream} reader
+   * @param {Number} [skip = 0] - Discard this many bytes from the start of
+   * the stream, e.g. when resuming a download from a server that doesn't
+   * support Range requests.
+   * @returns {Promise} Rejects with a NetworkError if the stream can't be
+   * read, or with whatever `onRead` throws.
    */
 
-  pump (reader) {
-    return reader.read().then((result) => {
+  pump (reader, skip = 0) {
+    const read = reader.read().catch((err) => {
+      throw new NetworkError('Connection lost', err)
+    })
+
+    return read.then((result) => {
       const {value, done} = result
 
       if (this.cancelled) {
@@ -64,10 +163,21 @@ export default class Pumper {
         return
       }
 
-      this._append(value)
-      this.onRead(this.buffer.buffer)
+      const chunk = value.subarray(Math.min(skip, value.byteLength))
 
-      return this.pump(reader)
+      if (chunk.byteLength > 0) {
+        this._append(chunk)
+
+        try {
+          this.onRead(chunk)
+        } catch (err) {
+          // e.g. the file isn't in a format we can play
+          reader.cancel()
+          throw err
+        }
+      }
+
+      return this.pump(reader, skip - (value.byteLength - chunk.byteLength))
     })
   }
 
@@ -87,11 +197,12 @@ export default class Pumper {
    * clear
    * =====
    *
-   * Discard the current contents in the buffer
+   * Discard the bytes that are being held.
    */
 
   clear () {
-    this.buffer = new Uint8Array()
+    this.offset = this.end
+    this.length = 0
+    this.chunks = []
   }
 }
-
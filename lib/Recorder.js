@@ -0,0 +1,410 @@
+/* global MediaRecorder, AudioWorkletNode */
+
+import noop from 'nop'
+
+import {encodeWav} from './formats/wav'
+
+const WAV = 'audio/wav'
+
+const PROCESSOR_NAME = 'web-audio-recorder'
+
+// how many frames the processor collects before handing them over, about a
+// third of a second at 44.1kHz
+const BATCH_LENGTH = 16384
+
+// runs on the audio thread. Each block of samples is copied, because the
+// browser reuses the arrays for the next block, and an input with nothing
+// playing into it has no channels at all. Once told to stop, it hands over
+// what it has left and lets itself be collected.
+const PROCESSOR = `
+class RecorderProcessor extends AudioWorkletProcessor {
+  constructor (options) {
+    super(options)
+    this.channels = options.processorOptions.channels
+    this.recording = true
+    this.blocks = []
+    this.length = 0
+    this.port.onmessage = () => {
+      this.recording = false
+      this.flush(true)
+    }
+  }
+
+  flush (done) {
+    const {blocks, length} = this
+    const samples = Array.from({length: this.channels}, (_, channel) => {
+      const joined = new Float32Array(length)
+      let offset = 0
+      blocks.forEach((block) => {
+        joined.set(block[channel], offset)
+        offset += block[channel].length
+      })
+      return joined
+    })
+
+    this.blocks = []
+    this.length = 0
+    this.port.postMessage({samples, done}, samples.map((channel) => channel.buffer))
+  }
+
+  process ([input]) {
+    const frames = input.length > 0 ? input[0].length : 128
+
+    this.blocks.push(Array.from({length: this.channels}, (_, channel) => {
+      return input[channel] == null ? new Float32Array(frames) : input[channel].slice()
+    }))
+    this.length += frames
+
+    if (this.length >= ${BATCH_LENGTH}) {
+      this.flush(false)
+    }
+    return this.recording
+  }
+}
+
+registerProcessor('${PROCESSOR_NAME}', RecorderProcessor)
+`
+
+// each AudioContext only needs to load the processor once
+const processors = new WeakMap()
+
+function loadProcessor (context) {
+  if (context.audioWorklet == null) {
+    return Promise.reject(new Error('Recording WAV files needs AudioWorklet support'))
+  }
+
+  if (!processors.has(context)) {
+    const url = URL.createObjectURL(new Blob([PROCESSOR], {type: 'application/javascript'}))
+    const loaded = context.audioWorklet.addModule(url).then(() => {
+      URL.revokeObjectURL(url)
+    }, (err) => {
+      URL.revokeObjectURL(url)
+      processors.delete(context)
+      throw err
+    })
+
+    processors.set(context, loaded)
+  }
+
+  return processors.get(context)
+}
+
+// join the chunks of one channel into one array
+function concatSamples (chunks, length) {
+  const samples = new Float32Array(length)
+  let offset = 0
+
+  chunks.forEach((chunk) => {
+    samples.set(chunk, offset)
+    offset += chunk.length
+  })
+
+  return samples
+}
+
+/**
+ * Recorder
+ * ========
+ *
+ * Record everything that comes out of `input`, as it plays. Nothing is
+ * connected until `start` is called, and everything is disconnected again by
+ * `stop`.
+ *
+ * WAV files are recorded as raw samples through an AudioWorkletNode, and
+ * encoded once the recording stops. Any other type is handed to a
+ * MediaRecorder through a MediaStreamAudioDestinationNode, so the browser
+ * does the encoding, and the types it supports depend on the browser.
+ *
+ * @private
+ * @class Recorder
+ * @param {Object} options
+ * @param {AudioContext} options.context
+ * @param {AudioNode} options.input - The node to record.
+ * @param {String} [options.mimeType = 'audio/wav'] - 'audio/wav', or any
+ * type that MediaRecorder supports, e.g. 'audio/webm;codecs=opus'.
+ * @param {Number} [options.bitDepth = 16] - For WAV files, 16 or 24 for
+ * integer samples, or 32 for floating point samples.
+ * @param {Number} [options.channels = 2] - For WAV files.
+ * @param {Number} [options.timeslice = 1000] - How often MediaRecorder hands
+ * over what it has encoded, in milliseconds.
+ * @property {Boolean} recording
+ * @property {Number} duration - How many seconds have been recorded.
+ * @property {Number} size - How many bytes have been recorded. For WAV files
+ * this doesn't include the header.
+ * @property {Function} onProgress - Triggered with `{duration, size}` each
+ * time more has been recorded.
+ */
+
+export default class Recorder {
+  constructor (options) {
+    const {
+      context,
+      input,
+      mimeType = WAV,
+      bitDepth = 16,
+      channels = 2,
+      timeslice = 1000, // milliseconds
+    } = options
+
+    if (bitDepth !== 16 && bitDepth !== 24 && bitDepth !== 32) {
+      throw new RangeError(`Can't write ${bitDepth} bit WAV files, only 16, 24 or 32`)
+    }
+
+    this.context = context
+    this.input = input
+    this.mimeType = mimeType
+    this.bitDepth = bitDepth
+    this.channels = channels
+    this.timeslice = timeslice
+
+    this.recording = false
+    this.duration = 0
+    this.size = 0
+    this.onProgress = noop
+
+    this._node = null
+    this._mediaRecorder = null
+    this._chunks = []
+    this._length = 0
+    this._startTime = 0
+    this._started = Promise.resolve()
+  }
+
+  _progress () {
+    this.onProgress({duration: this.duration, size: this.size})
+  }
+
+  /**
+   * addSamples
+   * ==========
+   *
+   * @private
+   *
+   * Keep a batch of samples from the processor, one array for each channel.
+   */
+
+  _addSamples (samples) {
+    const {context, channels} = this
+    const {length} = samples[0]
+
+    if (length === 0) {
+      return
+    }
+
+    samples.forEach((channel, i) => this._chunks[i].push(channel))
+
+    this._length += length
+    this.duration = this._length / context.sampleRate
+    this.size = this._length * channels * (this.bitDepth / 8)
+    this._progress()
+  }
+
+  /**
+   * startSamples
+   * ============
+   *
+   * @private
+   *
+   * Copy the samples as they go past, on the audio thread.
+   *
+   * @returns {Promise} Resolves once the processor has been loaded.
+   */
+
+  _startSamples () {
+    const {context, channels} = this
+
+    this._chunks = Array.from({length: channels}, () => [])
+
+    return loadProcessor(context).then(() => {
+      // stopped while the processor was loading
+      if (!this.recording) {
+        return
+      }
+
+      // the input is mixed up or down to the number of channels we want
+      const node = new AudioWorkletNode(context, PROCESSOR_NAME, {
+        numberOfInputs: 1,
+        numberOfOutputs: 1,
+        outputChannelCount: [channels],
+        channelCount: channels,
+        channelCountMode: 'explicit',
+        processorOptions: {channels},
+      })
+      node.port.onmessage = ({data}) => this._addSamples(data.samples)
+
+      // some browsers only process nodes that are connected to the destination.
+      // Nothing is written to the output, so it stays silent.
+      this.input.connect(node)
+      node.connect(context.destination)
+      this._node = node
+    })
+  }
+
+  /**
+   * startMediaRecorder
+   * ==================
+   *
+   * @private
+   *
+   * Stream the audio to a MediaRecorder.
+   *
+   * @throws {Error} If the browser can't record `mimeType`.
+   */
+
+  _startMediaRecorder () {
+    const {context} = this
+
+    if (typeof MediaRecorder !== 'function') {
+      throw new Error(`Recording ${this.mimeType} files needs MediaRecorder support`)
+    }
+
+    const node = context.createMediaStreamDestination()
+    const mediaRecorder = new MediaRecorder(node.stream, {mimeType: this.mimeType})
+    const chunks = []
+    this._chunks = chunks
+
+    mediaRecorder.ondataavailable = ({data}) => {
+      chunks.push(data)
+      this.duration = context.currentTime - this._startTime
+      this.size += data.size
+      this._progress()
+    }
+
+    this._node = node
+    this._mediaRecorder = mediaRecorder
+
+    this.input.connect(node)
+    mediaRecorder.start(this.timeslice)
+  }
+
+  /**
+   * start
+   * =====
+   *
+   * @returns {Promise} Resolves once recording has started, or rejects if the
+   * browser can't record. WAV files can't be recorded until the processor has
+   * been loaded.
+   * @throws {Error} If we are already recording.
+   */
+
+  start () {
+    if (this.recording) {
+      throw new Error('Already recording')
+    }
+
+    this.duration = 0
+    this.size = 0
+    this._length = 0
+    this._startTime = this.context.currentTime
+
+    const start = this.mimeType === WAV
+      ? () => this._startSamples()
+      : () => this._startMediaRecorder()
+
+    this._started = new Promise((resolve) => resolve(start())).catch((err) => {
+      this.dispose()
+      throw err
+    })
+
+    this.recording = true
+    return this._started
+  }
+
+  /**
+   * encodeSamples
+   * =============
+   *
+   * @private
+   *
+   * @returns {Blob} The samples recorded so far, as a WAV file.
+   */
+
+  _encodeSamples () {
+    const {_chunks: chunks, _length: length} = this
+    const channels = chunks.map((channel) => concatSamples(channel, length))
+
+    const bytes = encodeWav({
+      numberOfChannels: channels.length,
+      sampleRate: this.context.sampleRate,
+      length,
+      getChannelData: (channel) => channels[channel],
+    }, {bitDepth: this.bitDepth})
+
+    return new Blob([bytes], {type: WAV})
+  }
+
+  /**
+   * stop
+   * ====
+   *
+   * @returns {Promise<Blob>} The recording. Rejects if we aren't recording.
+   */
+
+  stop () {
+    if (!this.recording) {
+      return Promise.reject(new Error('Not recording'))
+    }
+
+    const {_mediaRecorder: mediaRecorder, _chunks: chunks, _node: node} = this
+
+    if (mediaRecorder == null) {
+      // the processor hands over the last of the samples once it is told to
+      // stop, which `dispose` does
+      const stopped = node == null ? this._started : new Promise((resolve) => {
+        node.port.onmessage = ({data}) => {
+          this._addSamples(data.samples)
+          if (data.done) {
+            resolve()
+          }
+        }
+      })
+
+      this.dispose()
+      return stopped.then(() => this._encodeSamples())
+    }
+
+    // the last of the data arrives just before the recorder stops
+    const stopped = new Promise((resolve) => {
+      mediaRecorder.onstop = () => {
+        resolve(new Blob(chunks, {type: mediaRecorder.mimeType || this.mimeType}))
+      }
+    })
+
+    this.dispose()
+    return stopped
+  }
+
+  /**
+   * dispose
+   * =======
+   *
+   * Stop recording, and disconnect from the input, without waiting for the
+   * recording.
+   */
+
+  dispose () {
+    if (!this.recording) {
+      return
+    }
+
+    const {_node: node, _mediaRecorder: mediaRecorder} = this
+
+    // a WAV recording that is still loading its processor has no node yet
+    if (node != null) {
+      this.input.disconnect(node)
+      node.disconnect()
+    }
+
+    if (node != null && mediaRecorder == null) {
+      node.port.postMessage('stop')
+    }
+
+    if (mediaRecorder != null && mediaRecorder.state !== 'inactive') {
+      mediaRecorder.stop()
+    }
+
+    this.recording = false
+    this._node = null
+    this._mediaRecorder = null
+  }
+}
@@ -0,0 +1,275 @@
+import sniffFormat from './sniff'
+import strategies from './strategies'
+import {UnsupportedFormatError} from './errors'
+
+/**
+ * Segmenter
+ * =========
+ *
+ * Split a growing byte stream into segments that can each be decoded by
+ * themselves. Only the bytes that haven't been returned before are included
+ * in each segment, so the total amount of work stays linear in the length of
+ * the file.
+ *
+ * The format is sniffed from the first few bytes (or the Content-Type, for
+ * MP3 and AAC streams that don't start with a frame), and a strategy for that
+ * format decides where each segment ends. MP3 and AAC are split frame by
+ * frame, FLAC and Ogg are split on frames and pages and given a copy of the
+ * headers from the start of the file, and WAV is split on sample frames and
+ * given a new header. MP4 can't be split, so `incremental` is false and the
+ * entire file is returned as one segment once it has been downloaded.
+ *
+ * The segmenter only needs to see the bytes from `position` onwards, so
+ * everything before that can be thrown away.
+ *
+ * ID3 tags are left out of the segments, so that they don't get decoded as
+ * audio.
+ *
+ * MP3 and AAC frames can't be decoded cleanly without the frames before
+ * them, so each of their segments starts with the last few frames of the
+ * segment before it. `overlap` says how much audio those frames decode to,
+ * which should be thrown away.
+ *
+ * @private
+ * @class Segmenter
+ * @param {Object} [options]
+ * @param {String} [options.contentType] - The Content-Type of the response.
+ * @property {Number} offset - Number of bytes of the stream that have been
+ * returned in segments, or skipped.
+ * @property {Number} position - Where the bytes passed to `next` should start.
+ * @property {Number} fileOffset - Where the stream starts in the file, when
+ * downloading from the middle of it.
+ * @property {String|null} contentType
+ * @property {String} format - 'mp3', 'aac', 'wav', 'flac', 'ogg' or 'mp4',
+ * or null if we haven't seen enough bytes to tell.
+ * @property {Boolean} incremental - Can segments be appended to each other?
+ * @property {Boolean} done - Has the final segment been returned?
+ * @property {Number} dataOffset - Where the audio starts in the file, after
+ * the headers and tags.
+ * @property {Number|null} duration - How many seconds of new audio the last
+ * segment holds, or null if we can't tell from the frames.
+ * @property {Number} overlap - How many seconds of audio at the start of the
+ * last segment repeat the end of the segment before it.
+ */
+
+export default class Segmenter {
+  constructor ({contentType = null} = {}) {
+    this.offset = 0
+    this.fileOffset = 0
+    this.contentType = contentType
+    this.format = null
+    this.incremental = false
+    this.done = false
+    this.dataOffset = 0
+    this.duration = null
+    this.overlap = 0
+
+    this._strategy = null
+    this._header = null
+    this._synced = false
+
+    // the end of the last segment, which the next one starts with
+    this._overlapLength = 0
+    this._overlapDuration = 0
+  }
+
+  get position () {
+    return this.incremental ? this.offset - this._overlapLength : 0
+  }
+
+  /**
+   * detect
+   * ======
+   *
+   * Work out the format of the stream, if we haven't already.
+   *
+   * @param {Uint8Array} bytes - The start of the file.
+   * @param {Boolean} [done = false] - Is `bytes` the entire file?
+   * @returns {String|null} The format, or null if we need more bytes.
+   * @throws {UnsupportedFormatError}
+   */
+
+  detect (bytes, done = false) {
+    if (this.format != null) {
+      return this.format
+    }
+
+    const format = sniffFormat(bytes, this.contentType, done)
+    if (format == null) {
+      return null
+    }
+
+    const strategy = strategies[format]
+    if (strategy == null) {
+      throw new UnsupportedFormatError(this.contentType)
+    }
+
+    this.format = format
+    this.incremental = strategy.incremental
+    this._strategy = strategy
+
+    return format
+  }
+
+  /**
+   * fork
+   * ====
+   *
+   * Create a segmenter for the same file, for a stream that starts at
+   * `fileOffset` instead of the start of the file. The first segment starts
+   * wherever the format lets us pick the stream up.
+   *
+   * @param {Number} fileOffset
+   * @returns {Segmenter}
+   */
+
+  fork (fileOffset) {
+    const segmenter = new Segmenter({contentType: this.contentType})
+
+    segmenter.fileOffset = fileOffset
+    segmenter.format = this.format
+    segmenter.incremental = this.incremental
+    segmenter.dataOffset = this.dataOffset
+    segmenter._strategy = this._strategy
+    segmenter._header = this._header
+
+    return segmenter
+  }
+
+  /**
+   * skip
+   * ====
+   *
+   * Give up on the bytes before `position`, e.g. when a live stream has
+   * reconnected and the bytes from then on don't carry on from the ones
+   * before. The next segment starts wherever the format lets us pick the
+   * stream up again.
+   *
+   * @param {Number} position - Position in the stream.
+   */
+
+  skip (position) {
+    this.offset = Math.max(this.offset, position)
+    this._synced = false
+    this._overlapLength = 0
+    this._overlapDuration = 0
+  }
+
+  /**
+   * readHeader
+   * ==========
+   *
+   * @private
+   *
+   * @param {Uint8Array} bytes - The start of the file.
+   * @param {Boolean} done
+   * @returns {Boolean} Have we got everything we need from the header?
+   */
+
+  _readHeader (bytes, done) {
+    if (this._header == null) {
+      this._header = this._strategy.parseHeader(bytes)
+
+      if (this._header == null) {
+        if (done) {
+          throw new UnsupportedFormatError(this.contentType)
+        }
+        return false
+      }
+
+      this.dataOffset = this._header.dataOffset
+      this.offset = this.dataOffset
+    }
+
+    return true
+  }
+
+  /**
+   * sync
+   * ====
+   *
+   * @private
+   *
+   * Find the first place where a segment can start, which may be after some
+   * junk at the start of the audio, or in the middle of a frame when the
+   * stream starts in the middle of the file.
+   *
+   * @param {Uint8Array} bytes
+   * @param {Number} base - The position of `bytes` in the stream.
+   * @returns {Boolean} Have we found one?
+   */
+
+  _sync (bytes, base) {
+    if (!this._synced) {
+      // the server may have sent the whole file instead of part of it
+      const from = Math.max(this.offset, this.dataOffset - this.fileOffset)
+      const start = this._strategy.sync(this._header, bytes, from - base, this.fileOffset + base)
+
+      if (start < 0) {
+        return false
+      }
+
+      this.offset = base + start
+      this._synced = true
+    }
+
+    return true
+  }
+
+  /**
+   * next
+   * ====
+   *
+   * Get the next segment of the stream to decode.
+   *
+   * @param {Uint8Array} bytes - Every byte received from `position` onwards.
+   * @param {Boolean} [done = false] - Is this the end of the stream?
+   * @returns {Uint8Array|null} The segment, or null if there is nothing new
+   * to decode.
+   * @throws {UnsupportedFormatError}
+   */
+
+  next (bytes, done = false) {
+    if (this.done) {
+      return null
+    }
+
+    // the bytes start where we asked for them to, even if reading the header
+    // has moved `position` since
+    const base = this.position
+
+    if (this.detect(bytes, done) == null || !this._readHeader(bytes, done) ||
+        !this._sync(bytes, base)) {
+      this.done = done
+      return null
+    }
+
+    const strategy = this._strategy
+    const start = this.offset - base
+    const end = done
+      ? strategy.trim(this._header, bytes, start, this.fileOffset + base)
+      : strategy.findEnd(this._header, bytes, start, this.fileOffset + base)
+
+    this.done = done
+
+    if (end <= start) {
+      return null
+    }
+
+    const from = start - this._overlapLength
+    this.offset = base + end
+    this.overlap = this._overlapDuration
+    this.duration = null
+    this._overlapLength = 0
+    this._overlapDuration = 0
+
+    if (strategy.overlap != null) {
+      const next = strategy.overlap(this._header, bytes, from, start, end)
+      this.duration = next.duration
+      this._overlapLength = next.length
+      this._overlapDuration = next.overlap
+    }
+
+    return strategy.wrap(this._header, bytes.slice(from, end))
+  }
+}
@@ -0,0 +1,126 @@
+/**
+ * Stats
+ * =====
+ *
+ * Keep count of how well a track is downloading and decoding, for buffering
+ * indicators and quality of service logs. Times are measured on the wall
+ * clock, because the AudioContext clock doesn't move while it is suspended.
+ *
+ * The throughput only counts the time spent waiting for bytes, so it doesn't
+ * drop while nothing is being downloaded, e.g. once the file has finished.
+ *
+ * @private
+ * @class Stats
+ * @property {Number} rebuffers - How many times playback has stalled,
+ * waiting for more audio to be downloaded.
+ */
+
+export default class Stats {
+  constructor () {
+    this.reset()
+  }
+
+  /**
+   * reset
+   * =====
+   *
+   * Start counting again, for a new track.
+   */
+
+  reset () {
+    this.rebuffers = 0
+
+    this._loadStart = Date.now()
+    this._firstAudio = null
+
+    this._bytes = 0
+    this._downloadTime = 0
+    this._lastActivity = null
+
+    this._decodes = 0
+    this._decodeTime = 0
+    this._lastDecodeTime = null
+  }
+
+  /**
+   * connect
+   * =======
+   *
+   * A response has arrived, and we are about to read its body.
+   */
+
+  connect () {
+    this._lastActivity = Date.now()
+  }
+
+  /**
+   * receive
+   * =======
+   *
+   * @param {Number} length - How many bytes just arrived.
+   */
+
+  receive (length) {
+    const now = Date.now()
+
+    if (this._lastActivity != null) {
+      this._downloadTime += now - this._lastActivity
+    }
+
+    this._bytes += length
+    this._lastActivity = now
+  }
+
+  /**
+   * decode
+   * ======
+   *
+   * @param {Number} time - How many milliseconds it took to decode a segment.
+   */
+
+  decode (time) {
+    this._decodes += 1
+    this._decodeTime += time
+    this._lastDecodeTime = time
+  }
+
+  /**
+   * firstAudio
+   * ==========
+   *
+   * The first audio of the track is ready to play. Only the first call
+   * counts, so seeking doesn't change it.
+   */
+
+  firstAudio () {
+    if (this._firstAudio == null) {
+      this._firstAudio = Date.now()
+    }
+  }
+
+  rebuffer () {
+    this.rebuffers += 1
+  }
+
+  /**
+   * get
+   * ===
+   *
+   * @returns {Object} `{throughput, decodeLatency, averageDecodeLatency,
+   * rebuffers, timeToFirstAudio}`. Anything that hasn't been measured yet is
+   * null.
+   */
+
+  get () {
+    const {_bytes: bytes, _downloadTime: downloadTime, _decodes: decodes} = this
+
+    return {
+      // bytes per second
+      throughput: downloadTime > 0 ? (bytes * 1000) / downloadTime : null,
+      decodeLatency: this._lastDecodeTime,
+      averageDecodeLatency: decodes > 0 ? this._decodeTime / decodes : null,
+      rebuffers: this.rebuffers,
+      timeToFirstAudio: this._firstAudio == null ? null : this._firstAudio - this._loadStart,
+    }
+  }
+}
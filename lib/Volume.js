@@ -0,0 +1,98 @@
+import noop from 'nop'
+
+import {rampGain, setGain} from './fade'
+
+function clamp (volume) {
+  return Math.min(Math.max(volume, 0), 1)
+}
+
+/**
+ * Volume
+ * ======
+ *
+ * A persistent GainNode, that controls the volume of everything connected to
+ * it.
+ *
+ * @private
+ * @class Volume
+ * @param {Object} options
+ * @param {AudioContext} options.context
+ * @param {Number} [options.volume = 1] - Between 0 and 1.
+ * @param {Boolean} [options.muted = false]
+ * @property {GainNode} node
+ * @property {Number} volume
+ * @property {Boolean} muted
+ * @property {Function} onChange - Triggered when the volume or muted state
+ * changes.
+ */
+
+export default class Volume {
+  constructor (options) {
+    const {
+      context,
+      volume = 1,
+      muted = false,
+    } = options
+
+    this.context = context
+    this.node = context.createGain()
+    this.volume = clamp(volume)
+    this.muted = muted
+
+    this.onChange = noop
+
+    this._apply(0)
+  }
+
+  /**
+   * apply
+   * =====
+   *
+   * @private
+   *
+   * Update the gain node to match the current volume.
+   *
+   * @param {Number} rampSeconds
+   */
+
+  _apply (rampSeconds) {
+    const {context, node} = this
+    const value = this.muted ? 0 : this.volume
+
+    if (rampSeconds > 0) {
+      rampGain(node.gain, value, context.currentTime, rampSeconds)
+    } else {
+      setGain(node.gain, value)
+    }
+  }
+
+  /**
+   * setVolume
+   * =========
+   *
+   * @param {Number} volume - Between 0 and 1.
+   * @param {Number} [rampSeconds = 0] - Smoothly change to the new volume
+   * over this many seconds.
+   */
+
+  setVolume (volume, rampSeconds = 0) {
+    this.volume = clamp(volume)
+    this._apply(rampSeconds)
+    this.onChange()
+  }
+
+  /**
+   * setMuted
+   * ========
+   *
+   * Silence the audio, without forgetting the volume.
+   *
+   * @param {Boolean} muted
+   */
+
+  setMuted (muted) {
+    this.muted = muted
+    this._apply(0)
+    this.onChange()
+  }
+}
@@ -1,7 +1,73 @@
+/* global AbortController */
+
 import noop from 'nop'
 import throttle from 'throttleit'
 
+import Backend from './Backend'
 import Pumper from './Pumper'
+import Segmenter from './Segmenter'
+import {sliceAudioBuffer, copyAudioBuffer} from './concat'
+import {getTotalBytes} from './fetchRange'
+import openSource, {isSeekable} from './sources'
+import IcyReader from './IcyReader'
+import {HttpError, NetworkError, AbortError} from './errors'
+import getDuration from './duration'
+import getMetadata from './metadata'
+import {parseId3v1} from './formats/id3'
+import {getMetaInterval} from './formats/icy'
+import {rampGain, setGain} from './fade'
+import Chain from './Chain'
+import Volume from './Volume'
+import Analyser from './Analyser'
+import Peaks from './Peaks'
+import renderAudioBuffer from './render'
+import {encodeWav} from './formats/wav'
+import Stats from './Stats'
+import clampPlaybackRate from './playbackRate'
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// the tags are only nice to have, so a tag we can't read is left out, rather
+// than stopping the track from playing
+function readTags (parse) {
+  try {
+    return parse()
+  } catch (err) {
+    return {}
+  }
+}
+
+// stop looking for a header that tells us the duration after this many bytes
+const MAX_HEADER_LENGTH = 1024 * 1024
+
+// an estimated duration has to move by more than this fraction of itself
+// before a durationchange event is emitted for it
+const DURATION_TOLERANCE = 0.01
+
+/**
+ * getOverlapLength
+ * ================
+ *
+ * @private
+ * @param {AudioBuffer} audioBuffer - A decoded segment.
+ * @param {Number|null} duration - Seconds of new audio in the segment.
+ * @param {Number} overlap - Seconds of audio at the start of the segment that
+ * repeat the end of the segment before it.
+ * @returns {Number} How many samples at the start of the segment to throw
+ * away. Some decoders leave out their own delay at the start, so if there is
+ * less audio than expected, less is thrown away.
+ */
+
+function getOverlapLength (audioBuffer, duration, overlap) {
+  const {length, sampleRate} = audioBuffer
+
+  if (duration == null || overlap <= 0) {
+    return 0
+  }
+
+  const extra = length - Math.round(duration * sampleRate)
+  return Math.max(0, Math.min(Math.round(overlap * sampleRate), extra))
+}
 
 /**
  * WebAudio
@@ -20,8 +86,71 @@ import Pumper from './Pumper'
  * @param {Number} [options.minLoadDuration = 1] - Minimum number of seconds
  * required for a chunk of the track to be loaded, before it is played. This is
  * useful to prevent a pause half a second after playback has started.
+ * @param {Array} [options.effects = []] - AudioNodes (or functions that
+ * create them from the context) to connect between the track and the
+ * destination, in order.
+ * @param {AudioNode} [options.destination = context.destination] - Where to
+ * send the audio.
+ * @param {Number} [options.volume = 1] - Between 0 and 1.
+ * @param {Boolean} [options.muted = false]
+ * @param {Number} [options.fadeDuration = 0] - Fade in and out over this many
+ * seconds when playing, pausing and stopping, to avoid clicks.
+ * @param {Number} [options.timeUpdateInterval = 250] - How often to emit
+ * `timeupdate` events during playback, in milliseconds.
+ * @param {Number} [options.retries = 3] - How many times to retry a failed
+ * download before giving up.
+ * @param {Number} [options.retryDelay = 1000] - Milliseconds to wait before
+ * the first retry. The delay doubles with each attempt.
+ * @param {Number} [options.playbackRate = 1] - How fast to play the track,
+ * between 0.25 and 4.
+ * @param {Boolean} [options.loop = false] - Start again from the beginning
+ * when the track ends.
+ * @param {Number} [options.fftSize = 2048] - The size of the FFT used by
+ * `getFrequencyData`, a power of two between 32 and 32768.
+ * @param {Number} [options.smoothing = 0.8] - Between 0 and 1. Higher values
+ * make the frequency data change more slowly.
+ * @param {Number} [options.samplesPerPeak = 512] - How many samples each
+ * waveform peak covers.
+ * @param {Boolean} [options.live = false] - Play an endless stream, such as
+ * an Icecast or SHOUTcast radio station, instead of a file.
+ * @param {Number} [options.liveWindow = 30] - How many seconds of a live
+ * stream to keep, behind the live edge.
+ * @param {Number} [options.statsInterval = 1000] - How often to emit `stats`
+ * events while a track is loaded, in milliseconds. Zero turns them off.
+ * @param {Function} [options.fetch] - Used instead of the global `fetch` to
+ * download tracks, e.g. to add an Authorization header.
+ * @param {Object} [options.headers = {}] - Sent with every request.
+ * @param {Cache} [options.cache] - Keeps the tracks that have been
+ * downloaded, so they can be played again without the network.
  * @property {AudioContext} context
+ * @property {AudioBuffer} audioBuffer - All of the audio decoded so far.
+ * While the track is loading, it has room at the end for the rest of the
+ * track, which is left out of `buffered()`.
+ * @property {Number} bufferStart - The position in the track where
+ * `audioBuffer` starts, in seconds. This is only greater than zero after
+ * seeking past the end of the decoded audio.
  * @property {AudioBufferSourceNode} audioSource
+ * @property {Object} metadata - The tags read from the file, as
+ * `{title, artist, album, track, artwork}`, where `artwork` is a Blob. This
+ * is null until the tags have been found.
+ * @property {GainNode} fadeNode - Every audio source is connected to this,
+ * and it is used to fade the track in and out.
+ * @property {Array<AudioNode>} effects - The effects the track is played
+ * through.
+ * @property {GainNode} volumeNode - Controls the volume, after the effects.
+ * @property {Number} volume - Between 0 and 1.
+ * @property {Boolean} muted
+ * @property {Number} playbackRate - How fast the track is played. The pitch
+ * changes with the speed.
+ * @property {Boolean} loop - Does the track start again when it ends?
+ * @property {Object} loopRegion - The part of the track that is repeated, as
+ * `{start, end}` in seconds, or null.
+ * @property {Number} fftSize
+ * @property {Number} smoothing
+ * @property {Boolean} live - Is the source an endless stream?
+ * @property {Number} liveWindow
+ * @property {String} streamTitle - The `StreamTitle` of a live stream, or
+ * null if the server hasn't sent one.
  * @property {Boolean} loading - Is a file currently being downloaded?
  * @property {Boolean} paused - Is the audio track currently paused (i.e not
  * playing)?
@@ -32,23 +161,104 @@ import Pumper from './Pumper'
  * @property {Function} onPlay - Triggered after starting playback.
  * @property {Function} onPause - Triggered after pausing playback.
  * @property {Function} onStop - Triggered after stopping playback.
+ * @property {Function} onVolumeChange - Triggered when the volume or muted
+ * state changes.
+ *
+ * The callbacks above are aliases for the `progress`, `load`, `play`,
+ * `pause`, `stop` and `volumechange` events. See the README for the full list
+ * of events.
  */
 
-export default class WebAudio {
+export default class WebAudio extends Backend {
   constructor (options) {
     const {
       context,
       throttleDecode = 500, // milliseconds
       minLoadDuration = 1, // seconds
+      effects = [],
+      destination = context.destination,
+      volume = 1,
+      muted = false,
+      fadeDuration = 0, // seconds
+      timeUpdateInterval = 250, // milliseconds
+      retries = 3,
+      retryDelay = 1000, // milliseconds
+      playbackRate = 1,
+      loop = false,
+      fftSize = 2048,
+      smoothing = 0.8,
+      samplesPerPeak = 512,
+      live = false,
+      liveWindow = 30, // seconds
+      statsInterval = 1000, // milliseconds
+      fetch = null,
+      headers = {},
+      cache = null,
     } = options
 
+    super()
+
     this._pumper = null
+    this._segmenter = null
+    this._abortController = null
+    this._decodeQueue = Promise.resolve()
+    this._source = null
+    this._fetch = fetch
+    this._headers = headers
+    this._cache = cache
+    this._decodedBytes = 0
+    this._decodedDuration = 0
+    this._bytesLoaded = 0
+    this._bytesTotal = null
+    this._headerDuration = null
+    this._duration = NaN
+    this._durationExact = false
+    this._tags = null
+    this._dataOffset = 0
+    this._canPlay = false
+    this._timeUpdateTimer = null
+    this._statsTimer = null
+    this._stats = new Stats()
+    this._playbackRate = clampPlaybackRate(playbackRate)
+    this._loop = loop
+    this._loopRegion = null
+    this._looping = null
+    this._peaks = new Peaks({samplesPerPeak})
 
     this.context = context
     this.throttleDecode = throttleDecode
     this.minLoadDuration = minLoadDuration
-
+    this.fadeDuration = fadeDuration
+    this.timeUpdateInterval = timeUpdateInterval
+    this.statsInterval = statsInterval
+    this.retries = retries
+    this.retryDelay = retryDelay
+    this.live = live
+    this.liveWindow = liveWindow
+
+    this.audioBuffer = null
     this.audioSource = null
+    this.bufferStart = 0
+    this.metadata = null
+    this.streamTitle = null
+
+    this._volume = new Volume({context, volume, muted})
+    this._volume.onChange = () => this.emit('volumechange')
+    this.volumeNode = this._volume.node
+    this.volumeNode.connect(destination)
+
+    this.fadeNode = context.createGain()
+    this._chain = new Chain({
+      context,
+      input: this.fadeNode,
+      output: this.volumeNode,
+      effects,
+    })
+
+    // listens to what comes out of the speakers, after the effects and volume
+    this._analyser = new Analyser({context, input: this.volumeNode, fftSize, smoothing})
+    this._pendingFadeIn = 0
+    this._fadingSource = null
 
     this.startTime = null
     this.pauseTime = null
@@ -62,6 +272,18 @@ export default class WebAudio {
     this.onPlay = noop
     this.onPause = noop
     this.onStop = noop
+    this.onVolumeChange = noop
+  }
+
+  // only the first `_bufferLength` samples of the buffer have been decoded,
+  // and a buffer that is set from outside is taken to be full
+  get audioBuffer () {
+    return this._audioBuffer
+  }
+
+  set audioBuffer (audioBuffer) {
+    this._audioBuffer = audioBuffer
+    this._bufferLength = audioBuffer == null ? 0 : audioBuffer.length
   }
 
   /**
@@ -70,23 +292,285 @@ export default class WebAudio {
    *
    * @private
    *
-   * @param {Object} result
-   * @param {Uint8Array} result.value
-   * @param {Boolean} result.done
+   * @param {Pumper} pumper - Holds the bytes received so far.
+   * @param {Segmenter} segmenter - The segmenter of the load that `pumper`
+   * belongs to.
+   * @param {Boolean} [done = false] - Has the entire file been received?
+   *
+   * Decode the next segment of the stream into an audio buffer, and append it
+   * to the audio that has already been decoded. Segments are decoded one at a
+   * time, in order. Once a segment has been taken, its bytes are dropped from
+   * the pumper.
+   */
+
+  _decodeAudioBuffer (pumper, segmenter, done = false) {
+    const {context} = this
+
+    // a format that can't be split is decoded in one go at the end, so there
+    // is no point copying what we have of it so far
+    if (!done && segmenter.format != null && !segmenter.incremental) {
+      return this._decodeQueue
+    }
+
+    const offset = segmenter.offset
+    const segment = segmenter.next(pumper.slice(segmenter.position), done)
+    pumper.drop(segmenter.position)
+
+    // how much of the file the segment covers, without any headers that were
+    // added to it
+    const length = segmenter.offset - offset
+    const {duration, overlap} = segmenter
+
+    if (segment == null) {
+      return this._decodeQueue
+    }
+
+    let decodeStart = null
+
+    this._decodeQueue = this._decodeQueue
+      .then(() => {
+        decodeStart = Date.now()
+        return context.decodeAudioData(segment.buffer)
+      })
+      .then((audioBuffer) => {
+        // the track has been stopped or changed while we were decoding
+        if (segmenter !== this._segmenter) {
+          return
+        }
+
+        this._stats.decode(Date.now() - decodeStart)
+
+        if (segmenter.dataOffset > 0) {
+          this._dataOffset = segmenter.dataOffset
+        }
+
+        const skip = getOverlapLength(audioBuffer, duration, overlap)
+
+        if (segmenter.incremental) {
+          this._decodedBytes += length
+          this._decodedDuration += (audioBuffer.length - skip) / audioBuffer.sampleRate
+        }
+
+        this._appendAudioBuffer(audioBuffer, segmenter.incremental, skip)
+        this._appendPeaks(audioBuffer, segmenter.incremental, skip)
+        this._updateDuration()
+      })
+      .catch((err) => {
+        // report the error, but keep decoding the segments after this one
+        if (segmenter === this._segmenter) {
+          this.emit('error', err)
+        }
+      })
+
+    return this._decodeQueue
+  }
+
+  /**
+   * bufferDuration
+   * ==============
+   *
+   * @private
+   *
+   * @param {AudioBuffer} [audioBuffer = this.audioBuffer]
+   * @returns {Number} Seconds of decoded audio in the buffer, leaving out the
+   * room it has to grow.
+   */
+
+  _bufferDuration (audioBuffer = this.audioBuffer) {
+    if (audioBuffer == null) {
+      return 0
+    }
+
+    if (audioBuffer !== this.audioBuffer || this._bufferLength === audioBuffer.length) {
+      return audioBuffer.duration
+    }
+
+    return this._bufferLength / audioBuffer.sampleRate
+  }
+
+  /**
+   * appendAudioBuffer
+   * =================
+   *
+   * @private
    *
-   * Decode a data array into an audio buffer.
+   * @param {AudioBuffer} audioBuffer - newly decoded audio
+   * @param {Boolean} incremental - Should the audio be added to the end of
+   * the existing audio buffer, or replace it?
+   * @param {Number} [skip = 0] - How many samples at the start of
+   * `audioBuffer` to leave out.
    */
 
-  _decodeAudioBuffer (value) {
+  _appendAudioBuffer (audioBuffer, incremental, skip = 0) {
     const {context} = this
 
-    return context.decodeAudioData(value).then((audioBuffer) => {
-      // don't try and load anything less than the MIN_DURATION
-      if (audioBuffer.duration >= this.minLoadDuration) {
-        this._updateAudioBuffer(audioBuffer)
-        this.onProgress()
+    if (incremental && this.audioBuffer != null) {
+      this._writeAudioBuffer(audioBuffer, skip)
+    } else if (skip > 0) {
+      this.audioBuffer = sliceAudioBuffer(context, audioBuffer, skip, audioBuffer.length)
+    } else {
+      this.audioBuffer = audioBuffer
+    }
+
+    if (this.live) {
+      this._trimLiveWindow()
+    }
+
+    // don't try and load anything less than the MIN_DURATION
+    if (this._bufferDuration() >= this.minLoadDuration) {
+      this._updateAudioBuffer(this.audioBuffer)
+
+      if (!this._canPlay) {
+        this._canPlay = true
+        this._stats.firstAudio()
+        this.emit('canplay')
       }
+
+      this.emit('progress', this._progress())
+    }
+  }
+
+  /**
+   * writeAudioBuffer
+   * ================
+   *
+   * @private
+   *
+   * Copy newly decoded audio to the end of `audioBuffer`. When there isn't
+   * room, a new buffer is made that is big enough for the rest of the track,
+   * going by its estimated duration, or twice as big if that is more. That
+   * way, the audio decoded so far is only copied a few times, however many
+   * segments the track is decoded in.
+   *
+   * @param {AudioBuffer} audioBuffer - newly decoded audio
+   * @param {Number} skip - How many samples at the start of `audioBuffer` to
+   * leave out.
+   */
+
+  _writeAudioBuffer (audioBuffer, skip) {
+    const {context, audioBuffer: target, _bufferLength: used} = this
+    const length = used + (audioBuffer.length - skip)
+    const numberOfChannels = Math.max(target.numberOfChannels, audioBuffer.numberOfChannels)
+
+    let buffer = target
+    if (length > target.length || numberOfChannels > target.numberOfChannels) {
+      const estimate = Math.ceil((this.duration() - this.bufferStart) * target.sampleRate)
+      const capacity = Math.max(length, used * 2, Number.isFinite(estimate) ? estimate : 0)
+
+      buffer = sliceAudioBuffer(context, target, 0, used, {length: capacity, numberOfChannels})
+    }
+
+    copyAudioBuffer(buffer, audioBuffer, used, skip)
+
+    this.audioBuffer = buffer
+    this._bufferLength = length
+  }
+
+  /**
+   * fitAudioBuffer
+   * ==============
+   *
+   * @private
+   *
+   * Once the whole track has been decoded, the room left at the end of
+   * `audioBuffer` isn't needed any more.
+   */
+
+  _fitAudioBuffer () {
+    const {context, audioBuffer, _bufferLength: length} = this
+
+    if (audioBuffer == null || length === audioBuffer.length) {
+      return
+    }
+
+    this.audioBuffer = sliceAudioBuffer(context, audioBuffer, 0, length)
+
+    if (this.audioSource != null) {
+      this._updateAudioBuffer(this.audioBuffer)
+    }
+  }
+
+  /**
+   * trimLiveWindow
+   * ==============
+   *
+   * @private
+   *
+   * Throw away the oldest audio of a live stream, so that only the last
+   * `liveWindow` seconds are kept. While playing, nothing after the playhead
+   * is thrown away, even if it has fallen behind.
+   */
+
+  _trimLiveWindow () {
+    const {context, audioBuffer, bufferStart, _bufferLength: used} = this
+
+    let duration = this._bufferDuration() - this.liveWindow
+    if (!this.paused) {
+      duration = Math.min(duration, this._position() - bufferStart)
+    }
+
+    const length = Math.floor(duration * audioBuffer.sampleRate)
+    if (length <= 0) {
+      return
+    }
+
+    // keep the same room to grow
+    this.audioBuffer = sliceAudioBuffer(context, audioBuffer, length, used, {
+      length: audioBuffer.length,
     })
+    this._bufferLength = used - length
+    this.bufferStart = bufferStart + (length / audioBuffer.sampleRate)
+  }
+
+  /**
+   * appendPeaks
+   * ===========
+   *
+   * @private
+   *
+   * @param {AudioBuffer} audioBuffer - newly decoded audio
+   * @param {Boolean} incremental - Does it carry on from the audio before it?
+   * @param {Number} [skip = 0] - How many samples at the start of
+   * `audioBuffer` to leave out.
+   *
+   * Add to the waveform peaks, and emit a `peaks` event. Only audio that has
+   * been decoded from the start of the track counts, so the peaks don't grow
+   * while we are downloading from somewhere else after seeking. A live stream
+   * has no start or end to draw, so it has no peaks.
+   */
+
+  _appendPeaks (audioBuffer, incremental, skip = 0) {
+    if (this.live || this.bufferStart > 0) {
+      return
+    }
+
+    if (!incremental) {
+      this._peaks.reset()
+    }
+
+    this._peaks.append(audioBuffer, skip)
+    this.emit('peaks', this.getPeaks())
+  }
+
+  /**
+   * progress
+   * ========
+   *
+   * @private
+   *
+   * The payload for the `progress` event.
+   *
+   * @returns {Object} How many bytes have been downloaded (`loaded`), the
+   * size of the file if we know it (`total`), and how many seconds of the
+   * track are ready to play (`buffered`).
+   */
+
+  _progress () {
+    return {
+      loaded: this._bytesLoaded,
+      total: this._bytesTotal,
+      buffered: this.buffered(),
+    }
   }
 
   /**
@@ -104,12 +588,15 @@ export default class WebAudio {
    */
 
   _updateAudioBuffer (audioBuffer) {
+    const position = this._position()
+
     this._disposeAudioSource()
 
     const audioSource = this._createAudioSource(audioBuffer)
     this.audioSource = audioSource
 
-    if (!this.paused || this.buffering) {
+    // we may be waiting for a part of the track that hasn't been decoded yet
+    if ((!this.paused || this.buffering) && this._isBuffered(position)) {
       this._playAudioBuffer()
     }
   }
@@ -130,13 +617,95 @@ export default class WebAudio {
       return null
     }
 
+    const position = this._position()
+
     const audioSource = context.createBufferSource()
     audioSource.buffer = audioBuffer
-    audioSource.connect(context.destination)
+    audioSource.playbackRate.value = this._playbackRate
+    audioSource.connect(this.fadeNode)
     audioSource.onended = this._handleBufferEnded.bind(this)
+
+    this._applyLoop(audioSource)
+    this._anchor(position)
+
     return audioSource
   }
 
+  /**
+   * loopBounds
+   * ==========
+   *
+   * @private
+   *
+   * @returns {Object|null} The part of the track that should be repeated, as
+   * `{start, end}` in seconds, or null if we aren't looping.
+   */
+
+  _loopBounds () {
+    if (this._loopRegion != null) {
+      return this._loopRegion
+    }
+    return this._loop ? {start: 0, end: Infinity} : null
+  }
+
+  /**
+   * applyLoop
+   * =========
+   *
+   * @private
+   *
+   * @param {AudioBufferSourceNode} audioSource
+   *
+   * Let the audio source do the looping by itself, if the whole loop has been
+   * decoded and the playhead hasn't already passed the end of it. Otherwise
+   * we carry on until the audio source runs out, and then jump back.
+   */
+
+  _applyLoop (audioSource) {
+    const {bufferStart, loading} = this
+    const bounds = this._loopBounds()
+    const bufferEnd = bufferStart + this._bufferDuration(audioSource.buffer)
+
+    // we only know where the track ends once it has all been decoded
+    const end = bounds == null ? null : Math.min(bounds.end, loading ? Infinity : bufferEnd)
+
+    const native = bounds != null &&
+      bounds.start >= bufferStart &&
+      end <= bufferEnd &&
+      this._position() < end
+
+    audioSource.loop = native
+
+    if (native) {
+      audioSource.loopStart = bounds.start - bufferStart
+      audioSource.loopEnd = end - bufferStart
+    }
+
+    this._looping = native ? {start: bounds.start, end} : null
+  }
+
+  /**
+   * updateLoop
+   * ==========
+   *
+   * @private
+   *
+   * Apply a change to the loop settings to the current audio source, without
+   * moving the playhead.
+   */
+
+  _updateLoop () {
+    const position = this._position()
+
+    if (this.audioSource != null) {
+      this._applyLoop(this.audioSource)
+    } else {
+      this._looping = null
+    }
+
+    this._anchor(position)
+  }
+
   /**
    * handleBufferEnded
    * =================
@@ -146,11 +715,51 @@ export default class WebAudio {
    */
 
   _handleBufferEnded () {
+    this._pause(0)
+
+    // the rest of the track hasn't been decoded yet
     if (this.loading) {
       this.buffering = true
+      this._stats.rebuffer()
+      this.emit('waiting')
+      return
+    }
+
+    // the audio source couldn't loop by itself
+    const bounds = this._loopBounds()
+    if (bounds != null) {
+      this.buffering = true
+      this.seek(bounds.start)
+      return
+    }
+
+    this.emit('ended')
+  }
+
+  _startTimeUpdates () {
+    if (this._timeUpdateTimer == null) {
+      this._timeUpdateTimer = setInterval(() => {
+        this.emit('timeupdate', this.currentTime())
+      }, this.timeUpdateInterval)
+    }
+  }
+
+  _stopTimeUpdates () {
+    clearInterval(this._timeUpdateTimer)
+    this._timeUpdateTimer = null
+  }
+
+  _startStatsUpdates () {
+    if (this._statsTimer == null && this.statsInterval > 0) {
+      this._statsTimer = setInterval(() => {
+        this.emit('stats', this.getStats())
+      }, this.statsInterval)
     }
+  }
 
-    this.pause()
+  _stopStatsUpdates () {
+    clearInterval(this._statsTimer)
+    this._statsTimer = null
   }
 
   /**
@@ -158,18 +767,37 @@ export default class WebAudio {
    * ===============
    *
    * @private
+   * @param {Number} [when = 0] - When to start playing, on the AudioContext
+   * clock. Zero means now.
    */
 
-  _playAudioBuffer () {
+  _playAudioBuffer (when = 0) {
     const {context, audioSource} = this
 
+    this._disposeFadingSource()
+
     const currentTime = this.currentTime()
-    audioSource.start(0, currentTime)
+    const offset = currentTime - this.bufferStart
+
+    // stop at the end of the decoded audio, rather than play the room after it
+    if (audioSource.loop || audioSource.buffer !== this.audioBuffer ||
+        this._bufferLength === this.audioBuffer.length) {
+      audioSource.start(when, offset)
+    } else {
+      audioSource.start(when, offset, this._bufferDuration() - offset)
+    }
+
+    this.startTime = Math.max(when, context.currentTime) - (currentTime / this._playbackRate)
 
-    this.startTime = context.currentTime - this.currentTime()
+    if (this._pendingFadeIn > 0) {
+      rampGain(this.fadeNode.gain, 1, Math.max(when, context.currentTime), this._pendingFadeIn)
+      this._pendingFadeIn = 0
+    }
     this.pauseTime = null
     this.paused = false
     this.buffering = false
+
+    this._startTimeUpdates()
   }
 
   /**
@@ -192,7 +820,7 @@ export default class WebAudio {
         // don't worry, be happy
       }
 
-      delete audioSource.onended
+      audioSource.onended = null
       audioSource.disconnect()
       delete audioSource.buffer
 
@@ -200,116 +828,1343 @@ export default class WebAudio {
     }
   }
 
+  /**
+   * fadeOutAudioSource
+   * ==================
+   *
+   * @private
+   *
+   * Fade out the current audio source over `fadeDuration` seconds, and then
+   * stop it.
+   *
+   * @returns {Number} When the audio source will stop, on the AudioContext
+   * clock.
+   */
+
+  _fadeOutAudioSource () {
+    const {context, audioSource, fadeDuration} = this
+    const when = context.currentTime + fadeDuration
+
+    this.fadeOut(fadeDuration)
+
+    this._disposeFadingSource()
+    audioSource.onended = null
+    audioSource.stop(when)
+
+    this._fadingSource = audioSource
+    this.audioSource = null
+
+    return when
+  }
+
+  _disposeFadingSource () {
+    const {_fadingSource: audioSource} = this
+
+    if (audioSource != null) {
+      try {
+        audioSource.stop(0)
+      } catch (err) {
+        // it may have already stopped
+      }
+
+      audioSource.disconnect()
+      this._fadingSource = null
+    }
+  }
+
   _disposePumper () {
     if (this._pumper != null) {
       this._pumper.cancel()
     }
+
+    // stop waiting for a response that we don't need any more
+    if (this._abortController != null) {
+      this._abortController.abort()
+      this._abortController = null
+    }
+  }
+
+  /**
+   * abortLoad
+   * =========
+   *
+   * @private
+   *
+   * Cancel the download, and reject the promise returned by `loadSource` if
+   * the track hasn't finished loading.
+   */
+
+  _abortLoad () {
+    this._disposePumper()
+    this._settleLoad(new AbortError())
   }
 
   _disposeAudioBuffer () {
+    this._segmenter = null
+    this.audioBuffer = null
+    this.bufferStart = 0
     this.startTime = null
     this.pauseTime = null
+    this._looping = null
     this.loading = false
     this.paused = true
     this.buffering = false
   }
 
-  /** PUBLIC **/
-
-  loadSource (request) {
-    this.stop()
-    this.loading = true
+  /**
+   * request
+   * =======
+   *
+   * @private
+   *
+   * @param {Number} start - Where in the file to start downloading from.
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<Response>}
+   *
+   * Open the current source, and make sure that the server actually sent us
+   * something we can play. URLs are read from the cache, if there is one.
+   */
 
-    let lastDecodePromise = null
+  _request (start, signal) {
+    // ask Icecast and SHOUTcast servers to send the stream title
+    const headers = this.live ? {...this._headers, 'Icy-MetaData': '1'} : this._headers
+    const options = {fetch: this._fetch, headers, signal}
 
-    const handleDecode = (value) => {
-      lastDecodePromise = this._decodeAudioBuffer(value)
-    }
+    // a live stream is never the same twice, so there's no point caching it
+    const cached = this._cache != null && !this.live && typeof this._source === 'string'
+    const open = cached
+      ? this._cache.open(this._source, start, options)
+      : openSource(this._source, start, options)
 
-    const handleDone = () => {
-      lastDecodePromise.then(() => {
-        this.loading = false
-        this.onLoad()
+    return open.then((res) => {
+      if (!res.ok) {
+        throw new HttpError(res)
+      }
+      return res
+    }, (err) => {
+      throw new NetworkError('Request failed', err)
+    })
+  }
+
+  /**
+   * createReader
+   * ============
+   *
+   * @private
+   *
+   * @param {Response} res
+   * @param {Segmenter} segmenter - The segmenter for the current load.
+   * @returns {ReadableStreamDefaultReader} A reader for the audio in the
+   * response, without the metadata that a live stream may have mixed in.
+   */
+
+  _createReader (res, segmenter) {
+    const reader = res.body.getReader()
+    const metaint = getMetaInterval(res)
+
+    if (!this.live || metaint == null) {
+      return reader
+    }
+
+    const icyReader = new IcyReader(reader, metaint)
+    icyReader.onMetadata = ({StreamTitle: title}) => {
+      if (segmenter === this._segmenter) {
+        this._setStreamTitle(title)
+      }
+    }
+    return icyReader
+  }
+
+  /**
+   * setStreamTitle
+   * ==============
+   *
+   * @private
+   *
+   * @param {String} [title]
+   *
+   * Update `streamTitle`, and emit a `streamtitle` event if it has changed.
+   * The server repeats the title every few seconds.
+   */
+
+  _setStreamTitle (title) {
+    if (title == null || title === this.streamTitle) {
+      return
+    }
+
+    this.streamTitle = title
+    this.emit('streamtitle', title)
+  }
+
+  /**
+   * load
+   * ====
+   *
+   * @private
+   *
+   * @param {Number} byteOffset - Where in the file to start downloading from.
+   * @param {Number} bufferStart - The position in the track that
+   * `byteOffset` corresponds to, in seconds.
+   *
+   * Start downloading and decoding the current source. Anything that has
+   * already been decoded is thrown away.
+   *
+   * If the connection drops, the download is resumed from the last byte that
+   * we received, waiting a little longer after each failed attempt. A live
+   * stream can't be resumed, so we reconnect and pick it up from wherever it
+   * is now. It never finishes, so the end of a live stream is treated the same
+   * as a dropped connection.
+   *
+   * Once the track has loaded, or failed to, the promise returned by
+   * `loadSource` is settled. A load that has been replaced by another one,
+   * e.g. after seeking, leaves it alone, and nothing that it decodes is used.
+   */
+
+  _load (byteOffset, bufferStart) {
+    this._disposePumper()
+
+    // the segments of an earlier load don't hold this one up
+    this._decodeQueue = Promise.resolve()
+
+    this.loading = true
+    this.audioBuffer = null
+    this.bufferStart = bufferStart
+    this._bytesLoaded = byteOffset
+    this._canPlay = false
+
+    if (bufferStart === 0) {
+      this._peaks.reset()
+    }
+
+    // after seeking, carry on with what we already know about the file
+    const segmenter = byteOffset > 0 && this._segmenter != null
+      ? this._segmenter.fork(byteOffset)
+      : new Segmenter()
+    this._segmenter = segmenter
+
+    const pumper = new Pumper()
+    this._pumper = pumper
+
+    const controller = typeof AbortController === 'function' ? new AbortController() : null
+    this._abortController = controller
+
+    const handleDecode = throttle(() => {
+      if (segmenter === this._segmenter) {
+        this._probeHeader(pumper, byteOffset)
+        this._decodeAudioBuffer(pumper, segmenter)
+      }
+    }, this.throttleDecode)
+
+    pumper.onRead = (chunk) => {
+      this._bytesLoaded = byteOffset + pumper.end
+      this._stats.receive(chunk.byteLength)
+
+      // give up straight away on a file we can't play
+      if (segmenter.format == null) {
+        segmenter.detect(pumper.slice(0))
+      }
+
+      handleDecode()
+    }
+
+    let loaded = null
+
+    const handleDone = () => {
+      if (segmenter !== this._segmenter) {
+        return
+      }
+
+      this._probeHeader(pumper, byteOffset, true)
+      this._probeTrailer(pumper)
+      loaded = this._decodeAudioBuffer(pumper, segmenter, true).then(() => {
+        if (segmenter === this._segmenter) {
+          this.loading = false
+          this._fitAudioBuffer()
+
+          // now that we know where the track ends, it can loop by itself
+          this._updateLoop()
+
+          this.emit('load')
+          this._updateDuration()
+          this._settleLoad(null)
+        }
       })
       this._disposePumper()
     }
 
-    return fetch(request).then((res) => {
-      this._pumper = new Pumper()
-      this._pumper.onRead = throttle(handleDecode, this.throttleDecode)
-      this._pumper.onDone = handleDone
-      return this._pumper.pump(res.body.getReader())
-    })
+    const read = (start) => this._request(start, controller && controller.signal).then((res) => {
+      let skip = 0
+
+      // a new connection to a live stream doesn't carry on from the old one
+      if (this.live && pumper.end > 0) {
+        segmenter.skip(pumper.end)
+      }
+
+      // the server ignored the Range header, and is sending the whole file
+      if (start > 0 && res.status !== 206) {
+        if (pumper.end === 0) {
+          this.bufferStart = 0
+          byteOffset = 0
+          segmenter.fileOffset = 0
+          this._peaks.reset()
+        } else {
+          skip = start
+        }
+      }
+
+      this._bytesTotal = getTotalBytes(res)
+      segmenter.contentType = res.headers.get('Content-Type')
+      this._stats.connect()
+
+      pumper.done = false
+      return pumper.pump(this._createReader(res, segmenter), skip)
+    }).then(() => {
+      if (!pumper.done) {
+        return
+      }
+
+      if (this.live) {
+        throw new NetworkError('The live stream ended')
+      }
+
+      const total = this._bytesTotal
+      if (total != null && byteOffset + pumper.end < total) {
+        throw new NetworkError('Connection closed before the download finished')
+      }
+
+      handleDone()
+    })
+
+    const retry = (attempt) => {
+      const received = pumper.end
+
+      return read(this.live ? 0 : byteOffset + received).catch((err) => {
+        // a connection that made some progress before dropping gets a fresh
+        // set of retries
+        const failures = pumper.end > received ? 0 : attempt
+
+        // errors of our own say whether they are worth retrying, and anything
+        // else, e.g. a file we couldn't parse, would only fail again. A stream
+        // can't be read again at all
+        if (!err.retryable || failures >= this.retries || pumper.cancelled ||
+            !isSeekable(this._source)) {
+          throw err
+        }
+
+        return wait(this.retryDelay * (2 ** failures)).then(() => {
+          if (!pumper.cancelled) {
+            return retry(failures + 1)
+          }
+        })
+      })
+    }
+
+    retry(0).then(() => loaded).catch((err) => {
+      if (segmenter === this._segmenter) {
+        this.loading = false
+        this.emit('error', err)
+        this._settleLoad(err)
+      }
+    })
+  }
+
+  /**
+   * position
+   * ========
+   *
+   * @private
+   *
+   * Where the playhead is, in seconds, without being limited to the audio that
+   * has been decoded.
+   *
+   * `startTime` is when the track would have started on the AudioContext
+   * clock, if it had always been played at the current rate. It is moved
+   * whenever the rate changes.
+   *
+   * While the audio source is looping, the playhead wraps around to the start
+   * of the loop each time it reaches the end.
+   */
+
+  _position () {
+    const {context, startTime, pauseTime, paused, _looping: looping} = this
+
+    if (startTime == null) {
+      return 0
+    }
+
+    const now = paused ? pauseTime : context.currentTime
+    const position = (now - startTime) * this._playbackRate
+
+    if (looping == null || position < looping.end) {
+      return position
+    }
+
+    return looping.start + ((position - looping.end) % (looping.end - looping.start))
+  }
+
+  /**
+   * anchor
+   * ======
+   *
+   * @private
+   *
+   * Move `startTime` so that the playhead is at `position` right now, e.g.
+   * after changing the rate or how the track loops.
+   */
+
+  _anchor (position) {
+    const {context, startTime, pauseTime, paused} = this
+
+    if (startTime != null) {
+      this.startTime = (paused ? pauseTime : context.currentTime) - (position / this._playbackRate)
+    }
+  }
+
+  /**
+   * setPosition
+   * ===========
+   *
+   * @private
+   *
+   * Move the playhead to `time` seconds, without touching the audio source.
+   */
+
+  _setPosition (time) {
+    const now = this.context.currentTime
+
+    this.startTime = now - (time / this._playbackRate)
+
+    if (this.paused) {
+      this.pauseTime = now
+    }
+  }
+
+  /**
+   * isBuffered
+   * ==========
+   *
+   * @private
+   *
+   * Has the audio at `time` seconds been decoded and is ready to play?
+   */
+
+  _isBuffered (time) {
+    const {audioSource, bufferStart} = this
+
+    if (audioSource == null) {
+      return false
+    }
+
+    return time >= bufferStart && time <= bufferStart + this._bufferDuration(audioSource.buffer)
+  }
+
+  /**
+   * clampTime
+   * =========
+   *
+   * @private
+   *
+   * Keep a position that we are seeking to inside the track, or inside the
+   * window of a live stream.
+   */
+
+  _clampTime (time) {
+    const min = this.live ? this.bufferStart : 0
+    const max = this.live ? this.buffered() : this.duration()
+
+    if (time < min) {
+      return min
+    }
+    return time > max ? max : time
+  }
+
+  /**
+   * liveEdge
+   * ========
+   *
+   * @private
+   *
+   * Where to start playing a live stream from: as close to the end of the
+   * decoded audio as we can get, while leaving `minLoadDuration` seconds to
+   * play while the next segment is decoded.
+   */
+
+  _liveEdge () {
+    return Math.max(this.bufferStart, this.buffered() - this.minLoadDuration)
+  }
+
+  /**
+   * estimateByteOffset
+   * ==================
+   *
+   * @private
+   *
+   * Guess where in the file the audio at `time` seconds is, based on the
+   * average bitrate of everything decoded so far, and where the audio starts
+   * after the ID3 tag.
+   *
+   * @returns {Number|null} The byte offset, or null if there isn't enough
+   * information to make a guess.
+   */
+
+  _estimateByteOffset (time) {
+    const {_decodedBytes: bytes, _decodedDuration: duration} = this
+
+    if (duration <= 0) {
+      return null
+    }
+
+    return this._dataOffset + Math.floor((bytes / duration) * time)
+  }
+
+  /**
+   * probeHeader
+   * ===========
+   *
+   * @private
+   *
+   * @param {Pumper} pumper
+   * @param {Number} byteOffset - Where in the file the pumper started.
+   * @param {Boolean} [done = false] - Has the entire file been received?
+   *
+   * Look for the length of the track and its tags at the start of the file.
+   * We keep looking until we find them, or until the start of the file has
+   * been decoded and dropped. Past the first `MAX_HEADER_LENGTH` bytes, and
+   * for MP4, we only look once the entire file has been received.
+   */
+
+  _probeHeader (pumper, byteOffset, done = false) {
+    if (byteOffset > 0 || pumper.offset > 0) {
+      return
+    }
+
+    // everything we could learn from an MP4 is in the `moov` box, which is
+    // often at the end of the file
+    if (!done && this._segmenter.format === 'mp4') {
+      return
+    }
+
+    // don't read the whole file again every time more of it arrives
+    const needsDuration = this._headerDuration == null && pumper.end <= MAX_HEADER_LENGTH
+    const needsTags = this._tags == null && (done || pumper.end <= MAX_HEADER_LENGTH)
+
+    if (!needsDuration && !needsTags) {
+      return
+    }
+
+    const bytes = pumper.slice(0)
+
+    if (needsDuration) {
+      this._headerDuration = getDuration(bytes, this._bytesTotal)
+      this._updateDuration()
+    }
+
+    if (needsTags) {
+      const tags = readTags(() => getMetadata(bytes, done))
+      if (tags != null) {
+        this._setTags(tags)
+      }
+    }
+  }
+
+  /**
+   * probeTrailer
+   * ============
+   *
+   * @private
+   *
+   * @param {Pumper} pumper
+   *
+   * Look for an ID3v1 tag at the end of the file. Anything in the ID3v2 tag
+   * at the start of the file takes priority.
+   */
+
+  _probeTrailer (pumper) {
+    const tags = readTags(() => parseId3v1(pumper.slice(pumper.end - 128)))
+
+    if (Object.keys(tags).length > 0) {
+      this._setTags({...tags, ...this._tags})
+    }
+  }
+
+  /**
+   * setTags
+   * =======
+   *
+   * @private
+   *
+   * @param {Object} tags - As read from the file.
+   *
+   * Update `metadata`, and emit a `metadata` event if we found anything.
+   */
+
+  _setTags (tags) {
+    this._tags = tags
+
+    const {picture, ...fields} = tags
+
+    if (Object.keys(tags).length === 0) {
+      return
+    }
+
+    this.metadata = {
+      title: null,
+      artist: null,
+      album: null,
+      track: null,
+      ...fields,
+      artwork: picture == null ? null : new Blob([picture.data], {type: picture.type}),
+    }
+
+    this.emit('metadata', this.metadata)
+  }
+
+  /**
+   * updateDuration
+   * ==============
+   *
+   * @private
+   *
+   * Emit a `durationchange` event if our idea of the duration has changed.
+   * An estimate has to change by more than `DURATION_TOLERANCE` first, but an
+   * exact duration is always reported.
+   */
+
+  _updateDuration () {
+    const duration = this.duration()
+    const exact = this.isDurationExact()
+    const previous = this._duration
+
+    // unlike `===`, `Object.is` treats NaN as equal to itself
+    const changed = exact || !Number.isFinite(duration) || !Number.isFinite(previous)
+      ? !Object.is(duration, previous)
+      : Math.abs(duration - previous) > previous * DURATION_TOLERANCE
+
+    if (changed || exact !== this._durationExact) {
+      this._duration = duration
+      this._durationExact = exact
+      this.emit('durationchange', duration)
+    }
+  }
+
+  /** PUBLIC **/
+
+  /**
+   * loadSource
+   * ==========
+   *
+   * Stop the current track, and start downloading a new one. A track that is
+   * still loading is aborted.
+   *
+   * A URL or Request is downloaded with `fetch`. A Blob or File, an
+   * ArrayBuffer or typed array, or a ReadableStream of bytes is read in the
+   * same way, as if it had been downloaded. A stream can only be read once,
+   * so it can't be retried, or seeked past what has been decoded.
+   *
+   * @param {Request|String|Blob|ArrayBuffer|ReadableStream} source
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Stops the track when aborted.
+   * @returns {Promise} Resolves once the whole track has been decoded, and
+   * rejects if it can't be downloaded or decoded, or with an AbortError if
+   * it is stopped or replaced before then.
+   */
+
+  loadSource (source, options = {}) {
+    const {signal = null} = options
+
+    this.stop()
+    this._source = source
+    this._decodedBytes = 0
+    this._decodedDuration = 0
+    this._headerDuration = null
+    this._duration = NaN
+    this._durationExact = false
+    this._tags = null
+    this._dataOffset = 0
+    this._loopRegion = null
+    this.metadata = null
+    this.streamTitle = null
+    this._bytesTotal = null
+    this._stats.reset()
+
+    if (signal != null && signal.aborted) {
+      return Promise.reject(new AbortError())
+    }
+
+    const loaded = this._startLoad(signal)
+
+    this._startStatsUpdates()
+    this._load(0, 0)
+
+    return loaded
+  }
+
+  /**
+   * buffered
+   * ========
+   *
+   * How much of the current track is buffered. Value is in seconds.
+   */
+
+  buffered () {
+    const {audioSource} = this
+
+    if (audioSource == null) {
+      return 0
+    }
+
+    return this.bufferStart + this._bufferDuration(audioSource.buffer)
+  }
+
+  /**
+   * getStats
+   * ========
+   *
+   * How well the current track is downloading and playing. This is also
+   * emitted as a `stats` event every `statsInterval` milliseconds.
+   *
+   * @returns {Object} `{bytesLoaded, bytesTotal, throughput, bufferedAhead,
+   * decodeLatency, averageDecodeLatency, rebuffers, timeToFirstAudio}`. See
+   * the README for what each one means.
+   */
+
+  getStats () {
+    return {
+      bytesLoaded: this._bytesLoaded,
+      bytesTotal: this._bytesTotal,
+      bufferedAhead: Math.max(0, this.buffered() - this.currentTime()),
+      ...this._stats.get(),
+    }
+  }
+
+  /**
+   * bufferedRanges
+   * ==============
+   *
+   * @returns {Array<Object>} The part of the track that is ready to play, as
+   * `{start, end}` in seconds. There is only ever one range, because the
+   * audio from before a seek is thrown away.
+   */
+
+  bufferedRanges () {
+    if (this.audioSource == null) {
+      return []
+    }
+
+    return [{start: this.bufferStart, end: this.buffered()}]
+  }
+
+  /**
+   * duration
+   * ========
+   *
+   * Length of the current track in seconds.
+   *
+   * While the track is loading, this is read from the file's header (Xing,
+   * Info or VBRI for MP3, or the WAV, FLAC or Ogg headers), or estimated from
+   * the size of the file and its bitrate. Once the entire track has been
+   * decoded, it is exact. Returns NaN if we can't tell yet, and Infinity for a
+   * live stream.
+   */
+
+  duration () {
+    const {audioBuffer, loading, _headerDuration: header} = this
+
+    if (this.live) {
+      return Infinity
+    }
+
+    if (!loading) {
+      return audioBuffer == null ? NaN : this.bufferStart + this._bufferDuration()
+    }
+
+    if (header != null) {
+      return header.duration
+    }
+
+    const {_decodedBytes: bytes, _decodedDuration: duration, _bytesTotal: total} = this
+
+    if (total == null || duration <= 0) {
+      return NaN
+    }
+
+    return (total / bytes) * duration
+  }
+
+  /**
+   * isDurationExact
+   * ===============
+   *
+   * Is `duration()` exact, rather than an estimate? It is once the entire
+   * track has been decoded, or while it is loading if the file's header gives
+   * the number of samples or frames.
+   */
+
+  isDurationExact () {
+    const {_headerDuration: header} = this
+
+    if (this.live) {
+      return false
+    }
+
+    if (!this.loading) {
+      return this.audioBuffer != null
+    }
+
+    return header != null && header.exact
+  }
+
+  /**
+   * currentTime
+   * ===========
+   *
+   * How much of the current track has been played. Value is in seconds.
+   */
+
+  currentTime () {
+    const {audioSource, startTime} = this
+
+    if (startTime == null) {
+      return 0
+    }
+
+    const position = this._position()
+
+    // we are waiting for the audio at this position to be downloaded
+    if (audioSource == null) {
+      return position
+    }
+
+    // the track may be scheduled to start in the future
+    const end = this.bufferStart + this._bufferDuration(audioSource.buffer)
+    return Math.max(0, Math.min(position, end))
+  }
+
+  /**
+   * seek
+   * ====
+   *
+   * Jump to a position in the current track, in seconds.
+   *
+   * If that part of the track has already been decoded, playback continues
+   * from there straight away. Otherwise we start buffering, and download the
+   * track from (roughly) that position using a Range request.
+   *
+   * A live stream can only be seeked within the audio that has been kept.
+   */
+
+  seek (time) {
+    time = this._clampTime(time)
+
+    const playing = !this.paused || this.buffering
+
+    if (this._isBuffered(time)) {
+      this._disposeAudioSource()
+      this.audioSource = this._createAudioSource(this.audioBuffer)
+      this.paused = true
+      this._setPosition(time)
+
+      if (playing) {
+        this._playAudioBuffer()
+      }
+      return
+    }
+
+    this._disposeAudioSource()
+    this._stopTimeUpdates()
+    this.paused = true
+    this.buffering = playing
+    this._setPosition(time)
+
+    if (playing) {
+      this.emit('waiting')
+    }
+
+    // we can only download part of the file if it can be decoded in pieces
+    const byteOffset = this._estimateByteOffset(time)
+    if (byteOffset != null && this._canLoadFrom()) {
+      this._load(byteOffset, time)
+    }
   }
 
   /**
-   * buffered
-   * ========
+   * canLoadFrom
+   * ===========
    *
-   * How much of the current track is buffered. Value is in seconds.
+   * @private
+   *
+   * @returns {Boolean} Can we start loading the track from part way through?
+   * Only formats that can be decoded in pieces can, and only from a source
+   * that can be opened again.
    */
 
-  buffered () {
-    const {audioSource} = this
+  _canLoadFrom () {
+    return !this.live && this._segmenter != null && this._segmenter.incremental &&
+      isSeekable(this._source)
+  }
+
+  /**
+   * play
+   * ====
+   *
+   * Play the current track. If it has been paused, resume it, else, or once
+   * it has ended, start from the beginning
+   *
+   * A live stream resumes where it was paused if that audio has been kept,
+   * and otherwise from the live edge.
+   */
+
+  play () {
+    const {audioSource, paused} = this
 
     if (audioSource == null) {
-      return 0
+      // after seeking, hold the playhead where it is until there is audio
+      this.paused = this.startTime != null
+      this.buffering = true
+      this.emit('waiting')
+      return
+    }
+
+    if (!paused) {
+      return
+    }
+
+    // the audio we paused at has been thrown away, so catch up with the stream
+    if (this.live && !this._isBuffered(this._position())) {
+      this._setPosition(this._liveEdge())
+    }
+
+    // like a media element, a track that has ended starts again from the beginning
+    if (!this.live && !this.loading && this._position() >= this.duration()) {
+      this.seek(0)
+    }
+
+    // we have seeked to a part of the track that is still being downloaded
+    if (!this._isBuffered(this._position())) {
+      this.buffering = true
+      this.emit('waiting')
+      return
+    }
+
+    if (this.fadeDuration > 0) {
+      this.fadeIn(this.fadeDuration)
     }
 
-    const {duration} = audioSource.buffer
+    this._playAudioBuffer()
 
-    return duration
+    this.emit('play')
   }
 
   /**
-   * currentTime
+   * playAt
+   * ======
+   *
+   * Start playing the current track at `when` seconds on the AudioContext
+   * clock. This is used to schedule sample-accurate transitions between
+   * tracks.
+   *
+   * @param {Number} when
+   * @returns {Boolean} False if the track isn't ready to be played yet.
+   */
+
+  playAt (when) {
+    const {audioSource, paused} = this
+
+    if (audioSource == null || !paused || !this._isBuffered(this._position())) {
+      return false
+    }
+
+    this._playAudioBuffer(when)
+
+    this.emit('play')
+    return true
+  }
+
+  get effects () {
+    return this._chain.nodes
+  }
+
+  get volume () {
+    return this._volume.volume
+  }
+
+  set volume (volume) {
+    this.setVolume(volume)
+  }
+
+  get muted () {
+    return this._volume.muted
+  }
+
+  set muted (muted) {
+    this._volume.setMuted(muted)
+  }
+
+  get playbackRate () {
+    return this._playbackRate
+  }
+
+  set playbackRate (rate) {
+    this.setPlaybackRate(rate)
+  }
+
+  /**
+   * setPlaybackRate
+   * ===============
+   *
+   * Change how fast the track is played, without moving the playhead. The
+   * rate is kept when the track is paused, seeked or changed.
+   *
+   * @param {Number} rate - Between 0.25 and 4, where 1 is normal speed.
+   */
+
+  setPlaybackRate (rate) {
+    const playbackRate = clampPlaybackRate(rate)
+
+    if (playbackRate === this._playbackRate) {
+      return
+    }
+
+    // keep the playhead where it is, and count from here at the new rate
+    const position = this._position()
+    this._playbackRate = playbackRate
+    this._anchor(position)
+
+    if (this.audioSource != null) {
+      this.audioSource.playbackRate.value = playbackRate
+    }
+
+    this.emit('ratechange', playbackRate)
+  }
+
+  get loop () {
+    return this._loop
+  }
+
+  set loop (loop) {
+    this._loop = loop
+    this._updateLoop()
+  }
+
+  get loopRegion () {
+    return this._loopRegion
+  }
+
+  /**
+   * setLoopRegion
+   * =============
+   *
+   * Repeat the part of the track between `start` and `end`, e.g. to practise
+   * a section of a song. If the playhead is outside of the region, it jumps to
+   * `start`. The region can be set before it has been downloaded.
+   *
+   * @param {Number} start - In seconds.
+   * @param {Number} end - In seconds.
+   */
+
+  setLoopRegion (start, end) {
+    if (!(start >= 0 && end > start)) {
+      throw new RangeError(`Invalid loop region: ${start} to ${end}`)
+    }
+
+    this._loopRegion = {start, end}
+
+    const position = this.currentTime()
+    if (position < start || position >= end) {
+      this.seek(start)
+    } else {
+      this._updateLoop()
+    }
+  }
+
+  /**
+   * clearLoopRegion
+   * ===============
+   *
+   * Stop repeating the loop region, and carry on playing from where we are.
+   */
+
+  clearLoopRegion () {
+    this._loopRegion = null
+    this._updateLoop()
+  }
+
+  get fftSize () {
+    return this._analyser.fftSize
+  }
+
+  set fftSize (fftSize) {
+    this._analyser.fftSize = fftSize
+  }
+
+  get smoothing () {
+    return this._analyser.smoothing
+  }
+
+  set smoothing (smoothing) {
+    this._analyser.smoothing = smoothing
+  }
+
+  /**
+   * getFrequencyData
+   * ================
+   *
+   * The spectrum of what is playing right now, for a visualiser.
+   *
+   * @param {Uint8Array|Float32Array} [array] - Where to put the data, which
+   * can be reused each frame. A Float32Array gets decibels, and a Uint8Array
+   * gets values between 0 and 255.
+   * @returns {Uint8Array|Float32Array} `fftSize / 2` frequency bins, from 0Hz
+   * up to half the sample rate.
+   */
+
+  getFrequencyData (array) {
+    return this._analyser.getFrequencyData(array)
+  }
+
+  /**
+   * getWaveformData
+   * ===============
+   *
+   * The waveform of what is playing right now, for an oscilloscope.
+   *
+   * @param {Uint8Array|Float32Array} [array] - Where to put the data. A
+   * Float32Array gets samples between -1 and 1, and a Uint8Array gets values
+   * between 0 and 255, where 128 is silence.
+   * @returns {Uint8Array|Float32Array} The last `fftSize` samples.
+   */
+
+  getWaveformData (array) {
+    return this._analyser.getWaveformData(array)
+  }
+
+  /**
+   * getLevels
+   * =========
+   *
+   * @returns {Object} The `rms` and `peak` levels of the last `fftSize`
+   * samples, between 0 and 1.
+   */
+
+  getLevels () {
+    return this._analyser.getLevels()
+  }
+
+  /**
+   * getPeaks
+   * ========
+   *
+   * The waveform of the part of the track that has been decoded so far, for
+   * drawing a seek bar.
+   *
+   * @returns {Object} `{min, max, samplesPerPeak, sampleRate}`, where `min`
+   * and `max` are Float32Arrays with one value between -1 and 1 for every
+   * `samplesPerPeak` samples.
+   */
+
+  getPeaks () {
+    return this._peaks.get()
+  }
+
+  /**
+   * exportPeaks
    * ===========
    *
-   * How much of the current track has been played. Value is in seconds.
+   * @param {Object} [options]
+   * @param {Number} [options.bits = 8] - 8 or 16.
+   * @returns {Object} The peaks in the audiowaveform JSON format, ready to be
+   * passed to `JSON.stringify`.
    */
 
-  currentTime () {
-    const {context, audioSource, startTime, pauseTime, paused} = this
+  exportPeaks (options) {
+    return this._peaks.toJSON(options)
+  }
 
-    if (audioSource == null || startTime == null) {
-      return 0
+  /**
+   * render
+   * ======
+   *
+   * Play the decoded audio through the effects in an OfflineAudioContext, at
+   * the current volume and playback rate, and collect the result. Mute and
+   * fades are left out. Every effect must be a function that creates an
+   * AudioNode, so that it can be created again in the offline context.
+   *
+   * @param {Object} [options]
+   * @param {Number} [options.start] - Where to start, in seconds. Defaults to
+   * the start of the decoded audio.
+   * @param {Number} [options.end] - Where to end, in seconds. Defaults to the
+   * end of the decoded audio.
+   * @param {Number} [options.sampleRate] - Defaults to the decoded audio's.
+   * @param {Number} [options.channels] - Defaults to the decoded audio's.
+   * @returns {Promise<AudioBuffer>} Rejects with a RangeError if the range
+   * hasn't been decoded.
+   */
+
+  render (options = {}) {
+    const {audioBuffer, bufferStart} = this
+
+    if (audioBuffer == null) {
+      return Promise.reject(new RangeError('There is no decoded audio to render'))
     }
 
-    const {duration} = audioSource.buffer
+    const bufferEnd = bufferStart + this._bufferDuration()
+    const {start = bufferStart, end = bufferEnd, sampleRate, channels} = options
 
-    if (paused) {
-      const timeSincePause = pauseTime - startTime
-      return Math.min(timeSincePause, duration)
+    if (start < bufferStart || end > bufferEnd || end <= start) {
+      return Promise.reject(new RangeError(
+        `Can only render between ${bufferStart} and ${bufferEnd} seconds`,
+      ))
     }
 
-    const timeSinceStart = context.currentTime - startTime
-    return Math.min(timeSinceStart, duration)
+    return renderAudioBuffer(audioBuffer, {
+      start: start - bufferStart,
+      end: end - bufferStart,
+      sampleRate,
+      channels,
+      playbackRate: this._playbackRate,
+      gain: this.volume,
+      effects: this._chain.effects,
+    })
   }
 
   /**
-   * play
-   * ====
+   * exportWav
+   * =========
+   *
+   * Render the track, and encode it as a WAV file.
    *
-   * Play the current track. If it has been paused, resume it, else start from
-   * the beginning
+   * @param {Object} [options] - Also passed to `render`.
+   * @param {Number} [options.bitDepth = 16] - 16 or 24 for integer samples,
+   * or 32 for floating point samples.
+   * @returns {Promise<Blob>}
    */
 
-  play () {
-    const {audioSource, paused} = this
+  exportWav (options = {}) {
+    const {bitDepth = 16} = options
 
-    if (audioSource == null) {
-      this.paused = false
-      this.buffering = true
-      return
+    return this.render(options).then((audioBuffer) => {
+      const bytes = encodeWav(audioBuffer, {bitDepth})
+      return new Blob([bytes], {type: 'audio/wav'})
+    })
+  }
+
+  /**
+   * prefetch
+   * ========
+   *
+   * Download tracks into the cache ahead of time, so they start straight
+   * away when they are played. This does nothing without a cache.
+   *
+   * @param {Array<String>} urls
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Stops prefetching.
+   * @returns {Promise} Resolves once every track has been tried. Tracks that
+   * fail to download are skipped.
+   */
+
+  prefetch (urls, options = {}) {
+    if (this._cache == null) {
+      return Promise.resolve()
     }
 
-    if (!paused) {
+    const {signal = null} = options
+    return this._cache.prefetch(urls, {fetch: this._fetch, headers: this._headers, signal})
+  }
+
+  /**
+   * setVolume
+   * =========
+   *
+   * @param {Number} volume - Between 0 and 1.
+   * @param {Number} [rampSeconds = 0] - Smoothly change to the new volume
+   * over this many seconds.
+   */
+
+  setVolume (volume, rampSeconds = 0) {
+    this._volume.setVolume(volume, rampSeconds)
+  }
+
+  /**
+   * setEffects
+   * ==========
+   *
+   * Replace the effects that the track is played through. This can be done
+   * at any time, even while the track is playing.
+   *
+   * @param {Array<AudioNode|Function>} effects
+   */
+
+  setEffects (effects) {
+    this._chain.setEffects(effects)
+  }
+
+  /**
+   * fadeIn
+   * ======
+   *
+   * Fade the track in over `duration` seconds. If the track isn't playing yet
+   * (for example if it is still buffering), it is silenced now and the fade
+   * starts as soon as playback does.
+   *
+   * @param {Number} duration
+   */
+
+  fadeIn (duration) {
+    const {context, fadeNode} = this
+
+    if (this.paused) {
+      setGain(fadeNode.gain, 0)
+      this._pendingFadeIn = duration
       return
     }
 
-    this._playAudioBuffer()
+    rampGain(fadeNode.gain, 1, context.currentTime, duration)
+  }
+
+  /**
+   * fadeOut
+   * =======
+   *
+   * Fade the track out over `duration` seconds. Playback continues, silently,
+   * until the track is paused or stopped.
+   *
+   * @param {Number} duration
+   */
+
+  fadeOut (duration) {
+    const {context, fadeNode} = this
+
+    this._pendingFadeIn = 0
+    rampGain(fadeNode.gain, 0, context.currentTime, duration)
+  }
+
+  /**
+   * pause
+   * =====
+   *
+   * @private
+   * @param {Number} fadeDuration - How long to fade out for, in seconds.
+   *
+   * Stop the audio source, and remember where we were. Doesn't fire any
+   * events.
+   */
+
+  _pause (fadeDuration) {
+    const {context, audioSource} = this
+
+    this.paused = true
+    this._stopTimeUpdates()
+
+    if (fadeDuration > 0) {
+      // keep playing until the fade has finished
+      this.pauseTime = this._fadeOutAudioSource()
+    } else {
+      this.pauseTime = context.currentTime
+      audioSource.onended = null
+      this._disposeAudioSource()
+    }
 
-    this.onPlay()
+    this.audioSource = this._createAudioSource(this.audioBuffer)
   }
 
   /**
@@ -320,7 +2175,7 @@ export default class WebAudio {
    */
 
   pause () {
-    const {context, paused, audioSource} = this
+    const {paused, audioSource} = this
 
     if (audioSource == null) {
       this.paused = true
@@ -329,17 +2184,14 @@ export default class WebAudio {
     }
 
     if (paused) {
+      // don't start playing when the buffer is ready
+      this.buffering = false
       return
     }
 
-    this.paused = true
-    this.pauseTime = context.currentTime
-
-    audioSource.onended = null
-    this._disposeAudioSource()
-    this.audioSource = this._createAudioSource()
+    this._pause(this.fadeDuration)
 
-    this.onPause()
+    this.emit('pause')
   }
 
   /**
@@ -350,11 +2202,57 @@ export default class WebAudio {
    */
 
   stop () {
-    if (this.audioSource != null) {
-      this._disposeAudioSource()
-      this._disposePumper()
-      this._disposeAudioBuffer()
-      this.onStop()
+    const {fadeNode, audioSource} = this
+
+    // there is no audio source before the first audio has been decoded, or
+    // while we wait for the audio at a new position, but there is still a
+    // track to stop
+    const loaded = audioSource != null || this.audioBuffer != null || this.loading
+
+    if (audioSource != null && this.fadeDuration > 0 && !this.paused) {
+      // the fading source is left to finish by itself
+      const when = this._fadeOutAudioSource()
+      this._fadingSource = null
+      fadeNode.gain.setValueAtTime(1, when)
+    } else {
+      this._disposeFadingSource()
+      setGain(fadeNode.gain, 1)
+    }
+
+    this._pendingFadeIn = 0
+
+    this._stopTimeUpdates()
+    this._stopStatsUpdates()
+    this._disposeAudioSource()
+    this._abortLoad()
+    this._disposeAudioBuffer()
+
+    if (loaded) {
+      this.emit('stop')
     }
   }
+
+  /**
+   * dispose
+   * =======
+   *
+   * Stop the track straight away, without any events, and disconnect
+   * everything from the AudioContext. The player can't be used again after
+   * this.
+   */
+
+  dispose () {
+    this._stopTimeUpdates()
+    this._stopStatsUpdates()
+    this._disposeFadingSource()
+    this._disposeAudioSource()
+    this._abortLoad()
+    this._disposeAudioBuffer()
+
+    this._disposeRecorder()
+
+    this._chain.dispose()
+    this._analyser.dispose()
+    this.volumeNode.disconnect()
+  }
 }
@@ -5,3 +5,49 @@ export function concatUint8Array (buffer1, buffer2) {
   return tmp
 }
 
+/**
+ * copyAudioBuffer
+ * ===============
+ *
+ * Copy samples `start` to `end` of one audio buffer into another, at
+ * `offset`. A mono buffer is copied into every channel.
+ *
+ * @param {AudioBuffer} target - Must have room for the samples.
+ * @param {AudioBuffer} source
+ * @param {Number} offset - In samples.
+ * @param {Number} [start = 0] - In samples.
+ * @param {Number} [end = source.length] - In samples.
+ */
+
+export function copyAudioBuffer (target, source, offset, start = 0, end = source.length) {
+  for (let channel = 0; channel < target.numberOfChannels; channel += 1) {
+    const data = source.getChannelData(Math.min(channel, source.numberOfChannels - 1))
+    target.getChannelData(channel).set(data.subarray(start, end), offset)
+  }
+}
+
+/**
+ * sliceAudioBuffer
+ * ================
+ *
+ * Copy samples `start` to `end` of an audio buffer into a new buffer, which
+ * can be longer than that to leave room for more audio, and can have more
+ * channels. A mono buffer is copied into every channel.
+ *
+ * @param {AudioContext} context - Used to create the new buffer.
+ * @param {AudioBuffer} buffer
+ * @param {Number} start - In samples.
+ * @param {Number} end - In samples.
+ * @param {Object} [options]
+ * @param {Number} [options.length = end - start] - The length of the new
+ * buffer.
+ * @param {Number} [options.numberOfChannels = buffer.numberOfChannels]
+ * @returns {AudioBuffer}
+ */
+
+export function sliceAudioBuffer (context, buffer, start, end, options = {}) {
+  const {length = end - start, numberOfChannels = buffer.numberOfChannels} = options
+  const tmp = context.createBuffer(numberOfChannels, length, buffer.sampleRate)
+  copyAudioBuffer(tmp, buffer, 0, start, end)
+  return tmp
+}
@@ -0,0 +1,48 @@
+import Player from './Player'
+import WebAudio from './WebAudio'
+import MediaElement from './MediaElement'
+
+export const BACKENDS = {
+  webaudio: WebAudio,
+  mediaelement: MediaElement,
+}
+
+/**
+ * supportsStreaming
+ * =================
+ *
+ * Can this browser stream a response body into the WebAudio backend?
+ */
+
+export function supportsStreaming () {
+  return typeof fetch === 'function' && typeof ReadableStream === 'function'
+}
+
+/**
+ * createPlayer
+ * ============
+ *
+ * Create a new Player, using the WebAudio streaming backend where the browser
+ * supports it, and the MediaElement backend everywhere else.
+ *
+ * @param {Object} options - Also passed to the backend constructor.
+ * @param {String} [options.backend] - Force a backend, either 'webaudio' or
+ * 'mediaelement'.
+ * @param {Boolean} [options.autoplay = false] - Unlike a MediaElement on its
+ * own, the player waits for `play`, like the WebAudio backend does.
+ * @returns {Player}
+ */
+
+export default function createPlayer (options) {
+  const {
+    backend = supportsStreaming() ? 'webaudio' : 'mediaelement',
+  } = options
+
+  const Backend = BACKENDS[backend]
+
+  if (Backend == null) {
+    throw new Error(`Unknown backend: "${backend}"`)
+  }
+
+  return new Player({backend: new Backend({autoplay: false, ...options})})
+}
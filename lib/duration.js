@@ -0,0 +1,35 @@
+import * as mp3 from './formats/mp3'
+import * as wav from './formats/wav'
+import * as flac from './formats/flac'
+import * as ogg from './formats/ogg'
+
+/**
+ * getDuration
+ * ===========
+ *
+ * Work out how long a track is from the start of the file, without decoding
+ * it.
+ *
+ * @private
+ * @param {Uint8Array} bytes - The start of the file.
+ * @param {Number|null} totalBytes - The size of the entire file, if we know
+ * it.
+ * @returns {Object|null} `{duration, exact}`, where `exact` is true if the
+ * duration came from the file's header, or null if we can't tell (yet).
+ */
+
+export default function getDuration (bytes, totalBytes) {
+  if (wav.isWav(bytes)) {
+    return wav.getDuration(bytes, totalBytes)
+  }
+  if (flac.isFlac(bytes)) {
+    return flac.getDuration(bytes)
+  }
+  if (ogg.isOgg(bytes)) {
+    return ogg.getDuration(bytes, totalBytes)
+  }
+  if (mp3.isMp3(bytes)) {
+    return mp3.getDuration(bytes, totalBytes)
+  }
+  return null
+}
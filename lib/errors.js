@@ -0,0 +1,142 @@
+/**
+ * HttpError
+ * =========
+ *
+ * The server responded, but not with the audio we asked for.
+ *
+ * @class HttpError
+ * @param {Response} res
+ * @property {Number} status - The HTTP status code, e.g. 404.
+ * @property {String} url
+ * @property {Boolean} retryable - Is it worth trying again?
+ */
+
+export class HttpError extends Error {
+  constructor (res) {
+    super(`Request failed with status ${res.status}`)
+
+    // babel can't extend built-in classes, so `instanceof` needs a hand
+    Object.setPrototypeOf(this, HttpError.prototype)
+
+    this.name = 'HttpError'
+    this.status = res.status
+    this.url = res.url
+
+    // server errors and timeouts may go away if we ask again, but there's no
+    // point asking for a file that doesn't exist
+    this.retryable = res.status >= 500 || res.status === 408 || res.status === 429
+  }
+}
+
+/**
+ * NetworkError
+ * ============
+ *
+ * The request failed, or the connection dropped while downloading.
+ *
+ * @class NetworkError
+ * @param {String} message
+ * @param {Error} [cause] - The original error thrown by `fetch`, or by the
+ * stream reader.
+ * @property {Error} cause
+ * @property {Boolean} retryable - Always true.
+ */
+
+export class NetworkError extends Error {
+  constructor (message, cause = null) {
+    super(message)
+
+    Object.setPrototypeOf(this, NetworkError.prototype)
+
+    this.name = 'NetworkError'
+    this.cause = cause
+    this.retryable = true
+  }
+}
+
+/**
+ * UnsupportedFormatError
+ * ======================
+ *
+ * The file isn't in a format that we know how to stream.
+ *
+ * @class UnsupportedFormatError
+ * @param {String|null} contentType - The Content-Type of the response.
+ * @property {String|null} contentType
+ * @property {Boolean} retryable - Always false.
+ */
+
+export class UnsupportedFormatError extends Error {
+  constructor (contentType = null) {
+    const type = contentType == null ? '' : ` (${contentType})`
+    super(`Unsupported audio format${type}. Expected MP3, AAC, WAV, FLAC, Ogg or MP4.`)
+
+    Object.setPrototypeOf(this, UnsupportedFormatError.prototype)
+
+    this.name = 'UnsupportedFormatError'
+    this.contentType = contentType
+    this.retryable = false
+  }
+}
+
+/**
+ * AbortError
+ * ==========
+ *
+ * The track was stopped, or another one was loaded, before it finished
+ * loading.
+ *
+ * @class AbortError
+ * @property {Boolean} retryable - Always false.
+ */
+
+export class AbortError extends Error {
+  constructor (message = 'The load was aborted') {
+    super(message)
+
+    Object.setPrototypeOf(this, AbortError.prototype)
+
+    this.name = 'AbortError'
+    this.retryable = false
+  }
+}
+
+// the codes of a MediaError
+const MEDIA_ERRORS = {
+  1: 'MEDIA_ERR_ABORTED',
+  2: 'MEDIA_ERR_NETWORK',
+  3: 'MEDIA_ERR_DECODE',
+  4: 'MEDIA_ERR_SRC_NOT_SUPPORTED',
+}
+
+/**
+ * MediaElementError
+ * =================
+ *
+ * The audio element couldn't download or play the track.
+ *
+ * @class MediaElementError
+ * @param {MediaError} [mediaError] - The `error` of the element.
+ * @property {Number} code - The code of the MediaError, e.g. 2 for a network
+ * error, or 0 if the element didn't say.
+ * @property {String} reason - The name of the code, e.g.
+ * 'MEDIA_ERR_NETWORK'.
+ * @property {Boolean} retryable - True for network errors.
+ */
+
+export class MediaElementError extends Error {
+  constructor (mediaError = null) {
+    const code = mediaError == null ? 0 : mediaError.code
+    const reason = MEDIA_ERRORS[code] || 'MEDIA_ERR_UNKNOWN'
+    const details = mediaError == null ? '' : mediaError.message
+
+    super(details ? `${reason}: ${details}` : reason)
+
+    Object.setPrototypeOf(this, MediaElementError.prototype)
+
+    this.name = 'MediaElementError'
+    this.code = code
+    this.reason = reason
+    this.retryable = code === 2
+  }
+}
@@ -0,0 +1,36 @@
+/**
+ * rampGain
+ * ========
+ *
+ * Smoothly move an AudioParam from its current value to `value`, starting at
+ * `startTime` (on the AudioContext clock) and taking `duration` seconds.
+ * Anything already scheduled after `startTime` is cancelled.
+ *
+ * @private
+ * @param {AudioParam} param
+ * @param {Number} value
+ * @param {Number} startTime
+ * @param {Number} duration
+ */
+
+export function rampGain (param, value, startTime, duration) {
+  param.cancelScheduledValues(startTime)
+  param.setValueAtTime(param.value, startTime)
+  param.linearRampToValueAtTime(value, startTime + duration)
+}
+
+/**
+ * setGain
+ * =======
+ *
+ * Immediately set an AudioParam to `value`, cancelling any ramps.
+ *
+ * @private
+ * @param {AudioParam} param
+ * @param {Number} value
+ */
+
+export function setGain (param, value) {
+  param.cancelScheduledValues(0)
+  param.value = value
+}
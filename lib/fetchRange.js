@@ -0,0 +1,74 @@
+// the headers of a Request, which `init.headers` would replace
+function getRequestHeaders (request) {
+  const headers = {}
+
+  if (request != null && request.headers != null && typeof request.headers.forEach === 'function') {
+    request.headers.forEach((value, name) => {
+      headers[name] = value
+    })
+  }
+
+  return headers
+}
+
+/**
+ * fetchRange
+ * ==========
+ *
+ * Fetch a request, starting from `start` bytes into the response body. The
+ * headers of a Request are kept, along with any that are added.
+ *
+ * @private
+ * @param {Request|String} request
+ * @param {Number} start
+ * @param {Object} [options]
+ * @param {Object} [options.headers = {}] - Any other headers to send.
+ * @param {AbortSignal} [options.signal] - Cancels the request.
+ * @param {Function} [options.fetch] - Used instead of the global `fetch`,
+ * e.g. to add an Authorization header.
+ * @returns {Promise<Response>}
+ */
+
+export default function fetchRange (request, start, options = {}) {
+  const {headers = {}, signal = null} = options
+  const send = options.fetch == null ? fetch : options.fetch
+  const range = start > 0 ? {Range: `bytes=${start}-`} : {}
+
+  if (start <= 0 && Object.keys(headers).length === 0 && signal == null) {
+    return send(request)
+  }
+
+  const init = {headers: {...getRequestHeaders(request), ...headers, ...range}}
+  if (signal != null) {
+    init.signal = signal
+  }
+
+  return send(request, init)
+}
+
+/**
+ * getTotalBytes
+ * =============
+ *
+ * The size of the entire file, from the headers of a (possibly partial)
+ * response.
+ *
+ * @private
+ * @param {Response} res
+ * @returns {Number|null} The size in bytes, or null if the server didn't tell
+ * us.
+ */
+
+export function getTotalBytes (res) {
+  const {headers} = res
+
+  // e.g. "bytes 1000-1999/5000"
+  const contentRange = headers.get('Content-Range')
+  if (contentRange != null) {
+    const match = /\/(\d+)$/.exec(contentRange)
+    return match == null ? null : Number(match[1])
+  }
+
+  const contentLength = headers.get('Content-Length')
+  return contentLength == null ? null : Number(contentLength)
+}
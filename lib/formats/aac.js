@@ -0,0 +1,95 @@
+/* eslint-disable no-bitwise */
+
+/**
+ * AAC
+ * ===
+ *
+ * Helpers for finding ADTS frames in a stream of raw AAC audio.
+ *
+ * @private
+ */
+
+const SAMPLE_RATES = [
+  96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350,
+]
+
+/**
+ * parseFrameHeader
+ * ================
+ *
+ * Read the ADTS header at `offset`.
+ *
+ * @param {Uint8Array} bytes
+ * @param {Number} offset
+ * @returns {Object|null} The frame info, or null if `offset` isn't the start
+ * of a valid frame.
+ */
+
+export function parseFrameHeader (bytes, offset) {
+  if (offset + 7 > bytes.length) {
+    return null
+  }
+
+  const b2 = bytes[offset + 2]
+  const b3 = bytes[offset + 3]
+
+  // a frame sync, followed by a layer of 0
+  if (bytes[offset] !== 0xFF || (bytes[offset + 1] & 0xF6) !== 0xF0) {
+    return null
+  }
+
+  const sampleRate = SAMPLE_RATES[(b2 >> 2) & 0x0F]
+  const channels = ((b2 & 0x01) << 2) | (b3 >> 6)
+  const frameLength = ((b3 & 0x03) << 11) | (bytes[offset + 4] << 3) | (bytes[offset + 5] >> 5)
+
+  if (sampleRate == null || frameLength < 7) {
+    return null
+  }
+
+  return {
+    sampleRate,
+    channels,
+    samplesPerFrame: 1024 * ((bytes[offset + 6] & 0x03) + 1),
+    frameLength,
+  }
+}
+
+/**
+ * findFrame
+ * =========
+ *
+ * Search for the first frame at or after `offset`, which must be followed by
+ * another valid header (or by the end of the data we have).
+ *
+ * @param {Uint8Array} bytes
+ * @param {Number} offset
+ * @returns {Number} The offset of the frame, or -1 if there isn't one.
+ */
+
+export function findFrame (bytes, offset) {
+  for (let i = offset; i < bytes.length - 6; i += 1) {
+    const header = parseFrameHeader(bytes, i)
+
+    if (header != null) {
+      const next = i + header.frameLength
+      if (next + 7 > bytes.length || parseFrameHeader(bytes, next) != null) {
+        return i
+      }
+    }
+  }
+
+  return -1
+}
+
+/**
+ * isAdts
+ * ======
+ *
+ * @param {Uint8Array} bytes
+ * @param {Number} [offset = 0]
+ * @returns {Boolean}
+ */
+
+export function isAdts (bytes, offset = 0) {
+  return parseFrameHeader(bytes, offset) != null
+}
@@ -0,0 +1,153 @@
+/* eslint-disable no-bitwise */
+
+/**
+ * Bytes
+ * =====
+ *
+ * Helpers for reading numbers and strings out of file headers.
+ *
+ * @private
+ */
+
+/**
+ * readString
+ * ==========
+ *
+ * Read `length` bytes at `offset` as an ASCII string.
+ *
+ * @param {Uint8Array} bytes
+ * @param {Number} offset
+ * @param {Number} length
+ * @returns {String}
+ */
+
+export function readString (bytes, offset, length) {
+  return String.fromCharCode(...bytes.subarray(offset, offset + length))
+}
+
+export function readUint16LE (bytes, offset) {
+  return bytes[offset] | (bytes[offset + 1] << 8)
+}
+
+export function readUint32LE (bytes, offset) {
+  return (bytes[offset] |
+    (bytes[offset + 1] << 8) |
+    (bytes[offset + 2] << 16) |
+    (bytes[offset + 3] << 24)) >>> 0
+}
+
+export function readUint16BE (bytes, offset) {
+  return (bytes[offset] << 8) | bytes[offset + 1]
+}
+
+export function readUint24BE (bytes, offset) {
+  return (bytes[offset] << 16) | (bytes[offset + 1] << 8) | bytes[offset + 2]
+}
+
+export function readUint32BE (bytes, offset) {
+  return ((bytes[offset] << 24) |
+    (bytes[offset + 1] << 16) |
+    (bytes[offset + 2] << 8) |
+    bytes[offset + 3]) >>> 0
+}
+
+// a 28 bit number, with the top bit of each byte left clear so that it can't
+// be mistaken for a frame sync
+export function readSyncsafe (bytes, offset) {
+  return (bytes[offset] << 21) |
+    (bytes[offset + 1] << 14) |
+    (bytes[offset + 2] << 7) |
+    bytes[offset + 3]
+}
+
+/**
+ * decodeUtf8
+ * ==========
+ *
+ * Bytes that aren't valid UTF-8 become U+FFFD, unless `fatal` is set.
+ *
+ * @param {Uint8Array} bytes
+ * @param {Boolean} [fatal = false]
+ * @returns {String}
+ * @throws {TypeError} If `fatal` is set, and the bytes aren't valid UTF-8.
+ */
+
+export function decodeUtf8 (bytes, fatal = false) {
+  return new TextDecoder('utf-8', {fatal}).decode(bytes)
+}
+
+/**
+ * decodeLatin1
+ * ============
+ *
+ * Browsers decode ISO-8859-1 as Windows-1252, which only differs in the
+ * control characters that nobody uses.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {String}
+ */
+
+export function decodeLatin1 (bytes) {
+  return new TextDecoder('latin1').decode(bytes)
+}
+
+/**
+ * decodeUtf16
+ * ===========
+ *
+ * Uses the byte order mark if there is one, otherwise big endian.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {String}
+ */
+
+export function decodeUtf16 (bytes) {
+  let littleEndian = false
+  let offset = 0
+
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+    littleEndian = true
+    offset = 2
+  } else if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+    offset = 2
+  }
+
+  const codes = []
+  for (let i = offset; i + 1 < bytes.length; i += 2) {
+    codes.push(littleEndian ? readUint16LE(bytes, i) : readUint16BE(bytes, i))
+  }
+
+  return String.fromCharCode(...codes)
+}
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+/**
+ * decodeBase64
+ * ============
+ *
+ * @param {String} string
+ * @returns {Uint8Array}
+ */
+
+export function decodeBase64 (string) {
+  const input = string.replace(/[^A-Za-z0-9+/]/g, '')
+  const bytes = new Uint8Array(Math.floor((input.length * 3) / 4))
+
+  let bits = 0
+  let count = 0
+  let index = 0
+
+  for (let i = 0; i < input.length; i += 1) {
+    bits = (bits << 6) | BASE64.indexOf(input[i])
+    count += 6
+
+    if (count >= 8) {
+      count -= 8
+      bytes[index] = (bits >> count) & 0xFF
+      index += 1
+    }
+  }
+
+  return bytes
+}
@@ -0,0 +1,271 @@
+/* eslint-disable no-bitwise */
+
+import {id3Length} from './mp3'
+import {readString, readUint24BE, readUint32BE} from './bytes'
+import {parseVorbisComment, parsePictureBlock} from './vorbisComment'
+
+const STREAMINFO = 0
+const VORBIS_COMMENT = 4
+const PICTURE = 6
+
+// CRC-8 with the polynomial x^8 + x^2 + x^1 + x^0, which protects each frame
+// header
+const CRC8_TABLE = Array.from(Array(256), (_, i) => {
+  let crc = i
+  for (let bit = 0; bit < 8; bit += 1) {
+    crc = (crc & 0x80) === 0 ? crc << 1 : (crc << 1) ^ 0x07
+  }
+  return crc & 0xFF
+})
+
+/**
+ * FLAC
+ * ====
+ *
+ * Helpers for reading the metadata blocks at the start of a FLAC file.
+ *
+ * @private
+ */
+
+/**
+ * isFlac
+ * ======
+ *
+ * FLAC files sometimes start with an ID3 tag, even though they shouldn't.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Boolean}
+ */
+
+export function isFlac (bytes) {
+  return readString(bytes, id3Length(bytes), 4) === 'fLaC'
+}
+
+/**
+ * parseStreamInfo
+ * ===============
+ *
+ * Read the STREAMINFO block, which is always the first metadata block.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Object|null} `{sampleRate, channels, totalSamples}`, or null if
+ * we don't have the whole block yet.
+ */
+
+export function parseStreamInfo (bytes) {
+  // skip "fLaC" and the metadata block header
+  const offset = id3Length(bytes) + 8
+
+  if (offset + 18 > bytes.length) {
+    return null
+  }
+
+  const sampleRate = (readUint24BE(bytes, offset + 10) >> 4)
+  const channels = ((bytes[offset + 12] >> 1) & 0x07) + 1
+
+  // the number of samples is a 36 bit number, which is too big for bitwise
+  // operators
+  const totalSamples = ((bytes[offset + 13] & 0x0F) * 0x100000000) +
+    readUint32BE(bytes, offset + 14)
+
+  return {sampleRate, channels, totalSamples}
+}
+
+/**
+ * getDuration
+ * ===========
+ *
+ * @param {Uint8Array} bytes - The start of the file.
+ * @returns {Object|null} `{duration, exact}`, or null if we can't tell.
+ */
+
+export function getDuration (bytes) {
+  const info = parseStreamInfo(bytes)
+
+  // the encoder is allowed to leave the number of samples blank
+  if (info == null || info.sampleRate === 0 || info.totalSamples === 0) {
+    return null
+  }
+
+  return {duration: info.totalSamples / info.sampleRate, exact: true}
+}
+
+/**
+ * readBlocks
+ * ==========
+ *
+ * List the metadata blocks at the start of the file.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Array<Object>|null} `{type, data}` for each block, or null if we
+ * don't have every block yet.
+ */
+
+export function readBlocks (bytes) {
+  let offset = id3Length(bytes) + 4
+  const blocks = []
+
+  while (offset + 4 <= bytes.length) {
+    const last = (bytes[offset] & 0x80) !== 0
+    const type = bytes[offset] & 0x7F
+    const length = readUint24BE(bytes, offset + 1)
+    const start = offset + 4
+
+    if (start + length > bytes.length) {
+      return null
+    }
+
+    blocks.push({type, data: bytes.subarray(start, start + length), end: start + length})
+
+    if (last) {
+      return blocks
+    }
+
+    offset = start + length
+  }
+
+  return null
+}
+
+/**
+ * parseHeader
+ * ===========
+ *
+ * Find where the audio frames start, and create a minimal header that can be
+ * put in front of any run of frames to make them decodable.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Object|null} `{header, dataOffset}`, or null if we don't have
+ * every metadata block yet.
+ */
+
+export function parseHeader (bytes) {
+  const blocks = readBlocks(bytes)
+  if (blocks == null || blocks[0].type !== STREAMINFO) {
+    return null
+  }
+
+  const streamInfo = blocks[0].data
+  const header = new Uint8Array(8 + streamInfo.length)
+
+  // "fLaC", followed by STREAMINFO marked as the last metadata block
+  header.set([0x66, 0x4C, 0x61, 0x43, 0x80, 0, 0, streamInfo.length], 0)
+  header.set(streamInfo, 8)
+
+  return {header, dataOffset: blocks[blocks.length - 1].end}
+}
+
+// the number of bytes in a UTF-8 style coded number, given its first byte
+function codedNumberLength (byte) {
+  let length = 0
+  while (length < 8 && (byte & (0x80 >> length)) !== 0) {
+    length += 1
+  }
+  if (length === 0) {
+    return 1
+  }
+  return length === 1 || length > 7 ? -1 : length
+}
+
+// the length of the frame header before the CRC, or -1 if it has values
+// that aren't allowed
+function frameHeaderLength (bytes, offset) {
+  const blockSize = bytes[offset + 2] >> 4
+  const sampleRate = bytes[offset + 2] & 0x0F
+  const channels = bytes[offset + 3] >> 4
+  const sampleSize = (bytes[offset + 3] >> 1) & 0x07
+
+  if (blockSize === 0 || sampleRate === 15 || channels > 10 ||
+      sampleSize === 3 || sampleSize === 7 || (bytes[offset + 3] & 0x01) !== 0) {
+    return -1
+  }
+
+  const numberLength = codedNumberLength(bytes[offset + 4])
+  if (numberLength < 0) {
+    return -1
+  }
+
+  return 4 + numberLength +
+    ([0, 0, 0, 0, 0, 0, 1, 2][blockSize] || 0) +
+    [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 2, 2][sampleRate]
+}
+
+/**
+ * isFrameStart
+ * ============
+ *
+ * Is there a frame header at `offset`? The sync code is only 14 bits long,
+ * and can easily turn up in the middle of a frame, so the header's CRC must
+ * match too.
+ *
+ * @param {Uint8Array} bytes
+ * @param {Number} offset
+ * @returns {Boolean}
+ */
+
+export function isFrameStart (bytes, offset) {
+  if (offset + 6 > bytes.length ||
+      bytes[offset] !== 0xFF || (bytes[offset + 1] & 0xFE) !== 0xF8) {
+    return false
+  }
+
+  const length = frameHeaderLength(bytes, offset)
+  if (length < 0 || offset + length >= bytes.length) {
+    return false
+  }
+
+  let crc = 0
+  for (let i = offset; i < offset + length; i += 1) {
+    crc = CRC8_TABLE[crc ^ bytes[i]]
+  }
+
+  return crc === bytes[offset + length]
+}
+
+/**
+ * findFrame
+ * =========
+ *
+ * Search for the first frame at or after `offset`.
+ *
+ * @param {Uint8Array} bytes
+ * @param {Number} offset
+ * @returns {Number} The offset of the frame, or -1 if there isn't one.
+ */
+
+export function findFrame (bytes, offset) {
+  for (let i = offset; i < bytes.length - 1; i += 1) {
+    if (bytes[i] === 0xFF && isFrameStart(bytes, i)) {
+      return i
+    }
+  }
+  return -1
+}
+
+/**
+ * getMetadata
+ * ===========
+ *
+ * Read the tags from the VORBIS_COMMENT and PICTURE metadata blocks.
+ *
+ * @param {Uint8Array} bytes - The start of the file.
+ * @returns {Object|null} The tags, or null if we don't have every metadata
+ * block yet.
+ */
+
+export function getMetadata (bytes) {
+  const blocks = readBlocks(bytes)
+  if (blocks == null) {
+    return null
+  }
+
+  return blocks.reduce((tags, block) => {
+    if (block.type === VORBIS_COMMENT) {
+      return {...tags, ...parseVorbisComment(block.data)}
+    }
+    if (block.type === PICTURE && tags.picture == null) {
+      return {...tags, picture: parsePictureBlock(block.data)}
+    }
+    return tags
+  }, {})
+}
@@ -0,0 +1,64 @@
+import {decodeUtf8, decodeLatin1} from './bytes'
+
+/**
+ * ICY
+ * ===
+ *
+ * Helpers for the metadata that Icecast and SHOUTcast servers mix into the
+ * audio, when asked to with an `Icy-MetaData: 1` header.
+ *
+ * @private
+ */
+
+function decodeText (bytes) {
+  try {
+    return decodeUtf8(bytes, true)
+  } catch (err) {
+    return decodeLatin1(bytes)
+  }
+}
+
+/**
+ * parseIcyMetadata
+ * ================
+ *
+ * Read the fields in a metadata block, e.g.
+ * `StreamTitle='Artist - Title';StreamUrl='http://example.com';`
+ *
+ * The text is meant to be UTF-8, but older servers send Latin-1.
+ *
+ * @param {Uint8Array} bytes - The block, without its length byte. It is
+ * padded with nulls.
+ * @returns {Object} The fields by name, e.g. `{StreamTitle, StreamUrl}`.
+ */
+
+export function parseIcyMetadata (bytes) {
+  const text = decodeText(bytes).replace(/\0+$/, '')
+  const fields = {}
+
+  // a title can have quotes and semicolons in it, so a value only ends at a
+  // quote followed by a semicolon
+  const pattern = /(\w+)='([\s\S]*?)';/g
+  let match = pattern.exec(text)
+
+  while (match != null) {
+    fields[match[1]] = match[2]
+    match = pattern.exec(text)
+  }
+
+  return fields
+}
+
+/**
+ * getMetaInterval
+ * ===============
+ *
+ * @param {Response} res
+ * @returns {Number|null} How many bytes of audio there are between each
+ * metadata block, or null if the server isn't sending metadata.
+ */
+
+export function getMetaInterval (res) {
+  const metaint = Number(res.headers.get('icy-metaint'))
+  return metaint > 0 ? metaint : null
+}
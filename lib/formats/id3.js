@@ -0,0 +1,253 @@
+/* eslint-disable no-bitwise */
+
+import {id3Length} from './mp3'
+import {
+  readString,
+  readUint24BE,
+  readUint32BE,
+  readSyncsafe,
+  decodeUtf8,
+  decodeUtf16,
+  decodeLatin1,
+} from './bytes'
+
+/**
+ * ID3
+ * ===
+ *
+ * Helpers for reading ID3v2 tags from the start of a file, and ID3v1 tags
+ * from the end.
+ *
+ * @private
+ */
+
+// ID3v2.2 uses three character frame IDs
+const FRAMES = {
+  TIT2: 'title',
+  TT2: 'title',
+  TPE1: 'artist',
+  TP1: 'artist',
+  TALB: 'album',
+  TAL: 'album',
+  TRCK: 'track',
+  TRK: 'track',
+}
+
+const PICTURE_FORMATS = {
+  JPG: 'image/jpeg',
+  PNG: 'image/png',
+}
+
+/**
+ * decodeText
+ * ==========
+ *
+ * Decode a string in one of the ID3 text encodings, without any trailing
+ * null characters.
+ *
+ * @param {Uint8Array} bytes
+ * @param {Number} encoding - 0 is ISO-8859-1, 1 is UTF-16 with a byte order
+ * mark, 2 is UTF-16BE, and 3 is UTF-8.
+ * @returns {String}
+ */
+
+export function decodeText (bytes, encoding) {
+  let text
+  if (encoding === 1 || encoding === 2) {
+    text = decodeUtf16(bytes)
+  } else if (encoding === 3) {
+    text = decodeUtf8(bytes)
+  } else {
+    text = decodeLatin1(bytes)
+  }
+  return text.replace(/\0+$/, '')
+}
+
+// find the end of a null terminated string, which is two bytes wide in UTF-16
+function findNull (bytes, offset, encoding) {
+  const width = encoding === 1 || encoding === 2 ? 2 : 1
+
+  for (let i = offset; i + width <= bytes.length; i += width) {
+    if (bytes[i] === 0 && (width === 1 || bytes[i + 1] === 0)) {
+      return i
+    }
+  }
+
+  return bytes.length
+}
+
+// undo "unsynchronisation", where every 0xFF is followed by an extra 0x00
+function resync (bytes) {
+  const output = []
+  for (let i = 0; i < bytes.length; i += 1) {
+    output.push(bytes[i])
+    if (bytes[i] === 0xFF && bytes[i + 1] === 0x00) {
+      i += 1
+    }
+  }
+  return new Uint8Array(output)
+}
+
+function parsePicture (data, version) {
+  const encoding = data[0]
+  let type
+  let offset
+
+  if (version === 2) {
+    type = PICTURE_FORMATS[readString(data, 1, 3).toUpperCase()]
+    offset = 4
+  } else {
+    const end = findNull(data, 1, 0)
+    type = readString(data, 1, end - 1)
+    offset = end + 1
+  }
+
+  // skip the picture type, and the description
+  const width = encoding === 1 || encoding === 2 ? 2 : 1
+  offset = findNull(data, offset + 1, encoding) + width
+
+  return {type, data: data.slice(offset)}
+}
+
+function readFrameHeader (bytes, offset, version) {
+  if (version === 2) {
+    return {
+      id: readString(bytes, offset, 3),
+      size: readUint24BE(bytes, offset + 3),
+      length: 6,
+    }
+  }
+
+  return {
+    id: readString(bytes, offset, 4),
+    // ID3v2.4 frame sizes are "syncsafe", like the size of the tag
+    size: version === 4 ? readSyncsafe(bytes, offset + 4) : readUint32BE(bytes, offset + 4),
+    unsynchronised: version === 4 && (bytes[offset + 9] & 0x02) !== 0,
+    length: 10,
+  }
+}
+
+function readFrame (tags, id, data, version) {
+  const key = FRAMES[id]
+
+  if (key === 'track') {
+    // track numbers are stored as text, e.g. "3/12"
+    const track = parseInt(decodeText(data.subarray(1), data[0]), 10)
+    if (!Number.isNaN(track)) {
+      tags.track = track
+    }
+  } else if (key != null) {
+    tags[key] = decodeText(data.subarray(1), data[0])
+  } else if ((id === 'APIC' || id === 'PIC') && tags.picture == null) {
+    tags.picture = parsePicture(data, version)
+  }
+}
+
+function readTagBody (bytes, length) {
+  const version = bytes[3]
+  const flags = bytes[5]
+  const tag = bytes.subarray(10, length)
+
+  // ID3v2.4 unsynchronises each frame by itself instead
+  return version < 4 && (flags & 0x80) !== 0 ? resync(tag) : tag
+}
+
+function extendedHeaderLength (tag, flags, version) {
+  if ((flags & 0x40) === 0) {
+    return 0
+  }
+  return version === 4 ? readSyncsafe(tag, 0) : readUint32BE(tag, 0) + 4
+}
+
+/**
+ * parseId3v2
+ * ==========
+ *
+ * Read the title, artist, album, track number and cover art from the ID3v2
+ * tag at the start of `bytes`.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Object|null} The tags, or null if we don't have the whole tag
+ * yet. Tags that aren't in the file are left out.
+ */
+
+export function parseId3v2 (bytes) {
+  const length = id3Length(bytes)
+  if (length === 0 || length > bytes.length) {
+    return length === 0 ? {} : null
+  }
+
+  const version = bytes[3]
+  const tag = readTagBody(bytes, length)
+  const tags = {}
+
+  let offset = extendedHeaderLength(tag, bytes[5], version)
+
+  while (offset < tag.length) {
+    const header = readFrameHeader(tag, offset, version)
+
+    // the rest of the tag is padding
+    if (header.id[0] === '\0' || header.size === 0) {
+      break
+    }
+
+    const start = offset + header.length
+    const data = tag.subarray(start, start + header.size)
+    readFrame(tags, header.id, header.unsynchronised ? resync(data) : data, version)
+
+    offset = start + header.size
+  }
+
+  return tags
+}
+
+/**
+ * parseId3v1
+ * ==========
+ *
+ * Read the ID3v1 tag from the last 128 bytes of a file.
+ *
+ * @param {Uint8Array} bytes - The end of the file.
+ * @returns {Object} The tags, which is empty if there isn't an ID3v1 tag.
+ */
+
+export function parseId3v1 (bytes) {
+  const offset = bytes.length - 128
+  if (offset < 0 || readString(bytes, offset, 3) !== 'TAG') {
+    return {}
+  }
+
+  const tags = {}
+
+  // fields are padded with nulls or spaces
+  const fields = [['title', 3], ['artist', 33], ['album', 63]]
+  fields.forEach(([key, start]) => {
+    const bytesStart = offset + start
+    const value = decodeText(bytes.subarray(bytesStart, bytesStart + 30), 0)
+      .split('\0')[0]
+      .trim()
+
+    if (value.length > 0) {
+      tags[key] = value
+    }
+  })
+
+  // ID3v1.1 stores the track number in the last byte of the comment
+  if (bytes[offset + 125] === 0 && bytes[offset + 126] !== 0) {
+    tags.track = bytes[offset + 126]
+  }
+
+  return tags
+}
+
+/**
+ * hasId3v1
+ * ========
+ *
+ * @param {Uint8Array} bytes - The end of the file.
+ * @returns {Boolean}
+ */
+
+export function hasId3v1 (bytes) {
+  return bytes.length >= 128 && readString(bytes, bytes.length - 128, 3) === 'TAG'
+}
@@ -0,0 +1,253 @@
+/* eslint-disable no-bitwise */
+
+import {readString, readUint32BE, readSyncsafe} from './bytes'
+
+/**
+ * MP3
+ * ===
+ *
+ * Helpers for finding MPEG audio frames in a byte stream.
+ *
+ * @private
+ */
+
+const BITRATES = {
+  // MPEG-1
+  V1L1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  V1L2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  V1L3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  // MPEG-2 and MPEG-2.5
+  V2L1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  V2L2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  V2L3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+}
+
+const SAMPLE_RATES = [44100, 48000, 32000]
+
+// the version bits, mapped to the MPEG version they represent
+const VERSIONS = [2.5, null, 2, 1]
+
+// MPEG-2 and MPEG-2.5 use lower sample rates
+const SAMPLE_RATE_DIVISORS = {1: 1, 2: 2, 2.5: 4}
+
+// the layer bits, mapped to the layer they represent
+const LAYERS = [null, 3, 2, 1]
+
+/**
+ * id3Length
+ * =========
+ *
+ * Size of the ID3v2 tag at the start of `bytes` (including the header), or 0
+ * if there isn't one.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Number}
+ */
+
+export function id3Length (bytes) {
+  if (bytes.length < 10 ||
+      bytes[0] !== 0x49 || bytes[1] !== 0x44 || bytes[2] !== 0x33) {
+    return 0
+  }
+
+  const size = readSyncsafe(bytes, 6)
+  const hasFooter = (bytes[5] & 0x10) !== 0
+
+  return 10 + size + (hasFooter ? 10 : 0)
+}
+
+function getSamplesPerFrame (version, layer) {
+  if (layer === 1) {
+    return 384
+  }
+  if (layer === 3 && version !== 1) {
+    return 576
+  }
+  return 1152
+}
+
+/**
+ * parseFrameHeader
+ * ================
+ *
+ * Read the four byte frame header at `offset`.
+ *
+ * @param {Uint8Array} bytes
+ * @param {Number} offset
+ * @returns {Object|null} The frame info, or null if `offset` isn't the start
+ * of a valid frame.
+ */
+
+export function parseFrameHeader (bytes, offset) {
+  if (offset + 4 > bytes.length) {
+    return null
+  }
+
+  const b1 = bytes[offset + 1]
+  const b2 = bytes[offset + 2]
+  const b3 = bytes[offset + 3]
+
+  if (bytes[offset] !== 0xFF || (b1 & 0xE0) !== 0xE0) {
+    return null
+  }
+
+  const version = VERSIONS[(b1 >> 3) & 0x03]
+  const layer = LAYERS[(b1 >> 1) & 0x03]
+  const bitrateIndex = b2 >> 4
+  const sampleRateIndex = (b2 >> 2) & 0x03
+
+  // free format and "bad" bitrates are treated as invalid
+  const valid = version != null && layer != null &&
+    bitrateIndex > 0 && bitrateIndex < 15 && sampleRateIndex < 3
+
+  if (!valid) {
+    return null
+  }
+
+  const table = `V${version === 1 ? 1 : 2}L${layer}`
+  const bitrate = BITRATES[table][bitrateIndex] * 1000
+  const sampleRate = SAMPLE_RATES[sampleRateIndex] / SAMPLE_RATE_DIVISORS[version]
+  const padding = (b2 >> 1) & 0x01
+  const channels = (b3 >> 6) === 3 ? 1 : 2
+
+  const samplesPerFrame = getSamplesPerFrame(version, layer)
+
+  const frameLength = layer === 1
+    ? (Math.floor((12 * bitrate) / sampleRate) + padding) * 4
+    : Math.floor(((samplesPerFrame / 8) * bitrate) / sampleRate) + padding
+
+  return {
+    version,
+    layer,
+    bitrate,
+    sampleRate,
+    channels,
+    samplesPerFrame,
+    frameLength,
+  }
+}
+
+/**
+ * findFrame
+ * =========
+ *
+ * Search for the first frame at or after `offset`. To avoid being fooled by
+ * bytes that just happen to look like a frame header, the frame must be
+ * followed by another valid header (or by the end of the data we have).
+ *
+ * @param {Uint8Array} bytes
+ * @param {Number} offset
+ * @returns {Number} The offset of the frame, or -1 if there isn't one.
+ */
+
+export function findFrame (bytes, offset) {
+  for (let i = offset; i < bytes.length - 3; i += 1) {
+    const header = parseFrameHeader(bytes, i)
+
+    if (header != null) {
+      const next = i + header.frameLength
+      if (next + 4 > bytes.length || parseFrameHeader(bytes, next) != null) {
+        return i
+      }
+    }
+  }
+
+  return -1
+}
+
+/**
+ * isMp3
+ * =====
+ *
+ * Does `bytes` look like the start of an MP3 file?
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Boolean}
+ */
+
+export function isMp3 (bytes) {
+  return id3Length(bytes) > 0 || parseFrameHeader(bytes, 0) != null
+}
+
+// size of the side information that follows the frame header, which is where
+// the Xing header lives
+function getSideInfoLength (version, channels) {
+  if (version === 1) {
+    return channels === 1 ? 17 : 32
+  }
+  return channels === 1 ? 9 : 17
+}
+
+/**
+ * countFrames
+ * ===========
+ *
+ * Read the number of frames in the file from the Xing, Info or VBRI header
+ * in the first frame, if there is one. Encoders add these headers to
+ * variable bitrate files, where the bitrate of the first frame tells us
+ * nothing about the rest.
+ *
+ * @param {Uint8Array} bytes
+ * @param {Number} offset - The start of the first frame.
+ * @param {Object} header - The first frame's header.
+ * @returns {Number|null}
+ */
+
+function countFrames (bytes, offset, header) {
+  const xing = offset + 4 + getSideInfoLength(header.version, header.channels)
+  const xingTag = readString(bytes, xing, 4)
+
+  if ((xingTag === 'Xing' || xingTag === 'Info') && xing + 12 <= bytes.length) {
+    const flags = readUint32BE(bytes, xing + 4)
+    return (flags & 0x01) === 0 ? null : readUint32BE(bytes, xing + 8)
+  }
+
+  // VBRI always comes 32 bytes after the frame header
+  const vbri = offset + 4 + 32
+  if (readString(bytes, vbri, 4) === 'VBRI' && vbri + 18 <= bytes.length) {
+    return readUint32BE(bytes, vbri + 14)
+  }
+
+  return null
+}
+
+/**
+ * getDuration
+ * ===========
+ *
+ * Work out how long the file is from its first frame. If the file has a
+ * Xing, Info or VBRI header then we know exactly how many frames there are,
+ * otherwise we assume a constant bitrate and use the size of the file.
+ *
+ * @param {Uint8Array} bytes - The start of the file.
+ * @param {Number|null} totalBytes - The size of the entire file.
+ * @returns {Object|null} `{duration, exact}`, or null if we can't tell yet.
+ */
+
+export function getDuration (bytes, totalBytes) {
+  const start = id3Length(bytes)
+  const offset = findFrame(bytes, start)
+
+  // wait until we have the whole first frame
+  const header = offset < 0 ? null : parseFrameHeader(bytes, offset)
+  if (header == null || offset + header.frameLength > bytes.length) {
+    return null
+  }
+
+  const frames = countFrames(bytes, offset, header)
+  if (frames != null) {
+    return {
+      duration: (frames * header.samplesPerFrame) / header.sampleRate,
+      exact: true,
+    }
+  }
+
+  if (totalBytes == null) {
+    return null
+  }
+
+  return {
+    duration: ((totalBytes - offset) * 8) / header.bitrate,
+    exact: false,
+  }
+}
@@ -0,0 +1,141 @@
+import {readString, readUint16BE, readUint32BE, decodeUtf8} from './bytes'
+
+/**
+ * MP4
+ * ===
+ *
+ * Helpers for reading the boxes (or "atoms") in an MP4/M4A file.
+ *
+ * @private
+ */
+
+const FIELDS = {
+  '©nam': 'title',
+  '©ART': 'artist',
+  '©alb': 'album',
+}
+
+// the type of the data in a 'covr' box
+const PICTURE_TYPES = {
+  13: 'image/jpeg',
+  14: 'image/png',
+}
+
+/**
+ * isMp4
+ * =====
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Boolean}
+ */
+
+export function isMp4 (bytes) {
+  return readString(bytes, 4, 4) === 'ftyp'
+}
+
+/**
+ * readBoxes
+ * =========
+ *
+ * List the boxes in `bytes`, without looking inside them.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Array<Object>} `{type, start, end}` for each box. `end` may be
+ * past the end of `bytes` if we don't have the whole box yet.
+ */
+
+export function readBoxes (bytes) {
+  const boxes = []
+  let offset = 0
+
+  while (offset + 8 <= bytes.length) {
+    const type = readString(bytes, offset + 4, 4)
+    let size = readUint32BE(bytes, offset)
+    let header = 8
+
+    if (size === 1) {
+      // a 64 bit size, which is only used for boxes over 4GB
+      size = (readUint32BE(bytes, offset + 8) * 0x100000000) + readUint32BE(bytes, offset + 12)
+      header = 16
+    } else if (size === 0) {
+      // the box goes to the end of the file
+      size = Infinity
+    }
+
+    if (size < header) {
+      break
+    }
+
+    boxes.push({type, start: offset + header, end: offset + size})
+    offset += size
+  }
+
+  return boxes
+}
+
+function findBox (bytes, path) {
+  return path.reduce((box, type) => {
+    if (box == null) {
+      return null
+    }
+
+    // 'meta' is a "full box", with four bytes of version and flags
+    const start = box.type === 'meta' ? box.start + 4 : box.start
+    const child = readBoxes(bytes.subarray(start, box.end)).find((b) => b.type === type)
+
+    return child == null ? null : {...child, start: start + child.start, end: start + child.end}
+  }, {type: null, start: 0, end: bytes.length})
+}
+
+function readItem (tags, type, data) {
+  // skip the type, and the locale
+  const dataType = readUint32BE(data, 0)
+  const value = data.subarray(8)
+
+  if (FIELDS[type] != null) {
+    tags[FIELDS[type]] = decodeUtf8(value)
+  } else if (type === 'trkn' && value.length >= 4) {
+    tags.track = readUint16BE(value, 2)
+  } else if (type === 'covr' && tags.picture == null) {
+    tags.picture = {type: PICTURE_TYPES[dataType], data: value.slice()}
+  }
+}
+
+/**
+ * getMetadata
+ * ===========
+ *
+ * Read the tags from the `moov.udta.meta.ilst` box. The `moov` box is often
+ * at the end of the file, so we may need the entire file to find it.
+ *
+ * @param {Uint8Array} bytes - The start of the file.
+ * @param {Boolean} [done = false] - Is `bytes` the entire file?
+ * @returns {Object|null} The tags, or null if we haven't found the `moov`
+ * box yet.
+ */
+
+export function getMetadata (bytes, done = false) {
+  const moov = readBoxes(bytes).find((box) => box.type === 'moov')
+
+  if (moov == null || moov.end > bytes.length) {
+    return done ? {} : null
+  }
+
+  const ilst = findBox(bytes, ['moov', 'udta', 'meta', 'ilst'])
+  if (ilst == null) {
+    return {}
+  }
+
+  const tags = {}
+
+  readBoxes(bytes.subarray(ilst.start, ilst.end)).forEach((item) => {
+    const start = ilst.start + item.start
+    const data = findBox(bytes.subarray(start, ilst.start + item.end), ['data'])
+
+    if (data != null) {
+      readItem(tags, item.type, bytes.subarray(start + data.start, start + data.end))
+    }
+  })
+
+  return tags
+}
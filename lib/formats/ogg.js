@@ -0,0 +1,261 @@
+import {readString, readUint32LE} from './bytes'
+import {parseVorbisComment} from './vorbisComment'
+
+/**
+ * Ogg
+ * ===
+ *
+ * Helpers for reading the pages of an Ogg file.
+ *
+ * @private
+ */
+
+function concatParts (parts) {
+  if (parts.length === 1) {
+    return parts[0]
+  }
+
+  const length = parts.reduce((total, part) => total + part.length, 0)
+  const bytes = new Uint8Array(length)
+  parts.reduce((offset, part) => {
+    bytes.set(part, offset)
+    return offset + part.length
+  }, 0)
+  return bytes
+}
+
+/**
+ * isOgg
+ * =====
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Boolean}
+ */
+
+export function isOgg (bytes) {
+  return readString(bytes, 0, 4) === 'OggS'
+}
+
+/**
+ * pageLength
+ * ==========
+ *
+ * @param {Uint8Array} bytes
+ * @param {Number} offset - The start of a page.
+ * @returns {Number} The length of the page, or -1 if we don't have the whole
+ * page yet, or if there isn't a page at `offset`.
+ */
+
+export function pageLength (bytes, offset) {
+  if (offset + 27 > bytes.length || readString(bytes, offset, 4) !== 'OggS') {
+    return -1
+  }
+
+  const segments = bytes[offset + 26]
+  if (offset + 27 + segments > bytes.length) {
+    return -1
+  }
+
+  let length = 27 + segments
+  for (let i = 0; i < segments; i += 1) {
+    length += bytes[offset + 27 + i]
+  }
+
+  return offset + length > bytes.length ? -1 : length
+}
+
+/**
+ * findPage
+ * ========
+ *
+ * Search for the "OggS" capture pattern at the start of each page.
+ *
+ * @param {Uint8Array} bytes
+ * @param {Number} offset
+ * @returns {Number} The offset of the page, or -1 if there isn't one.
+ */
+
+export function findPage (bytes, offset) {
+  for (let i = offset; i + 5 <= bytes.length; i += 1) {
+    // the capture pattern, followed by version 0
+    if (readString(bytes, i, 4) === 'OggS' && bytes[i + 4] === 0) {
+      return i
+    }
+  }
+  return -1
+}
+
+/**
+ * readPackets
+ * ===========
+ *
+ * Join the pages at the start of the stream back together into packets. A
+ * packet can be split across several pages, which happens when the comment
+ * header contains cover art.
+ *
+ * @param {Uint8Array} bytes
+ * @param {Number} count - How many packets to read.
+ * @returns {Array<Object>|null} `{data, end}` for each packet, where `end`
+ * is the end of the page that the packet finishes on, or null if we don't
+ * have enough bytes yet.
+ */
+
+export function readPackets (bytes, count) {
+  const packets = []
+  let parts = []
+  let offset = 0
+
+  while (offset + 27 <= bytes.length && readString(bytes, offset, 4) === 'OggS') {
+    const segments = bytes[offset + 26]
+    let start = offset + 27 + segments
+
+    for (let i = 0; i < segments; i += 1) {
+      const length = bytes[offset + 27 + i]
+
+      if (start + length > bytes.length) {
+        return null
+      }
+
+      parts.push(bytes.subarray(start, start + length))
+      start += length
+
+      // a segment shorter than 255 bytes is the end of a packet
+      if (length < 255) {
+        packets.push({data: concatParts(parts), end: start})
+        parts = []
+
+        if (packets.length === count) {
+          return packets
+        }
+      }
+    }
+
+    offset = start
+  }
+
+  return null
+}
+
+/**
+ * firstPacket
+ * ===========
+ *
+ * The first packet in the stream, which identifies the codec.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array|null}
+ */
+
+export function firstPacket (bytes) {
+  const packets = readPackets(bytes, 1)
+  return packets == null ? null : packets[0].data
+}
+
+/**
+ * getDuration
+ * ===========
+ *
+ * An Ogg file doesn't say how long it is until its very last page, but
+ * Vorbis streams declare a nominal bitrate that we can use to estimate it.
+ *
+ * @param {Uint8Array} bytes - The start of the file.
+ * @param {Number|null} totalBytes - The size of the entire file.
+ * @returns {Object|null} `{duration, exact}`, or null if we can't tell.
+ */
+
+export function getDuration (bytes, totalBytes) {
+  const packet = firstPacket(bytes)
+
+  if (packet == null || totalBytes == null || readString(packet, 1, 6) !== 'vorbis') {
+    return null
+  }
+
+  const bitrate = readUint32LE(packet, 20)
+  if (bitrate === 0 || bitrate === 0xFFFFFFFF) {
+    return null
+  }
+
+  return {duration: (totalBytes * 8) / bitrate, exact: false}
+}
+
+/**
+ * getMetadata
+ * ===========
+ *
+ * Read the tags from the comment header, which is the second packet in both
+ * Vorbis and Opus streams.
+ *
+ * @param {Uint8Array} bytes - The start of the file.
+ * @returns {Object|null} The tags, or null if we don't have the comment
+ * header yet.
+ */
+
+export function getMetadata (bytes) {
+  const packets = readPackets(bytes, 2)
+  if (packets == null) {
+    return null
+  }
+
+  const packet = packets[1].data
+
+  if (readString(packet, 0, 7) === '\x03vorbis') {
+    return parseVorbisComment(packet.subarray(7))
+  }
+  if (readString(packet, 0, 8) === 'OpusTags') {
+    return parseVorbisComment(packet.subarray(8))
+  }
+  return {}
+}
+
+/**
+ * parseHeader
+ * ===========
+ *
+ * Find the pages that hold the codec's header packets, which need to be put
+ * in front of any run of pages to make them decodable. Vorbis has three
+ * header packets, and Opus has two.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Object|null} `{header, dataOffset}`, or null if we don't have
+ * every header packet yet.
+ */
+
+export function parseHeader (bytes) {
+  const first = firstPacket(bytes)
+  if (first == null) {
+    return null
+  }
+
+  const count = readString(first, 0, 8) === 'OpusHead' ? 2 : 3
+  const packets = readPackets(bytes, count)
+  if (packets == null) {
+    return null
+  }
+
+  // the header packets always finish at the end of a page
+  const dataOffset = packets[count - 1].end
+  return {header: bytes.slice(0, dataOffset), dataOffset}
+}
+
+/**
+ * getCodec
+ * ========
+ *
+ * @param {Uint8Array} bytes - The start of the file.
+ * @returns {String|null} 'vorbis', 'opus', 'unknown', or null if we don't
+ * have the first packet yet.
+ */
+
+export function getCodec (bytes) {
+  const packet = firstPacket(bytes)
+  if (packet == null) {
+    return null
+  }
+  if (readString(packet, 1, 6) === 'vorbis') {
+    return 'vorbis'
+  }
+  if (readString(packet, 0, 8) === 'OpusHead') {
+    return 'opus'
+  }
+  return 'unknown'
+}
@@ -0,0 +1,86 @@
+import {readString, readUint32LE, readUint32BE, decodeUtf8, decodeBase64} from './bytes'
+
+/**
+ * Vorbis Comment
+ * ==============
+ *
+ * Helpers for reading the "KEY=value" tags used by FLAC, Ogg Vorbis and Opus.
+ *
+ * @private
+ */
+
+const FIELDS = {
+  TITLE: 'title',
+  ARTIST: 'artist',
+  ALBUM: 'album',
+}
+
+/**
+ * parsePictureBlock
+ * =================
+ *
+ * Read a FLAC PICTURE block. Ogg files store the same thing, base64 encoded,
+ * in a METADATA_BLOCK_PICTURE comment.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Object|null} `{type, data}`
+ */
+
+export function parsePictureBlock (bytes) {
+  if (bytes.length < 32) {
+    return null
+  }
+
+  // skip the picture type
+  let offset = 4
+
+  const typeLength = readUint32BE(bytes, offset)
+  const type = readString(bytes, offset + 4, typeLength)
+  offset += 4 + typeLength
+
+  // skip the description, width, height, depth and number of colours
+  offset += 4 + readUint32BE(bytes, offset) + 16
+
+  const dataLength = readUint32BE(bytes, offset)
+  offset += 4
+
+  return {type, data: bytes.slice(offset, offset + dataLength)}
+}
+
+/**
+ * parseVorbisComment
+ * ==================
+ *
+ * @param {Uint8Array} bytes - Starting with the length of the vendor string.
+ * @returns {Object} The tags that were found.
+ */
+
+export function parseVorbisComment (bytes) {
+  const tags = {}
+
+  // skip the vendor string
+  let offset = 4 + readUint32LE(bytes, 0)
+
+  const count = readUint32LE(bytes, offset)
+  offset += 4
+
+  for (let i = 0; i < count && offset + 4 <= bytes.length; i += 1) {
+    const length = readUint32LE(bytes, offset)
+    const comment = decodeUtf8(bytes.subarray(offset + 4, offset + 4 + length))
+    offset += 4 + length
+
+    const separator = comment.indexOf('=')
+    const key = comment.slice(0, separator).toUpperCase()
+    const value = comment.slice(separator + 1)
+
+    if (FIELDS[key] != null) {
+      tags[FIELDS[key]] = value
+    } else if (key === 'TRACKNUMBER' && !Number.isNaN(parseInt(value, 10))) {
+      tags.track = parseInt(value, 10)
+    } else if (key === 'METADATA_BLOCK_PICTURE' && tags.picture == null) {
+      tags.picture = parsePictureBlock(decodeBase64(value))
+    }
+  }
+
+  return tags
+}
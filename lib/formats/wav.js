@@ -0,0 +1,213 @@
+import {readString, readUint16LE, readUint32LE} from './bytes'
+
+/**
+ * WAV
+ * ===
+ *
+ * Helpers for reading the header of a RIFF WAVE file, and for writing one.
+ *
+ * @private
+ */
+
+// streaming encoders that don't know the size up front write this instead
+const UNKNOWN_SIZE = 0xFFFFFFFF
+
+// the format codes used in the format chunk
+const PCM = 1
+const IEEE_FLOAT = 3
+
+/**
+ * isWav
+ * =====
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Boolean}
+ */
+
+export function isWav (bytes) {
+  return readString(bytes, 0, 4) === 'RIFF' && readString(bytes, 8, 4) === 'WAVE'
+}
+
+/**
+ * parseHeader
+ * ===========
+ *
+ * Walk through the chunks at the start of the file, up to the start of the
+ * audio data.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {Object|null} `{fmt, byteRate, blockAlign, dataOffset,
+ * dataLength}`, where `fmt` is the entire format chunk, or null if we don't
+ * have the whole header yet.
+ */
+
+export function parseHeader (bytes) {
+  let offset = 12
+  let fmt = null
+
+  while (offset + 8 <= bytes.length) {
+    const id = readString(bytes, offset, 4)
+    const length = readUint32LE(bytes, offset + 4)
+
+    if (id === 'fmt ' && offset + 8 + length <= bytes.length) {
+      fmt = bytes.subarray(offset, offset + 8 + length)
+    } else if (id === 'data') {
+      return fmt == null ? null : {
+        fmt,
+        byteRate: readUint32LE(fmt, 16),
+        blockAlign: readUint16LE(fmt, 20),
+        dataOffset: offset + 8,
+        dataLength: length === UNKNOWN_SIZE ? null : length,
+      }
+    }
+
+    // chunks are padded to an even number of bytes
+    offset += 8 + length + (length % 2)
+  }
+
+  return null
+}
+
+/**
+ * createHeader
+ * ============
+ *
+ * Create the header for a file containing `dataLength` bytes of audio, in
+ * the same format as the original file.
+ *
+ * @param {Uint8Array} fmt - The format chunk from the original file.
+ * @param {Number} dataLength
+ * @returns {Uint8Array}
+ */
+
+export function createHeader (fmt, dataLength) {
+  const header = new Uint8Array(12 + fmt.length + 8)
+  const view = new DataView(header.buffer)
+
+  header.set([0x52, 0x49, 0x46, 0x46], 0) // RIFF
+  view.setUint32(4, (header.length - 8) + dataLength, true)
+  header.set([0x57, 0x41, 0x56, 0x45], 8) // WAVE
+  header.set(fmt, 12)
+  header.set([0x64, 0x61, 0x74, 0x61], 12 + fmt.length) // data
+  view.setUint32(16 + fmt.length, dataLength, true)
+
+  return header
+}
+
+/**
+ * getDuration
+ * ===========
+ *
+ * @param {Uint8Array} bytes - The start of the file.
+ * @param {Number|null} totalBytes - The size of the entire file.
+ * @returns {Object|null} `{duration, exact}`, or null if we can't tell yet.
+ */
+
+export function getDuration (bytes, totalBytes) {
+  const header = parseHeader(bytes)
+  if (header == null || header.byteRate === 0) {
+    return null
+  }
+
+  const {byteRate, dataOffset, dataLength} = header
+
+  if (dataLength != null) {
+    return {duration: dataLength / byteRate, exact: true}
+  }
+
+  if (totalBytes == null) {
+    return null
+  }
+
+  return {duration: (totalBytes - dataOffset) / byteRate, exact: false}
+}
+
+/**
+ * createFormatChunk
+ * =================
+ *
+ * @param {Object} options
+ * @param {Number} options.channels
+ * @param {Number} options.sampleRate
+ * @param {Number} options.bitDepth - 16 or 24 for integer samples, or 32 for
+ * floating point samples.
+ * @returns {Uint8Array} The entire `fmt ` chunk.
+ */
+
+export function createFormatChunk ({channels, sampleRate, bitDepth}) {
+  const chunk = new Uint8Array(24)
+  const view = new DataView(chunk.buffer)
+  const blockAlign = channels * (bitDepth / 8)
+
+  chunk.set([0x66, 0x6D, 0x74, 0x20], 0) // fmt
+  view.setUint32(4, 16, true)
+  view.setUint16(8, bitDepth === 32 ? IEEE_FLOAT : PCM, true)
+  view.setUint16(10, channels, true)
+  view.setUint32(12, sampleRate, true)
+  view.setUint32(16, sampleRate * blockAlign, true)
+  view.setUint16(20, blockAlign, true)
+  view.setUint16(22, bitDepth, true)
+
+  return chunk
+}
+
+function writeSample (view, offset, sample, bitDepth) {
+  if (bitDepth === 32) {
+    view.setFloat32(offset, sample, true)
+    return
+  }
+
+  // negative samples go one step further than positive ones
+  const clamped = Math.min(Math.max(sample, -1), 1)
+  const max = 2 ** (bitDepth - 1)
+  const value = Math.round(clamped < 0 ? clamped * max : clamped * (max - 1))
+
+  if (bitDepth === 16) {
+    view.setInt16(offset, value, true)
+  } else {
+    const low = value - (Math.floor(value / 256) * 256)
+    view.setUint8(offset, low)
+    view.setInt16(offset + 1, (value - low) / 256, true)
+  }
+}
+
+/**
+ * encodeWav
+ * =========
+ *
+ * @param {AudioBuffer} audioBuffer
+ * @param {Object} [options]
+ * @param {Number} [options.bitDepth = 16] - 16 or 24 for integer samples, or
+ * 32 for floating point samples.
+ * @returns {Uint8Array} The entire file.
+ * @throws {RangeError} If the bit depth isn't one of those.
+ */
+
+export function encodeWav (audioBuffer, options = {}) {
+  const {bitDepth = 16} = options
+
+  if (bitDepth !== 16 && bitDepth !== 24 && bitDepth !== 32) {
+    throw new RangeError(`Can't write ${bitDepth} bit WAV files, only 16, 24 or 32`)
+  }
+
+  const {numberOfChannels: channels, sampleRate, length} = audioBuffer
+  const sampleSize = bitDepth / 8
+  const dataLength = length * channels * sampleSize
+  const header = createHeader(createFormatChunk({channels, sampleRate, bitDepth}), dataLength)
+
+  const bytes = new Uint8Array(header.length + dataLength)
+  const view = new DataView(bytes.buffer)
+  bytes.set(header)
+
+  for (let channel = 0; channel < channels; channel += 1) {
+    const samples = audioBuffer.getChannelData(channel)
+
+    // the channels are interleaved, one sample frame at a time
+    for (let i = 0; i < length; i += 1) {
+      const offset = header.length + (((i * channels) + channel) * sampleSize)
+      writeSample(view, offset, samples[i], bitDepth)
+    }
+  }
+
+  return bytes
+}
@@ -1 +1,17 @@
 export {default} from './MediaElement'
+export {default as createPlayer, supportsStreaming} from './createPlayer'
+export {default as Player} from './Player'
+export {default as WebAudio} from './WebAudio'
+export {default as MediaElement} from './MediaElement'
+export {default as Playlist} from './Playlist'
+export {default as Cache} from './Cache'
+export {default as MemoryStore} from './stores/MemoryStore'
+export {default as CacheStorageStore} from './stores/CacheStorageStore'
+export {default as IndexedDBStore} from './stores/IndexedDBStore'
+export {
+  HttpError,
+  NetworkError,
+  UnsupportedFormatError,
+  MediaElementError,
+  AbortError,
+} from './errors'
@@ -0,0 +1,33 @@
+import * as flac from './formats/flac'
+import * as ogg from './formats/ogg'
+import * as mp4 from './formats/mp4'
+import {parseId3v2} from './formats/id3'
+
+/**
+ * getMetadata
+ * ===========
+ *
+ * Read the tags from the start of a file: ID3v2 for MP3 (and anything else
+ * with an ID3 tag stuck on the front), Vorbis comments for FLAC, Ogg Vorbis
+ * and Opus, and the `ilst` box for MP4.
+ *
+ * @private
+ * @param {Uint8Array} bytes - The start of the file.
+ * @param {Boolean} [done = false] - Is `bytes` the entire file?
+ * @returns {Object|null} `{title, artist, album, track, picture}`, where
+ * `picture` is `{type, data}`, or null if we need more bytes. Tags that
+ * aren't in the file are left out.
+ */
+
+export default function getMetadata (bytes, done = false) {
+  if (flac.isFlac(bytes)) {
+    return flac.getMetadata(bytes)
+  }
+  if (ogg.isOgg(bytes)) {
+    return ogg.getMetadata(bytes)
+  }
+  if (mp4.isMp4(bytes)) {
+    return mp4.getMetadata(bytes, done)
+  }
+  return parseId3v2(bytes)
+}
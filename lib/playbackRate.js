@@ -0,0 +1,16 @@
+// outside this range, browsers mute the audio element
+export const MIN_PLAYBACK_RATE = 0.25
+export const MAX_PLAYBACK_RATE = 4
+
+/**
+ * clampPlaybackRate
+ * =================
+ *
+ * @private
+ * @param {Number} rate
+ * @returns {Number} `rate`, limited to the range that both backends support.
+ */
+
+export default function clampPlaybackRate (rate) {
+  return Math.min(Math.max(rate, MIN_PLAYBACK_RATE), MAX_PLAYBACK_RATE)
+}
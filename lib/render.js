@@ -0,0 +1,68 @@
+/* global OfflineAudioContext */
+
+/**
+ * renderAudioBuffer
+ * =================
+ *
+ * Play part of an audio buffer through a gain and a chain of effects in an
+ * OfflineAudioContext, as fast as the browser can, and collect the result.
+ *
+ * The effects have to be created again in the offline context, so they must
+ * all be functions that create an AudioNode from the context. An AudioNode
+ * belongs to the context that created it, and can't be used in another one.
+ *
+ * @private
+ * @param {AudioBuffer} audioBuffer
+ * @param {Object} [options]
+ * @param {Number} [options.start = 0] - Where to start, in seconds.
+ * @param {Number} [options.end = audioBuffer.duration] - Where to end, in
+ * seconds.
+ * @param {Number} [options.sampleRate = audioBuffer.sampleRate]
+ * @param {Number} [options.channels = audioBuffer.numberOfChannels]
+ * @param {Number} [options.playbackRate = 1]
+ * @param {Number} [options.gain = 1]
+ * @param {Array<Function>} [options.effects = []]
+ * @returns {Promise<AudioBuffer>} Rejects with a TypeError if any of the
+ * effects is an AudioNode, and with the browser's error if it can't render
+ * with these options, e.g. at this sample rate.
+ */
+
+export default function renderAudioBuffer (audioBuffer, options = {}) {
+  const {
+    start = 0,
+    end = audioBuffer.duration,
+    sampleRate = audioBuffer.sampleRate,
+    channels = audioBuffer.numberOfChannels,
+    playbackRate = 1,
+    gain = 1,
+    effects = [],
+  } = options
+
+  if (effects.some((effect) => typeof effect !== 'function')) {
+    return Promise.reject(new TypeError(
+      'Only effects that are functions can be rendered, AudioNodes can\'t change contexts',
+    ))
+  }
+
+  const length = Math.max(1, Math.ceil(((end - start) / playbackRate) * sampleRate))
+
+  // the context throws straight away if it doesn't like the options
+  return new Promise((resolve) => {
+    const context = new OfflineAudioContext(channels, length, sampleRate)
+
+    const source = context.createBufferSource()
+    source.buffer = audioBuffer
+    source.playbackRate.value = playbackRate
+
+    const gainNode = context.createGain()
+    gainNode.gain.value = gain
+    gainNode.connect(context.destination)
+
+    const nodes = [source, ...effects.map((effect) => effect(context)), gainNode]
+    nodes.slice(1).forEach((node, i) => nodes[i].connect(node))
+
+    source.start(0, start, end - start)
+
+    resolve(context.startRendering())
+  })
+}
@@ -0,0 +1,69 @@
+import {id3Length, parseFrameHeader} from './formats/mp3'
+import {isAdts} from './formats/aac'
+import {isWav} from './formats/wav'
+import {isFlac} from './formats/flac'
+import {isOgg, getCodec} from './formats/ogg'
+import {isMp4} from './formats/mp4'
+
+// enough bytes to recognise any of the formats by their magic bytes
+const MIN_LENGTH = 12
+
+// MP3 and AAC streams don't always start on a frame, so fall back to the
+// Content-Type for them
+const CONTENT_TYPES = {
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/mpeg3': 'mp3',
+  'audio/aac': 'aac',
+  'audio/aacp': 'aac',
+  'audio/x-aac': 'aac',
+}
+
+// in the order they are checked, MP3 and AAC frames come after any ID3 tag
+const MAGIC = [
+  ['wav', isWav],
+  ['flac', isFlac],
+  ['mp4', isMp4],
+  ['mp3', (bytes, start) => parseFrameHeader(bytes, start) != null],
+  ['aac', isAdts],
+]
+
+/**
+ * sniffFormat
+ * ===========
+ *
+ * Work out what format a file is in, from the magic bytes at the start of it
+ * and the Content-Type of the response.
+ *
+ * @private
+ * @param {Uint8Array} bytes - The start of the file.
+ * @param {String|null} [contentType]
+ * @param {Boolean} [done = false] - Is `bytes` the entire file?
+ * @returns {String|null} 'mp3', 'aac', 'wav', 'flac', 'ogg', 'mp4' or
+ * 'unknown', or null if we need more bytes to tell.
+ */
+
+export default function sniffFormat (bytes, contentType = null, done = false) {
+  const start = id3Length(bytes)
+
+  // wait for the whole ID3 tag, and a little bit of what comes after it
+  if (bytes.length < start + MIN_LENGTH && !done) {
+    return null
+  }
+
+  const magic = MAGIC.find(([, test]) => test(bytes, start))
+  if (magic != null) {
+    return magic[0]
+  }
+
+  if (isOgg(bytes)) {
+    const codec = getCodec(bytes)
+    if (codec == null && !done) {
+      return null
+    }
+    return codec === 'vorbis' || codec === 'opus' ? 'ogg' : 'unknown'
+  }
+
+  const type = contentType == null ? null : contentType.split(';')[0].trim().toLowerCase()
+  return CONTENT_TYPES[type] || 'unknown'
+}
@@ -0,0 +1,174 @@
+import fetchRange from './fetchRange'
+
+/**
+ * Sources
+ * =======
+ *
+ * Everything that `loadSource` can play: a URL or Request, a Blob or File,
+ * an ArrayBuffer or typed array, or a ReadableStream of bytes. Each one is
+ * opened as something that looks enough like a Response for the WebAudio
+ * backend to read it the same way, with `Content-Type`, `Content-Length` and
+ * `Content-Range` headers where we know them.
+ *
+ * @private
+ */
+
+/**
+ * isBlob
+ * ======
+ *
+ * @param {*} source
+ * @returns {Boolean} Is it a Blob or a File?
+ */
+
+export function isBlob (source) {
+  return typeof Blob === 'function' && source instanceof Blob
+}
+
+/**
+ * isBuffer
+ * ========
+ *
+ * @param {*} source
+ * @returns {Boolean} Is it an ArrayBuffer, or a view of one?
+ */
+
+export function isBuffer (source) {
+  return source instanceof ArrayBuffer || ArrayBuffer.isView(source)
+}
+
+/**
+ * isReadableStream
+ * ================
+ *
+ * @param {*} source
+ * @returns {Boolean}
+ */
+
+export function isReadableStream (source) {
+  return source != null && typeof source.getReader === 'function'
+}
+
+/**
+ * isSeekable
+ * ==========
+ *
+ * A stream can only be read once, from wherever it is up to, so it can't be
+ * opened again to seek or to resume after an error.
+ *
+ * @param {*} source
+ * @returns {Boolean} Can the source be opened from any byte?
+ */
+
+export function isSeekable (source) {
+  return !isReadableStream(source)
+}
+
+const toUint8Array = (value) => (value instanceof Uint8Array
+  ? value
+  : new Uint8Array(value.buffer || value, value.byteOffset || 0, value.byteLength))
+
+/**
+ * createResponse
+ * ==============
+ *
+ * @param {ReadableStreamDefaultReader} reader
+ * @param {Number} start - Where the reader starts in the file.
+ * @param {Number|null} size - The size of the entire file, if we know it.
+ * @param {String} [type] - The Content-Type.
+ * @returns {Response} Enough of one for the WebAudio backend.
+ */
+
+export function createResponse (reader, start, size, type) {
+  const known = size != null
+  const headers = {
+    'Content-Type': type || null,
+    'Content-Length': known ? String(size - start) : null,
+    'Content-Range': known && start > 0 ? `bytes ${start}-${size - 1}/${size}` : null,
+  }
+
+  return {
+    ok: true,
+    status: start > 0 ? 206 : 200,
+    headers: {
+      get: (name) => (headers[name] == null ? null : headers[name]),
+    },
+    body: {
+      getReader: () => reader,
+    },
+  }
+}
+
+// hand over all of the bytes in one go
+export function createBufferReader (bytes) {
+  let done = false
+
+  return {
+    read: () => {
+      const result = {value: done ? undefined : bytes, done}
+      done = true
+      return Promise.resolve(result)
+    },
+    cancel: () => {
+      done = true
+      return Promise.resolve()
+    },
+  }
+}
+
+// e.g. a stream fed from a WebSocket may be made of ArrayBuffers
+function createStreamReader (stream) {
+  const reader = stream.getReader()
+
+  return {
+    read: () => reader.read().then(({value, done}) => ({
+      value: done ? value : toUint8Array(value),
+      done,
+    })),
+    cancel: () => reader.cancel(),
+  }
+}
+
+function openBlob (blob, start) {
+  const slice = blob.slice(start)
+
+  // older browsers can only stream a blob through a Response
+  const stream = typeof slice.stream === 'function' ? slice.stream() : new Response(slice).body
+
+  return createResponse(createStreamReader(stream), start, blob.size, blob.type)
+}
+
+function openBuffer (buffer, start) {
+  const bytes = toUint8Array(buffer)
+  return createResponse(createBufferReader(bytes.subarray(start)), start, bytes.byteLength)
+}
+
+/**
+ * openSource
+ * ==========
+ *
+ * @param {*} source - Anything that `loadSource` accepts.
+ * @param {Number} start - Where to start reading from, in bytes.
+ * @param {Object} [options]
+ * @param {Function} [options.fetch] - Used instead of the global `fetch`.
+ * @param {Object} [options.headers] - Sent along with requests.
+ * @param {AbortSignal} [options.signal] - Cancels requests.
+ * @returns {Promise<Response>} Rejects if the source can't be opened, e.g. a
+ * stream that has already been read.
+ */
+
+export default function openSource (source, start, options = {}) {
+  if (isBlob(source)) {
+    return Promise.resolve().then(() => openBlob(source, start))
+  }
+
+  if (isBuffer(source)) {
+    return Promise.resolve(openBuffer(source, start))
+  }
+
+  if (isReadableStream(source)) {
+    return Promise.resolve().then(() => createResponse(createStreamReader(source), 0, null))
+  }
+
+  return fetchRange(source, start, options)
+}
@@ -0,0 +1,98 @@
+/* global caches */
+
+/**
+ * CacheStorageStore
+ * =================
+ *
+ * Keep cached tracks in Cache Storage, so they are still there after the page
+ * is reloaded. The bytes and the details of each entry are kept in two
+ * caches, so the details can be updated and listed without reading the
+ * bytes.
+ *
+ * The keys have to be URLs, because Cache Storage uses them as requests.
+ *
+ * @class CacheStorageStore
+ * @param {Object} [options]
+ * @param {String} [options.name = 'web-audio'] - The name of the cache. The
+ * details are kept in a second cache, with '-entries' on the end.
+ */
+
+export default class CacheStorageStore {
+  constructor (options = {}) {
+    const {name = 'web-audio'} = options
+
+    this.name = name
+    this._caches = null
+  }
+
+  /**
+   * open
+   * ====
+   *
+   * @private
+   *
+   * @returns {Promise<Array<Cache>>} The caches of bytes and of details,
+   * opened the first time they are needed.
+   */
+
+  _open () {
+    if (this._caches == null) {
+      this._caches = Promise.all([caches.open(this.name), caches.open(`${this.name}-entries`)])
+    }
+    return this._caches
+  }
+
+  _getDetails (key) {
+    return this._open().then(([, details]) => details.match(key)).then((res) => {
+      return res == null ? null : res.json()
+    })
+  }
+
+  _putDetails (key, entry) {
+    return this._open().then(([, details]) => details.put(key, new Response(JSON.stringify(entry))))
+  }
+
+  get (key) {
+    return Promise.all([this._getDetails(key), this._open()]).then(([entry, [bytes]]) => {
+      if (entry == null) {
+        return null
+      }
+
+      return bytes.match(key).then((res) => {
+        // the bytes may have been cleared by the browser
+        if (res == null) {
+          return null
+        }
+        return res.arrayBuffer().then((buffer) => ({...entry, bytes: new Uint8Array(buffer)}))
+      })
+    })
+  }
+
+  put (key, entry) {
+    const {bytes: data, ...details} = entry
+
+    return this._open()
+      .then(([bytes]) => bytes.put(key, new Response(data)))
+      .then(() => this._putDetails(key, details))
+  }
+
+  delete (key) {
+    return this._open().then((opened) => Promise.all(opened.map((cache) => cache.delete(key))))
+  }
+
+  touch (key, accessed) {
+    return this._getDetails(key).then((entry) => {
+      if (entry != null) {
+        return this._putDetails(key, {...entry, accessed})
+      }
+      return null
+    })
+  }
+
+  list () {
+    return this._open().then(([, details]) => details.keys().then((requests) => {
+      const read = (request) => details.match(request).then((res) => res.json())
+      return Promise.all(requests.map(read))
+    })).then((entries) => entries.map(({key, size, accessed}) => ({key, size, accessed})))
+  }
+}
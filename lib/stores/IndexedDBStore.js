@@ -0,0 +1,126 @@
+/* global indexedDB */
+
+// wait for an IDBRequest to finish
+function request (req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+}
+
+/**
+ * IndexedDBStore
+ * ==============
+ *
+ * Keep cached tracks in IndexedDB, so they are still there after the page is
+ * reloaded. The bytes and the details of each entry are kept in two object
+ * stores, so the details can be updated and listed without reading the
+ * bytes.
+ *
+ * @class IndexedDBStore
+ * @param {Object} [options]
+ * @param {String} [options.name = 'web-audio'] - The name of the database.
+ */
+
+export default class IndexedDBStore {
+  constructor (options = {}) {
+    const {name = 'web-audio'} = options
+
+    this.name = name
+    this._db = null
+  }
+
+  /**
+   * open
+   * ====
+   *
+   * @private
+   *
+   * @returns {Promise<IDBDatabase>} The database, opened the first time it is
+   * needed.
+   */
+
+  _open () {
+    if (this._db == null) {
+      const req = indexedDB.open(this.name, 1)
+
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore('bytes')
+        req.result.createObjectStore('entries')
+      }
+
+      this._db = request(req)
+    }
+    return this._db
+  }
+
+  /**
+   * transaction
+   * ===========
+   *
+   * @private
+   *
+   * @param {String} mode - 'readonly' or 'readwrite'.
+   * @param {Function} fn - Called with the `bytes` and `entries` object
+   * stores, and returns a promise.
+   * @returns {Promise} Resolves with the result of `fn`, once the transaction
+   * has completed.
+   */
+
+  _transaction (mode, fn) {
+    return this._open().then((db) => {
+      const transaction = db.transaction(['bytes', 'entries'], mode)
+      const complete = new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve
+        transaction.onerror = () => reject(transaction.error)
+        // a transaction that goes over the quota is aborted, without an error
+        // event
+        transaction.onabort = () => reject(transaction.error)
+      })
+      const result = fn(transaction.objectStore('bytes'), transaction.objectStore('entries'))
+
+      return Promise.all([result, complete]).then(([value]) => value)
+    })
+  }
+
+  get (key) {
+    return this._transaction('readonly', (bytes, entries) => Promise.all([
+      request(entries.get(key)),
+      request(bytes.get(key)),
+    ])).then(([entry, data]) => {
+      return entry == null || data == null ? null : {...entry, bytes: data}
+    })
+  }
+
+  put (key, entry) {
+    const {bytes: data, ...details} = entry
+
+    return this._transaction('readwrite', (bytes, entries) => Promise.all([
+      request(bytes.put(data, key)),
+      request(entries.put(details, key)),
+    ]))
+  }
+
+  delete (key) {
+    return this._transaction('readwrite', (bytes, entries) => Promise.all([
+      request(bytes.delete(key)),
+      request(entries.delete(key)),
+    ]))
+  }
+
+  touch (key, accessed) {
+    return this._transaction('readwrite', (bytes, entries) => {
+      return request(entries.get(key)).then((entry) => {
+        if (entry != null) {
+          return request(entries.put({...entry, accessed}, key))
+        }
+        return null
+      })
+    })
+  }
+
+  list () {
+    return this._transaction('readonly', (bytes, entries) => request(entries.getAll()))
+      .then((entries) => entries.map(({key, size, accessed}) => ({key, size, accessed})))
+  }
+}
@@ -0,0 +1,55 @@
+/**
+ * MemoryStore
+ * ===========
+ *
+ * Keep cached tracks in memory, for as long as the page is open. This is the
+ * default store of a Cache.
+ *
+ * Every store has the same methods, which all return promises, so that the
+ * Cache doesn't need to know where the tracks are kept:
+ *
+ * - `get(key)` resolves with the entry, or null.
+ * - `put(key, entry)` saves an entry, replacing any that is already there.
+ * - `delete(key)`
+ * - `touch(key, accessed)` updates when the entry was last used.
+ * - `list()` resolves with `{key, size, accessed}` for every entry, without
+ * reading the bytes.
+ *
+ * An entry is `{key, bytes, contentType, total, complete, size, accessed}`.
+ *
+ * @class MemoryStore
+ */
+
+export default class MemoryStore {
+  constructor () {
+    this._entries = new Map()
+  }
+
+  get (key) {
+    const entry = this._entries.get(key)
+    return Promise.resolve(entry == null ? null : entry)
+  }
+
+  put (key, entry) {
+    this._entries.set(key, entry)
+    return Promise.resolve()
+  }
+
+  delete (key) {
+    this._entries.delete(key)
+    return Promise.resolve()
+  }
+
+  touch (key, accessed) {
+    const entry = this._entries.get(key)
+    if (entry != null) {
+      entry.accessed = accessed
+    }
+    return Promise.resolve()
+  }
+
+  list () {
+    const entries = Array.from(this._entries.values())
+    return Promise.resolve(entries.map(({key, size, accessed}) => ({key, size, accessed})))
+  }
+}
@@ -0,0 +1,4 @@
+import {parseFrameHeader, findFrame} from '../formats/aac'
+import createFrameStrategy from './frames'
+
+export default createFrameStrategy('aac', parseFrameHeader, findFrame)
@@ -0,0 +1,44 @@
+import {parseHeader, findFrame} from '../formats/flac'
+import {concatUint8Array} from '../concat'
+
+/**
+ * FLAC
+ * ====
+ *
+ * FLAC frames don't say how long they are, so a segment ends at the start of
+ * the last frame we can find. Each segment is given a copy of the STREAMINFO
+ * block from the original file.
+ *
+ * @private
+ */
+
+export default {
+  format: 'flac',
+  incremental: true,
+
+  parseHeader,
+
+  sync (header, bytes, offset) {
+    return findFrame(bytes, offset)
+  },
+
+  findEnd (header, bytes, start) {
+    let end = start
+    let next = findFrame(bytes, start + 1)
+
+    while (next >= 0) {
+      end = next
+      next = findFrame(bytes, next + 1)
+    }
+
+    return end
+  },
+
+  trim (header, bytes) {
+    return bytes.length
+  },
+
+  wrap ({header}, segment) {
+    return concatUint8Array(header, segment)
+  },
+}
@@ -0,0 +1,115 @@
+import {id3Length} from '../formats/mp3'
+import {hasId3v1} from '../formats/id3'
+
+// A frame can borrow up to 511 bytes from the frames before it (the MP3 "bit
+// reservoir"), and its audio is blended with the audio of the frame before
+// it. A run of frames decoded by itself therefore starts with a glitch, so
+// each segment starts with at least this much of the one before it.
+const OVERLAP_BYTES = 1024
+const OVERLAP_FRAMES = 2
+
+/**
+ * createFrameStrategy
+ * ===================
+ *
+ * A strategy for formats made of self-contained frames, with a length in
+ * each frame header, like MP3 and ADTS. Any run of whole frames can be
+ * decoded by itself. ID3 tags at either end of the file are skipped.
+ *
+ * @private
+ * @param {String} format
+ * @param {Function} parseFrameHeader - `(bytes, offset) => header|null`,
+ * where the header has a `frameLength`.
+ * @param {Function} findFrame - `(bytes, offset) => offset`, or -1.
+ * @returns {Object}
+ */
+
+export default function createFrameStrategy (format, parseFrameHeader, findFrame) {
+  return {
+    format,
+    incremental: true,
+
+    parseHeader (bytes) {
+      const dataOffset = id3Length(bytes)
+      return dataOffset > bytes.length ? null : {dataOffset}
+    },
+
+    sync (header, bytes, offset, position) {
+      // trust a frame right at the start of the audio, but anywhere else it
+      // could just be bytes that look like a frame header
+      if (position + offset === header.dataOffset && parseFrameHeader(bytes, offset) != null) {
+        return offset
+      }
+      return findFrame(bytes, offset)
+    },
+
+    findEnd (header, bytes, start) {
+      let offset = start
+
+      while (offset < bytes.length) {
+        const frame = parseFrameHeader(bytes, offset)
+
+        if (frame == null) {
+          // lost sync, skip ahead to the next frame
+          const next = findFrame(bytes, offset + 1)
+          if (next < 0) {
+            break
+          }
+          offset = next
+        } else if (offset + frame.frameLength > bytes.length) {
+          break
+        } else {
+          offset += frame.frameLength
+        }
+      }
+
+      return offset
+    },
+
+    overlap (header, bytes, from, start, end) {
+      const frames = []
+      let duration = 0
+      let offset = from
+
+      while (offset < end) {
+        const frame = parseFrameHeader(bytes, offset)
+
+        if (frame == null) {
+          offset = findFrame(bytes, offset + 1)
+          if (offset < 0) {
+            break
+          }
+        } else if (offset + frame.frameLength > end) {
+          break
+        } else {
+          const seconds = frame.samplesPerFrame / frame.sampleRate
+          frames.push({offset, duration: seconds})
+          duration += offset >= start ? seconds : 0
+          offset += frame.frameLength
+        }
+      }
+
+      // the frames at the end of this segment that the next one starts with
+      let length = 0
+      let overlap = 0
+      for (let i = frames.length - 1; i >= 0; i -= 1) {
+        if (length >= OVERLAP_BYTES && frames.length - 1 - i >= OVERLAP_FRAMES) {
+          break
+        }
+        length = end - frames[i].offset
+        overlap += frames[i].duration
+      }
+
+      return {duration, length, overlap}
+    },
+
+    // leave out the ID3v1 tag at the end of the file
+    trim (header, bytes) {
+      return bytes.length - (hasId3v1(bytes) ? 128 : 0)
+    },
+
+    wrap (header, segment) {
+      return segment
+    },
+  }
+}
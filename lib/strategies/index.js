@@ -0,0 +1,39 @@
+import mp3 from './mp3'
+import aac from './aac'
+import wav from './wav'
+import flac from './flac'
+import ogg from './ogg'
+import mp4 from './mp4'
+
+/**
+ * Strategies
+ * ==========
+ *
+ * How to split each format into segments that can be decoded by themselves.
+ * Each strategy has:
+ *
+ * - `parseHeader(bytes)`, which reads whatever the strategy needs from the
+ *   start of the file, including where the audio starts (`dataOffset`), or
+ *   returns null if it needs more bytes.
+ * - `sync(header, bytes, offset, position)`, which finds the first place at
+ *   or after `offset` that a segment can start, or returns -1. This is used
+ *   when downloading from the middle of the file after seeking.
+ * - `findEnd(header, bytes, start, position)`, which finds where the segment
+ *   starting at `start` should end, while more bytes are on the way.
+ * - `trim(header, bytes, start, position)`, which does the same for the
+ *   last segment.
+ * - `wrap(header, segment)`, which turns a segment into a file that can be
+ *   passed to `decodeAudioData`.
+ * - `overlap(header, bytes, from, start, end)`, for formats that can't be
+ *   decoded cleanly from the middle, which returns `{duration, length,
+ *   overlap}`: the seconds of new audio in the segment, which starts at
+ *   `from` but only has new audio from `start`, and how many bytes (and
+ *   seconds of audio) from the end of it the next segment should start with.
+ *   This is optional.
+ *
+ * `position` is where `bytes` starts in the file.
+ *
+ * @private
+ */
+
+export default {mp3, aac, wav, flac, ogg, mp4}
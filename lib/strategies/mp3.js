@@ -0,0 +1,4 @@
+import {parseFrameHeader, findFrame} from '../formats/mp3'
+import createFrameStrategy from './frames'
+
+export default createFrameStrategy('mp3', parseFrameHeader, findFrame)
@@ -0,0 +1,35 @@
+/**
+ * MP4
+ * ===
+ *
+ * The sample tables in the `moov` box are needed to make sense of the audio,
+ * and they are often at the end of the file, so an MP4 is decoded in one go
+ * once it has been downloaded.
+ *
+ * @private
+ */
+
+export default {
+  format: 'mp4',
+  incremental: false,
+
+  parseHeader () {
+    return {dataOffset: 0}
+  },
+
+  sync (header, bytes, offset) {
+    return offset
+  },
+
+  findEnd (header, bytes, start) {
+    return start
+  },
+
+  trim (header, bytes) {
+    return bytes.length
+  },
+
+  wrap (header, segment) {
+    return segment
+  },
+}
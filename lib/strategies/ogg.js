@@ -0,0 +1,44 @@
+import {parseHeader, findPage, pageLength} from '../formats/ogg'
+import {concatUint8Array} from '../concat'
+
+/**
+ * Ogg
+ * ===
+ *
+ * Split the stream into whole pages, and put the header pages (the
+ * identification, comment and setup headers) from the start of the file in
+ * front of each segment.
+ *
+ * @private
+ */
+
+export default {
+  format: 'ogg',
+  incremental: true,
+
+  parseHeader,
+
+  sync (header, bytes, offset) {
+    return findPage(bytes, offset)
+  },
+
+  findEnd (header, bytes, start) {
+    let end = start
+    let length = pageLength(bytes, end)
+
+    while (length > 0) {
+      end += length
+      length = pageLength(bytes, end)
+    }
+
+    return end
+  },
+
+  trim (header, bytes, start) {
+    return this.findEnd(header, bytes, start)
+  },
+
+  wrap ({header}, segment) {
+    return concatUint8Array(header, segment)
+  },
+}
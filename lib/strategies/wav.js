@@ -0,0 +1,52 @@
+import {parseHeader, createHeader} from '../formats/wav'
+import {concatUint8Array} from '../concat'
+
+/**
+ * WAV
+ * ===
+ *
+ * Split the audio data on sample boundaries, and give each segment a header
+ * of its own, copied from the original file but with the length of the
+ * segment.
+ *
+ * @private
+ */
+
+export default {
+  format: 'wav',
+  incremental: true,
+
+  parseHeader (bytes) {
+    const header = parseHeader(bytes)
+    if (header == null || header.blockAlign === 0) {
+      return null
+    }
+
+    const {dataOffset, dataLength} = header
+    return {
+      ...header,
+      dataEnd: dataLength == null ? Infinity : dataOffset + dataLength,
+    }
+  },
+
+  // line up with the start of a sample frame
+  sync (header, bytes, offset, position) {
+    const {blockAlign, dataOffset} = header
+    const into = ((position + offset) - dataOffset) % blockAlign
+    const skip = (blockAlign - into) % blockAlign
+    return offset + skip > bytes.length ? -1 : offset + skip
+  },
+
+  findEnd (header, bytes, start, position) {
+    const end = Math.min(bytes.length, header.dataEnd - position)
+    return start + (Math.floor((end - start) / header.blockAlign) * header.blockAlign)
+  },
+
+  trim (header, bytes, start, position) {
+    return this.findEnd(header, bytes, start, position)
+  },
+
+  wrap (header, segment) {
+    return concatUint8Array(createHeader(header.fmt, segment.length), segment)
+  },
+}
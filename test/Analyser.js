@@ -0,0 +1,101 @@
+import test from 'ava'
+import sinon from 'sinon'
+
+import Analyser from '../lib/Analyser'
+import {createGainNode} from './helpers/AudioContext'
+
+const createAnalyserNode = () => {
+  const samples = [0, 0.5, -1, 0.5]
+  return {
+    fftSize: 2048,
+    smoothingTimeConstant: 0.8,
+    getByteFrequencyData: sinon.spy((array) => array.fill(7)),
+    getFloatFrequencyData: sinon.spy((array) => array.fill(-30)),
+    getByteTimeDomainData: sinon.spy((array) => array.fill(128)),
+    getFloatTimeDomainData: sinon.spy((array) => {
+      array.forEach((value, i) => {
+        array[i] = samples[i % samples.length]
+      })
+    }),
+  }
+}
+
+test.beforeEach((t) => {
+  const node = createAnalyserNode()
+  const context = {createAnalyser: sinon.stub().returns(node)}
+  const input = createGainNode()
+  const analyser = new Analyser({context, input, fftSize: 256, smoothing: 0.5})
+  t.context = {node, context, input, analyser}
+})
+
+test('the node is created on first use', (t) => {
+  const {node, context, input, analyser} = t.context
+
+  t.true(context.createAnalyser.notCalled)
+
+  t.is(analyser.node, node)
+  t.is(analyser.node, node)
+  t.true(context.createAnalyser.calledOnce)
+  t.deepEqual(input.connect.args, [[node]])
+  t.is(node.fftSize, 256)
+  t.is(node.smoothingTimeConstant, 0.5)
+})
+
+test('fftSize and smoothing', (t) => {
+  const {node, analyser} = t.context
+
+  analyser.fftSize = 512
+  analyser.smoothing = 0
+  t.is(analyser.fftSize, 512)
+  t.is(analyser.frequencyBinCount, 256)
+
+  analyser.getFrequencyData()
+  t.is(node.fftSize, 512)
+  t.is(node.smoothingTimeConstant, 0)
+
+  analyser.fftSize = 1024
+  t.is(node.fftSize, 1024)
+})
+
+test('fftSize must be a power of two', (t) => {
+  const {analyser} = t.context
+
+  t.throws(() => {
+    analyser.fftSize = 1000
+  }, RangeError)
+  t.throws(() => {
+    analyser.fftSize = 16
+  }, RangeError)
+  t.is(analyser.fftSize, 256)
+})
+
+test('getFrequencyData', (t) => {
+  const {analyser} = t.context
+
+  const bytes = analyser.getFrequencyData()
+  t.true(bytes instanceof Uint8Array)
+  t.is(bytes.length, 128)
+  t.is(bytes[0], 7)
+
+  // an array can be reused, and the type picks the units
+  const decibels = new Float32Array(128)
+  t.is(analyser.getFrequencyData(decibels), decibels)
+  t.is(decibels[0], -30)
+})
+
+test('getWaveformData', (t) => {
+  const {analyser} = t.context
+
+  const bytes = analyser.getWaveformData()
+  t.is(bytes.length, 256)
+  t.is(bytes[0], 128)
+
+  const samples = analyser.getWaveformData(new Float32Array(4))
+  t.deepEqual(Array.from(samples), [0, 0.5, -1, 0.5])
+})
+
+test('getLevels', (t) => {
+  const {analyser} = t.context
+
+  t.deepEqual(analyser.getLevels(), {rms: Math.sqrt(0.375), peak: 1})
+})
@@ -0,0 +1,211 @@
+import test from 'ava'
+import sinon from 'sinon'
+
+import Cache from '../lib/Cache'
+import {HttpError} from '../lib/errors'
+import createReadableStream from './helpers/ReadableStream'
+import createResponse from './helpers/Response'
+
+const bytes = (length, from = 0) => Uint8Array.from({length}, (_, i) => from + i)
+
+// reads every byte from a response, until it is done
+const readAll = (res) => {
+  const reader = res.body.getReader()
+  const values = []
+
+  const read = () => reader.read().then(({value, done}) => {
+    if (done) {
+      return values
+    }
+    values.push(...value)
+    return read()
+  })
+
+  return read()
+}
+
+test('put and get', (t) => {
+  const cache = new Cache()
+
+  return cache.put('/a.mp3', {bytes: bytes(4), contentType: 'audio/mpeg', total: 4, complete: true})
+    .then(() => cache.get('/a.mp3'))
+    .then((entry) => {
+      t.deepEqual(Array.from(entry.bytes), [0, 1, 2, 3])
+      t.is(entry.contentType, 'audio/mpeg')
+      t.true(entry.complete)
+      return cache.get('/b.mp3')
+    })
+    .then((entry) => t.is(entry, null))
+})
+
+test('evicts the tracks used longest ago', (t) => {
+  const clock = sinon.useFakeTimers()
+  const cache = new Cache({maxSize: 10})
+
+  const put = (key, size) => {
+    clock.tick(1)
+    return cache.put(key, {bytes: bytes(size), complete: true})
+  }
+
+  return put('/a.mp3', 4)
+    .then(() => put('/b.mp3', 4))
+    .then(() => {
+      clock.tick(1)
+      return cache.get('/a.mp3')
+    })
+    .then(() => put('/c.mp3', 4))
+    .then(() => put('/d.mp3', 20))
+    .then(() => cache.store.list())
+    .then((entries) => {
+      clock.restore()
+      t.deepEqual(entries.map((entry) => entry.key), ['/a.mp3', '/c.mp3'])
+    })
+})
+
+test('open - a cached track', (t) => {
+  const cache = new Cache()
+  const fetch = sinon.spy()
+
+  return cache.put('/a.mp3', {bytes: bytes(4), contentType: 'audio/mpeg', total: 4, complete: true})
+    .then(() => cache.open('/a.mp3', 1, {fetch}))
+    .then((res) => {
+      t.is(res.status, 206)
+      t.is(res.headers.get('Content-Type'), 'audio/mpeg')
+      t.is(res.headers.get('Content-Range'), 'bytes 1-3/4')
+      return readAll(res)
+    })
+    .then((values) => {
+      t.deepEqual(values, [1, 2, 3])
+      t.true(fetch.notCalled)
+    })
+})
+
+test('open - past the end of a cached track', (t) => {
+  const cache = new Cache()
+
+  return cache.put('/a.mp3', {bytes: bytes(4), total: 4, complete: true})
+    .then(() => cache.open('/a.mp3', 6))
+    .then((res) => {
+      t.is(res.headers.get('Content-Length'), '0')
+      return readAll(res)
+    })
+    .then((values) => t.deepEqual(values, []))
+})
+
+test('open - saves a track as it is downloaded', (t) => {
+  const cache = new Cache()
+  const fetch = sinon.stub().returns(Promise.resolve(createResponse(
+    createReadableStream([bytes(2), bytes(2, 2)]),
+    {headers: {'Content-Length': '4', 'Content-Type': 'audio/mpeg'}},
+  )))
+
+  return cache.open('/a.mp3', 0, {fetch})
+    .then(readAll)
+    .then((values) => {
+      t.deepEqual(values, [0, 1, 2, 3])
+      return cache.get('/a.mp3')
+    })
+    .then((entry) => {
+      t.deepEqual(Array.from(entry.bytes), [0, 1, 2, 3])
+      t.is(entry.contentType, 'audio/mpeg')
+      t.is(entry.total, 4)
+      t.true(entry.complete)
+    })
+})
+
+test('open - stops saving a track that is too big for the cache', (t) => {
+  const cache = new Cache({maxSize: 3})
+  const put = sinon.spy(cache, 'put')
+  const fetch = sinon.stub().returns(Promise.resolve(createResponse(
+    createReadableStream([bytes(2), bytes(2, 2)]),
+    {headers: {'Content-Length': '4'}},
+  )))
+
+  return cache.open('/a.mp3', 0, {fetch})
+    .then(readAll)
+    .then((values) => {
+      t.deepEqual(values, [0, 1, 2, 3])
+      t.true(put.notCalled)
+    })
+})
+
+test('open - resumes a partly cached track', (t) => {
+  const cache = new Cache()
+  const fetch = sinon.stub().returns(Promise.resolve(createResponse(
+    createReadableStream([bytes(2, 2)]),
+    {status: 206, headers: {'Content-Range': 'bytes 2-3/4'}},
+  )))
+
+  return cache.put('/a.mp3', {bytes: bytes(2), total: 4})
+    .then(() => cache.open('/a.mp3', 1, {fetch}))
+    .then((res) => {
+      t.is(res.status, 206)
+      return readAll(res)
+    })
+    .then((values) => {
+      t.deepEqual(values, [1, 2, 3])
+      t.deepEqual(fetch.args, [['/a.mp3', {headers: {Range: 'bytes=2-'}}]])
+      return cache.get('/a.mp3')
+    })
+    .then((entry) => {
+      t.deepEqual(Array.from(entry.bytes), [0, 1, 2, 3])
+      t.true(entry.complete)
+    })
+})
+
+test('open - saves what it has when the download stops', (t) => {
+  const cache = new Cache()
+  const error = new TypeError('Connection reset')
+  const fetch = sinon.stub().returns(Promise.resolve(createResponse(
+    createReadableStream([bytes(2), error]),
+    {headers: {'Content-Length': '4'}},
+  )))
+
+  return cache.open('/a.mp3', 0, {fetch})
+    .then(readAll)
+    .then(() => t.fail(), (err) => {
+      t.is(err, error)
+      return cache.get('/a.mp3')
+    })
+    .then((entry) => {
+      t.deepEqual(Array.from(entry.bytes), [0, 1])
+      t.false(entry.complete)
+    })
+})
+
+test('open - the rest of the track fails to download', (t) => {
+  const cache = new Cache()
+  const fetch = sinon.stub().returns(Promise.resolve(createResponse(null, {status: 503})))
+
+  return cache.put('/a.mp3', {bytes: bytes(2), total: 4})
+    .then(() => cache.open('/a.mp3', 0, {fetch}))
+    .then(readAll)
+    .then(() => t.fail(), (err) => {
+      t.true(err instanceof HttpError)
+      t.is(err.status, 503)
+    })
+})
+
+test('prefetch', (t) => {
+  const cache = new Cache()
+  const fetch = sinon.stub()
+  fetch.withArgs('/b.mp3').returns(Promise.resolve(createResponse(null, {status: 404})))
+  fetch.withArgs('/c.mp3').returns(Promise.resolve(createResponse(
+    createReadableStream([bytes(3)]),
+  )))
+
+  return cache.put('/a.mp3', {bytes: bytes(4), complete: true})
+    .then(() => cache.prefetch(['/a.mp3', '/b.mp3', '/c.mp3'], {fetch}))
+    .then(() => cache.store.list())
+    .then((entries) => {
+      t.deepEqual(fetch.args.map((args) => args[0]), ['/b.mp3', '/c.mp3'])
+      t.deepEqual(entries.map((entry) => entry.key), ['/a.mp3', '/c.mp3'])
+    })
+})
+
+test('get - a store that can\'t be read', (t) => {
+  const store = {get: sinon.stub().returns(Promise.reject(new Error('Blocked')))}
+  const cache = new Cache({store})
+
+  return cache.get('/a.mp3').then((entry) => t.is(entry, null))
+})
@@ -0,0 +1,58 @@
+import test from 'ava'
+import sinon from 'sinon'
+
+import Chain from '../lib/Chain'
+import {createGainNode} from './helpers/AudioContext'
+
+test('should connect the input straight to the output', (t) => {
+  const input = createGainNode()
+  const output = {}
+
+  const chain = new Chain({context: {}, input, output})
+
+  t.deepEqual(chain.nodes, [])
+  t.deepEqual(input.connect.args, [[output]])
+})
+
+test('should connect effects in order', (t) => {
+  const context = {}
+  const input = createGainNode()
+  const output = {}
+  const compressor = createGainNode()
+  const eq = createGainNode()
+  const createEq = sinon.stub().returns(eq)
+
+  const chain = new Chain({context, input, output, effects: [compressor, createEq]})
+
+  t.deepEqual(createEq.args, [[context]])
+  t.deepEqual(chain.nodes, [compressor, eq])
+  t.deepEqual(input.connect.args, [[compressor]])
+  t.deepEqual(compressor.connect.args, [[eq]])
+  t.deepEqual(eq.connect.args, [[output]])
+})
+
+test('setEffects - should only undo its own connections', (t) => {
+  const input = createGainNode()
+  const output = {}
+  const compressor = createGainNode()
+  const analyser = createGainNode()
+
+  const chain = new Chain({context: {}, input, output, effects: [compressor]})
+  chain.setEffects([analyser])
+
+  t.deepEqual(input.disconnect.args, [[compressor]])
+  t.deepEqual(compressor.disconnect.args, [[output]])
+  t.deepEqual(input.connect.args, [[compressor], [analyser]])
+  t.deepEqual(analyser.connect.args, [[output]])
+})
+
+test('dispose', (t) => {
+  const input = createGainNode()
+  const output = {}
+
+  const chain = new Chain({context: {}, input, output})
+  chain.dispose()
+  chain.dispose()
+
+  t.deepEqual(input.disconnect.args, [[output]])
+})
@@ -0,0 +1,61 @@
+import test from 'ava'
+import sinon from 'sinon'
+
+import Emitter from '../lib/Emitter'
+
+test('on and emit', (t) => {
+  const emitter = new Emitter()
+  const a = sinon.spy()
+  const b = sinon.spy()
+
+  emitter.on('timeupdate', a).on('timeupdate', b)
+  emitter.emit('timeupdate', 5)
+
+  t.deepEqual(a.args, [[5]])
+  t.deepEqual(b.args, [[5]])
+})
+
+test('off', (t) => {
+  const emitter = new Emitter()
+  const listener = sinon.spy()
+
+  emitter.on('play', listener)
+  emitter.off('play', listener)
+  emitter.emit('play')
+
+  t.true(listener.notCalled)
+})
+
+test('once', (t) => {
+  const emitter = new Emitter()
+  const listener = sinon.spy()
+
+  emitter.once('play', listener)
+  emitter.emit('play')
+  emitter.emit('play')
+
+  t.true(listener.calledOnce)
+})
+
+test('once - can be removed with off', (t) => {
+  const emitter = new Emitter()
+  const listener = sinon.spy()
+
+  emitter.once('play', listener)
+  emitter.off('play', listener)
+  emitter.emit('play')
+
+  t.true(listener.notCalled)
+})
+
+test('emit - calls the callback alias', (t) => {
+  const emitter = new Emitter()
+  emitter.onProgress = sinon.spy()
+  emitter.onVolumeChange = sinon.spy()
+
+  emitter.emit('progress', {loaded: 10})
+  emitter.emit('volumechange')
+
+  t.deepEqual(emitter.onProgress.args, [[{loaded: 10}]])
+  t.true(emitter.onVolumeChange.calledOnce)
+})
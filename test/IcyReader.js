@@ -0,0 +1,52 @@
+import test from 'ava'
+
+import IcyReader from '../lib/IcyReader'
+import createReadableStream from './helpers/ReadableStream'
+import {createIcyStream} from './helpers/icy'
+
+const TITLE = 'StreamTitle=\'Artist - Title\';'
+
+const readAll = (reader, chunks = []) => reader.read().then(({value, done}) => {
+  if (done) {
+    return chunks
+  }
+  return readAll(reader, [...chunks, ...value])
+})
+
+const createAudio = (length) => new Uint8Array(length).map((value, i) => i % 256)
+
+test('strips the metadata blocks', (t) => {
+  const audio = createAudio(250)
+  const stream = createIcyStream(audio, 100, [TITLE])
+
+  const reader = new IcyReader(createReadableStream([stream]), 100)
+  const metadata = []
+  reader.onMetadata = (fields) => metadata.push(fields)
+
+  return readAll(reader).then((bytes) => {
+    t.deepEqual(bytes, Array.from(audio))
+    t.deepEqual(metadata, [{StreamTitle: 'Artist - Title'}])
+  })
+})
+
+test('blocks can be split across chunks', (t) => {
+  const audio = createAudio(300)
+  const stream = createIcyStream(audio, 100, [TITLE, '', TITLE])
+
+  // one byte at a time
+  const reader = new IcyReader(createReadableStream(Array.from(stream).map((b) => [b])), 100)
+  const metadata = []
+  reader.onMetadata = (fields) => metadata.push(fields)
+
+  return readAll(reader).then((bytes) => {
+    t.deepEqual(bytes, Array.from(audio))
+    t.is(metadata.length, 2)
+  })
+})
+
+test('cancel', (t) => {
+  const stream = createReadableStream([])
+  const reader = new IcyReader(stream, 100)
+  reader.cancel()
+  t.true(stream.cancel.calledOnce)
+})
@@ -0,0 +1,286 @@
+import test from 'ava'
+import sinon from 'sinon'
+
+import MediaElement from '../lib/MediaElement'
+import {MediaElementError, AbortError} from '../lib/errors'
+import FakeAudio from './helpers/Audio'
+import {createGainNode} from './helpers/AudioContext'
+
+global.Audio = FakeAudio
+
+test.beforeEach((t) => {
+  const source = createGainNode()
+  const context = {
+    currentTime: 0,
+    createGain: createGainNode,
+    createMediaElementSource: sinon.stub().returns(source),
+    destination: {},
+  }
+  const media = new MediaElement({context, statsInterval: 0})
+
+  t.context = {source, context, media, element: media.audioElement}
+})
+
+test('autoplays by default', (t) => {
+  const {context, element} = t.context
+
+  t.true(element.autoplay)
+  t.false(new MediaElement({context, autoplay: false, statsInterval: 0}).audioElement.autoplay)
+})
+
+test('forwards the element events', (t) => {
+  const {media, element} = t.context
+
+  const events = ['loadedmetadata', 'canplaythrough', 'playing', 'seeking', 'seeked', 'stalled']
+  const listeners = events.map((event) => {
+    const listener = sinon.spy()
+    media.on(event, listener)
+    return listener
+  })
+
+  events.forEach((event) => element.dispatch(event))
+
+  listeners.forEach((listener) => t.true(listener.calledOnce))
+})
+
+test('loadSource - resolves when the track can play through', (t) => {
+  const {media, element} = t.context
+
+  const loaded = media.loadSource('/track.mp3')
+  t.is(element.src, '/track.mp3')
+  t.true(media.loading)
+
+  element.dispatch('canplaythrough')
+  return loaded
+})
+
+test('loadSource - rejects with the media error', (t) => {
+  const {media, element} = t.context
+
+  const onError = sinon.spy()
+  media.on('error', onError)
+
+  const loaded = media.loadSource('/track.mp3')
+  element.error = {code: 2, message: 'Connection reset'}
+  element.dispatch('error')
+
+  return loaded.then(() => t.fail(), (err) => {
+    t.true(err instanceof MediaElementError)
+    t.is(err.code, 2)
+    t.is(err.reason, 'MEDIA_ERR_NETWORK')
+    t.is(err.message, 'MEDIA_ERR_NETWORK: Connection reset')
+    t.true(err.retryable)
+    t.deepEqual(onError.args, [[err]])
+    t.false(media.loading)
+  })
+})
+
+test('loadSource - stopping rejects with an AbortError', (t) => {
+  const {media, element} = t.context
+
+  const onError = sinon.spy()
+  media.on('error', onError)
+
+  const loaded = media.loadSource('/track.mp3')
+  media.stop()
+
+  // clearing the src makes some browsers report an error
+  element.error = {code: 4, message: ''}
+  element.dispatch('error')
+
+  return loaded.then(() => t.fail(), (err) => {
+    t.true(err instanceof AbortError)
+    t.true(onError.notCalled)
+  })
+})
+
+test('loadSource - stops listening to the signal once loaded', (t) => {
+  const {media, element} = t.context
+  const signal = {
+    aborted: false,
+    addEventListener: sinon.spy(),
+    removeEventListener: sinon.spy(),
+  }
+
+  const loaded = media.loadSource('/track.mp3', {signal})
+  element.dispatch('canplaythrough')
+
+  return loaded.then(() => {
+    const [[event, listener]] = signal.addEventListener.args
+    t.is(event, 'abort')
+    t.deepEqual(signal.removeEventListener.args, [['abort', listener]])
+  })
+})
+
+test.serial('loadSource - plays a Blob from an object URL', (t) => {
+  const {media, element} = t.context
+
+  global.Blob = class Blob {}
+  global.URL = {
+    createObjectURL: sinon.stub().returns('blob:1'),
+    revokeObjectURL: sinon.spy(),
+  }
+
+  const blob = new global.Blob()
+  media.loadSource(blob)
+  t.is(element.src, 'blob:1')
+  t.deepEqual(global.URL.createObjectURL.args, [[blob]])
+
+  media.loadSource('/track.mp3')
+  t.is(element.src, '/track.mp3')
+  t.deepEqual(global.URL.revokeObjectURL.args, [['blob:1']])
+
+  delete global.Blob
+  delete global.URL
+})
+
+test('loadSource - rejects a ReadableStream', (t) => {
+  const {media} = t.context
+
+  return media.loadSource({getReader: () => null}).then(() => t.fail(), (err) => {
+    t.true(err instanceof TypeError)
+    t.false(media.loading)
+  })
+})
+
+test('loadSource - plays a Request from its URL', (t) => {
+  const {media, element} = t.context
+
+  media.loadSource({url: '/track.mp3', headers: {}})
+  t.is(element.src, '/track.mp3')
+})
+
+test('buffered - every range', (t) => {
+  const {media, element} = t.context
+
+  element.setBuffered([[0, 10], [20, 30]])
+  element.currentTime = 25
+
+  t.deepEqual(media.bufferedRanges(), [{start: 0, end: 10}, {start: 20, end: 30}])
+  t.is(media.buffered(), 30)
+
+  element.currentTime = 15
+  t.is(media.buffered(), 0)
+})
+
+test('seek, playbackRate and loop', (t) => {
+  const {media, element} = t.context
+
+  media.seek(12)
+  media.playbackRate = 10
+  media.loop = true
+
+  t.is(element.currentTime, 12)
+  t.is(element.playbackRate, 4)
+  t.is(element.defaultPlaybackRate, 4)
+  t.true(element.loop)
+})
+
+test('waiting after playing counts as a rebuffer', (t) => {
+  const {media, element} = t.context
+
+  element.dispatch('waiting')
+  element.currentTime = 5
+  element.dispatch('waiting')
+
+  t.true(media.buffering)
+  t.is(media.getStats().rebuffers, 1)
+})
+
+test.serial('loadSource - a fading stop does not unload the new track', (t) => {
+  const {media, element} = t.context
+  const clock = sinon.useFakeTimers()
+
+  media.fadeDuration = 1
+  media.loadSource('/one.mp3')
+  media.play()
+  media.loadSource('/two.mp3')
+  clock.tick(2000)
+  clock.restore()
+
+  t.is(element.src, '/two.mp3')
+})
+
+test.serial('play cancels a pause that is fading out', (t) => {
+  const {media, element} = t.context
+  const clock = sinon.useFakeTimers()
+
+  media.fadeDuration = 1
+  media.loadSource('/track.mp3')
+  media.play()
+  media.pause()
+  t.true(media.paused)
+
+  media.play()
+  clock.tick(2000)
+  clock.restore()
+
+  t.false(media.paused)
+  t.true(element.pause.notCalled)
+})
+
+test('play - emits the error if the browser refuses to play', (t) => {
+  const {media, element} = t.context
+  const err = new Error('play() can only be initiated by a user gesture')
+  err.name = 'NotAllowedError'
+  element.play = sinon.stub().returns(Promise.reject(err))
+
+  const onError = sinon.spy()
+  media.on('error', onError)
+
+  return media.play().then(() => t.fail(), (rejected) => {
+    t.is(rejected, err)
+    t.deepEqual(onError.args, [[err]])
+  })
+})
+
+test('play - being interrupted is not an error', (t) => {
+  const {media, element} = t.context
+  const err = new Error('The play() request was interrupted by a call to pause()')
+  err.name = 'AbortError'
+  element.play = sinon.stub().returns(Promise.reject(err))
+
+  const onError = sinon.spy()
+  media.on('error', onError)
+
+  return media.play().then(() => t.fail(), () => {
+    t.true(onError.notCalled)
+  })
+})
+
+test('play - the loop region starting again can fail too', (t) => {
+  const {media, element} = t.context
+  const err = new Error('No supported source')
+  err.name = 'NotSupportedError'
+  element.play = sinon.stub().returns(Promise.reject(err))
+
+  const onError = sinon.spy()
+  media.on('error', onError)
+
+  media.setLoopRegion(5, 10)
+  element.currentTime = 12
+  element.dispatch('ended')
+
+  t.is(element.currentTime, 5)
+  t.true(element.play.calledOnce)
+
+  return Promise.resolve().then(() => {
+    t.deepEqual(onError.args, [[err]])
+  })
+})
+
+test('dispose', (t) => {
+  const {media, element, source} = t.context
+
+  media.loadSource('/track.mp3')
+  media.dispose()
+
+  t.true(source.disconnect.calledOnce)
+  t.true(media.volumeNode.disconnect.calledOnce)
+  t.is(element.src, '')
+
+  const onSeeked = sinon.spy()
+  media.on('seeked', onSeeked)
+  element.dispatch('seeked')
+  t.true(onSeeked.notCalled)
+})
@@ -0,0 +1,98 @@
+import test from 'ava'
+
+import Peaks from '../lib/Peaks'
+
+const createAudioBuffer = (...channels) => {
+  return {
+    length: channels[0].length,
+    numberOfChannels: channels.length,
+    sampleRate: 44100,
+    getChannelData: (channel) => new Float32Array(channels[channel]),
+  }
+}
+
+test('append - groups samples into peaks', (t) => {
+  const peaks = new Peaks({samplesPerPeak: 2})
+  peaks.append(createAudioBuffer([0.5, -0.5, 0.25, 0.75, -1]))
+
+  const {min, max, samplesPerPeak, sampleRate} = peaks.get()
+  t.deepEqual(Array.from(min), [-0.5, 0.25, -1])
+  t.deepEqual(Array.from(max), [0.5, 0.75, -1])
+  t.is(samplesPerPeak, 2)
+  t.is(sampleRate, 44100)
+})
+
+test('append - mixes every channel', (t) => {
+  const peaks = new Peaks({samplesPerPeak: 2})
+  peaks.append(createAudioBuffer([0, 0.5], [-0.25, 0]))
+
+  const {min, max} = peaks.get()
+  t.deepEqual(Array.from(min), [-0.25])
+  t.deepEqual(Array.from(max), [0.5])
+})
+
+test('append - finishes off a partly filled peak', (t) => {
+  const peaks = new Peaks({samplesPerPeak: 3})
+  peaks.append(createAudioBuffer([0.5, 0.25]))
+  peaks.append(createAudioBuffer([-0.5, 1]))
+
+  const {min, max} = peaks.get()
+  t.deepEqual(Array.from(min), [-0.5, 1])
+  t.deepEqual(Array.from(max), [0.5, 1])
+})
+
+test('append - leaves out the start of the audio', (t) => {
+  const peaks = new Peaks({samplesPerPeak: 2})
+  peaks.append(createAudioBuffer([1, 1, 0.5, -0.5]), 2)
+
+  const {min, max} = peaks.get()
+  t.deepEqual(Array.from(min), [-0.5])
+  t.deepEqual(Array.from(max), [0.5])
+})
+
+test('append - grows past the initial capacity', (t) => {
+  const peaks = new Peaks({samplesPerPeak: 1})
+  peaks.append(createAudioBuffer(new Array(3000).fill(0.5)))
+
+  t.is(peaks.length, 3000)
+  t.is(peaks.get().max[2999], 0.5)
+})
+
+test('get - returns copies', (t) => {
+  const peaks = new Peaks({samplesPerPeak: 1})
+  peaks.append(createAudioBuffer([0.5]))
+
+  const {max} = peaks.get()
+  peaks.append(createAudioBuffer([1]))
+
+  t.is(max.length, 1)
+  t.is(peaks.get().max.length, 2)
+})
+
+test('reset', (t) => {
+  const peaks = new Peaks()
+  peaks.append(createAudioBuffer([0.5]))
+  peaks.reset()
+
+  t.is(peaks.length, 0)
+  t.is(peaks.sampleRate, null)
+  t.is(peaks.get().min.length, 0)
+})
+
+test('toJSON', (t) => {
+  const peaks = new Peaks({samplesPerPeak: 2})
+  peaks.append(createAudioBuffer([-1, 0.5, 0, 1.5]))
+
+  t.deepEqual(peaks.toJSON(), {
+    version: 2,
+    channels: 1,
+    sample_rate: 44100,
+    samples_per_pixel: 2,
+    bits: 8,
+    length: 2,
+    data: [-127, 64, 0, 127],
+  })
+  t.deepEqual(peaks.toJSON({bits: 16}).data, [-32767, 16384, 0, 32767])
+  t.is(JSON.parse(JSON.stringify(peaks)).bits, 8)
+  t.throws(() => peaks.toJSON({bits: 12}), RangeError)
+})
@@ -0,0 +1,179 @@
+import test from 'ava'
+import sinon from 'sinon'
+
+import Player from '../lib/Player'
+import Emitter from '../lib/Emitter'
+
+const createBackend = () => {
+  return Object.assign(new Emitter(), {
+    context: {},
+    audioSource: {},
+    loading: false,
+    paused: true,
+    buffering: false,
+    loadSource: sinon.stub().returns(Promise.resolve()),
+    buffered: sinon.stub().returns(10),
+    bufferedRanges: sinon.stub().returns([{start: 0, end: 10}]),
+    currentTime: sinon.stub().returns(5),
+    duration: sinon.stub().returns(30),
+    isDurationExact: sinon.stub().returns(true),
+    effects: [],
+    volume: 1,
+    muted: false,
+    playbackRate: 1,
+    setVolume: sinon.spy(),
+    setPlaybackRate: sinon.spy(),
+    loop: false,
+    loopRegion: null,
+    setLoopRegion: sinon.spy(),
+    clearLoopRegion: sinon.spy(),
+    fftSize: 2048,
+    smoothing: 0.8,
+    getFrequencyData: sinon.stub().returns(new Uint8Array(1024)),
+    getWaveformData: sinon.stub().returns(new Uint8Array(2048)),
+    getLevels: sinon.stub().returns({rms: 0.5, peak: 1}),
+    getPeaks: sinon.stub().returns({min: [], max: []}),
+    exportPeaks: sinon.stub().returns({version: 2}),
+    render: sinon.stub().returns(Promise.resolve()),
+    exportWav: sinon.stub().returns(Promise.resolve()),
+    startRecording: sinon.spy(),
+    stopRecording: sinon.stub().returns(Promise.resolve()),
+    prefetch: sinon.stub().returns(Promise.resolve()),
+    getStats: sinon.stub().returns({rebuffers: 1}),
+    setEffects: sinon.spy(),
+    seek: sinon.spy(),
+    play: sinon.spy(),
+    pause: sinon.spy(),
+    stop: sinon.spy(),
+    dispose: sinon.spy(),
+  })
+}
+
+test.beforeEach((t) => {
+  const backend = createBackend()
+  const player = new Player({backend})
+  t.context = {backend, player}
+})
+
+test('constructor', (t) => {
+  const {backend, player} = t.context
+
+  t.is(player.backend, backend)
+  t.is(player.context, backend.context)
+  t.is(player.audioSource, backend.audioSource)
+  t.true(typeof player.onProgress === 'function')
+  t.true(typeof player.onLoad === 'function')
+  t.true(typeof player.onPlay === 'function')
+  t.true(typeof player.onPause === 'function')
+  t.true(typeof player.onStop === 'function')
+})
+
+test('state is read from the backend', (t) => {
+  const {backend, player} = t.context
+
+  t.true(player.paused)
+  backend.paused = false
+  t.false(player.paused)
+
+  backend.loading = true
+  backend.buffering = true
+  t.true(player.loading)
+  t.true(player.buffering)
+
+  backend.streamTitle = 'Artist - Title'
+  t.is(player.streamTitle, 'Artist - Title')
+})
+
+test('methods are forwarded to the backend', (t) => {
+  const {backend, player} = t.context
+
+  player.loadSource('/track.mp3', {signal: null})
+  player.setEffects([])
+  player.setVolume(0.5, 2)
+  player.muted = true
+  player.playbackRate = 2
+  player.setPlaybackRate(1.5)
+  player.loop = true
+  player.setLoopRegion(5, 10)
+  player.clearLoopRegion()
+  player.fftSize = 512
+  player.smoothing = 0.5
+  player.seek(20)
+  player.play()
+  player.pause()
+  player.render({start: 5})
+  player.exportWav({bitDepth: 24})
+  player.startRecording({mimeType: 'audio/webm'})
+  player.stopRecording()
+  player.prefetch(['/next.mp3'], {signal: null})
+  player.stop()
+  player.dispose()
+
+  t.deepEqual(backend.loadSource.args, [['/track.mp3', {signal: null}]])
+  t.deepEqual(backend.setEffects.args, [[[]]])
+  t.deepEqual(backend.setVolume.args, [[0.5, 2]])
+  t.true(backend.muted)
+  t.is(player.playbackRate, 2)
+  t.deepEqual(backend.setPlaybackRate.args, [[1.5]])
+  t.true(player.loop)
+  t.deepEqual(backend.setLoopRegion.args, [[5, 10]])
+  t.true(backend.clearLoopRegion.calledOnce)
+  t.is(backend.fftSize, 512)
+  t.is(player.smoothing, 0.5)
+  t.is(player.getFrequencyData().length, 1024)
+  t.is(player.getWaveformData().length, 2048)
+  t.deepEqual(player.getLevels(), {rms: 0.5, peak: 1})
+  t.deepEqual(player.getPeaks(), {min: [], max: []})
+  t.deepEqual(player.exportPeaks({bits: 16}), {version: 2})
+  t.deepEqual(backend.exportPeaks.args, [[{bits: 16}]])
+  t.deepEqual(player.getStats(), {rebuffers: 1})
+  t.deepEqual(backend.render.args, [[{start: 5}]])
+  t.deepEqual(backend.exportWav.args, [[{bitDepth: 24}]])
+  t.deepEqual(backend.startRecording.args, [[{mimeType: 'audio/webm'}]])
+  t.true(backend.stopRecording.calledOnce)
+  t.deepEqual(backend.prefetch.args, [[['/next.mp3'], {signal: null}]])
+  t.is(player.effects, backend.effects)
+  t.deepEqual(backend.seek.args, [[20]])
+  t.true(backend.play.calledOnce)
+  t.true(backend.pause.calledOnce)
+  t.true(backend.stop.calledOnce)
+  t.true(backend.dispose.calledOnce)
+
+  t.is(player.buffered(), 10)
+  t.deepEqual(player.bufferedRanges(), [{start: 0, end: 10}])
+  t.is(player.currentTime(), 5)
+  t.is(player.duration(), 30)
+  t.true(player.isDurationExact())
+})
+
+test('WebAudio-only methods, with a backend that lacks them', (t) => {
+  const {backend, player} = t.context
+
+  ;['getPeaks', 'exportPeaks', 'render', 'exportWav', 'prefetch'].forEach((method) => {
+    delete backend[method]
+  })
+
+  t.is(player.getPeaks(), null)
+  t.is(player.exportPeaks(), null)
+
+  return player.prefetch(['/next.mp3'])
+    .then(() => player.exportWav())
+    .then(() => t.fail(), (err) => t.regex(err.message, /can't render/))
+})
+
+test('events are forwarded from the backend', (t) => {
+  const {backend, player} = t.context
+
+  const handleTimeUpdate = sinon.spy()
+  player.on('timeupdate', handleTimeUpdate)
+  player.onPlay = sinon.spy()
+  player.onLoad = sinon.spy()
+
+  backend.emit('timeupdate', 12)
+  backend.emit('play')
+  backend.emit('load')
+
+  t.deepEqual(handleTimeUpdate.args, [[12]])
+  t.true(player.onPlay.calledOnce)
+  t.true(player.onLoad.calledOnce)
+})
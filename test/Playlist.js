@@ -0,0 +1,215 @@
+import test from 'ava'
+import sinon from 'sinon'
+
+import Playlist from '../lib/Playlist'
+import WebAudio from '../lib/WebAudio'
+import {createGainNode} from './helpers/AudioContext'
+
+const CURRENT_TIME = 100 // seconds
+
+test.beforeEach((t) => {
+  global.fetch = sinon.stub().returns(new Promise(() => {}))
+
+  const context = {currentTime: CURRENT_TIME, createGain: createGainNode}
+  const playlist = new Playlist({context})
+  playlist.onTrackChange = sinon.spy()
+
+  t.context = {context, playlist}
+})
+
+test('constructor', (t) => {
+  const {context, playlist} = t.context
+
+  t.is(playlist.context, context)
+  t.deepEqual(playlist.items, [])
+  t.is(playlist.index, -1)
+  t.is(playlist.current, null)
+  t.true(playlist.paused)
+})
+
+test('tracks share the playlist effects chain', (t) => {
+  const {context} = t.context
+  const compressor = createGainNode()
+  const playlist = new Playlist({context, effects: [compressor]})
+
+  playlist.enqueue('/a.mp3')
+
+  t.deepEqual(playlist.effects, [compressor])
+  t.deepEqual(playlist.current.effects, [])
+  t.true(playlist.current.volumeNode.connect.calledWith(playlist.input))
+  t.true(playlist.input.connect.calledWith(compressor))
+})
+
+test('enqueue - loads the first track', (t) => {
+  const {playlist} = t.context
+
+  playlist.enqueue('/a.mp3', '/b.mp3')
+
+  t.deepEqual(playlist.items, ['/a.mp3', '/b.mp3'])
+  t.is(playlist.index, 0)
+  t.true(playlist.current instanceof WebAudio)
+  t.deepEqual(playlist.onTrackChange.args, [[0]])
+})
+
+test('next and previous', (t) => {
+  const {playlist} = t.context
+
+  playlist.enqueue('/a.mp3', '/b.mp3')
+  const first = playlist.current
+
+  playlist.next()
+  t.is(playlist.index, 1)
+  t.not(playlist.current, first)
+
+  playlist.next()
+  t.is(playlist.index, 1)
+
+  playlist.previous()
+  t.is(playlist.index, 0)
+
+  t.deepEqual(playlist.onTrackChange.args, [[0], [1], [0]])
+})
+
+test('disposes the track it replaces', (t) => {
+  const {playlist} = t.context
+
+  playlist.enqueue('/a.mp3', '/b.mp3')
+  const first = playlist.current
+  const dispose = sinon.spy(first, 'dispose')
+
+  playlist.next()
+
+  t.true(dispose.calledOnce)
+  t.true(first.volumeNode.disconnect.calledOnce)
+})
+
+test('remove - before the current track', (t) => {
+  const {playlist} = t.context
+
+  playlist.enqueue('/a.mp3', '/b.mp3', '/c.mp3')
+  playlist.next()
+  const current = playlist.current
+
+  playlist.remove(0)
+
+  t.deepEqual(playlist.items, ['/b.mp3', '/c.mp3'])
+  t.is(playlist.index, 0)
+  t.is(playlist.current, current)
+})
+
+test('remove - the current track', (t) => {
+  const {playlist} = t.context
+
+  playlist.enqueue('/a.mp3', '/b.mp3')
+  const current = playlist.current
+
+  playlist.remove(0)
+
+  t.deepEqual(playlist.items, ['/b.mp3'])
+  t.is(playlist.index, 0)
+  t.not(playlist.current, current)
+})
+
+test('move', (t) => {
+  const {playlist} = t.context
+
+  playlist.enqueue('/a.mp3', '/b.mp3', '/c.mp3')
+
+  playlist.move(0, 2)
+  t.deepEqual(playlist.items, ['/b.mp3', '/c.mp3', '/a.mp3'])
+  t.is(playlist.index, 2)
+
+  playlist.move(1, 0)
+  t.deepEqual(playlist.items, ['/c.mp3', '/b.mp3', '/a.mp3'])
+  t.is(playlist.index, 2)
+})
+
+test.serial('tick - schedules the next track to start when the current one ends', (t) => {
+  const {playlist} = t.context
+  const playAt = sinon.stub(WebAudio.prototype, 'playAt').returns(true)
+
+  playlist.enqueue('/a.mp3', '/b.mp3')
+
+  const {current} = playlist
+  current.loading = false
+  current.paused = false
+  current.startTime = CURRENT_TIME - 25
+  current.duration = () => 30
+  current.currentTime = () => 25
+
+  playlist._tick()
+
+  t.is(playlist._nextIndex, 1)
+  t.true(playlist._scheduled)
+  t.deepEqual(playAt.args, [[CURRENT_TIME + 5]])
+
+  playAt.restore()
+})
+
+test('moves on when the current track ends', (t) => {
+  const {playlist} = t.context
+
+  playlist.enqueue('/a.mp3', '/b.mp3')
+  playlist.current.emit('ended')
+
+  t.is(playlist.index, 1)
+  t.deepEqual(playlist.onTrackChange.args, [[0], [1]])
+})
+
+test('emits ended after the last track', (t) => {
+  const {playlist} = t.context
+  const handleEnded = sinon.spy()
+
+  playlist.on('ended', handleEnded)
+  playlist.enqueue('/a.mp3')
+  playlist.current.emit('ended')
+
+  t.is(playlist.index, 0)
+  t.true(handleEnded.calledOnce)
+})
+
+test('tick - crossfades into the next track', (t) => {
+  const {context} = t.context
+  const playlist = new Playlist({context, crossfade: 4})
+  playlist.onTrackChange = sinon.spy()
+
+  playlist.enqueue('/a.mp3', '/b.mp3')
+
+  const first = playlist.current
+  first.loading = false
+  first.paused = false
+  first.duration = () => 30
+  first.currentTime = () => 27
+  first.fadeOut = sinon.spy()
+
+  playlist._tick()
+
+  const second = playlist.current
+  t.not(second, first)
+  t.is(playlist.index, 1)
+  t.true(first.fadeOut.calledWith(4))
+  t.is(playlist._fading, first)
+  t.is(second.fadeNode.gain.value, 0)
+  t.true(second.buffering)
+  t.deepEqual(playlist.onTrackChange.args, [[0], [1]])
+
+  playlist.stop()
+  t.is(playlist._fading, null)
+})
+
+test('dispose', (t) => {
+  const {playlist} = t.context
+
+  playlist.enqueue('/a.mp3', '/b.mp3')
+  playlist._preloadNext()
+  const {current, _next: next} = playlist
+  const disposeCurrent = sinon.spy(current, 'dispose')
+  const disposeNext = sinon.spy(next, 'dispose')
+
+  playlist.dispose()
+
+  t.true(disposeCurrent.calledOnce)
+  t.true(disposeNext.calledOnce)
+  t.is(playlist.current, null)
+  t.true(playlist.input.disconnect.called)
+})
@@ -2,11 +2,20 @@ import test from 'ava'
 import sinon from 'sinon'
 
 import Pumper from '../lib/Pumper'
+import {NetworkError} from '../lib/errors'
 import createReadableStream from './helpers/ReadableStream'
 
+const createPumper = (chunks) => {
+  const pumper = new Pumper()
+  chunks.forEach((chunk) => pumper._append(new Uint8Array(chunk)))
+  return pumper
+}
+
 test('should create a new Pumper', (t) => {
   const pumper = new Pumper()
-  t.true(pumper.buffer instanceof Uint8Array)
+  t.deepEqual(pumper.chunks, [])
+  t.is(pumper.length, 0)
+  t.is(pumper.end, 0)
   t.true(typeof pumper.onRead === 'function')
   t.is(pumper.done, false)
   t.is(pumper.cancelled, false)
@@ -20,13 +29,31 @@ test('should read from stream', (t) => {
   ])
   const pumper = new Pumper()
   pumper.onRead = sinon.spy()
+  pumper.onDone = sinon.spy()
   return pumper.pump(reader).then(() => {
     t.deepEqual(pumper.onRead.args, [
-      [{value: new Uint8Array([1, 2, 3]).buffer, done: false}],
-      [{value: new Uint8Array([1, 2, 3, 4, 5, 6]).buffer, done: false}],
-      [{value: new Uint8Array([1, 2, 3, 4, 5, 6, 7, 8, 9]).buffer, done: false}],
-      [{value: null, done: true}],
+      [new Uint8Array([1, 2, 3])],
+      [new Uint8Array([4, 5, 6])],
+      [new Uint8Array([7, 8, 9])],
     ])
+    t.true(pumper.onDone.calledOnce)
+    t.true(pumper.done)
+    t.is(pumper.chunks.length, 3)
+    t.is(pumper.length, 9)
+    t.deepEqual(pumper.slice(), new Uint8Array([1, 2, 3, 4, 5, 6, 7, 8, 9]))
+  })
+})
+
+test('should skip bytes at the start of the stream', (t) => {
+  const reader = createReadableStream([
+    [1, 2, 3],
+    [4, 5, 6],
+  ])
+  const pumper = new Pumper()
+  pumper.onRead = sinon.spy()
+  return pumper.pump(reader, 4).then(() => {
+    t.deepEqual(pumper.slice(), new Uint8Array([5, 6]))
+    t.true(pumper.onRead.calledOnce)
   })
 })
 
@@ -45,3 +72,63 @@ test('should cancel read stream', (t) => {
     t.deepEqual(pumper.onRead.args, [])
   })
 })
+
+test('a dropped connection rejects with a NetworkError', (t) => {
+  const cause = new TypeError('network error')
+  const pumper = new Pumper()
+
+  return pumper.pump(createReadableStream([[1, 2, 3], cause])).then(() => t.fail(), (err) => {
+    t.true(err instanceof NetworkError)
+    t.true(err.retryable)
+    t.is(err.cause, cause)
+  })
+})
+
+test('an error reading a chunk is passed on as it is', (t) => {
+  const cause = new RangeError('Invalid frame')
+  const pumper = new Pumper()
+  pumper.onRead = sinon.stub().throws(cause)
+
+  return pumper.pump(createReadableStream([[1, 2, 3]])).then(() => t.fail(), (err) => {
+    t.is(err, cause)
+  })
+})
+
+test('slice - within a single chunk is not copied', (t) => {
+  const pumper = createPumper([[1, 2, 3], [4, 5, 6]])
+
+  const bytes = pumper.slice(3, 5)
+  t.deepEqual(bytes, new Uint8Array([4, 5]))
+  t.is(bytes.buffer, pumper.chunks[1].buffer)
+})
+
+test('slice - across chunks', (t) => {
+  const pumper = createPumper([[1, 2, 3], [4, 5, 6], [7, 8, 9]])
+
+  t.deepEqual(pumper.slice(2, 7), new Uint8Array([3, 4, 5, 6, 7]))
+  t.deepEqual(pumper.slice(7), new Uint8Array([8, 9]))
+  t.deepEqual(pumper.slice(9), new Uint8Array([]))
+})
+
+test('drop', (t) => {
+  const pumper = createPumper([[1, 2, 3], [4, 5, 6], [7, 8, 9]])
+
+  pumper.drop(4)
+
+  t.is(pumper.offset, 4)
+  t.is(pumper.length, 5)
+  t.is(pumper.end, 9)
+  t.deepEqual(pumper.chunks, [new Uint8Array([5, 6]), new Uint8Array([7, 8, 9])])
+  t.deepEqual(pumper.slice(), new Uint8Array([5, 6, 7, 8, 9]))
+  t.deepEqual(pumper.slice(0, 6), new Uint8Array([5, 6]))
+})
+
+test('clear', (t) => {
+  const pumper = createPumper([[1, 2, 3], [4, 5, 6]])
+
+  pumper.clear()
+
+  t.deepEqual(pumper.chunks, [])
+  t.is(pumper.length, 0)
+  t.is(pumper.end, 6)
+})
@@ -0,0 +1,163 @@
+import test from 'ava'
+import sinon from 'sinon'
+
+import Recorder from '../lib/Recorder'
+import {parseHeader} from '../lib/formats/wav'
+import {createGainNode, createAudioWorklet, FakeAudioWorkletNode} from './helpers/AudioContext'
+
+// just enough of a Blob, which Node doesn't have
+class FakeBlob {
+  constructor (parts, options) {
+    this.parts = parts
+    this.type = options.type
+  }
+}
+
+// just enough of a MediaRecorder
+class FakeMediaRecorder {
+  constructor (stream, options) {
+    FakeMediaRecorder.last = this
+
+    this.stream = stream
+    this.mimeType = options.mimeType
+    this.state = 'inactive'
+    this.start = sinon.spy(() => {
+      this.state = 'recording'
+    })
+    this.stop = sinon.spy(() => {
+      this.state = 'inactive'
+      this.ondataavailable({data: {size: 10}})
+      this.onstop()
+    })
+  }
+}
+
+const createContext = () => ({
+  currentTime: 0,
+  sampleRate: 4,
+  destination: {},
+  audioWorklet: createAudioWorklet(),
+  createMediaStreamDestination: sinon.spy(() => ({...createGainNode(), stream: {}})),
+})
+
+test.beforeEach(() => {
+  global.Blob = FakeBlob
+  global.MediaRecorder = FakeMediaRecorder
+  global.AudioWorkletNode = FakeAudioWorkletNode
+  global.URL = {
+    createObjectURL: sinon.stub().returns('blob:1'),
+    revokeObjectURL: sinon.spy(),
+  }
+})
+
+test.afterEach.always(() => {
+  delete global.Blob
+  delete global.MediaRecorder
+  delete global.AudioWorkletNode
+  delete global.URL
+})
+
+test.serial('records WAV files', (t) => {
+  const context = createContext()
+  const input = createGainNode()
+  const recorder = new Recorder({context, input})
+
+  const onProgress = sinon.spy()
+  recorder.onProgress = onProgress
+
+  let node = null
+
+  return recorder.start().then(() => {
+    node = FakeAudioWorkletNode.last
+    t.deepEqual(context.audioWorklet.addModule.args, [['blob:1']])
+    t.deepEqual(global.URL.revokeObjectURL.args, [['blob:1']])
+    t.is(node.name, 'web-audio-recorder')
+    t.is(node.options.channelCount, 2)
+    t.deepEqual(input.connect.args, [[node]])
+    t.deepEqual(node.connect.args, [[context.destination]])
+
+    node.send([[0, 0.5], [0, -0.5]])
+    t.deepEqual(onProgress.args, [[{duration: 0.5, size: 8}]])
+
+    // the processor still has these when it is told to stop
+    node.rest = [[1, 1], [-1, -1]]
+    return recorder.stop()
+  }).then((blob) => {
+    const [bytes] = blob.parts
+    const view = new DataView(bytes.buffer)
+
+    t.deepEqual(node.port.postMessage.args, [['stop']])
+    t.deepEqual(onProgress.args[1], [{duration: 1, size: 16}])
+    t.is(blob.type, 'audio/wav')
+    t.is(parseHeader(bytes).dataLength, 16)
+    t.deepEqual([0, 1, 2, 3, 4, 5, 6, 7].map((i) => view.getInt16(44 + (i * 2), true)), [
+      0, 0, 16384, -16384, 32767, -32768, 32767, -32768,
+    ])
+    t.deepEqual(input.disconnect.args, [[node]])
+    t.false(recorder.recording)
+  })
+})
+
+test.serial('records with a MediaRecorder', (t) => {
+  const context = createContext()
+  const input = createGainNode()
+  const recorder = new Recorder({context, input, mimeType: 'audio/webm'})
+
+  const onProgress = sinon.spy()
+  recorder.onProgress = onProgress
+  recorder.start()
+
+  const mediaRecorder = FakeMediaRecorder.last
+  const node = context.createMediaStreamDestination.firstCall.returnValue
+  t.is(mediaRecorder.stream, node.stream)
+  t.deepEqual(mediaRecorder.start.args, [[1000]])
+
+  context.currentTime = 2
+  mediaRecorder.ondataavailable({data: {size: 100}})
+  t.deepEqual(onProgress.args, [[{duration: 2, size: 100}]])
+
+  return recorder.stop().then((blob) => {
+    t.is(blob.type, 'audio/webm')
+    t.deepEqual(blob.parts, [{size: 100}, {size: 10}])
+    t.deepEqual(input.disconnect.args, [[node]])
+    t.true(mediaRecorder.stop.calledOnce)
+  })
+})
+
+test.serial('start and stop only once', (t) => {
+  const recorder = new Recorder({context: createContext(), input: createGainNode()})
+
+  recorder.start()
+  t.throws(() => recorder.start(), /Already recording/)
+
+  return recorder.stop().then(() => recorder.stop()).then(() => t.fail(), (err) => {
+    t.is(err.message, 'Not recording')
+  })
+})
+
+test.serial('WAV files need AudioWorklet', (t) => {
+  const context = {...createContext(), audioWorklet: undefined}
+  const recorder = new Recorder({context, input: createGainNode()})
+
+  return recorder.start().then(() => t.fail(), (err) => {
+    t.regex(err.message, /AudioWorklet/)
+    t.false(recorder.recording)
+  })
+})
+
+test.serial('other formats need MediaRecorder', (t) => {
+  delete global.MediaRecorder
+
+  const context = createContext()
+  const recorder = new Recorder({context, input: createGainNode(), mimeType: 'audio/webm'})
+
+  return recorder.start().then(() => t.fail(), (err) => {
+    t.regex(err.message, /MediaRecorder/)
+    t.false(recorder.recording)
+    t.true(context.createMediaStreamDestination.notCalled)
+  })
+})
+
+test('bit depth', (t) => {
+  t.throws(() => new Recorder({context: {}, input: {}, bitDepth: 8}), RangeError)
+})
@@ -0,0 +1,225 @@
+import test from 'ava'
+
+import Segmenter from '../lib/Segmenter'
+import {UnsupportedFormatError} from '../lib/errors'
+import {createMp3, FRAME_LENGTH} from './helpers/mp3'
+import {createAac} from './helpers/aac'
+import {createWav, HEADER_LENGTH} from './helpers/wav'
+import {STREAM_INFO, createBlock, createFlacFrame} from './helpers/flac'
+import {VORBIS_HEADER, createPage} from './helpers/ogg'
+
+const ascii = (string) => string.split('').map((c) => c.charCodeAt(0))
+
+test('should split mp3 on frame boundaries', (t) => {
+  const bytes = createMp3(3)
+  const segmenter = new Segmenter()
+
+  const first = segmenter.next(bytes.subarray(0, FRAME_LENGTH + 100))
+  t.is(segmenter.format, 'mp3')
+  t.true(segmenter.incremental)
+  t.is(first.length, FRAME_LENGTH)
+
+  const second = segmenter.next(bytes.subarray(segmenter.position, (FRAME_LENGTH * 2) + 10))
+  t.deepEqual(second, bytes.subarray(0, FRAME_LENGTH * 2))
+  t.is(segmenter.offset, FRAME_LENGTH * 2)
+
+  t.is(segmenter.next(bytes.subarray(segmenter.position, (FRAME_LENGTH * 2) + 20)), null)
+
+  const last = segmenter.next(bytes.subarray(segmenter.position), true)
+  t.deepEqual(last, bytes)
+  t.true(segmenter.done)
+  t.is(segmenter.next(bytes.subarray(segmenter.position), true), null)
+})
+
+test('should start each mp3 segment with the frames before it', (t) => {
+  const frame = 1152 / 44100 // seconds
+  const bytes = createMp3(8)
+  const segmenter = new Segmenter()
+
+  t.is(segmenter.next(bytes.subarray(0, FRAME_LENGTH * 4)).length, FRAME_LENGTH * 4)
+  t.is(segmenter.duration, frame * 4)
+  t.is(segmenter.overlap, 0)
+
+  // enough frames to cover the bit reservoir, and at least two
+  t.is(segmenter.position, FRAME_LENGTH)
+
+  const last = segmenter.next(bytes.subarray(segmenter.position), true)
+  t.deepEqual(last, bytes.subarray(FRAME_LENGTH))
+  t.is(segmenter.duration, frame * 4)
+  t.is(segmenter.overlap, frame * 3)
+})
+
+test('should skip the id3 tag', (t) => {
+  const id3 = [0x49, 0x44, 0x33, 4, 0, 0, 0, 0, 0, 2, 0, 0]
+  const bytes = createMp3(2, id3)
+  const segmenter = new Segmenter()
+
+  const first = segmenter.next(bytes)
+  t.is(segmenter.dataOffset, id3.length)
+  t.is(first.length, FRAME_LENGTH * 2)
+  t.deepEqual(first, bytes.subarray(id3.length))
+})
+
+test('should wait for the whole id3 tag', (t) => {
+  const id3 = [0x49, 0x44, 0x33, 4, 0, 0, 0, 0, 0, 2, 0, 0]
+  const bytes = createMp3(2, id3)
+  const segmenter = new Segmenter()
+
+  t.is(segmenter.next(bytes.subarray(0, 11)), null)
+  t.is(segmenter.format, null)
+  t.is(segmenter.next(bytes).length, FRAME_LENGTH * 2)
+})
+
+test('should skip the id3v1 tag at the end', (t) => {
+  const id3v1 = new Uint8Array(128)
+  id3v1.set([0x54, 0x41, 0x47])
+
+  const bytes = new Uint8Array((FRAME_LENGTH * 2) + 128)
+  bytes.set(createMp3(2), 0)
+  bytes.set(id3v1, FRAME_LENGTH * 2)
+
+  const segmenter = new Segmenter()
+  t.is(segmenter.next(bytes).length, FRAME_LENGTH * 2)
+  t.is(segmenter.next(bytes.subarray(segmenter.position), true), null)
+})
+
+test('should resync after junk bytes', (t) => {
+  const bytes = new Uint8Array((FRAME_LENGTH * 3) + 5)
+  bytes.set(createMp3(1), 0)
+  bytes.set([1, 2, 3, 4, 5], FRAME_LENGTH)
+  bytes.set(createMp3(2), FRAME_LENGTH + 5)
+
+  const segmenter = new Segmenter()
+  t.is(segmenter.next(bytes).length, bytes.length)
+})
+
+test('should pick the stream up again after skipping', (t) => {
+  const segmenter = new Segmenter()
+  t.is(segmenter.next(createMp3(2).subarray(0, FRAME_LENGTH + 100)).length, FRAME_LENGTH)
+
+  // a new connection, which starts part way through a frame
+  segmenter.skip(FRAME_LENGTH + 100)
+  t.is(segmenter.position, FRAME_LENGTH + 100)
+
+  const mp3 = createMp3(2)
+  const segment = segmenter.next(new Uint8Array([1, 2, 3, ...mp3]), true)
+  t.deepEqual(segment, mp3)
+})
+
+test('should throw for unknown formats', (t) => {
+  const segmenter = new Segmenter({contentType: 'text/html'})
+
+  const err = t.throws(() => segmenter.next(new Uint8Array(20)))
+  t.true(err instanceof UnsupportedFormatError)
+  t.is(err.contentType, 'text/html')
+})
+
+test('should fall back to the content type', (t) => {
+  const bytes = createMp3(1, [1, 2, 3])
+  const segmenter = new Segmenter({contentType: 'audio/mpeg'})
+
+  t.deepEqual(segmenter.next(bytes), bytes.subarray(3))
+  t.is(segmenter.format, 'mp3')
+})
+
+test('should split aac on frame boundaries', (t) => {
+  const bytes = createAac(3)
+  const segmenter = new Segmenter()
+
+  t.is(segmenter.next(bytes.subarray(0, 250)).length, 200)
+  t.is(segmenter.format, 'aac')
+  t.deepEqual(segmenter.next(bytes.subarray(segmenter.position), true), bytes)
+})
+
+test('should give each wav segment a header', (t) => {
+  const data = Array(40).fill(0).map((value, i) => i)
+  const bytes = createWav(40, data)
+  const segmenter = new Segmenter()
+
+  // whole sample frames only
+  const first = segmenter.next(bytes.subarray(0, HEADER_LENGTH + 10))
+  t.is(segmenter.format, 'wav')
+  t.is(segmenter.dataOffset, HEADER_LENGTH)
+  t.deepEqual(first, createWav(8, data.slice(0, 8)))
+
+  const last = segmenter.next(bytes.subarray(segmenter.position), true)
+  t.deepEqual(last, createWav(32, data.slice(8)))
+})
+
+test('should only return the wav data chunk', (t) => {
+  const bytes = new Uint8Array([...createWav(8, [1, 2, 3, 4, 5, 6, 7, 8]), 0x4C, 0x49, 0x53, 0x54])
+  const segmenter = new Segmenter()
+
+  t.deepEqual(segmenter.next(bytes, true), createWav(8, [1, 2, 3, 4, 5, 6, 7, 8]))
+})
+
+test('should split flac on frame boundaries', (t) => {
+  const header = [...STREAM_INFO, ...createBlock(1, true, [0, 0])]
+  const frames = [createFlacFrame(0), createFlacFrame(1), createFlacFrame(2)]
+  const bytes = new Uint8Array([...header, ...[].concat(...frames)])
+  const segmenter = new Segmenter()
+
+  const flacHeader = [...STREAM_INFO.slice(0, 4), 0x80, ...STREAM_INFO.slice(5)]
+
+  // the end of a frame is the start of the next one
+  const first = segmenter.next(bytes.subarray(0, header.length + 35))
+  t.deepEqual(first, new Uint8Array([...flacHeader, ...frames[0]]))
+
+  const last = segmenter.next(bytes.subarray(segmenter.position), true)
+  t.deepEqual(last, new Uint8Array([...flacHeader, ...frames[1], ...frames[2]]))
+})
+
+test('should split ogg into pages', (t) => {
+  const header = [...createPage(VORBIS_HEADER), ...createPage([3], [5])]
+  const pages = [createPage([1, 2]), createPage([3, 4])]
+  const bytes = new Uint8Array([...header, ...pages[0], ...pages[1]])
+  const segmenter = new Segmenter()
+
+  t.is(segmenter.next(bytes.subarray(0, header.length - 1)), null)
+  t.is(segmenter.dataOffset, 0)
+
+  const first = segmenter.next(bytes.subarray(0, bytes.length - 1))
+  t.is(segmenter.dataOffset, header.length)
+  t.deepEqual(first, new Uint8Array([...header, ...pages[0]]))
+})
+
+test('should decode mp4 in one go', (t) => {
+  const bytes = new Uint8Array([0, 0, 0, 16, ...ascii('ftypM4A '), 0, 0, 0, 0, 1, 2, 3])
+  const segmenter = new Segmenter()
+
+  t.is(segmenter.next(bytes.subarray(0, 16)), null)
+  t.is(segmenter.format, 'mp4')
+  t.false(segmenter.incremental)
+  t.deepEqual(segmenter.next(bytes, true), bytes)
+})
+
+test('fork - should pick up the stream from the next frame', (t) => {
+  const bytes = createMp3(3)
+  const segmenter = new Segmenter()
+  segmenter.next(bytes.subarray(0, 100))
+
+  const fork = segmenter.fork(500)
+  t.is(fork.format, 'mp3')
+  t.deepEqual(fork.next(bytes.subarray(500)), bytes.subarray(FRAME_LENGTH * 2))
+})
+
+test('fork - should line up with the wav sample frames', (t) => {
+  const data = Array(40).fill(0).map((value, i) => i)
+  const bytes = createWav(40, data)
+  const segmenter = new Segmenter()
+  segmenter.next(bytes.subarray(0, HEADER_LENGTH))
+
+  const fork = segmenter.fork(HEADER_LENGTH + 10)
+  t.deepEqual(fork.next(bytes.subarray(HEADER_LENGTH + 10), true), createWav(28, data.slice(12)))
+})
+
+test('fork - should start from the audio when sent the whole file', (t) => {
+  const id3 = [0x49, 0x44, 0x33, 4, 0, 0, 0, 0, 0, 2, 0xFF, 0xFB]
+  const bytes = createMp3(2, id3)
+  const segmenter = new Segmenter()
+  segmenter.next(bytes.subarray(0, 20))
+
+  const fork = segmenter.fork(500)
+  fork.fileOffset = 0
+  t.deepEqual(fork.next(bytes), bytes.subarray(id3.length))
+})
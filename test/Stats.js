@@ -0,0 +1,71 @@
+import test from 'ava'
+import sinon from 'sinon'
+
+import Stats from '../lib/Stats'
+
+test.beforeEach((t) => {
+  t.context.clock = sinon.useFakeTimers(1000)
+})
+
+test.afterEach.always((t) => {
+  t.context.clock.restore()
+})
+
+test.serial('nothing has been measured yet', (t) => {
+  const stats = new Stats()
+  t.deepEqual(stats.get(), {
+    throughput: null,
+    decodeLatency: null,
+    averageDecodeLatency: null,
+    rebuffers: 0,
+    timeToFirstAudio: null,
+  })
+})
+
+test.serial('throughput only counts time spent downloading', (t) => {
+  const {clock} = t.context
+  const stats = new Stats()
+
+  clock.tick(5000)
+  stats.connect()
+  clock.tick(500)
+  stats.receive(1000)
+  clock.tick(500)
+  stats.receive(1000)
+
+  // the download has finished, and nothing else arrives for a while
+  clock.tick(10000)
+
+  t.is(stats.get().throughput, 2000)
+})
+
+test.serial('decode latency', (t) => {
+  const stats = new Stats()
+  stats.decode(10)
+  stats.decode(30)
+
+  t.is(stats.get().decodeLatency, 30)
+  t.is(stats.get().averageDecodeLatency, 20)
+})
+
+test.serial('time to first audio', (t) => {
+  const {clock} = t.context
+  const stats = new Stats()
+
+  clock.tick(250)
+  stats.firstAudio()
+  clock.tick(1000)
+  stats.firstAudio()
+
+  t.is(stats.get().timeToFirstAudio, 250)
+})
+
+test.serial('reset', (t) => {
+  const stats = new Stats()
+  stats.rebuffer()
+  stats.decode(10)
+  stats.reset()
+
+  t.is(stats.get().rebuffers, 0)
+  t.is(stats.get().decodeLatency, null)
+})
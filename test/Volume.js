@@ -0,0 +1,54 @@
+import test from 'ava'
+import sinon from 'sinon'
+
+import Volume from '../lib/Volume'
+import {createGainNode} from './helpers/AudioContext'
+
+const CURRENT_TIME = 100 // seconds
+
+test.beforeEach((t) => {
+  const context = {currentTime: CURRENT_TIME, createGain: createGainNode}
+  const volume = new Volume({context, volume: 0.5})
+  volume.onChange = sinon.spy()
+  t.context = {context, volume}
+})
+
+test('constructor', (t) => {
+  const {volume} = t.context
+
+  t.is(volume.volume, 0.5)
+  t.false(volume.muted)
+  t.is(volume.node.gain.value, 0.5)
+})
+
+test('setVolume', (t) => {
+  const {volume} = t.context
+
+  volume.setVolume(2)
+
+  t.is(volume.volume, 1)
+  t.is(volume.node.gain.value, 1)
+  t.true(volume.onChange.calledOnce)
+})
+
+test('setVolume - with ramp', (t) => {
+  const {volume} = t.context
+
+  volume.setVolume(0.2, 3)
+
+  t.is(volume.volume, 0.2)
+  t.deepEqual(volume.node.gain.linearRampToValueAtTime.args, [[0.2, CURRENT_TIME + 3]])
+})
+
+test('setMuted', (t) => {
+  const {volume} = t.context
+
+  volume.setMuted(true)
+  t.is(volume.node.gain.value, 0)
+
+  volume.setMuted(false)
+  t.is(volume.node.gain.value, 0.5)
+  t.is(volume.volume, 0.5)
+
+  t.true(volume.onChange.calledTwice)
+})
@@ -2,23 +2,78 @@ import test from 'ava'
 import sinon from 'sinon'
 
 import WebAudio from '../lib/WebAudio'
+import Cache from '../lib/Cache'
+import Segmenter from '../lib/Segmenter'
+import Pumper from '../lib/Pumper'
+import {HttpError, NetworkError, UnsupportedFormatError, AbortError} from '../lib/errors'
 import createReadableStream from './helpers/ReadableStream'
+import createResponse from './helpers/Response'
+import {
+  createMp3,
+  createId3,
+  createId3Frame,
+  createTextFrame,
+  FRAME_LENGTH,
+} from './helpers/mp3'
+import {createGainNode, createAudioWorklet, FakeAudioWorkletNode} from './helpers/AudioContext'
+import {createIcyStream} from './helpers/icy'
 
 const CURRENT_TIME = 100 // seconds
 
+// the start of an MP4 file
+const FTYP = [0, 0, 0, 16, 0x66, 0x74, 0x79, 0x70, 0x4D, 0x34, 0x41, 0x20, 0, 0, 0, 0]
+
 const secondsAgo = (seconds) => {
   return CURRENT_TIME - seconds
 }
 
+// just enough of an AbortController for the tests
+class FakeAbortController {
+  constructor () {
+    this.signal = {
+      aborted: false,
+      addEventListener: (type, listener) => {
+        this._listener = listener
+      },
+      removeEventListener: (type, listener) => {
+        if (this._listener === listener) {
+          this._listener = null
+        }
+      },
+    }
+    this.abort = sinon.spy(() => {
+      this.signal.aborted = true
+      if (this._listener != null) {
+        this._listener()
+      }
+    })
+  }
+}
+
+// every load passes a signal to fetch, whether or not Node has AbortController
+global.AbortController = FakeAbortController
+
+// the arguments of each call to fetch, less the signal
+const fetchArgs = (fetch) => fetch.args.map(([request, init]) => {
+  const rest = {...init}
+  delete rest.signal
+  return [request, rest]
+})
+
 const createAudioBuffer = (duration = 5) => {
   return {
     duration,
+    length: duration,
+    numberOfChannels: 1,
+    sampleRate: 1,
+    getChannelData: () => new Float32Array(duration),
   }
 }
 
 const createAudioSource = (buffer) => {
   return {
     buffer,
+    playbackRate: {value: 1},
     connect: sinon.spy(),
     disconnect: sinon.spy(),
     start: sinon.spy(),
@@ -31,7 +86,8 @@ const createAudioContext = (audioBuffer, audioSource) => {
     currentTime: CURRENT_TIME,
     decodeAudioData: sinon.stub().returns(Promise.resolve(audioBuffer)),
     createBufferSource: sinon.stub().returns(audioSource),
-    destination: null,
+    createGain: createGainNode,
+    destination: {},
   }
 }
 
@@ -69,22 +125,30 @@ test('constructor', (t) => {
   t.true(typeof audio.onStop === 'function')
 })
 
+test.serial('loadSource - an MP4 is only copied once it has been downloaded', (t) => {
+  const {audio} = t.context
+  const slice = sinon.spy(Pumper.prototype, 'slice')
+
+  const chunks = [FTYP, ...Array.from({length: 20}, () => new Array(100).fill(0))]
+  global.fetch = sinon.stub().returns(Promise.resolve(createResponse(createReadableStream(chunks))))
+
+  return audio.loadSource({}).then(() => {
+    slice.restore()
+
+    // once to detect the format, and once each for the tags, the ID3v1 trailer
+    // and the decoder
+    t.is(slice.callCount, 4)
+  })
+})
+
 test('loadSource (paused)', (t) => {
   const {audio, context, buffer, source} = t.context
 
-  const reader = createReadableStream([
-    [1, 2, 3],
-    [4, 5, 6],
-    [7, 8, 9],
-  ])
+  const reader = createReadableStream([FTYP, [1, 2, 3], [4, 5, 6]])
 
   const request = {}
 
-  const response = {
-    body: {
-      getReader: () => reader,
-    },
-  }
+  const response = createResponse(reader)
 
   global.fetch = sinon.stub()
   global.fetch.returns(Promise.resolve(response))
@@ -93,210 +157,1575 @@ test('loadSource (paused)', (t) => {
   audio.onProgress = sinon.spy()
 
   return audio.loadSource(request).then(() => {
-    t.deepEqual(global.fetch.args, [[request]])
+    t.deepEqual(fetchArgs(global.fetch), [[request, {headers: {}}]])
+    // an MP4 can only be decoded once it has all been downloaded
     t.deepEqual(context.decodeAudioData.args, [
-      [new Uint8Array([1, 2, 3]).buffer],
-      [new Uint8Array([1, 2, 3, 4, 5, 6]).buffer],
-      [new Uint8Array([1, 2, 3, 4, 5, 6, 7, 8, 9]).buffer],
+      [new Uint8Array([...FTYP, 1, 2, 3, 4, 5, 6]).buffer],
     ])
     t.false(audio.loading)
     t.true(audio.onLoad.calledOnce)
-    t.is(audio.onProgress.callCount, 3)
+    t.is(audio.onProgress.callCount, 1)
     t.is(audio.audioBuffer, buffer)
-    t.is(context.createBufferSource.callCount, 3)
+    t.is(context.createBufferSource.callCount, 1)
     t.is(audio.audioSource, source)
     t.is(audio.audioSource.buffer, buffer)
-    t.true(source.connect.calledWith(context.destination))
+    t.true(source.connect.calledWith(audio.fadeNode))
+    t.true(audio.fadeNode.connect.calledWith(audio.volumeNode))
+    t.true(audio.volumeNode.connect.calledWith(context.destination))
   })
 })
 
-test('buffered - no audio source', (t) => {
-  const {audio} = t.context
-  t.is(audio.buffered(), 0)
+test('loadSource - mp3 is decoded incrementally', (t) => {
+  const {audio, context} = t.context
+
+  const mp3 = createMp3(3)
+  const reader = createReadableStream([
+    mp3.subarray(0, FRAME_LENGTH + 10),
+    mp3.subarray(FRAME_LENGTH + 10),
+  ])
+
+  global.fetch = sinon.stub().returns(Promise.resolve(createResponse(reader)))
+
+  // each frame is decoded to 1152 samples, numbered from the start of the track
+  const createSegment = (length, data = Float32Array.from({length}, (_, i) => i)) => {
+    return {
+      length,
+      duration: length / 44100,
+      numberOfChannels: 1,
+      sampleRate: 44100,
+      getChannelData: () => data,
+    }
+  }
+
+  context.decodeAudioData = sinon.spy((value) => {
+    return Promise.resolve(createSegment((value.byteLength / FRAME_LENGTH) * 1152))
+  })
+  context.createBuffer = sinon.spy((channels, length) => {
+    return createSegment(length, new Float32Array(length))
+  })
+
+  return audio.loadSource({}).then(() => {
+    // the second segment starts with the frame before it
+    t.deepEqual(context.decodeAudioData.args.map((args) => args[0].byteLength), [
+      FRAME_LENGTH,
+      FRAME_LENGTH * 3,
+    ])
+
+    // whose audio is then left out
+    t.deepEqual(audio.audioBuffer.getChannelData(0), createSegment(1152 * 3).getChannelData(0))
+    t.is(audio.duration(), (1152 * 3) / 44100)
+    t.true(context.createBuffer.calledOnce)
+  })
 })
 
-test('buffered - with audio source', (t) => {
-  const {audio, source, duration} = t.context
-  audio.audioSource = source
-  t.is(audio.buffered(), duration)
+test('loadSource - leaves room for the rest of the track', (t) => {
+  const {audio, context, source} = t.context
+
+  context.createBuffer = sinon.spy((channels, length) => createAudioBuffer(length))
+
+  // the track is estimated to be 30 seconds long
+  audio.loading = true
+  audio._bytesTotal = 300
+  audio._decodedBytes = 100
+  audio._decodedDuration = 10
+
+  audio._appendAudioBuffer(createAudioBuffer(5), true)
+  audio._appendAudioBuffer(createAudioBuffer(5), true)
+  audio._appendAudioBuffer(createAudioBuffer(5), true)
+
+  t.deepEqual(context.createBuffer.args, [[1, 30, 1]])
+  t.is(audio.buffered(), 15)
+
+  // stop at the end of what has been decoded
+  audio.play()
+  t.deepEqual(source.start.args, [[0, 0, 15]])
 })
 
-test('currentTime - no audio source', (t) => {
+test('loadSource - builds peaks as it decodes', (t) => {
+  const {audio, context} = t.context
+
+  const mp3 = createMp3(3)
+  const reader = createReadableStream([
+    mp3.subarray(0, FRAME_LENGTH + 10),
+    mp3.subarray(FRAME_LENGTH + 10),
+  ])
+
+  global.fetch = sinon.stub().returns(Promise.resolve(createResponse(reader)))
+
+  const createSegment = (length) => {
+    const data = new Float32Array(length).fill(0.5)
+    return {
+      length,
+      duration: length / 1024,
+      numberOfChannels: 1,
+      sampleRate: 1024,
+      getChannelData: () => data,
+    }
+  }
+
+  context.decodeAudioData = sinon.spy(() => Promise.resolve(createSegment(1024)))
+  context.createBuffer = sinon.spy((channels, length) => createSegment(length))
+
+  const onPeaks = sinon.spy()
+  audio.on('peaks', onPeaks)
+
+  return audio.loadSource({}).then(() => {
+    t.deepEqual(onPeaks.args.map(([peaks]) => peaks.max.length), [2, 4])
+    t.is(audio.getPeaks().max[3], 0.5)
+    t.is(audio.exportPeaks().length, 4)
+    t.is(audio.exportPeaks().data[0], 64)
+  })
+})
+
+test('loadSource - measures the download', (t) => {
   const {audio} = t.context
-  t.is(audio.currentTime(), 0)
+
+  const mp3 = createMp3(2)
+  global.fetch = sinon.stub().returns(Promise.resolve(createResponse(
+    createReadableStream([mp3.subarray(0, 500), mp3.subarray(500)]),
+    {headers: {'Content-Length': String(mp3.length)}},
+  )))
+
+  return audio.loadSource({}).then(() => {
+    const stats = audio.getStats()
+    t.is(stats.bytesLoaded, mp3.length)
+    t.is(stats.bytesTotal, mp3.length)
+    t.is(stats.bufferedAhead, 30)
+    t.is(typeof stats.decodeLatency, 'number')
+    t.is(typeof stats.timeToFirstAudio, 'number')
+    t.is(stats.rebuffers, 0)
+    audio.stop()
+  })
 })
 
-test('currentTime - with audio source (playing)', (t) => {
-  const {audio, source} = t.context
+test.serial('stats are emitted while a track is loaded', (t) => {
+  const {audio} = t.context
+  const clock = sinon.useFakeTimers()
 
-  audio.paused = false
-  audio.startTime = secondsAgo(10)
+  global.fetch = sinon.stub().returns(new Promise(() => {}))
 
-  audio.audioSource = source
+  const onStats = sinon.spy()
+  audio.on('stats', onStats)
 
-  t.is(audio.currentTime(), 10)
+  audio.loadSource({})
+  clock.tick(2000)
+  audio.stop()
+  clock.tick(2000)
+  clock.restore()
+
+  t.is(onStats.callCount, 2)
+  t.deepEqual(Object.keys(onStats.args[0][0]), [
+    'bytesLoaded',
+    'bytesTotal',
+    'bufferedAhead',
+    'throughput',
+    'decodeLatency',
+    'averageDecodeLatency',
+    'rebuffers',
+    'timeToFirstAudio',
+  ])
 })
 
-test('currentTime - with completed audio source (playing)', (t) => {
+test('loadSource - emits events', (t) => {
   const {audio} = t.context
 
-  audio.paused = false
-  audio.startTime = secondsAgo(10)
+  const reader = createReadableStream([FTYP, [1, 2, 3]])
+  global.fetch = sinon.stub().returns(Promise.resolve(createResponse(reader, {
+    headers: {'Content-Length': '19'},
+  })))
 
-  audio.audioSource = createAudioSource(createAudioBuffer(2))
+  const events = []
+  ;['canplay', 'progress', 'load', 'durationchange'].forEach((event) => {
+    audio.on(event, (...args) => events.push([event, ...args]))
+  })
 
-  t.is(audio.currentTime(), 2)
+  return audio.loadSource({}).then(() => {
+    t.deepEqual(events, [
+      ['canplay'],
+      ['progress', {loaded: 19, total: 19, buffered: 30}],
+      ['load'],
+      ['durationchange', 30],
+    ])
+  })
 })
 
-test('currentTime - with audio source (paused)', (t) => {
+test('loadSource - estimates the duration from the header', (t) => {
   const {audio} = t.context
 
-  audio.paused = true
-  audio.startTime = secondsAgo(15)
-  audio.pauseTime = secondsAgo(10)
+  const mp3 = createMp3(3)
+  const reader = createReadableStream([mp3])
 
-  audio.audioSource = {
-    buffer: {
-      duration: 30, // seconds
-    },
+  global.fetch = sinon.stub().returns(Promise.resolve(createResponse(reader, {
+    headers: {'Content-Length': String(mp3.length)},
+  })))
+
+  // 128kbps = 16000 bytes per second
+  const estimate = mp3.length / 16000
+
+  const durations = []
+  audio.on('durationchange', (duration) => {
+    durations.push(duration)
+    if (durations.length === 1) {
+      t.true(audio.loading)
+      t.is(audio.duration(), estimate)
+    }
+  })
+
+  return audio.loadSource({}).then(() => {
+    // then replaced by the length of the decoded audio
+    t.deepEqual(durations, [estimate, 30])
+    t.is(audio.duration(), 30)
+  })
+})
+
+test('durationchange - only when the estimate moves, or it becomes exact', (t) => {
+  const {audio} = t.context
+
+  const durations = []
+  audio.on('durationchange', (duration) => durations.push([duration, audio.isDurationExact()]))
+
+  audio.loading = true
+  audio._bytesTotal = 1000
+  audio._decodedBytes = 100
+  audio._decodedDuration = 10
+  audio._updateDuration()
+
+  // half a percent longer
+  audio._decodedDuration = 10.05
+  audio._updateDuration()
+
+  audio._headerDuration = {duration: 100.5, exact: true}
+  audio._updateDuration()
+
+  t.deepEqual(durations, [[100, false], [100.5, true]])
+})
+
+test.serial('loadSource - reads the tags', (t) => {
+  const {audio, context} = t.context
+
+  const id3 = createId3([
+    createTextFrame('TIT2', 'Title'),
+    createTextFrame('TRCK', '2'),
+    createId3Frame('APIC', [0, 0x69, 0x6D, 0x61, 0x67, 0x65, 0x2F, 0x70, 0x6E, 0x67, 0, 3, 0, 1, 2]),
+  ])
+  const mp3 = createMp3(2, id3)
+
+  global.Blob = function Blob (parts, options) {
+    this.parts = parts
+    this.type = options.type
   }
+  global.fetch = sinon.stub().returns(Promise.resolve(createResponse(
+    createReadableStream([mp3]),
+  )))
 
-  t.is(audio.currentTime(), 5)
+  const handleMetadata = sinon.spy()
+  audio.on('metadata', handleMetadata)
+
+  return audio.loadSource({}).then(() => {
+    t.true(handleMetadata.calledOnce)
+    t.is(audio.metadata, handleMetadata.args[0][0])
+
+    const {artwork, ...fields} = audio.metadata
+    t.deepEqual(fields, {title: 'Title', artist: null, album: null, track: 2})
+    t.is(artwork.type, 'image/png')
+    t.deepEqual(artwork.parts, [new Uint8Array([1, 2])])
+
+    // the tag isn't decoded as audio
+    const decoded = context.decodeAudioData.args.map(([buffer]) => buffer.byteLength)
+    t.deepEqual(decoded, [FRAME_LENGTH * 2])
+  })
 })
 
+test('probeHeader - waits for the entire MP4', (t) => {
+  const {audio} = t.context
 
-test('currentTime - with completed audio source (paused)', (t) => {
+  const bytes = new Uint8Array(FTYP)
+  const pumper = {offset: 0, end: bytes.length, slice: sinon.stub().returns(bytes)}
+  audio._segmenter = {format: 'mp4'}
+
+  audio._probeHeader(pumper, 0)
+  audio._probeHeader(pumper, 0)
+  t.true(pumper.slice.notCalled)
+  t.is(audio._tags, null)
+
+  audio._probeHeader(pumper, 0, true)
+  t.true(pumper.slice.calledOnce)
+  t.deepEqual(audio._tags, {})
+})
+
+test.serial('loadSource - a malformed tag still plays', (t) => {
   const {audio} = t.context
 
-  audio.paused = true
-  audio.startTime = secondsAgo(15)
-  audio.pauseTime = secondsAgo(10)
+  // not valid UTF-8, nor a valid code point
+  const id3 = createId3([createId3Frame('TIT2', [3, 0x41, 0xFF, 0xFF, 0xFF, 0x42])])
+  const mp3 = createMp3(2, id3)
 
-  audio.audioSource = {
-    buffer: {
-      duration: 2, // seconds
-    },
-  }
+  global.fetch = sinon.stub().returns(Promise.resolve(createResponse(
+    createReadableStream([mp3]),
+  )))
 
-  t.is(audio.currentTime(), 2)
+  return audio.loadSource({}).then(() => {
+    t.true(global.fetch.calledOnce)
+    t.is(audio.metadata.title, 'A\uFFFD\uFFFD\uFFFDB')
+  })
 })
 
+test.serial('loadSource - http error', (t) => {
+  const {audio, context} = t.context
 
-test('play - no audio source', (t) => {
+  global.fetch = sinon.stub().returns(Promise.resolve(createResponse(null, {status: 404})))
+
+  const handleError = sinon.spy()
+  audio.on('error', handleError)
+
+  return audio.loadSource({}).then(() => t.fail(), (err) => {
+    t.true(err instanceof HttpError)
+    t.is(err.status, 404)
+    t.deepEqual(handleError.args, [[err]])
+    t.true(global.fetch.calledOnce)
+    t.true(context.decodeAudioData.notCalled)
+    t.false(audio.loading)
+  })
+})
+
+test.serial('loadSource - unsupported format', (t) => {
+  const {audio, context} = t.context
+
+  const reader = createReadableStream([Array(20).fill(0x3C), Array(20).fill(0x3C)])
+
+  global.fetch = sinon.stub().returns(Promise.resolve(createResponse(reader, {
+    headers: {'Content-Type': 'text/html'},
+  })))
+
+  const handleError = sinon.spy()
+  audio.on('error', handleError)
+
+  return audio.loadSource({}).then(() => t.fail(), (err) => {
+    t.true(err instanceof UnsupportedFormatError)
+    t.is(err.contentType, 'text/html')
+    t.deepEqual(handleError.args, [[err]])
+
+    // it isn't worth downloading the rest of the file
+    t.true(reader.cancel.calledOnce)
+    t.true(global.fetch.calledOnce)
+    t.true(context.decodeAudioData.notCalled)
+  })
+})
+
+test.serial('loadSource - retries server errors', (t) => {
   const {audio} = t.context
 
-  t.is(audio.paused, true)
-  t.is(audio.buffering, false)
+  audio.retryDelay = 0
 
-  audio.play()
+  global.fetch = sinon.stub()
+  global.fetch.onCall(0).returns(Promise.resolve(createResponse(null, {status: 503})))
+  global.fetch.onCall(1).returns(Promise.reject(new TypeError('Failed to fetch')))
+  global.fetch.onCall(2).returns(Promise.resolve(createResponse(
+    createReadableStream([createMp3(1)]),
+  )))
+
+  return audio.loadSource('/track.mp3').then(() => {
+    t.deepEqual(fetchArgs(global.fetch), [
+      ['/track.mp3', {headers: {}}],
+      ['/track.mp3', {headers: {}}],
+      ['/track.mp3', {headers: {}}],
+    ])
+    t.true(global.fetch.alwaysCalledWith('/track.mp3', sinon.match.has('signal')))
+    t.false(audio.loading)
+  })
+})
 
-  t.is(audio.paused, false)
-  t.is(audio.buffering, true)
+test.serial('loadSource - gives up after too many retries', (t) => {
+  const {audio} = t.context
+
+  audio.retries = 2
+  audio.retryDelay = 0
+
+  const cause = new TypeError('Failed to fetch')
+  global.fetch = sinon.stub().returns(Promise.reject(cause))
+
+  return audio.loadSource('/track.mp3').then(() => t.fail(), (err) => {
+    t.true(err instanceof NetworkError)
+    t.is(err.cause, cause)
+    t.is(global.fetch.callCount, 3)
+  })
 })
 
-test('play - with audio source (playing)', (t) => {
+test.serial('loadSource - does not retry an error reading the file', (t) => {
   const {audio} = t.context
 
-  audio.paused = false
-  audio.audioSource = {}
-  audio.onPlay = sinon.spy()
+  audio.retryDelay = 0
 
-  audio.play()
+  const cause = new RangeError('Offset is outside the bounds of the DataView')
+  audio._probeHeader = sinon.stub().throws(cause)
+  global.fetch = sinon.stub().returns(Promise.resolve(createResponse(
+    createReadableStream([createMp3(1)]),
+  )))
 
-  t.false(audio.onPlay.called)
+  return audio.loadSource('/track.mp3').then(() => t.fail(), (err) => {
+    t.is(err, cause)
+    t.true(global.fetch.calledOnce)
+  })
 })
 
-test('play - with audio source (paused)', (t) => {
-  const {audio, source} = t.context
+test.serial('loadSource - reads an ArrayBuffer', (t) => {
+  const {audio, context} = t.context
 
-  audio.paused = true
-  audio.audioSource = source
-  audio.startTime = secondsAgo(10)
-  audio.pauseTime = secondsAgo(5)
-  audio.onPlay = sinon.spy()
+  global.fetch = sinon.spy()
 
-  audio.play()
+  return audio.loadSource(createMp3(2).buffer).then(() => {
+    t.true(global.fetch.notCalled)
+    t.true(context.decodeAudioData.called)
+    t.is(audio.getStats().bytesTotal, createMp3(2).length)
+  })
+})
 
-  t.deepEqual(audio.audioSource.start.args, [
-    [0, 5],
-  ])
+test('loadSource - uses a custom fetch and headers', (t) => {
+  const {context} = t.context
+
+  const fetch = sinon.stub().returns(Promise.resolve(createResponse(
+    createReadableStream([createMp3(1)]),
+  )))
+  const headers = {Authorization: 'Bearer token'}
+  const audio = new WebAudio({context, throttleDecode: 0, fetch, headers})
+
+  return audio.loadSource('/track.mp3').then(() => {
+    t.deepEqual(fetchArgs(fetch), [['/track.mp3', {headers}]])
+  })
 })
 
-test('pause - without audio source', (t) => {
+test('loadSource - a ReadableStream is only read once', (t) => {
   const {audio} = t.context
 
-  audio.paused = false
-  audio.buffering = true
-  audio.onPause = sinon.spy()
+  audio.retryDelay = 0
 
-  audio.pause()
+  const cause = new TypeError('The socket closed')
+  const stream = {
+    getReader: sinon.stub().returns(createReadableStream([createMp3(1).subarray(0, 100), cause])),
+  }
 
-  t.true(audio.paused)
-  t.false(audio.buffering)
-  t.true(audio.onPause.notCalled)
+  return audio.loadSource(stream).then(() => t.fail(), (err) => {
+    t.true(err instanceof NetworkError)
+    t.is(err.cause, cause)
+    t.true(stream.getReader.calledOnce)
+  })
 })
 
-test('pause - with audio source (paused)', (t) => {
-  const {audio, source} = t.context
+test('loadSource - plays a track again from the cache', (t) => {
+  const {context} = t.context
+
+  const mp3 = createMp3(2)
+  const fetch = sinon.stub().returns(Promise.resolve(createResponse(
+    createReadableStream([mp3.subarray(0, 500), mp3.subarray(500)]),
+    {headers: {'Content-Length': String(mp3.length)}},
+  )))
+  const audio = new WebAudio({context, throttleDecode: 0, fetch, cache: new Cache()})
+
+  return audio.loadSource('/track.mp3')
+    .then(() => audio.loadSource('/track.mp3'))
+    .then(() => {
+      t.true(fetch.calledOnce)
+      t.is(audio.getStats().bytesTotal, mp3.length)
+      t.false(audio.loading)
+    })
+})
 
-  audio.audioSource = source
-  audio.paused = true
-  audio.onPause = sinon.spy()
+test('prefetch - downloads into the cache', (t) => {
+  const {context} = t.context
 
-  audio.pause()
+  const fetch = sinon.stub().returns(Promise.resolve(createResponse(
+    createReadableStream([createMp3(1)]),
+  )))
+  const cache = new Cache()
+  const audio = new WebAudio({context, fetch, cache, headers: {Authorization: 'Bearer token'}})
 
-  t.true(audio.paused)
-  t.false(audio.buffering)
-  t.true(audio.onPause.notCalled)
+  return audio.prefetch(['/track.mp3']).then(() => cache.get('/track.mp3')).then((entry) => {
+    t.true(entry.complete)
+    t.deepEqual(fetch.args, [['/track.mp3', {headers: {Authorization: 'Bearer token'}}]])
+  })
 })
 
-test('pause - with audio source (playing)', (t) => {
-  const {context, audio, source, buffer} = t.context
+test.serial('loadSource - resumes from the last byte received', (t) => {
+  const {audio, context} = t.context
 
-  audio.audioBuffer = buffer
-  audio.audioSource = source
-  audio.paused = false
-  audio.onPause = sinon.spy()
+  audio.retryDelay = 0
 
-  audio.pause()
+  const mp3 = createMp3(1)
 
-  t.true(audio.paused)
-  t.false(audio.buffering)
+  global.fetch = sinon.stub()
+  global.fetch.onCall(0).returns(Promise.resolve(createResponse(
+    createReadableStream([mp3.subarray(0, 100), new TypeError('network error')]),
+    {headers: {'Content-Length': String(mp3.length)}},
+  )))
+  global.fetch.onCall(1).returns(Promise.resolve(createResponse(
+    createReadableStream([mp3.subarray(100)]),
+    {status: 206, headers: {'Content-Range': `bytes 100-${mp3.length - 1}/${mp3.length}`}},
+  )))
+
+  return audio.loadSource('/track.mp3').then(() => {
+    t.deepEqual(fetchArgs(global.fetch), [
+      ['/track.mp3', {headers: {}}],
+      ['/track.mp3', {headers: {Range: 'bytes=100-'}}],
+    ])
+    t.true(global.fetch.alwaysCalledWith('/track.mp3', sinon.match.has('signal')))
+    const last = context.decodeAudioData.lastCall.args[0]
+    t.deepEqual(new Uint8Array(last), mp3)
+  })
+})
 
-  t.true(context.createBufferSource.calledOnce)
-  t.is(audio.audioSource, source)
-  t.true(audio.onPause.calledOnce)
+test.serial('loadSource - resumes when the connection closes early', (t) => {
+  const {audio, context} = t.context
+
+  audio.retryDelay = 0
+
+  const mp3 = createMp3(1)
+  const headers = {'Content-Length': String(mp3.length)}
+
+  global.fetch = sinon.stub()
+  global.fetch.onCall(0).returns(Promise.resolve(createResponse(
+    createReadableStream([mp3.subarray(0, 100)]),
+    {headers},
+  )))
+
+  // this server doesn't support Range requests
+  global.fetch.onCall(1).returns(Promise.resolve(createResponse(
+    createReadableStream([mp3.subarray(0, 50), mp3.subarray(50)]),
+    {headers},
+  )))
+
+  return audio.loadSource('/track.mp3').then(() => {
+    t.is(global.fetch.callCount, 2)
+    const last = context.decodeAudioData.lastCall.args[0]
+    t.deepEqual(new Uint8Array(last), mp3)
+  })
 })
 
-test('stop - without audio source', (t) => {
+test.serial('loadSource - a new track aborts the one still loading', (t) => {
   const {audio} = t.context
 
-  audio.onStop = sinon.spy()
+  global.fetch = sinon.stub().returns(new Promise(() => {}))
 
-  audio.stop()
+  const handleError = sinon.spy()
+  audio.on('error', handleError)
 
-  t.true(audio.onStop.notCalled)
+  const first = audio.loadSource('/first.mp3')
+  audio.loadSource('/second.mp3')
+
+  return first.then(() => t.fail(), (err) => {
+    t.true(err instanceof AbortError)
+    t.true(handleError.notCalled)
+    t.true(audio.loading)
+  })
 })
 
-test('stop - with audio source', (t) => {
-  const {audio, source, buffer} = t.context
+test.serial('loadSource - stale decodes are ignored', (t) => {
+  const {audio, context} = t.context
 
-  audio.audioSource = source
-  audio.audioBuffer = buffer
-  audio.onStop = sinon.spy()
+  const reader = createReadableStream([createMp3(3)])
+  global.fetch = sinon.stub()
+  global.fetch.onFirstCall().returns(Promise.resolve(createResponse(reader)))
+  global.fetch.onSecondCall().returns(new Promise(() => {}))
+
+  let finishDecoding
+  const decoding = new Promise((resolve) => {
+    context.decodeAudioData = sinon.spy(() => {
+      resolve()
+      return new Promise((done) => {
+        finishDecoding = done
+      })
+    })
+  })
 
-  audio.stop()
+  const updateAudioBuffer = sinon.spy(audio, '_updateAudioBuffer')
+  const first = audio.loadSource('/first.mp3')
 
-  t.true(source.stop.calledOnce)
-  t.true(source.disconnect.calledOnce)
-  t.is(audio.audioSource, null)
+  return decoding.then(() => {
+    audio.loadSource('/second.mp3')
+    finishDecoding(createAudioBuffer(1))
+    return first.then(() => t.fail(), (err) => t.true(err instanceof AbortError))
+  }).then(() => {
+    t.true(updateAudioBuffer.notCalled)
+    t.is(audio.audioBuffer, null)
+  })
+})
 
-  t.is(audio.audioBuffer, null)
-  t.is(audio.startTime, null)
-  t.is(audio.pauseTime, null)
-  t.false(audio.loading)
-  t.true(audio.paused)
-  t.false(audio.buffering)
+test.serial('loadSource - aborts with a signal', (t) => {
+  const {audio} = t.context
 
-  t.true(audio.onStop.calledOnce)
+  global.fetch = sinon.stub().returns(new Promise(() => {}))
+
+  const controller = new FakeAbortController()
+  const loaded = audio.loadSource('/track.mp3', {signal: controller.signal})
+
+  const {signal} = global.fetch.firstCall.args[1]
+
+  controller.abort()
+
+  return loaded.then(() => t.fail(), (err) => {
+    t.true(err instanceof AbortError)
+    t.true(signal.aborted)
+    t.false(audio.loading)
+  })
+})
+
+test.serial('loadSource - an aborted signal rejects straight away', (t) => {
+  const {audio} = t.context
+
+  global.fetch = sinon.stub().returns(new Promise(() => {}))
+
+  const controller = new FakeAbortController()
+  controller.abort()
+
+  return audio.loadSource('/track.mp3', {signal: controller.signal}).then(() => t.fail(), (err) => {
+    t.true(err instanceof AbortError)
+    t.true(global.fetch.notCalled)
+    t.false(audio.loading)
+  })
+})
+
+test.serial('live - strips the ICY metadata and emits the stream title', (t) => {
+  const {audio, context} = t.context
+
+  audio.live = true
+  audio.retries = 0
+
+  const title = 'StreamTitle=\'Artist - Title\';'
+  const stream = createIcyStream(createMp3(3), 500, [title, title])
+
+  global.fetch = sinon.stub().returns(Promise.resolve(createResponse(
+    createReadableStream([stream.subarray(0, 600), stream.subarray(600)]),
+    {headers: {'icy-metaint': '500'}},
+  )))
+
+  const onStreamTitle = sinon.spy()
+  audio.on('streamtitle', onStreamTitle)
+
+  return audio.loadSource('/stream').then(() => t.fail(), (err) => {
+    t.deepEqual(fetchArgs(global.fetch), [['/stream', {headers: {'Icy-MetaData': '1'}}]])
+    t.is(err.message, 'The live stream ended')
+    t.deepEqual(onStreamTitle.args, [['Artist - Title']])
+    t.is(audio.streamTitle, 'Artist - Title')
+    t.is(audio.duration(), Infinity)
+
+    // whole frames, without any metadata mixed in
+    const decoded = context.decodeAudioData.args.map(([buffer]) => buffer.byteLength)
+    t.true(decoded.length > 0)
+    t.true(decoded.every((length) => length % FRAME_LENGTH === 0))
+  })
+})
+
+test.serial('live - reconnects from the live edge', (t) => {
+  const {audio} = t.context
+
+  audio.live = true
+  audio.retries = 1
+  audio.retryDelay = 0
+
+  global.fetch = sinon.stub()
+  global.fetch.onCall(0).returns(Promise.resolve(createResponse(
+    createReadableStream([createMp3(1).subarray(0, 300)]),
+  )))
+  global.fetch.onCall(1).returns(Promise.resolve(createResponse(
+    createReadableStream([]),
+  )))
+
+  return audio.loadSource('/stream').then(() => t.fail(), (err) => {
+    t.true(err instanceof NetworkError)
+    t.deepEqual(fetchArgs(global.fetch), [
+      ['/stream', {headers: {'Icy-MetaData': '1'}}],
+      ['/stream', {headers: {'Icy-MetaData': '1'}}],
+    ])
+  })
+})
+
+test('live - keeps a window of decoded audio', (t) => {
+  const {audio, context} = t.context
+
+  audio.live = true
+  audio.liveWindow = 10
+  context.createBuffer = (channels, length) => createAudioBuffer(length)
+
+  audio._appendAudioBuffer(createAudioBuffer(8), true)
+  audio._appendAudioBuffer(createAudioBuffer(8), true)
+
+  t.is(audio.bufferStart, 6)
+  t.is(audio.buffered(), 16)
+})
+
+test('live - keeps the audio after the playhead', (t) => {
+  const {audio, context} = t.context
+
+  audio.live = true
+  audio.liveWindow = 10
+  audio.paused = false
+  audio.startTime = secondsAgo(2)
+  context.createBuffer = (channels, length) => createAudioBuffer(length)
+
+  audio._appendAudioBuffer(createAudioBuffer(8), true)
+  audio._appendAudioBuffer(createAudioBuffer(8), true)
+
+  t.is(audio.bufferStart, 2)
+  t.is(audio.buffered(), 16)
+})
+
+test('live - play catches up with the stream', (t) => {
+  const {audio, buffer, source} = t.context
+
+  audio.live = true
+  audio.bufferStart = 40
+  audio.audioBuffer = buffer
+  audio.audioSource = source
+  audio.startTime = secondsAgo(10)
+  audio.pauseTime = secondsAgo(5)
+
+  audio.play()
+
+  t.deepEqual(source.start.args, [[0, 29]])
+  t.is(audio.currentTime(), 69)
+})
+
+test('live - seek stays inside the window', (t) => {
+  const {audio, buffer, source} = t.context
+
+  audio.live = true
+  audio.bufferStart = 40
+  audio.audioBuffer = buffer
+  audio.audioSource = source
+
+  audio.seek(10)
+  t.is(audio.currentTime(), 40)
+
+  audio.seek(100)
+  t.is(audio.currentTime(), 70)
+})
+
+test('buffered - no audio source', (t) => {
+  const {audio} = t.context
+  t.is(audio.buffered(), 0)
+})
+
+test('buffered - with audio source', (t) => {
+  const {audio, source, duration} = t.context
+  audio.audioSource = source
+  t.is(audio.buffered(), duration)
+})
+
+test('bufferedRanges', (t) => {
+  const {audio, source, duration} = t.context
+  t.deepEqual(audio.bufferedRanges(), [])
+
+  audio.audioSource = source
+  audio.bufferStart = 10
+  t.deepEqual(audio.bufferedRanges(), [{start: 10, end: 10 + duration}])
+})
+
+test('currentTime - no audio source', (t) => {
+  const {audio} = t.context
+  t.is(audio.currentTime(), 0)
+})
+
+test('currentTime - with audio source (playing)', (t) => {
+  const {audio, source} = t.context
+
+  audio.paused = false
+  audio.startTime = secondsAgo(10)
+
+  audio.audioSource = source
+
+  t.is(audio.currentTime(), 10)
+})
+
+test('currentTime - with completed audio source (playing)', (t) => {
+  const {audio} = t.context
+
+  audio.paused = false
+  audio.startTime = secondsAgo(10)
+
+  audio.audioSource = createAudioSource(createAudioBuffer(2))
+
+  t.is(audio.currentTime(), 2)
+})
+
+test('currentTime - with audio source (paused)', (t) => {
+  const {audio} = t.context
+
+  audio.paused = true
+  audio.startTime = secondsAgo(15)
+  audio.pauseTime = secondsAgo(10)
+
+  audio.audioSource = {
+    buffer: {
+      duration: 30, // seconds
+    },
+  }
+
+  t.is(audio.currentTime(), 5)
+})
+
+
+test('currentTime - with completed audio source (paused)', (t) => {
+  const {audio} = t.context
+
+  audio.paused = true
+  audio.startTime = secondsAgo(15)
+  audio.pauseTime = secondsAgo(10)
+
+  audio.audioSource = {
+    buffer: {
+      duration: 2, // seconds
+    },
+  }
+
+  t.is(audio.currentTime(), 2)
+})
+
+
+test('playbackRate - counts track time at the new rate', (t) => {
+  const {audio, source} = t.context
+
+  audio.paused = false
+  audio.startTime = secondsAgo(10)
+  audio.audioSource = source
+
+  const handleRateChange = sinon.spy()
+  audio.on('ratechange', handleRateChange)
+
+  audio.playbackRate = 2
+
+  t.is(audio.playbackRate, 2)
+  t.is(source.playbackRate.value, 2)
+  t.deepEqual(handleRateChange.args, [[2]])
+
+  // the playhead doesn't move, and then runs twice as fast
+  t.is(audio.currentTime(), 10)
+  audio.context.currentTime = CURRENT_TIME + 5
+  t.is(audio.currentTime(), 20)
+})
+
+test('playbackRate - while paused', (t) => {
+  const {audio} = t.context
+
+  audio.paused = true
+  audio.startTime = secondsAgo(15)
+  audio.pauseTime = secondsAgo(10)
+  audio.audioSource = createAudioSource(createAudioBuffer(30))
+
+  audio.setPlaybackRate(0.5)
+
+  t.is(audio.currentTime(), 5)
+  t.is(audio.startTime, secondsAgo(20))
+})
+
+test('playbackRate - is limited to what browsers support', (t) => {
+  const {audio} = t.context
+
+  audio.playbackRate = 10
+  t.is(audio.playbackRate, 4)
+  audio.playbackRate = 0
+  t.is(audio.playbackRate, 0.25)
+})
+
+test('playbackRate - is kept when the audio source changes', (t) => {
+  const {context, buffer} = t.context
+  const audio = new WebAudio({context, playbackRate: 1.5})
+
+  audio.paused = false
+  audio.startTime = secondsAgo(10)
+  audio.audioBuffer = buffer
+  audio.audioSource = createAudioSource(buffer)
+
+  // a new source is created as more audio is decoded
+  audio._updateAudioBuffer(buffer)
+
+  const {audioSource} = audio
+  t.is(audioSource.playbackRate.value, 1.5)
+  t.deepEqual(audioSource.start.args, [[0, 15]])
+  t.is(audio.currentTime(), 15)
+
+  audio.pause()
+  t.is(audio.audioSource.playbackRate.value, 1.5)
+  t.is(audio.currentTime(), 15)
+})
+
+test('loop - the audio source loops once the track has loaded', (t) => {
+  const {audio, buffer, source} = t.context
+
+  audio.audioBuffer = buffer
+  audio.audioSource = source
+  audio.paused = false
+  audio.startTime = secondsAgo(10)
+
+  audio.loop = true
+
+  t.true(source.loop)
+  t.is(source.loopStart, 0)
+  t.is(source.loopEnd, 30)
+
+  // the playhead wraps around with the audio
+  audio.context.currentTime = CURRENT_TIME + 25
+  t.is(audio.currentTime(), 5)
+})
+
+test('loop - waits for the end of a track that is still loading', (t) => {
+  const {audio, buffer, source} = t.context
+
+  audio.loading = true
+  audio.loop = true
+  audio.audioBuffer = buffer
+  audio.audioSource = audio._createAudioSource(buffer)
+
+  t.false(source.loop)
+})
+
+test('loop - starts again when the audio source ends', (t) => {
+  const {audio, buffer, source} = t.context
+
+  audio.loop = true
+  audio.audioBuffer = buffer
+  audio.audioSource = createAudioSource(buffer)
+  audio.paused = false
+  audio.startTime = secondsAgo(30)
+
+  const handleEnded = sinon.spy()
+  audio.on('ended', handleEnded)
+
+  audio._handleBufferEnded()
+
+  t.true(handleEnded.notCalled)
+  t.false(audio.paused)
+  t.is(audio.audioSource, source)
+  t.deepEqual(source.start.args, [[0, 0]])
+})
+
+test('setLoopRegion - loops part of the track', (t) => {
+  const {audio, buffer, source} = t.context
+
+  audio.audioBuffer = buffer
+  audio.audioSource = source
+  audio.paused = false
+  audio.startTime = secondsAgo(7)
+
+  audio.setLoopRegion(5, 10)
+
+  t.deepEqual(audio.loopRegion, {start: 5, end: 10})
+  t.true(source.loop)
+  t.is(source.loopStart, 5)
+  t.is(source.loopEnd, 10)
+
+  audio.context.currentTime = CURRENT_TIME + 4
+  t.is(audio.currentTime(), 6)
+
+  // carry on from where the loop had got to
+  audio.clearLoopRegion()
+  t.false(source.loop)
+  t.is(audio.currentTime(), 6)
+})
+
+test('setLoopRegion - jumps to the start of the region', (t) => {
+  const {audio, buffer} = t.context
+
+  audio.audioBuffer = buffer
+  audio.audioSource = createAudioSource(buffer)
+  audio.startTime = secondsAgo(20)
+  audio.pauseTime = CURRENT_TIME
+
+  audio.setLoopRegion(5, 10)
+
+  t.is(audio.currentTime(), 5)
+})
+
+test('setLoopRegion - waits for the end of the region to be decoded', (t) => {
+  const {audio} = t.context
+
+  const source = createAudioSource(createAudioBuffer(8))
+  audio.loading = true
+  audio.audioBuffer = source.buffer
+  audio.audioSource = source
+  audio.startTime = secondsAgo(6)
+  audio.pauseTime = CURRENT_TIME
+
+  audio.setLoopRegion(5, 10)
+  t.false(source.loop)
+
+  audio._updateAudioBuffer(createAudioBuffer(12))
+  t.true(audio.audioSource.loop)
+  t.is(audio.audioSource.loopEnd, 10)
+})
+
+test('setLoopRegion - must end after it starts', (t) => {
+  const {audio} = t.context
+
+  t.throws(() => audio.setLoopRegion(10, 5), RangeError)
+  t.throws(() => audio.setLoopRegion(-1, 5), RangeError)
+  t.is(audio.loopRegion, null)
+})
+
+test('play - no audio source', (t) => {
+  const {audio} = t.context
+
+  t.is(audio.paused, true)
+  t.is(audio.buffering, false)
+
+  audio.play()
+
+  t.is(audio.paused, false)
+  t.is(audio.buffering, true)
+})
+
+test('play - with audio source (playing)', (t) => {
+  const {audio} = t.context
+
+  audio.paused = false
+  audio.audioSource = {}
+  audio.onPlay = sinon.spy()
+
+  audio.play()
+
+  t.false(audio.onPlay.called)
+})
+
+test('play - with audio source (paused)', (t) => {
+  const {audio, source} = t.context
+
+  audio.paused = true
+  audio.audioSource = source
+  audio.startTime = secondsAgo(10)
+  audio.pauseTime = secondsAgo(5)
+  audio.onPlay = sinon.spy()
+
+  audio.play()
+
+  t.deepEqual(audio.audioSource.start.args, [
+    [0, 5],
+  ])
+})
+
+test('seek - within the decoded audio (playing)', (t) => {
+  const {audio, context, buffer, source} = t.context
+
+  audio.audioBuffer = buffer
+  audio.audioSource = createAudioSource(buffer)
+  audio.paused = false
+  audio.startTime = secondsAgo(10)
+
+  audio.seek(20)
+
+  t.true(context.createBufferSource.calledOnce)
+  t.is(audio.audioSource, source)
+  t.deepEqual(source.start.args, [[0, 20]])
+  t.false(audio.paused)
+  t.is(audio.currentTime(), 20)
+})
+
+test('seek - within the decoded audio (paused)', (t) => {
+  const {audio, buffer, source} = t.context
+
+  audio.audioBuffer = buffer
+  audio.audioSource = createAudioSource(buffer)
+
+  audio.seek(12)
+
+  t.true(source.start.notCalled)
+  t.true(audio.paused)
+  t.is(audio.currentTime(), 12)
+})
+
+test.serial('seek - past the decoded audio', (t) => {
+  const {audio, buffer} = t.context
+
+  const oldSource = createAudioSource(buffer)
+
+  audio._source = '/track.mp3'
+  audio._segmenter = new Segmenter()
+  audio._segmenter.next(createMp3(1))
+  audio._decodedBytes = 16000
+  audio._decodedDuration = 1
+  audio.loading = true
+  audio.audioBuffer = buffer
+  audio.audioSource = oldSource
+  audio.paused = false
+  audio.startTime = secondsAgo(10)
+
+  global.fetch = sinon.stub().returns(new Promise(() => {}))
+
+  audio.seek(60)
+
+  t.true(oldSource.stop.calledOnce)
+  t.is(audio.audioSource, null)
+  t.is(audio.audioBuffer, null)
+  t.is(audio.bufferStart, 60)
+  t.true(audio.buffering)
+  t.is(audio.currentTime(), 60)
+  t.deepEqual(fetchArgs(global.fetch), [
+    ['/track.mp3', {headers: {Range: 'bytes=960000-'}}],
+  ])
+})
+
+test('playAt - schedules playback on the context clock', (t) => {
+  const {audio, buffer, source} = t.context
+
+  audio.audioBuffer = buffer
+  audio.audioSource = source
+  audio.onPlay = sinon.spy()
+
+  t.true(audio.playAt(CURRENT_TIME + 5))
+
+  t.deepEqual(source.start.args, [[CURRENT_TIME + 5, 0]])
+  t.is(audio.startTime, CURRENT_TIME + 5)
+  t.is(audio.currentTime(), 0)
+  t.true(audio.onPlay.calledOnce)
+})
+
+test('playAt - no audio source', (t) => {
+  const {audio} = t.context
+  t.false(audio.playAt(CURRENT_TIME + 5))
+})
+
+test('fadeIn - waits for playback to start', (t) => {
+  const {audio, buffer, source} = t.context
+
+  audio.fadeIn(2)
+
+  const {gain} = audio.fadeNode
+  t.is(gain.value, 0)
+  t.true(gain.linearRampToValueAtTime.notCalled)
+
+  audio.audioBuffer = buffer
+  audio.audioSource = source
+  audio.play()
+
+  t.deepEqual(gain.linearRampToValueAtTime.args, [[1, CURRENT_TIME + 2]])
+})
+
+test('fadeOut', (t) => {
+  const {audio} = t.context
+
+  audio.fadeOut(3)
+
+  const {gain} = audio.fadeNode
+  t.deepEqual(gain.setValueAtTime.args, [[1, CURRENT_TIME]])
+  t.deepEqual(gain.linearRampToValueAtTime.args, [[0, CURRENT_TIME + 3]])
+})
+
+test('setEffects - survives the audio source being replaced', (t) => {
+  const {audio, buffer} = t.context
+
+  const compressor = createGainNode()
+  audio.setEffects([compressor])
+
+  t.deepEqual(audio.effects, [compressor])
+  t.true(audio.fadeNode.connect.calledWith(compressor))
+  t.true(compressor.connect.calledWith(audio.volumeNode))
+
+  audio._updateAudioBuffer(buffer)
+  audio._updateAudioBuffer(buffer)
+
+  t.true(compressor.disconnect.notCalled)
+  t.true(audio.audioSource.connect.calledWith(audio.fadeNode))
+})
+
+// just enough of an OfflineAudioContext, which renders instantly
+class FakeOfflineAudioContext {
+  constructor (channels, length, sampleRate) {
+    FakeOfflineAudioContext.last = this
+
+    this.args = [channels, length, sampleRate]
+    this.destination = {}
+    this.source = createAudioSource(null)
+    this.gain = createGainNode()
+    this.rendered = createAudioBuffer(length)
+  }
+
+  createBufferSource () {
+    return this.source
+  }
+
+  createGain () {
+    return this.gain
+  }
+
+  startRendering () {
+    return Promise.resolve(this.rendered)
+  }
+}
+
+test.serial('render - plays the decoded audio through the effects', (t) => {
+  const {audio, buffer} = t.context
+
+  global.OfflineAudioContext = FakeOfflineAudioContext
+
+  const effect = createGainNode()
+  const createEffect = sinon.stub().returns(effect)
+  audio.setEffects([createEffect])
+  audio.volume = 0.5
+  audio.playbackRate = 2
+  audio.audioBuffer = buffer
+  audio.bufferStart = 10
+
+  return audio.render({start: 15, end: 25, sampleRate: 100}).then((rendered) => {
+    const offline = FakeOfflineAudioContext.last
+    delete global.OfflineAudioContext
+
+    t.is(rendered, offline.rendered)
+    t.deepEqual(offline.args, [1, 500, 100])
+    t.is(offline.source.buffer, buffer)
+    t.is(offline.source.playbackRate.value, 2)
+    t.deepEqual(offline.source.start.args, [[0, 5, 10]])
+    t.is(createEffect.lastCall.args[0], offline)
+    t.deepEqual(offline.source.connect.args, [[effect]])
+    t.true(effect.connect.calledWith(offline.gain))
+    t.is(offline.gain.gain.value, 0.5)
+    t.deepEqual(offline.gain.connect.args, [[offline.destination]])
+  })
+})
+
+test('render - only what has been decoded', (t) => {
+  const {audio, buffer} = t.context
+
+  return audio.render().then(() => t.fail(), (err) => {
+    t.true(err instanceof RangeError)
+
+    audio.audioBuffer = buffer
+    return audio.render({start: 20, end: 40})
+  }).then(() => t.fail(), (err) => {
+    t.true(err instanceof RangeError)
+    t.is(err.message, 'Can only render between 0 and 30 seconds')
+  })
+})
+
+test('render - effects must be functions', (t) => {
+  const {audio, buffer} = t.context
+
+  audio.setEffects([createGainNode()])
+  audio.audioBuffer = buffer
+
+  return audio.render().then(() => t.fail(), (err) => {
+    t.true(err instanceof TypeError)
+  })
+})
+
+test.serial('render - rejects options the browser can\'t render with', (t) => {
+  const {audio, buffer} = t.context
+
+  const cause = new Error('The sample rate provided (1) is outside the range [3000, 768000]')
+  global.OfflineAudioContext = sinon.stub().throws(cause)
+  audio.audioBuffer = buffer
+
+  return audio.render({sampleRate: 1}).then(() => t.fail(), (err) => {
+    delete global.OfflineAudioContext
+
+    t.is(err, cause)
+  })
+})
+
+test.serial('exportWav', (t) => {
+  const {audio, buffer} = t.context
+
+  global.OfflineAudioContext = FakeOfflineAudioContext
+  global.Blob = class Blob {
+    constructor (parts, options) {
+      this.parts = parts
+      this.type = options.type
+    }
+  }
+
+  audio.audioBuffer = buffer
+
+  return audio.exportWav({bitDepth: 24}).then((blob) => {
+    delete global.OfflineAudioContext
+    delete global.Blob
+
+    const [bytes] = blob.parts
+    t.is(blob.type, 'audio/wav')
+    t.is(bytes.length, 44 + (30 * 3))
+    t.is(bytes[34], 24)
+  })
+})
+
+test.serial('startRecording - records the output', (t) => {
+  const {audio, context} = t.context
+
+  context.sampleRate = 1
+  context.audioWorklet = createAudioWorklet()
+  global.AudioWorkletNode = FakeAudioWorkletNode
+  global.URL = {createObjectURL: () => 'blob:1', revokeObjectURL: () => {}}
+  global.Blob = class Blob {
+    constructor (parts, options) {
+      this.type = options.type
+    }
+  }
+
+  const onStart = sinon.spy()
+  const onProgress = sinon.spy()
+  const onStop = sinon.spy()
+  audio.on('recordingstart', onStart)
+  audio.on('recordingprogress', onProgress)
+  audio.on('recordingstop', onStop)
+
+  const started = audio.startRecording({channels: 1})
+  t.throws(() => audio.startRecording(), /Already recording/)
+
+  return started.then(() => {
+    t.true(onStart.calledOnce)
+
+    const node = FakeAudioWorkletNode.last
+    t.true(audio.volumeNode.connect.calledWith(node))
+
+    node.send([[0, 0]])
+    t.deepEqual(onProgress.args, [[{duration: 2, size: 4}]])
+
+    return audio.stopRecording()
+  }).then((blob) => {
+    delete global.Blob
+    delete global.URL
+    delete global.AudioWorkletNode
+
+    t.is(blob.type, 'audio/wav')
+    t.deepEqual(onStop.args, [[blob]])
+    return audio.stopRecording()
+  }).then(() => t.fail(), (err) => {
+    t.is(err.message, 'Not recording')
+  })
+})
+
+test('startRecording - rejects a bit depth it can\'t write', (t) => {
+  const {audio} = t.context
+
+  const onStart = sinon.spy()
+  audio.on('recordingstart', onStart)
+
+  return audio.startRecording({bitDepth: 8}).then(() => t.fail(), (err) => {
+    t.true(err instanceof RangeError)
+    t.true(onStart.notCalled)
+    t.is(audio._recorder, null)
+  })
+})
+
+test('startRecording - rejects if the browser can\'t record', (t) => {
+  const {audio} = t.context
+
+  const onStart = sinon.spy()
+  audio.on('recordingstart', onStart)
+
+  // no MediaRecorder
+  return audio.startRecording({mimeType: 'audio/webm'}).then(() => t.fail(), (err) => {
+    t.regex(err.message, /MediaRecorder/)
+    t.true(onStart.notCalled)
+    t.is(audio._recorder, null)
+  })
+})
+
+test('pause - without audio source', (t) => {
+  const {audio} = t.context
+
+  audio.paused = false
+  audio.buffering = true
+  audio.onPause = sinon.spy()
+
+  audio.pause()
+
+  t.true(audio.paused)
+  t.false(audio.buffering)
+  t.true(audio.onPause.notCalled)
+})
+
+test('pause - with audio source (paused)', (t) => {
+  const {audio, source} = t.context
+
+  audio.audioSource = source
+  audio.paused = true
+  audio.onPause = sinon.spy()
+
+  audio.pause()
+
+  t.true(audio.paused)
+  t.false(audio.buffering)
+  t.true(audio.onPause.notCalled)
+})
+
+test('pause - with audio source (playing)', (t) => {
+  const {context, audio, source, buffer} = t.context
+
+  audio.audioBuffer = buffer
+  audio.audioSource = source
+  audio.paused = false
+  audio.onPause = sinon.spy()
+
+  audio.pause()
+
+  t.true(audio.paused)
+  t.false(audio.buffering)
+
+  t.true(context.createBufferSource.calledOnce)
+  t.is(audio.audioSource, source)
+  t.true(audio.onPause.calledOnce)
+})
+
+test('pause - with fade', (t) => {
+  const {context, buffer, source} = t.context
+  const audio = new WebAudio({context, fadeDuration: 0.5})
+
+  const playing = createAudioSource(buffer)
+  audio.audioBuffer = buffer
+  audio.audioSource = playing
+  audio.paused = false
+  audio.startTime = secondsAgo(10)
+
+  audio.pause()
+
+  t.deepEqual(playing.stop.args, [[CURRENT_TIME + 0.5]])
+  t.true(playing.disconnect.notCalled)
+  t.deepEqual(audio.fadeNode.gain.linearRampToValueAtTime.args, [[0, CURRENT_TIME + 0.5]])
+  t.is(audio.currentTime(), 10.5)
+  t.is(audio.audioSource, source)
+
+  audio.play()
+
+  t.true(playing.disconnect.calledOnce)
+  t.is(audio.fadeNode.gain.value, 0)
+  t.deepEqual(audio.fadeNode.gain.linearRampToValueAtTime.args[1], [1, CURRENT_TIME + 0.5])
+})
+
+test('volume', (t) => {
+  const {audio} = t.context
+
+  audio.onVolumeChange = sinon.spy()
+
+  audio.volume = 0.25
+  t.is(audio.volume, 0.25)
+  t.is(audio.volumeNode.gain.value, 0.25)
+
+  audio.muted = true
+  t.true(audio.muted)
+  t.is(audio.volumeNode.gain.value, 0)
+
+  t.true(audio.onVolumeChange.calledTwice)
+})
+
+test('audio source ends while loading', (t) => {
+  const {audio, buffer, source} = t.context
+
+  audio.loading = true
+  audio.audioBuffer = buffer
+  audio.audioSource = createAudioSource(buffer)
+  audio.audioSource.onended = audio._handleBufferEnded.bind(audio)
+  audio.paused = false
+  audio.startTime = secondsAgo(30)
+  audio.on('waiting', sinon.spy())
+  audio.on('ended', sinon.spy())
+  audio.onPause = sinon.spy()
+
+  audio.audioSource.onended()
+
+  t.true(audio.paused)
+  t.true(audio.buffering)
+  t.is(audio.audioSource, source)
+  t.true(audio._listeners.waiting[0].calledOnce)
+  t.true(audio._listeners.ended[0].notCalled)
+  t.true(audio.onPause.notCalled)
+  t.is(audio.getStats().rebuffers, 1)
+})
+
+test('audio source ends after loading', (t) => {
+  const {audio, buffer} = t.context
+
+  const handleEnded = sinon.spy()
+  audio.on('ended', handleEnded)
+  audio.audioBuffer = buffer
+  audio.audioSource = createAudioSource(buffer)
+  audio.paused = false
+  audio.startTime = secondsAgo(30)
+
+  audio._handleBufferEnded()
+
+  t.true(audio.paused)
+  t.false(audio.buffering)
+  t.is(audio.currentTime(), 30)
+  t.true(handleEnded.calledOnce)
+})
+
+test('play - after the track has ended starts again', (t) => {
+  const {audio, buffer, source} = t.context
+
+  audio.audioBuffer = buffer
+  audio.audioSource = createAudioSource(buffer)
+  audio.paused = false
+  audio.startTime = secondsAgo(30)
+  audio.on('ended', sinon.spy())
+  audio.on('waiting', sinon.spy())
+
+  // the audio source reports that it ended a little after it did
+  audio.context.currentTime = CURRENT_TIME + 0.1
+  audio._handleBufferEnded()
+  audio.play()
+
+  t.false(audio.paused)
+  t.false(audio.buffering)
+  t.true(audio._listeners.waiting[0].notCalled)
+  t.deepEqual(source.start.args, [[0, 0]])
+  t.is(audio.currentTime(), 0)
+})
+
+test('stop - without audio source', (t) => {
+  const {audio} = t.context
+
+  audio.onStop = sinon.spy()
+
+  audio.stop()
+
+  t.true(audio.onStop.notCalled)
+})
+
+test('stop - while waiting for audio after a seek', (t) => {
+  const {audio, buffer} = t.context
+
+  audio.audioBuffer = buffer
+  audio.bufferStart = 10
+  audio.startTime = 5
+  audio.onStop = sinon.spy()
+
+  audio.stop()
+
+  t.is(audio.audioBuffer, null)
+  t.is(audio.bufferStart, 0)
+  t.is(audio.startTime, null)
+  t.true(audio.onStop.calledOnce)
+})
+
+test('stop - with audio source', (t) => {
+  const {audio, source, buffer} = t.context
+
+  audio.audioSource = source
+  audio.audioBuffer = buffer
+  audio.onStop = sinon.spy()
+
+  audio.stop()
+
+  t.true(source.stop.calledOnce)
+  t.true(source.disconnect.calledOnce)
+  t.is(audio.audioSource, null)
+
+  t.is(audio.audioBuffer, null)
+  t.is(audio.startTime, null)
+  t.is(audio.pauseTime, null)
+  t.false(audio.loading)
+  t.true(audio.paused)
+  t.false(audio.buffering)
+
+  t.true(audio.onStop.calledOnce)
+})
+
+test('dispose', (t) => {
+  const {audio, source, buffer} = t.context
+
+  audio.audioSource = source
+  audio.audioBuffer = buffer
+  audio.onStop = sinon.spy()
+
+  audio.dispose()
+
+  t.true(source.stop.calledOnce)
+  t.is(audio.audioSource, null)
+  t.true(audio.volumeNode.disconnect.calledOnce)
+  t.true(audio.onStop.notCalled)
 })
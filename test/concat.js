@@ -1,6 +1,6 @@
 import test from 'ava'
 
-import {concatUint8Array} from '../lib/concat'
+import {concatUint8Array, copyAudioBuffer, sliceAudioBuffer} from '../lib/concat'
 
 test('concatUint8Array - two full arrays', (t) => {
   const result = concatUint8Array(
@@ -28,3 +28,72 @@ test('concatUint8Array - second array empty', (t) => {
 
   t.deepEqual(result, new Uint8Array([1, 2, 3]))
 })
+
+const createAudioBuffer = (channels) => {
+  return {
+    numberOfChannels: channels.length,
+    length: channels[0].length,
+    sampleRate: 44100,
+    getChannelData: (channel) => channels[channel],
+  }
+}
+
+const context = {
+  createBuffer: (numberOfChannels, length) => {
+    const channels = []
+    for (let i = 0; i < numberOfChannels; i += 1) {
+      channels.push(new Float32Array(length))
+    }
+    return createAudioBuffer(channels)
+  },
+}
+
+test('copyAudioBuffer - stereo', (t) => {
+  const target = context.createBuffer(2, 4)
+
+  copyAudioBuffer(
+    target,
+    createAudioBuffer([new Float32Array([5, 6, 7]), new Float32Array([8, 9, 10])]),
+    1,
+    1,
+  )
+
+  t.deepEqual(target.getChannelData(0), new Float32Array([0, 6, 7, 0]))
+  t.deepEqual(target.getChannelData(1), new Float32Array([0, 9, 10, 0]))
+})
+
+test('copyAudioBuffer - mono into stereo', (t) => {
+  const target = context.createBuffer(2, 2)
+
+  copyAudioBuffer(target, createAudioBuffer([new Float32Array([5, 6])]), 0)
+
+  t.deepEqual(target.getChannelData(0), new Float32Array([5, 6]))
+  t.deepEqual(target.getChannelData(1), new Float32Array([5, 6]))
+})
+
+test('sliceAudioBuffer', (t) => {
+  const result = sliceAudioBuffer(
+    context,
+    createAudioBuffer([new Float32Array([1, 2, 3]), new Float32Array([4, 5, 6])]),
+    1,
+    3,
+  )
+
+  t.is(result.length, 2)
+  t.deepEqual(result.getChannelData(0), new Float32Array([2, 3]))
+  t.deepEqual(result.getChannelData(1), new Float32Array([5, 6]))
+})
+
+test('sliceAudioBuffer - with room to grow', (t) => {
+  const result = sliceAudioBuffer(
+    context,
+    createAudioBuffer([new Float32Array([1, 2, 3])]),
+    0,
+    2,
+    {length: 4, numberOfChannels: 2},
+  )
+
+  t.is(result.length, 4)
+  t.deepEqual(result.getChannelData(0), new Float32Array([1, 2, 0, 0]))
+  t.deepEqual(result.getChannelData(1), new Float32Array([1, 2, 0, 0]))
+})
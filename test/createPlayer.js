@@ -0,0 +1,49 @@
+import test from 'ava'
+
+import createPlayer from '../lib/createPlayer'
+import Player from '../lib/Player'
+import WebAudio from '../lib/WebAudio'
+import MediaElement from '../lib/MediaElement'
+import FakeAudio from './helpers/Audio'
+import {createGainNode} from './helpers/AudioContext'
+
+const createContext = () => ({
+  createGain: createGainNode,
+  createMediaElementSource: createGainNode,
+})
+
+test('createPlayer - webaudio backend', (t) => {
+  const context = createContext()
+  const player = createPlayer({context, backend: 'webaudio'})
+
+  t.true(player instanceof Player)
+  t.true(player.backend instanceof WebAudio)
+  t.is(player.context, context)
+})
+
+test('createPlayer - mediaelement backend waits for play', (t) => {
+  global.Audio = FakeAudio
+
+  const player = createPlayer({context: createContext(), backend: 'mediaelement', statsInterval: 0})
+
+  t.true(player.backend instanceof MediaElement)
+  t.false(player.backend.audioElement.autoplay)
+
+  delete global.Audio
+})
+
+test('createPlayer - picks webaudio when streaming is supported', (t) => {
+  global.fetch = () => {}
+  global.ReadableStream = function ReadableStream () {}
+
+  const player = createPlayer({context: createContext()})
+
+  t.true(player.backend instanceof WebAudio)
+
+  delete global.fetch
+  delete global.ReadableStream
+})
+
+test('createPlayer - unknown backend', (t) => {
+  t.throws(() => createPlayer({context: createContext(), backend: 'flash'}), /Unknown backend/)
+})
@@ -0,0 +1,65 @@
+import test from 'ava'
+import sinon from 'sinon'
+
+import fetchRange, {getTotalBytes} from '../lib/fetchRange'
+import createResponse from './helpers/Response'
+
+test.serial('fetchRange - from the start', (t) => {
+  global.fetch = sinon.stub().returns(Promise.resolve())
+  fetchRange('/track.mp3', 0)
+  t.deepEqual(global.fetch.args, [['/track.mp3']])
+})
+
+test.serial('fetchRange - from an offset', (t) => {
+  global.fetch = sinon.stub().returns(Promise.resolve())
+  fetchRange('/track.mp3', 1024)
+  t.deepEqual(global.fetch.args, [
+    ['/track.mp3', {headers: {Range: 'bytes=1024-'}}],
+  ])
+})
+
+test.serial('fetchRange - with other headers', (t) => {
+  global.fetch = sinon.stub().returns(Promise.resolve())
+  fetchRange('/stream', 0, {headers: {'Icy-MetaData': '1'}})
+  t.deepEqual(global.fetch.args, [
+    ['/stream', {headers: {'Icy-MetaData': '1'}}],
+  ])
+})
+
+test.serial('fetchRange - with a signal', (t) => {
+  const signal = {aborted: false}
+  global.fetch = sinon.stub().returns(Promise.resolve())
+  fetchRange('/track.mp3', 1024, {signal})
+  t.deepEqual(global.fetch.args, [
+    ['/track.mp3', {headers: {Range: 'bytes=1024-'}, signal}],
+  ])
+})
+
+test.serial('fetchRange - keeps the headers of a Request', (t) => {
+  const request = {
+    url: '/track.mp3',
+    headers: new Map([['authorization', 'Bearer token']]),
+  }
+  global.fetch = sinon.stub().returns(Promise.resolve())
+  fetchRange(request, 1024)
+  t.deepEqual(global.fetch.args, [
+    [request, {headers: {authorization: 'Bearer token', Range: 'bytes=1024-'}}],
+  ])
+})
+
+test('getTotalBytes - full response', (t) => {
+  const res = createResponse(null, {headers: {'Content-Length': '5000'}})
+  t.is(getTotalBytes(res), 5000)
+})
+
+test('getTotalBytes - partial response', (t) => {
+  const res = createResponse(null, {
+    status: 206,
+    headers: {'Content-Length': '4000', 'Content-Range': 'bytes 1000-4999/5000'},
+  })
+  t.is(getTotalBytes(res), 5000)
+})
+
+test('getTotalBytes - unknown', (t) => {
+  t.is(getTotalBytes(createResponse(null)), null)
+})
@@ -0,0 +1,29 @@
+import test from 'ava'
+
+import {parseFrameHeader, findFrame, isAdts} from '../../lib/formats/aac'
+import {createAdtsFrame} from '../helpers/aac'
+
+test('parseFrameHeader', (t) => {
+  t.deepEqual(parseFrameHeader(createAdtsFrame(100), 0), {
+    sampleRate: 44100,
+    channels: 2,
+    samplesPerFrame: 1024,
+    frameLength: 100,
+  })
+  t.is(parseFrameHeader(new Uint8Array([0xFF, 0xFB, 0x90, 0x64, 0, 0, 0]), 0), null)
+  t.is(parseFrameHeader(createAdtsFrame(100).subarray(0, 6), 0), null)
+})
+
+test('findFrame - must be followed by another frame', (t) => {
+  const bytes = new Uint8Array([
+    ...createAdtsFrame(10).subarray(0, 7),
+    ...createAdtsFrame(100),
+    ...createAdtsFrame(100),
+  ])
+  t.is(findFrame(bytes, 0), 7)
+})
+
+test('isAdts', (t) => {
+  t.true(isAdts(createAdtsFrame(100)))
+  t.false(isAdts(new Uint8Array([0x52, 0x49, 0x46, 0x46, 0, 0, 0])))
+})
@@ -0,0 +1,70 @@
+import test from 'ava'
+
+import {
+  isFlac,
+  parseStreamInfo,
+  parseHeader,
+  findFrame,
+  getDuration,
+  getMetadata,
+} from '../../lib/formats/flac'
+import {createVorbisComment, createPictureBlock} from '../helpers/vorbisComment'
+import {STREAM_INFO, createBlock, createFlacFrame} from '../helpers/flac'
+
+test('isFlac', (t) => {
+  t.true(isFlac(new Uint8Array(STREAM_INFO)))
+  t.true(isFlac(new Uint8Array([0x49, 0x44, 0x33, 4, 0, 0, 0, 0, 0, 0, ...STREAM_INFO])))
+  t.false(isFlac(new Uint8Array([0x4F, 0x67, 0x67, 0x53])))
+})
+
+test('parseStreamInfo', (t) => {
+  t.deepEqual(parseStreamInfo(new Uint8Array(STREAM_INFO)), {
+    sampleRate: 44100,
+    channels: 2,
+    totalSamples: 441000,
+  })
+  t.is(parseStreamInfo(new Uint8Array(STREAM_INFO.slice(0, 20))), null)
+})
+
+test('parseHeader', (t) => {
+  const bytes = new Uint8Array([
+    ...STREAM_INFO,
+    ...createBlock(4, true, createVorbisComment(['TITLE=Title'])),
+  ])
+  const {header, dataOffset} = parseHeader(bytes)
+
+  t.is(dataOffset, bytes.length)
+
+  // STREAMINFO is now the last block
+  t.deepEqual(header, new Uint8Array([...STREAM_INFO.slice(0, 4), 0x80, ...STREAM_INFO.slice(5)]))
+  t.is(parseHeader(new Uint8Array(STREAM_INFO)), null)
+})
+
+test('findFrame', (t) => {
+  const frame = createFlacFrame(0)
+  const bytes = new Uint8Array([0xFF, 0xF8, 0xC9, 0x18, 0, 0, ...frame, ...createFlacFrame(1)])
+
+  // the first sync code has the wrong CRC
+  t.is(findFrame(bytes, 0), 6)
+  t.is(findFrame(bytes, 7), 6 + frame.length)
+  t.is(findFrame(bytes, 7 + frame.length), -1)
+})
+
+test('getDuration', (t) => {
+  t.deepEqual(getDuration(new Uint8Array(STREAM_INFO)), {duration: 10, exact: true})
+})
+
+test('getMetadata', (t) => {
+  const bytes = new Uint8Array([
+    ...STREAM_INFO,
+    ...createBlock(4, false, createVorbisComment(['TITLE=Title', 'TRACKNUMBER=2'])),
+    ...createBlock(6, true, createPictureBlock('image/png', [1, 2, 3])),
+  ])
+
+  t.deepEqual(getMetadata(bytes), {
+    title: 'Title',
+    track: 2,
+    picture: {type: 'image/png', data: new Uint8Array([1, 2, 3])},
+  })
+  t.is(getMetadata(bytes.subarray(0, bytes.length - 1)), null)
+})
@@ -0,0 +1,36 @@
+import test from 'ava'
+
+import {parseIcyMetadata, getMetaInterval} from '../../lib/formats/icy'
+import createResponse from '../helpers/Response'
+import {createMetadataBlock} from '../helpers/icy'
+
+test('parseIcyMetadata', (t) => {
+  const block = createMetadataBlock('StreamTitle=\'Artist - Title\';StreamUrl=\'http://example.com\';')
+  t.deepEqual(parseIcyMetadata(new Uint8Array(block.slice(1))), {
+    StreamTitle: 'Artist - Title',
+    StreamUrl: 'http://example.com',
+  })
+})
+
+test('parseIcyMetadata - quotes in the title', (t) => {
+  const block = createMetadataBlock('StreamTitle=\'Don\'t Stop; Believin\'\';')
+  t.deepEqual(parseIcyMetadata(new Uint8Array(block.slice(1))), {
+    StreamTitle: 'Don\'t Stop; Believin\'',
+  })
+})
+
+test('parseIcyMetadata - empty', (t) => {
+  t.deepEqual(parseIcyMetadata(new Uint8Array(16)), {})
+})
+
+test('parseIcyMetadata - Latin-1', (t) => {
+  const block = createMetadataBlock('StreamTitle=\'Beyonc\u00E9 - D\u00E9j\u00E0 Vu\';')
+  t.deepEqual(parseIcyMetadata(new Uint8Array(block.slice(1))), {
+    StreamTitle: 'Beyonc\u00E9 - D\u00E9j\u00E0 Vu',
+  })
+})
+
+test('getMetaInterval', (t) => {
+  t.is(getMetaInterval(createResponse(null, {headers: {'icy-metaint': '16000'}})), 16000)
+  t.is(getMetaInterval(createResponse(null)), null)
+})
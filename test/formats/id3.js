@@ -0,0 +1,70 @@
+import test from 'ava'
+
+import {parseId3v2, parseId3v1, hasId3v1, decodeText} from '../../lib/formats/id3'
+import {createId3, createId3Frame, createTextFrame, createMp3} from '../helpers/mp3'
+
+test('parseId3v2', (t) => {
+  const id3 = createId3([
+    createTextFrame('TIT2', 'Title'),
+    createTextFrame('TPE1', 'Artist'),
+    createTextFrame('TALB', 'Album'),
+    createTextFrame('TRCK', '3/12'),
+    createId3Frame('APIC', [
+      0, // encoding
+      0x69, 0x6D, 0x61, 0x67, 0x65, 0x2F, 0x70, 0x6E, 0x67, 0, // "image/png"
+      3, // front cover
+      0x61, 0, // description
+      1, 2, 3, // picture
+    ]),
+  ])
+
+  t.deepEqual(parseId3v2(createMp3(1, id3)), {
+    title: 'Title',
+    artist: 'Artist',
+    album: 'Album',
+    track: 3,
+    picture: {type: 'image/png', data: new Uint8Array([1, 2, 3])},
+  })
+})
+
+test('parseId3v2 - incomplete tag', (t) => {
+  const id3 = createId3([createTextFrame('TIT2', 'Title')])
+  t.is(parseId3v2(new Uint8Array(id3.slice(0, 12))), null)
+})
+
+test('parseId3v2 - no tag', (t) => {
+  t.deepEqual(parseId3v2(createMp3(1)), {})
+})
+
+test('parseId3v2 - ID3v2.2', (t) => {
+  const frame = [0x54, 0x54, 0x32, 0, 0, 4, 0, 0x61, 0x62, 0x63] // TT2 "abc"
+  const id3 = [0x49, 0x44, 0x33, 2, 0, 0, 0, 0, 0, frame.length, ...frame]
+
+  t.deepEqual(parseId3v2(new Uint8Array(id3)), {title: 'abc'})
+})
+
+test('decodeText', (t) => {
+  t.is(decodeText(new Uint8Array([0x63, 0x61, 0x66, 0xE9, 0]), 0), 'café')
+  t.is(decodeText(new Uint8Array([0x63, 0x61, 0x66, 0xC3, 0xA9]), 3), 'café')
+  t.is(decodeText(new Uint8Array([0xFF, 0xFE, 0x68, 0, 0x69, 0, 0, 0]), 1), 'hi')
+  t.is(decodeText(new Uint8Array([0, 0x68, 0, 0x69]), 2), 'hi')
+  t.is(decodeText(new Uint8Array([0x41, 0xE9, 0x42]), 3), 'A\uFFFDB')
+  t.is(decodeText(new Uint8Array([0x41, 0xF7, 0xBF, 0xBF, 0xBF]), 3), 'A\uFFFD\uFFFD\uFFFD\uFFFD')
+})
+
+test('parseId3v1', (t) => {
+  const bytes = new Uint8Array(200)
+  const tag = bytes.subarray(72)
+  tag.set([0x54, 0x41, 0x47]) // TAG
+  tag.set([0x61, 0x62, 0x63], 3) // title
+  tag.set([0x64, 0x65, 0x20, 0x20], 33) // artist, padded with spaces
+  tag[126] = 7 // track
+
+  t.true(hasId3v1(bytes))
+  t.deepEqual(parseId3v1(bytes), {title: 'abc', artist: 'de', track: 7})
+})
+
+test('parseId3v1 - no tag', (t) => {
+  t.false(hasId3v1(createMp3(1)))
+  t.deepEqual(parseId3v1(createMp3(1)), {})
+})
@@ -0,0 +1,72 @@
+import test from 'ava'
+
+import {
+  id3Length,
+  parseFrameHeader,
+  findFrame,
+  isMp3,
+  getDuration,
+} from '../../lib/formats/mp3'
+import {createMp3, FRAME_LENGTH} from '../helpers/mp3'
+
+test('parseFrameHeader - valid header', (t) => {
+  const header = parseFrameHeader(createMp3(1), 0)
+
+  t.deepEqual(header, {
+    version: 1,
+    layer: 3,
+    bitrate: 128000,
+    sampleRate: 44100,
+    channels: 2,
+    samplesPerFrame: 1152,
+    frameLength: FRAME_LENGTH,
+  })
+})
+
+test('parseFrameHeader - invalid header', (t) => {
+  t.is(parseFrameHeader(new Uint8Array([0xFF, 0xFB, 0xF0, 0x64]), 0), null)
+  t.is(parseFrameHeader(new Uint8Array([0x00, 0xFB, 0x90, 0x64]), 0), null)
+  t.is(parseFrameHeader(new Uint8Array([0xFF, 0xFB]), 0), null)
+})
+
+test('id3Length', (t) => {
+  t.is(id3Length(new Uint8Array([0x49, 0x44, 0x33, 4, 0, 0, 0, 0, 1, 0])), 138)
+  t.is(id3Length(createMp3(1)), 0)
+})
+
+test('findFrame - skips bytes that look like a header', (t) => {
+  const bytes = createMp3(2, [0xFF, 0xFB, 0x90, 0x64, 0, 0])
+  t.is(findFrame(bytes, 0), 6)
+})
+
+test('isMp3', (t) => {
+  t.true(isMp3(createMp3(1)))
+  t.true(isMp3(new Uint8Array([0x49, 0x44, 0x33, 4, 0, 0, 0, 0, 0, 0])))
+  t.false(isMp3(new Uint8Array([0x52, 0x49, 0x46, 0x46])))
+})
+
+test('getDuration - constant bitrate', (t) => {
+  // 128kbps = 16000 bytes per second
+  t.deepEqual(getDuration(createMp3(1), 160000), {duration: 10, exact: false})
+  t.is(getDuration(createMp3(1), null), null)
+})
+
+test('getDuration - waits for the first frame', (t) => {
+  t.is(getDuration(createMp3(1).subarray(0, 100), 160000), null)
+})
+
+test('getDuration - xing header', (t) => {
+  const bytes = createMp3(1)
+  // MPEG-1 stereo has 32 bytes of side information
+  bytes.set([0x58, 0x69, 0x6E, 0x67, 0, 0, 0, 0x01, 0, 0, 0x03, 0xE8], 4 + 32)
+
+  t.deepEqual(getDuration(bytes, 160000), {duration: (1000 * 1152) / 44100, exact: true})
+})
+
+test('getDuration - vbri header', (t) => {
+  const bytes = createMp3(1)
+  bytes.set([0x56, 0x42, 0x52, 0x49], 4 + 32)
+  bytes.set([0, 0, 0x07, 0xD0], 4 + 32 + 14)
+
+  t.deepEqual(getDuration(bytes, 160000), {duration: (2000 * 1152) / 44100, exact: true})
+})
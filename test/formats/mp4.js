@@ -0,0 +1,65 @@
+/* eslint-disable no-bitwise */
+
+import test from 'ava'
+
+import {isMp4, readBoxes, getMetadata} from '../../lib/formats/mp4'
+
+const ascii = (string) => string.split('').map((c) => c.charCodeAt(0))
+const uint32 = (n) => [(n >>> 24) & 0xFF, (n >> 16) & 0xFF, (n >> 8) & 0xFF, n & 0xFF]
+
+const box = (type, ...children) => {
+  const body = [].concat(...children)
+  return [...uint32(body.length + 8), ...ascii(type), ...body]
+}
+
+const data = (type, value) => box('data', uint32(type), uint32(0), value)
+
+const FTYP = box('ftyp', ascii('M4A '), uint32(0))
+
+const MOOV = box('moov',
+  box('mvhd', Array(10).fill(0)),
+  box('udta',
+    box('meta', uint32(0),
+      box('hdlr', Array(4).fill(0)),
+      box('ilst',
+        box('©nam', data(1, ascii('Title'))),
+        box('©ART', data(1, ascii('Artist'))),
+        box('trkn', data(0, [0, 0, 0, 5, 0, 10, 0, 0])),
+        box('covr', data(14, [1, 2, 3])),
+      ),
+    ),
+  ),
+)
+
+const MDAT = box('mdat', Array(20).fill(0))
+
+test('isMp4', (t) => {
+  t.true(isMp4(new Uint8Array(FTYP)))
+  t.false(isMp4(new Uint8Array(ascii('OggS'))))
+})
+
+test('readBoxes', (t) => {
+  const bytes = new Uint8Array([...FTYP, ...MDAT])
+  t.deepEqual(readBoxes(bytes).map((b) => b.type), ['ftyp', 'mdat'])
+  t.is(readBoxes(bytes)[1].end, bytes.length)
+})
+
+test('getMetadata', (t) => {
+  t.deepEqual(getMetadata(new Uint8Array([...FTYP, ...MOOV, ...MDAT])), {
+    title: 'Title',
+    artist: 'Artist',
+    track: 5,
+    picture: {type: 'image/png', data: new Uint8Array([1, 2, 3])},
+  })
+})
+
+test('getMetadata - moov at the end of the file', (t) => {
+  const bytes = new Uint8Array([...FTYP, ...MDAT, ...MOOV])
+
+  t.is(getMetadata(bytes.subarray(0, FTYP.length + MDAT.length + 10)), null)
+  t.is(getMetadata(bytes).title, 'Title')
+})
+
+test('getMetadata - no moov', (t) => {
+  t.deepEqual(getMetadata(new Uint8Array([...FTYP, ...MDAT]), true), {})
+})
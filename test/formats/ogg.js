@@ -0,0 +1,96 @@
+import test from 'ava'
+
+import {
+  isOgg,
+  pageLength,
+  findPage,
+  firstPacket,
+  readPackets,
+  getDuration,
+  getMetadata,
+  parseHeader,
+  getCodec,
+} from '../../lib/formats/ogg'
+import {createVorbisComment} from '../helpers/vorbisComment'
+import {VORBIS_HEADER, createPage} from '../helpers/ogg'
+
+const VORBIS_COMMENT = [
+  0x03, 0x76, 0x6F, 0x72, 0x62, 0x69, 0x73, // \x03vorbis
+  ...createVorbisComment(['TITLE=Title', 'ARTIST=Artist']),
+  0x01, // framing
+]
+
+test('isOgg', (t) => {
+  t.true(isOgg(createPage(VORBIS_HEADER)))
+  t.false(isOgg(new Uint8Array([0x66, 0x4C, 0x61, 0x43])))
+})
+
+test('pageLength', (t) => {
+  const page = createPage(VORBIS_HEADER)
+  t.is(pageLength(page, 0), page.length)
+  t.is(pageLength(page.subarray(0, page.length - 1), 0), -1)
+  t.is(pageLength(page, 1), -1)
+})
+
+test('findPage', (t) => {
+  const bytes = new Uint8Array([1, 2, 3, ...createPage(VORBIS_HEADER)])
+  t.is(findPage(bytes, 0), 3)
+  t.is(findPage(bytes, 4), -1)
+})
+
+test('firstPacket', (t) => {
+  t.deepEqual(firstPacket(createPage(VORBIS_HEADER)), new Uint8Array(VORBIS_HEADER))
+  t.is(firstPacket(createPage(VORBIS_HEADER).subarray(0, 40)), null)
+})
+
+test('getDuration', (t) => {
+  // 128kbps = 16000 bytes per second
+  t.deepEqual(getDuration(createPage(VORBIS_HEADER), 160000), {duration: 10, exact: false})
+  t.is(getDuration(createPage(VORBIS_HEADER), null), null)
+})
+
+test('readPackets - joins packets that span segments', (t) => {
+  const long = Array(300).fill(7)
+  const packets = readPackets(createPage(VORBIS_HEADER, long), 2)
+
+  t.deepEqual(packets.map((packet) => packet.data), [
+    new Uint8Array(VORBIS_HEADER),
+    new Uint8Array(long),
+  ])
+  t.is(packets[1].end, 27 + 3 + VORBIS_HEADER.length + long.length)
+  t.is(readPackets(createPage(VORBIS_HEADER), 2), null)
+})
+
+test('getMetadata - vorbis', (t) => {
+  t.deepEqual(getMetadata(createPage(VORBIS_HEADER, VORBIS_COMMENT)), {
+    title: 'Title',
+    artist: 'Artist',
+  })
+})
+
+test('getMetadata - opus', (t) => {
+  const opusTags = [
+    0x4F, 0x70, 0x75, 0x73, 0x54, 0x61, 0x67, 0x73, // OpusTags
+    ...createVorbisComment(['ALBUM=Album']),
+  ]
+  t.deepEqual(getMetadata(createPage([0x4F, 0x70, 0x75, 0x73], opusTags)), {album: 'Album'})
+})
+
+test('parseHeader', (t) => {
+  const setup = [0x05, 0x76, 0x6F, 0x72, 0x62, 0x69, 0x73, 0, 0]
+  const header = new Uint8Array([
+    ...createPage(VORBIS_HEADER),
+    ...createPage(VORBIS_COMMENT, setup),
+  ])
+  const bytes = new Uint8Array([...header, ...createPage([1, 2, 3])])
+
+  t.deepEqual(parseHeader(bytes), {header, dataOffset: header.length})
+  t.is(parseHeader(createPage(VORBIS_HEADER, VORBIS_COMMENT)), null)
+})
+
+test('getCodec', (t) => {
+  t.is(getCodec(createPage(VORBIS_HEADER)), 'vorbis')
+  t.is(getCodec(createPage([0x4F, 0x70, 0x75, 0x73, 0x48, 0x65, 0x61, 0x64, 1])), 'opus')
+  t.is(getCodec(createPage([0x80, 0x74, 0x68, 0x65, 0x6F, 0x72, 0x61])), 'unknown')
+  t.is(getCodec(createPage(VORBIS_HEADER).subarray(0, 30)), null)
+})
@@ -0,0 +1,30 @@
+import test from 'ava'
+
+import {parseVorbisComment, parsePictureBlock} from '../../lib/formats/vorbisComment'
+import {createVorbisComment, createPictureBlock} from '../helpers/vorbisComment'
+
+test('parseVorbisComment', (t) => {
+  const bytes = new Uint8Array(createVorbisComment([
+    'TITLE=Title',
+    'artist=Artist',
+    'ALBUM=Album',
+    'TRACKNUMBER=4',
+    'GENRE=Jazz',
+    `METADATA_BLOCK_PICTURE=${Buffer.from(createPictureBlock('image/png', [1, 2, 3])).toString('base64')}`,
+  ]))
+
+  t.deepEqual(parseVorbisComment(bytes), {
+    title: 'Title',
+    artist: 'Artist',
+    album: 'Album',
+    track: 4,
+    picture: {type: 'image/png', data: new Uint8Array([1, 2, 3])},
+  })
+})
+
+test('parsePictureBlock', (t) => {
+  t.deepEqual(parsePictureBlock(new Uint8Array(createPictureBlock('image/jpeg', [4, 5]))), {
+    type: 'image/jpeg',
+    data: new Uint8Array([4, 5]),
+  })
+})
@@ -0,0 +1,102 @@
+import test from 'ava'
+
+import {
+  isWav,
+  parseHeader,
+  createHeader,
+  getDuration,
+  createFormatChunk,
+  encodeWav,
+} from '../../lib/formats/wav'
+import {createWav, HEADER_LENGTH} from '../helpers/wav'
+
+const ascii = (string) => string.split('').map((c) => c.charCodeAt(0))
+
+test('isWav', (t) => {
+  t.true(isWav(createWav(0)))
+  t.false(isWav(new Uint8Array(ascii('OggS'))))
+})
+
+test('parseHeader', (t) => {
+  const bytes = createWav(352800)
+  t.deepEqual(parseHeader(bytes), {
+    fmt: bytes.subarray(12, 36),
+    byteRate: 176400,
+    blockAlign: 4,
+    dataOffset: 44,
+    dataLength: 352800,
+  })
+  t.is(parseHeader(createWav(352800).subarray(0, 30)), null)
+})
+
+test('createHeader', (t) => {
+  const bytes = createWav(8)
+  t.deepEqual(createHeader(bytes.subarray(12, 36), 8), bytes.subarray(0, HEADER_LENGTH))
+})
+
+test('getDuration', (t) => {
+  t.deepEqual(getDuration(createWav(352800), null), {duration: 2, exact: true})
+})
+
+test('getDuration - unknown data length', (t) => {
+  const bytes = createWav(0xFFFFFFFF)
+  t.deepEqual(getDuration(bytes, 44 + 176400), {duration: 1, exact: false})
+  t.is(getDuration(bytes, null), null)
+})
+
+test('createFormatChunk', (t) => {
+  const bytes = createWav(0)
+  t.deepEqual(
+    createFormatChunk({channels: 2, sampleRate: 44100, bitDepth: 16}),
+    bytes.subarray(12, 36),
+  )
+})
+
+const createAudioBuffer = (channels) => ({
+  numberOfChannels: channels.length,
+  sampleRate: 44100,
+  length: channels[0].length,
+  getChannelData: (i) => new Float32Array(channels[i]),
+})
+
+test('encodeWav - 16 bit stereo', (t) => {
+  const bytes = encodeWav(createAudioBuffer([[1, -1], [0, 2]]))
+  const view = new DataView(bytes.buffer)
+
+  t.deepEqual(parseHeader(bytes), {
+    fmt: bytes.subarray(12, 36),
+    byteRate: 176400,
+    blockAlign: 4,
+    dataOffset: 44,
+    dataLength: 8,
+  })
+
+  // interleaved, and clipped
+  t.deepEqual([0, 1, 2, 3].map((i) => view.getInt16(44 + (i * 2), true)), [
+    32767, 0, -32768, 32767,
+  ])
+})
+
+test('encodeWav - 24 bit', (t) => {
+  const bytes = encodeWav(createAudioBuffer([[1, -1, -0.5]]), {bitDepth: 24})
+
+  t.is(parseHeader(bytes).blockAlign, 3)
+  t.deepEqual(Array.from(bytes.subarray(44)), [
+    0xFF, 0xFF, 0x7F,
+    0x00, 0x00, 0x80,
+    0x00, 0x00, 0xC0,
+  ])
+})
+
+test('encodeWav - 32 bit float', (t) => {
+  const bytes = encodeWav(createAudioBuffer([[0.25, -0.5]]), {bitDepth: 32})
+  const view = new DataView(bytes.buffer)
+
+  t.is(view.getUint16(20, true), 3)
+  t.is(view.getFloat32(44, true), 0.25)
+  t.is(view.getFloat32(48, true), -0.5)
+})
+
+test('encodeWav - unsupported bit depth', (t) => {
+  t.throws(() => encodeWav(createAudioBuffer([[0]]), {bitDepth: 8}), RangeError)
+})
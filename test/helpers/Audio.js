@@ -0,0 +1,52 @@
+import sinon from 'sinon'
+
+const createTimeRanges = (ranges) => ({
+  length: ranges.length,
+  start: (i) => ranges[i][0],
+  end: (i) => ranges[i][1],
+})
+
+// just enough of an HTMLAudioElement
+export default class FakeAudio {
+  constructor () {
+    this.src = ''
+    this.currentTime = 0
+    this.duration = NaN
+    this.paused = true
+    this.seeking = false
+    this.loop = false
+    this.playbackRate = 1
+    this.defaultPlaybackRate = 1
+    this.error = null
+    this.buffered = createTimeRanges([])
+
+    this.listeners = {}
+
+    this.play = sinon.spy(() => {
+      this.paused = false
+    })
+    this.pause = sinon.spy(() => {
+      this.paused = true
+    })
+    this.load = sinon.spy()
+    this.removeAttribute = sinon.spy((name) => {
+      this[name] = ''
+    })
+  }
+
+  setBuffered (ranges) {
+    this.buffered = createTimeRanges(ranges)
+  }
+
+  addEventListener (event, listener) {
+    this.listeners[event] = [...(this.listeners[event] || []), listener]
+  }
+
+  removeEventListener (event, listener) {
+    this.listeners[event] = (this.listeners[event] || []).filter((fn) => fn !== listener)
+  }
+
+  dispatch (event) {
+    (this.listeners[event] || []).forEach((listener) => listener())
+  }
+}
@@ -0,0 +1,49 @@
+import sinon from 'sinon'
+
+export function createAudioParam (value = 1) {
+  return {
+    value,
+    cancelScheduledValues: sinon.spy(),
+    setValueAtTime: sinon.spy(),
+    linearRampToValueAtTime: sinon.spy(),
+  }
+}
+
+export function createGainNode () {
+  return {
+    gain: createAudioParam(),
+    connect: sinon.spy(),
+    disconnect: sinon.spy(),
+  }
+}
+
+// just enough of an AudioWorkletNode. `send` stands in for the processor
+// handing over a batch of samples, and when the node is told to stop, it
+// hands over `rest`.
+export class FakeAudioWorkletNode {
+  constructor (context, name, options) {
+    FakeAudioWorkletNode.last = this
+
+    this.name = name
+    this.options = options
+    this.rest = options.processorOptions.channels === 1 ? [[]] : [[], []]
+    this.connect = sinon.spy()
+    this.disconnect = sinon.spy()
+    this.port = {
+      onmessage: null,
+      postMessage: sinon.spy(() => {
+        setImmediate(() => this.send(this.rest, true))
+      }),
+    }
+  }
+
+  send (samples, done = false) {
+    this.port.onmessage({
+      data: {samples: samples.map((channel) => new Float32Array(channel)), done},
+    })
+  }
+}
+
+export function createAudioWorklet () {
+  return {addModule: sinon.stub().returns(Promise.resolve())}
+}
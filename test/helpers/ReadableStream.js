@@ -1,12 +1,15 @@
 import sinon from 'sinon'
 
-const toUint8Array = (value) => new Uint8Array(value)
+const toUint8Array = (value) => (value instanceof Error ? value : new Uint8Array(value))
 
 export default function createReadableStream (chunks) {
   const iterator = chunks.map(toUint8Array).entries()
   return {
     read: () => {
       const {value, done} = iterator.next()
+      if (!done && value[1] instanceof Error) {
+        return Promise.reject(value[1])
+      }
       return Promise.resolve({
         value: done ? null : value[1],
         done,
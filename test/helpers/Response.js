@@ -0,0 +1,14 @@
+export default function createResponse (reader, options = {}) {
+  const {status = 200, headers = {}} = options
+
+  return {
+    status,
+    ok: status >= 200 && status < 300,
+    headers: {
+      get: (name) => (name in headers ? headers[name] : null),
+    },
+    body: {
+      getReader: () => reader,
+    },
+  }
+}
@@ -0,0 +1,23 @@
+/* eslint-disable no-bitwise */
+
+// MPEG-4 AAC LC, 44.1kHz stereo, no CRC
+export function createAdtsFrame (length) {
+  const frame = new Uint8Array(length)
+  frame.set([
+    0xFF, 0xF1,
+    0x50, // AAC LC, 44.1kHz
+    0x80 | ((length >> 11) & 0x03), // stereo
+    (length >> 3) & 0xFF,
+    ((length & 0x07) << 5) | 0x1F,
+    0xFC, // one raw data block
+  ], 0)
+  return frame
+}
+
+export function createAac (frameCount, length = 100) {
+  const bytes = new Uint8Array(frameCount * length)
+  for (let i = 0; i < frameCount; i += 1) {
+    bytes.set(createAdtsFrame(length), i * length)
+  }
+  return bytes
+}
@@ -0,0 +1,35 @@
+/* eslint-disable no-bitwise */
+
+// 44.1kHz stereo, 16 bit, 441000 samples
+export const STREAM_INFO = [
+  0x66, 0x4C, 0x61, 0x43, // fLaC
+  0x00, 0, 0, 34, // STREAMINFO, 34 bytes
+  0x10, 0x00, 0x10, 0x00, // block sizes
+  0, 0, 0, 0, 0, 0, // frame sizes
+  0x0A, 0xC4, 0x42, 0xF0, // sample rate, channels, bits per sample
+  0x00, 0x06, 0xBA, 0xA8, // total samples
+  0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, // md5
+]
+
+export function createBlock (type, last, data) {
+  return [
+    (last ? 0x80 : 0) | type,
+    0, data.length >> 8, data.length & 0xFF,
+    ...data,
+  ]
+}
+
+const crc8 = (bytes) => bytes.reduce((crc, byte) => {
+  let value = crc ^ byte
+  for (let i = 0; i < 8; i += 1) {
+    value = (value & 0x80) === 0 ? value << 1 : (value << 1) ^ 0x07
+  }
+  return value & 0xFF
+}, 0)
+
+// 4096 samples at 44.1kHz, stereo, 16 bit, followed by `length` bytes of
+// silence
+export function createFlacFrame (index, length = 20) {
+  const header = [0xFF, 0xF8, 0xC9, 0x18, index]
+  return [...header, crc8(header), ...Array(length).fill(0)]
+}
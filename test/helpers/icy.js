@@ -0,0 +1,23 @@
+const ascii = (string) => string.split('').map((c) => c.charCodeAt(0))
+
+// a block is padded with nulls to a multiple of 16 bytes
+export function createMetadataBlock (text = '') {
+  const length = Math.ceil(text.length / 16) * 16
+  const block = ascii(text)
+  while (block.length < length) {
+    block.push(0)
+  }
+  return [length / 16, ...block]
+}
+
+// put a metadata block after every `metaint` bytes of audio
+export function createIcyStream (audio, metaint, texts = []) {
+  const bytes = []
+  for (let i = 0; i * metaint < audio.length; i += 1) {
+    bytes.push(...audio.subarray(i * metaint, (i + 1) * metaint))
+    if ((i + 1) * metaint <= audio.length) {
+      bytes.push(...createMetadataBlock(texts[i]))
+    }
+  }
+  return new Uint8Array(bytes)
+}
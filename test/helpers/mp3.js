@@ -0,0 +1,37 @@
+// MPEG-1 Layer III, 128kbps, 44100Hz, no padding = 417 bytes per frame
+const FRAME_HEADER = [0xFF, 0xFB, 0x90, 0x64]
+export const FRAME_LENGTH = 417
+
+export function createMp3Frame () {
+  const frame = new Uint8Array(FRAME_LENGTH)
+  frame.set(FRAME_HEADER, 0)
+  return frame
+}
+
+export function createMp3 (frameCount, prefix = []) {
+  const bytes = new Uint8Array(prefix.length + (frameCount * FRAME_LENGTH))
+  bytes.set(prefix, 0)
+  for (let i = 0; i < frameCount; i += 1) {
+    bytes.set(createMp3Frame(), prefix.length + (i * FRAME_LENGTH))
+  }
+  return bytes
+}
+
+const ascii = (string) => string.split('').map((c) => c.charCodeAt(0))
+
+// frame sizes and the tag size are "syncsafe", which is the same as a normal
+// number for anything under 128 bytes
+const size = (n) => [0, 0, 0, n]
+
+export function createId3Frame (id, data) {
+  return [...ascii(id), ...size(data.length), 0, 0, ...data]
+}
+
+export function createId3 (frames) {
+  const body = [].concat(...frames)
+  return [0x49, 0x44, 0x33, 4, 0, 0, ...size(body.length), ...body]
+}
+
+export function createTextFrame (id, text) {
+  return createId3Frame(id, [3, ...ascii(text)])
+}
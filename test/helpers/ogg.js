@@ -0,0 +1,30 @@
+export const VORBIS_HEADER = [
+  0x01, 0x76, 0x6F, 0x72, 0x62, 0x69, 0x73, // \x01vorbis
+  0, 0, 0, 0, // version
+  2, // channels
+  0x44, 0xAC, 0, 0, // sample rate
+  0, 0, 0, 0, // maximum bitrate
+  0x00, 0xF4, 0x01, 0x00, // nominal bitrate (128000)
+  0, 0, 0, 0, // minimum bitrate
+  0xB8, 0x01, // block sizes, framing
+]
+
+// split a packet into 255 byte segments, ending with a shorter one
+const lace = (length) => {
+  const segments = Array(Math.floor(length / 255)).fill(255)
+  return [...segments, length % 255]
+}
+
+export function createPage (...packets) {
+  const segments = [].concat(...packets.map((packet) => lace(packet.length)))
+  return new Uint8Array([
+    0x4F, 0x67, 0x67, 0x53, // OggS
+    0, 0x02, // version, beginning of stream
+    0, 0, 0, 0, 0, 0, 0, 0, // granule position
+    1, 0, 0, 0, // serial number
+    0, 0, 0, 0, // page sequence number
+    0, 0, 0, 0, // checksum
+    segments.length, ...segments,
+    ...[].concat(...packets),
+  ])
+}
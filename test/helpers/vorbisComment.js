@@ -0,0 +1,28 @@
+/* eslint-disable no-bitwise */
+
+const ascii = (string) => string.split('').map((c) => c.charCodeAt(0))
+const uint32LE = (n) => [n & 0xFF, (n >> 8) & 0xFF, (n >> 16) & 0xFF, (n >>> 24) & 0xFF]
+const uint32BE = (n) => uint32LE(n).reverse()
+
+export function createVorbisComment (comments) {
+  const vendor = ascii('test')
+  return [
+    ...uint32LE(vendor.length), ...vendor,
+    ...uint32LE(comments.length),
+    ...[].concat(...comments.map((comment) => {
+      const bytes = ascii(comment)
+      return [...uint32LE(bytes.length), ...bytes]
+    })),
+  ]
+}
+
+export function createPictureBlock (type, data) {
+  const mime = ascii(type)
+  return [
+    ...uint32BE(3), // front cover
+    ...uint32BE(mime.length), ...mime,
+    ...uint32BE(0), // description
+    ...uint32BE(1), ...uint32BE(1), ...uint32BE(24), ...uint32BE(0),
+    ...uint32BE(data.length), ...data,
+  ]
+}
@@ -0,0 +1,17 @@
+/* eslint-disable no-bitwise */
+
+const ascii = (string) => string.split('').map((c) => c.charCodeAt(0))
+const uint32 = (n) => [n & 0xFF, (n >> 8) & 0xFF, (n >> 16) & 0xFF, (n >>> 24) & 0xFF]
+
+export const HEADER_LENGTH = 44
+
+// 44.1kHz, 16 bit stereo = 176400 bytes per second, 4 bytes per sample frame
+export function createWav (dataLength, data = []) {
+  return new Uint8Array([
+    ...ascii('RIFF'), ...uint32(36 + dataLength), ...ascii('WAVE'),
+    ...ascii('fmt '), ...uint32(16),
+    1, 0, 2, 0, ...uint32(44100), ...uint32(176400), 4, 0, 16, 0,
+    ...ascii('data'), ...uint32(dataLength),
+    ...data,
+  ])
+}
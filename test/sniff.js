@@ -0,0 +1,46 @@
+import test from 'ava'
+
+import sniffFormat from '../lib/sniff'
+import {createMp3, createId3} from './helpers/mp3'
+import {createAac} from './helpers/aac'
+import {createWav} from './helpers/wav'
+import {STREAM_INFO} from './helpers/flac'
+import {VORBIS_HEADER, createPage} from './helpers/ogg'
+
+const ascii = (string) => string.split('').map((c) => c.charCodeAt(0))
+
+test('magic bytes', (t) => {
+  t.is(sniffFormat(createMp3(1)), 'mp3')
+  t.is(sniffFormat(createAac(1)), 'aac')
+  t.is(sniffFormat(createWav(0)), 'wav')
+  t.is(sniffFormat(new Uint8Array(STREAM_INFO)), 'flac')
+  t.is(sniffFormat(createPage(VORBIS_HEADER)), 'ogg')
+  t.is(sniffFormat(new Uint8Array([0, 0, 0, 24, ...ascii('ftypM4A '), 0, 0, 0, 0])), 'mp4')
+  t.is(sniffFormat(new Uint8Array(ascii('<!DOCTYPE html>'))), 'unknown')
+})
+
+test('skips the id3 tag', (t) => {
+  const id3 = createId3([])
+  t.is(sniffFormat(createMp3(1, id3)), 'mp3')
+  t.is(sniffFormat(createAac(1).subarray(0, 5)), null)
+  t.is(sniffFormat(createMp3(1, id3).subarray(0, 15)), null)
+})
+
+test('waits for more bytes', (t) => {
+  t.is(sniffFormat(new Uint8Array([0xFF, 0xFB])), null)
+  t.is(sniffFormat(new Uint8Array([0xFF, 0xFB]), null, true), 'unknown')
+  t.is(sniffFormat(createPage(VORBIS_HEADER).subarray(0, 30)), null)
+})
+
+test('ogg codecs', (t) => {
+  t.is(sniffFormat(createPage(ascii('OpusHead'))), 'ogg')
+  t.is(sniffFormat(createPage([0x80, ...ascii('theora')])), 'unknown')
+})
+
+test('falls back to the content type', (t) => {
+  const junk = new Uint8Array(20)
+  t.is(sniffFormat(junk, 'audio/mpeg'), 'mp3')
+  t.is(sniffFormat(junk, 'audio/aac; charset=binary'), 'aac')
+  t.is(sniffFormat(junk, 'text/html'), 'unknown')
+  t.is(sniffFormat(junk), 'unknown')
+})
@@ -0,0 +1,122 @@
+import test from 'ava'
+import sinon from 'sinon'
+
+import openSource, {isSeekable} from '../lib/sources'
+import createReadableStream from './helpers/ReadableStream'
+
+// reads every chunk from a response, until it is done
+const readAll = (res) => {
+  const reader = res.body.getReader()
+  const chunks = []
+
+  const read = () => reader.read().then(({value, done}) => {
+    if (done) {
+      return chunks
+    }
+    chunks.push(Array.from(value))
+    return read()
+  })
+
+  return read()
+}
+
+// just enough of a Blob, which Node doesn't have
+class FakeBlob {
+  constructor (bytes, type = '') {
+    this.bytes = new Uint8Array(bytes)
+    this.size = this.bytes.length
+    this.type = type
+  }
+
+  slice (start) {
+    return new FakeBlob(this.bytes.subarray(start), this.type)
+  }
+
+  stream () {
+    return {getReader: () => createReadableStream([this.bytes])}
+  }
+}
+
+test('openSource - ArrayBuffer', (t) => {
+  const buffer = new Uint8Array([1, 2, 3, 4]).buffer
+
+  return openSource(buffer, 0).then((res) => {
+    t.is(res.status, 200)
+    t.is(res.headers.get('Content-Length'), '4')
+    t.is(res.headers.get('Content-Range'), null)
+    t.is(res.headers.get('Content-Type'), null)
+    return readAll(res)
+  }).then((chunks) => {
+    t.deepEqual(chunks, [[1, 2, 3, 4]])
+  })
+})
+
+test('openSource - typed array from an offset', (t) => {
+  const bytes = new Uint8Array([0, 1, 2, 3, 4, 5]).subarray(1)
+
+  return openSource(bytes, 2).then((res) => {
+    t.is(res.status, 206)
+    t.is(res.headers.get('Content-Length'), '3')
+    t.is(res.headers.get('Content-Range'), 'bytes 2-4/5')
+    return readAll(res)
+  }).then((chunks) => {
+    t.deepEqual(chunks, [[3, 4, 5]])
+  })
+})
+
+test.serial('openSource - Blob', (t) => {
+  global.Blob = FakeBlob
+  const blob = new FakeBlob([1, 2, 3, 4], 'audio/mpeg')
+
+  return openSource(blob, 1).then((res) => {
+    delete global.Blob
+    t.is(res.status, 206)
+    t.is(res.headers.get('Content-Type'), 'audio/mpeg')
+    t.is(res.headers.get('Content-Range'), 'bytes 1-3/4')
+    return readAll(res)
+  }).then((chunks) => {
+    t.deepEqual(chunks, [[2, 3, 4]])
+  })
+})
+
+test('openSource - ReadableStream of ArrayBuffers', (t) => {
+  const chunks = [new Uint8Array([1, 2]), new Uint8Array([3])]
+  const stream = {
+    getReader: () => {
+      const reader = createReadableStream(chunks)
+      return {
+        read: () => reader.read().then(({value, done}) => ({
+          value: done ? value : value.buffer,
+          done,
+        })),
+        cancel: reader.cancel,
+      }
+    },
+  }
+
+  return openSource(stream, 0).then((res) => {
+    t.is(res.status, 200)
+    t.is(res.headers.get('Content-Length'), null)
+    return readAll(res)
+  }).then((values) => {
+    t.deepEqual(values, [[1, 2], [3]])
+  })
+})
+
+test('openSource - custom fetch', (t) => {
+  const fetch = sinon.stub().returns(Promise.resolve('response'))
+
+  return openSource('/track.mp3', 10, {fetch, headers: {Authorization: 'Bearer token'}})
+    .then((res) => {
+      t.is(res, 'response')
+      t.deepEqual(fetch.args, [
+        ['/track.mp3', {headers: {Authorization: 'Bearer token', Range: 'bytes=10-'}}],
+      ])
+    })
+})
+
+test('isSeekable', (t) => {
+  t.true(isSeekable('/track.mp3'))
+  t.true(isSeekable(new ArrayBuffer(4)))
+  t.false(isSeekable({getReader: () => null}))
+})
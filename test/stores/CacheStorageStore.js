@@ -0,0 +1,70 @@
+import test from 'ava'
+
+import CacheStorageStore from '../../lib/stores/CacheStorageStore'
+
+// just enough of a Response, which Node doesn't have
+class FakeResponse {
+  constructor (body) {
+    this.body = body
+  }
+
+  arrayBuffer () {
+    return Promise.resolve(this.body.buffer)
+  }
+
+  json () {
+    return Promise.resolve(JSON.parse(this.body))
+  }
+}
+
+// just enough of Cache Storage, keyed by URL
+const createCaches = () => {
+  const opened = {}
+
+  return {
+    opened,
+    open: (name) => {
+      opened[name] = opened[name] || new Map()
+      const cache = opened[name]
+
+      return Promise.resolve({
+        match: (key) => Promise.resolve(cache.get(key.url || key)),
+        put: (key, res) => Promise.resolve(cache.set(key, res)),
+        delete: (key) => Promise.resolve(cache.delete(key)),
+        keys: () => Promise.resolve(Array.from(cache.keys(), (url) => ({url}))),
+      })
+    },
+  }
+}
+
+test.beforeEach(() => {
+  global.caches = createCaches()
+  global.Response = FakeResponse
+})
+
+test.afterEach.always(() => {
+  delete global.caches
+  delete global.Response
+})
+
+test.serial('put, get, touch, list and delete', (t) => {
+  const store = new CacheStorageStore({name: 'tracks'})
+  const entry = {key: '/a.mp3', bytes: new Uint8Array([1, 2]), size: 2, accessed: 1, complete: true}
+
+  return store.put('/a.mp3', entry)
+    .then(() => {
+      t.deepEqual(Object.keys(global.caches.opened), ['tracks', 'tracks-entries'])
+      return store.get('/a.mp3')
+    })
+    .then((result) => {
+      t.deepEqual(result, {...entry, bytes: new Uint8Array([1, 2])})
+      return store.touch('/a.mp3', 5)
+    })
+    .then(() => store.list())
+    .then((entries) => {
+      t.deepEqual(entries, [{key: '/a.mp3', size: 2, accessed: 5}])
+      return store.delete('/a.mp3')
+    })
+    .then(() => store.get('/a.mp3'))
+    .then((result) => t.is(result, null))
+})
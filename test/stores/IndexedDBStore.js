@@ -0,0 +1,106 @@
+import test from 'ava'
+
+import IndexedDBStore from '../../lib/stores/IndexedDBStore'
+
+// just enough of IndexedDB. Each request succeeds on the next tick, and each
+// transaction completes once its requests have, or aborts with `abortError`.
+const createIndexedDB = (abortError = null) => {
+  const stores = {}
+
+  const transaction = () => {
+    const tx = {}
+    let pending = 0
+
+    const request = (fn) => {
+      const req = {}
+      pending += 1
+
+      setImmediate(() => {
+        req.result = fn()
+        req.onsuccess()
+
+        pending -= 1
+        if (pending === 0 && abortError != null) {
+          tx.error = abortError
+          setImmediate(() => tx.onabort())
+        } else if (pending === 0) {
+          setImmediate(() => tx.oncomplete())
+        }
+      })
+
+      return req
+    }
+
+    tx.objectStore = (name) => ({
+      get: (key) => request(() => stores[name].get(key)),
+      getAll: () => request(() => Array.from(stores[name].values())),
+      put: (value, key) => request(() => {
+        stores[name].set(key, value)
+      }),
+      delete: (key) => request(() => {
+        stores[name].delete(key)
+      }),
+    })
+
+    return tx
+  }
+
+  const db = {
+    createObjectStore: (name) => {
+      stores[name] = new Map()
+    },
+    transaction,
+  }
+
+  return {
+    stores,
+    open: () => {
+      const req = {result: db}
+      setImmediate(() => {
+        req.onupgradeneeded()
+        req.onsuccess()
+      })
+      return req
+    },
+  }
+}
+
+test.beforeEach(() => {
+  global.indexedDB = createIndexedDB()
+})
+
+test.afterEach.always(() => {
+  delete global.indexedDB
+})
+
+test.serial('put, get, touch, list and delete', (t) => {
+  const store = new IndexedDBStore()
+  const entry = {key: '/a.mp3', bytes: new Uint8Array([1, 2]), size: 2, accessed: 1}
+
+  return store.put('/a.mp3', entry)
+    .then(() => {
+      t.deepEqual(Object.keys(global.indexedDB.stores), ['bytes', 'entries'])
+      return store.get('/a.mp3')
+    })
+    .then((result) => {
+      t.deepEqual(result, entry)
+      return store.touch('/a.mp3', 5)
+    })
+    .then(() => store.list())
+    .then((entries) => {
+      t.deepEqual(entries, [{key: '/a.mp3', size: 2, accessed: 5}])
+      return store.delete('/a.mp3')
+    })
+    .then(() => store.get('/a.mp3'))
+    .then((result) => t.is(result, null))
+})
+
+test.serial('put - rejects when the transaction is aborted', (t) => {
+  const error = new Error('QuotaExceededError')
+  global.indexedDB = createIndexedDB(error)
+
+  const store = new IndexedDBStore()
+  const entry = {key: '/a.mp3', bytes: new Uint8Array([1, 2]), size: 2, accessed: 1}
+
+  return store.put('/a.mp3', entry).then(() => t.fail(), (err) => t.is(err, error))
+})
@@ -0,0 +1,22 @@
+import test from 'ava'
+
+import MemoryStore from '../../lib/stores/MemoryStore'
+
+test('put, get, touch, list and delete', (t) => {
+  const store = new MemoryStore()
+  const entry = {key: '/a.mp3', bytes: new Uint8Array(4), size: 4, accessed: 1}
+
+  return store.put('/a.mp3', entry)
+    .then(() => store.get('/a.mp3'))
+    .then((result) => {
+      t.is(result, entry)
+      return store.touch('/a.mp3', 5)
+    })
+    .then(() => store.list())
+    .then((entries) => {
+      t.deepEqual(entries, [{key: '/a.mp3', size: 4, accessed: 5}])
+      return store.delete('/a.mp3')
+    })
+    .then(() => store.get('/a.mp3'))
+    .then((result) => t.is(result, null))
+})